@@ -0,0 +1,79 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+
+/// @title Agent Forwarder
+/// @notice ERC-2771 forwarder for gasless registry calls. A relayer pays gas for an EIP-712
+///         ForwardRequest signed by `from`, which the target sees as _msgSender().
+/// @dev Like OpenZeppelin's MinimalForwarder, plus a deadline and ERC-1271 signers, so token-bound
+///      accounts can relay too. A failing call reverts the whole execution and leaves the nonce unused.
+contract AgentForwarder is EIP712 {
+    struct ForwardRequest {
+        address from;
+        address to;
+        uint256 value;
+        uint256 gas;
+        uint256 nonce;
+        uint256 deadline;
+        bytes data;
+    }
+
+    bytes32 public constant FORWARD_REQUEST_TYPEHASH = keccak256(
+        "ForwardRequest(address from,address to,uint256 value,uint256 gas,uint256 nonce,uint256 deadline,bytes data)"
+    );
+
+    mapping(address => uint256) private _nonces;
+
+    event Executed(address indexed from, address indexed to, uint256 nonce, address relayer);
+
+    constructor() EIP712("AgentForwarder", "1") {}
+
+    /// @notice Next nonce expected from `from`
+    function getNonce(address from) external view returns (uint256) {
+        return _nonces[from];
+    }
+
+    /// @notice Whether `signature` authorizes `req` now: valid signer, current nonce, deadline not passed
+    function verify(ForwardRequest calldata req, bytes calldata signature) public view returns (bool) {
+        if (block.timestamp > req.deadline || _nonces[req.from] != req.nonce) return false;
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(
+            FORWARD_REQUEST_TYPEHASH,
+            req.from,
+            req.to,
+            req.value,
+            req.gas,
+            req.nonce,
+            req.deadline,
+            keccak256(req.data)
+        )));
+        return SignatureChecker.isValidSignatureNow(req.from, digest, signature);
+    }
+
+    /// @notice Relay `req` to its target with `from` appended to the calldata (ERC-2771)
+    /// @dev Reverts with the target's reason if the call fails
+    function execute(ForwardRequest calldata req, bytes calldata signature) external payable returns (bytes memory) {
+        require(verify(req, signature), "AgentForwarder: invalid request");
+        require(msg.value == req.value, "AgentForwarder: value mismatch");
+        _nonces[req.from] = req.nonce + 1;
+
+        (bool success, bytes memory returndata) = req.to.call{gas: req.gas, value: req.value}(
+            abi.encodePacked(req.data, req.from)
+        );
+        // The relayer must not be able to make the call fail by starving it of gas (EIP-150 63/64 rule)
+        if (gasleft() <= req.gas / 63) {
+            assembly {
+                invalid()
+            }
+        }
+        if (!success) {
+            assembly {
+                revert(add(returndata, 32), mload(returndata))
+            }
+        }
+
+        emit Executed(req.from, req.to, req.nonce, msg.sender);
+        return returndata;
+    }
+}
@@ -0,0 +1,5 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+// One forwarder for both suites: the source lives in contracts/ at the repository root
+import "@kineticcode/contracts/AgentForwarder.sol";
@@ -3,11 +3,36 @@ pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 
 /// @title Cross-Chain Nonce Management v1.2 (Patched - CCNM-003)
 /// @notice Manages nonce consumption across multiple chains with Merkle proof verification
-/// @dev updateStateRoot restricted to owner only - fixes CCNM-003 Nomad Bridge pattern
-contract CrossChainNonceManagement is Ownable {
+/// @dev updateStateRoot restricted to owner only - fixes CCNM-003 Nomad Bridge pattern.
+///      Recent roots are kept in a bounded ring so proofs survive root rotation.
+///      In attester mode (attestationThreshold > 0) roots, the attester set and the threshold
+///      change only with a quorum of EIP-712 attester signatures; the owner can no longer
+///      post roots or reconfigure attesters.
+contract CrossChainNonceManagement is Ownable, EIP712 {
+
+    // ============ TYPES ============
+    struct RootInfo {
+        uint64 postedAt;
+        uint64 validUntil; // 0 = valid until evicted from history
+        bool revoked;
+    }
+
+    // ============ CONSTANTS ============
+    /// @notice Number of recent roots accepted for proofs
+    uint256 public constant ROOT_HISTORY_SIZE = 16;
+
+    bytes32 public constant ATTESTATION_TYPEHASH = keccak256(
+        "StateRootAttestation(uint256 chainId,bytes32 root,uint256 epoch)"
+    );
+
+    bytes32 public constant ATTESTER_UPDATE_TYPEHASH = keccak256(
+        "AttesterUpdate(uint256 chainId,address[] added,address[] removed,uint256 threshold,uint256 epoch)"
+    );
 
     // ============ STATE VARIABLES ============
     /// @notice sourceChainId => nonce => consumed
@@ -16,30 +41,234 @@ contract CrossChainNonceManagement is Ownable {
     /// @notice Current trusted Merkle state root
     bytes32 public stateRoot;
 
+    /// @notice root => posting metadata; cleared when the root leaves history
+    mapping(bytes32 => RootInfo) public roots;
+
+    /// @dev Ring buffer of recent roots; _rootCursor is the slot of stateRoot
+    bytes32[ROOT_HISTORY_SIZE] private _rootHistory;
+    uint256 private _rootCursor;
+
+    /// @notice Registered root attesters
+    mapping(address => bool) public isAttester;
+    uint256 public attesterCount;
+
+    /// @notice Signatures required to accept a root; 0 = owner mode
+    uint256 public attestationThreshold;
+
+    /// @notice Epoch the next attested root must be signed for
+    uint256 public rootEpoch;
+
+    /// @notice Epoch the next attester set update must be signed for
+    uint256 public attesterEpoch;
+
     // ============ EVENTS ============
     event NonceConsumed(uint256 indexed sourceChainId, uint256 nonce);
+    event NonceAlreadyConsumed(uint256 indexed sourceChainId, uint256 nonce);
     event StateRootUpdated(bytes32 newRoot, uint256 timestamp);
+    event StateRootExpirySet(bytes32 indexed root, uint256 validUntil);
+    event StateRootEvicted(bytes32 indexed root);
+    event StateRootRevoked(bytes32 indexed root);
+    event StateRootAttested(bytes32 indexed root, uint256 indexed epoch, address[] attesters);
+    event AttesterAdded(address indexed attester);
+    event AttesterRemoved(address indexed attester);
+    event AttestationThresholdUpdated(uint256 threshold);
 
     // ============ CONSTRUCTOR ============
-    /// @param _initialStateRoot Initial trusted Merkle state root
-    constructor(bytes32 _initialStateRoot) {
-        stateRoot = _initialStateRoot;
+    /// @param _initialStateRoot Initial trusted Merkle state root; zero deploys with no trusted root
+    ///        (no proof verifies until the first root is posted)
+    constructor(bytes32 _initialStateRoot) EIP712("CrossChainNonceManagement", "1") {
+        _rootCursor = ROOT_HISTORY_SIZE - 1;
+        if (_initialStateRoot != bytes32(0)) {
+            _postStateRoot(_initialStateRoot, 0);
+        }
     }
 
     // ============ STATE MANAGEMENT ============
     /// @notice Update the trusted Merkle state root
-    /// @dev onlyOwner prevents Nomad Bridge pattern exploit (CCNM-003)
+    /// @dev onlyOwner prevents Nomad Bridge pattern exploit (CCNM-003).
+    ///      The root stays valid until it is evicted from history or revoked.
     /// @param _newRoot New Merkle state root from authorized cross-chain bridge
     function updateStateRoot(bytes32 _newRoot) external onlyOwner {
+        require(attestationThreshold == 0, "Attester mode enabled");
+        _postStateRoot(_newRoot, 0);
+    }
+
+    /// @notice Update the trusted Merkle state root with a validity window
+    /// @param _newRoot New Merkle state root from authorized cross-chain bridge
+    /// @param validFor Seconds after posting during which proofs against the root are accepted
+    function updateStateRootWithExpiry(bytes32 _newRoot, uint256 validFor) external onlyOwner {
+        require(attestationThreshold == 0, "Attester mode enabled");
+        // A window past the uint64 range would wrap validUntil, possibly to 0 (never expires)
+        require(validFor > 0 && validFor <= type(uint64).max - block.timestamp, "Invalid validity window");
+        _postStateRoot(_newRoot, uint64(block.timestamp + validFor));
+    }
+
+    /// @notice Revoke a compromised root; proofs against it are rejected from now on
+    /// @param root Root to revoke (must still be in history)
+    function revokeStateRoot(bytes32 root) external onlyOwner {
+        RootInfo storage info = roots[root];
+        require(info.postedAt != 0, "Unknown root");
+        require(!info.revoked, "Root already revoked");
+        info.revoked = true;
+        emit StateRootRevoked(root);
+    }
+
+    // ============ ATTESTER QUORUM ============
+    /// @notice Register a root attester (owner only, owner mode only)
+    function addAttester(address attester) external onlyOwner {
+        require(attestationThreshold == 0, "Attester mode enabled");
+        _addAttester(attester);
+    }
+
+    /// @notice Remove a root attester (owner only, owner mode only)
+    function removeAttester(address attester) external onlyOwner {
+        require(attestationThreshold == 0, "Attester mode enabled");
+        _removeAttester(attester);
+    }
+
+    /// @notice Set the attestation threshold (owner only, owner mode only)
+    /// @dev A threshold above 0 enables attester mode; only updateAttesters can change it afterwards
+    function setAttestationThreshold(uint256 threshold) external onlyOwner {
+        require(attestationThreshold == 0, "Attester mode enabled");
+        _setAttestationThreshold(threshold);
+    }
+
+    /// @notice Change the attester set and threshold with a quorum of the current attesters
+    /// @dev Anyone may relay the signatures. Each attester signs
+    ///      AttesterUpdate(block.chainid, added, removed, threshold, attesterEpoch) under this contract's
+    ///      domain. Removals apply before additions; threshold 0 returns to owner mode.
+    /// @param added Attesters to register
+    /// @param removed Attesters to remove
+    /// @param threshold New attestation threshold, at most the resulting attester count
+    /// @param epoch Epoch the attesters signed for; must equal attesterEpoch
+    /// @param signatures Current attester signatures, at least attestationThreshold of them
+    function updateAttesters(
+        address[] calldata added,
+        address[] calldata removed,
+        uint256 threshold,
+        uint256 epoch,
+        bytes[] calldata signatures
+    ) external {
+        require(attestationThreshold > 0, "Attester mode disabled");
+        require(epoch >= attesterEpoch, "Stale epoch");
+        require(epoch == attesterEpoch, "Invalid epoch");
+        bytes32 structHash = keccak256(abi.encode(
+            ATTESTER_UPDATE_TYPEHASH,
+            block.chainid,
+            keccak256(abi.encodePacked(added)),
+            keccak256(abi.encodePacked(removed)),
+            threshold,
+            epoch
+        ));
+        _verifyQuorum(_hashTypedDataV4(structHash), signatures);
+
+        attesterEpoch = epoch + 1;
+        for (uint256 i = 0; i < removed.length; i++) {
+            _removeAttester(removed[i]);
+        }
+        for (uint256 i = 0; i < added.length; i++) {
+            _addAttester(added[i]);
+        }
+        _setAttestationThreshold(threshold);
+    }
+
+    /// @notice Accept a root signed by a quorum of attesters
+    /// @dev Anyone may relay the signatures. Each attester signs
+    ///      StateRootAttestation(block.chainid, root, rootEpoch) under this contract's domain.
+    /// @param root New Merkle state root
+    /// @param epoch Epoch the attesters signed for; must equal rootEpoch
+    /// @param signatures Attester signatures, at least attestationThreshold of them
+    function submitStateRoot(bytes32 root, uint256 epoch, bytes[] calldata signatures) external {
+        require(attestationThreshold > 0, "Attester mode disabled");
+        require(epoch >= rootEpoch, "Stale epoch");
+        require(epoch == rootEpoch, "Invalid epoch");
+
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(ATTESTATION_TYPEHASH, block.chainid, root, epoch)));
+        address[] memory attesters = _verifyQuorum(digest, signatures);
+
+        rootEpoch = epoch + 1;
+        _postStateRoot(root, 0);
+        emit StateRootAttested(root, epoch, attesters);
+    }
+
+    /// @dev Recover at least attestationThreshold distinct attesters from signatures over digest
+    function _verifyQuorum(bytes32 digest, bytes[] calldata signatures) internal view returns (address[] memory attesters) {
+        require(signatures.length >= attestationThreshold, "Insufficient attestations");
+        attesters = new address[](signatures.length);
+        for (uint256 i = 0; i < signatures.length; i++) {
+            address signer = ECDSA.recover(digest, signatures[i]);
+            require(isAttester[signer], "Not an attester");
+            for (uint256 j = 0; j < i; j++) {
+                require(attesters[j] != signer, "Duplicate attester");
+            }
+            attesters[i] = signer;
+        }
+    }
+
+    function _addAttester(address attester) internal {
+        require(attester != address(0), "Invalid attester");
+        require(!isAttester[attester], "Already an attester");
+        isAttester[attester] = true;
+        attesterCount++;
+        emit AttesterAdded(attester);
+    }
+
+    function _removeAttester(address attester) internal {
+        require(isAttester[attester], "Not an attester");
+        isAttester[attester] = false;
+        attesterCount--;
+        emit AttesterRemoved(attester);
+    }
+
+    /// @dev Checked after every set change, so the remaining attesters can always reach the threshold
+    function _setAttestationThreshold(uint256 threshold) internal {
+        require(threshold <= attesterCount, "Threshold exceeds attesters");
+        attestationThreshold = threshold;
+        emit AttestationThresholdUpdated(threshold);
+    }
+
+    /// @notice Whether proofs against a root are currently accepted
+    /// @param root Merkle root
+    /// @return True if the root is in history, not revoked and not expired
+    function isValidStateRoot(bytes32 root) public view returns (bool) {
+        RootInfo memory info = roots[root];
+        if (info.postedAt == 0 || info.revoked) return false;
+        return info.validUntil == 0 || block.timestamp <= info.validUntil;
+    }
+
+    /// @notice Recent roots, newest first (empty slots are zero)
+    function getRootHistory() external view returns (bytes32[] memory history) {
+        history = new bytes32[](ROOT_HISTORY_SIZE);
+        for (uint256 i = 0; i < ROOT_HISTORY_SIZE; i++) {
+            history[i] = _rootHistory[(_rootCursor + ROOT_HISTORY_SIZE - i) % ROOT_HISTORY_SIZE];
+        }
+    }
+
+    /// @dev Push a root into the ring, evicting the oldest one when full
+    function _postStateRoot(bytes32 _newRoot, uint64 validUntil) internal {
+        require(_newRoot != bytes32(0), "Invalid root");
+        require(roots[_newRoot].postedAt == 0, "Root already in history");
+
+        _rootCursor = (_rootCursor + 1) % ROOT_HISTORY_SIZE;
+        bytes32 evicted = _rootHistory[_rootCursor];
+        if (evicted != bytes32(0)) {
+            delete roots[evicted];
+            emit StateRootEvicted(evicted);
+        }
+
+        _rootHistory[_rootCursor] = _newRoot;
+        roots[_newRoot] = RootInfo({ postedAt: uint64(block.timestamp), validUntil: validUntil, revoked: false });
         stateRoot = _newRoot;
+
         emit StateRootUpdated(_newRoot, block.timestamp);
+        if (validUntil != 0) emit StateRootExpirySet(_newRoot, validUntil);
     }
 
     // ============ NONCE CONSUMPTION ============
     /// @notice Consume nonce with Merkle proof verification
     /// @param sourceChainId The chain ID where the nonce originated
     /// @param nonce The nonce value to consume
-    /// @param proof Merkle proof validating this nonce against state root
+    /// @param proof Merkle proof validating this nonce against any valid root in history
     function consumeNonceWithProof(
         uint256 sourceChainId,
         uint256 nonce,
@@ -54,7 +283,48 @@ contract CrossChainNonceManagement is Ownable {
         emit NonceConsumed(sourceChainId, nonce);
     }
 
-    /// @notice Verify Merkle proof against current state root
+    /// @notice Consume a batch of nonces with a single Merkle multiproof
+    /// @dev Pairs must be ordered as the multiproof's leaves (see sdk/merkle.js getMultiProof).
+    ///      The multiproof may target any valid root in history.
+    /// @param sourceChainIds Source chain ID of each nonce
+    /// @param nonces The nonce values to consume
+    /// @param proof Multiproof sibling hashes
+    /// @param proofFlags Multiproof flags (true = hash with next leaf/computed node)
+    /// @param skipConsumed If false the whole batch reverts on a consumed nonce;
+    ///        if true consumed nonces are skipped and reported
+    /// @return skipped True at each index whose nonce was already consumed
+    function consumeNoncesWithMultiProof(
+        uint256[] calldata sourceChainIds,
+        uint256[] calldata nonces,
+        bytes32[] calldata proof,
+        bool[] calldata proofFlags,
+        bool skipConsumed
+    ) external returns (bool[] memory skipped) {
+        require(sourceChainIds.length == nonces.length, "Length mismatch");
+        require(nonces.length > 0, "Empty batch");
+
+        bytes32[] memory leaves = new bytes32[](nonces.length);
+        for (uint256 i = 0; i < nonces.length; i++) {
+            leaves[i] = keccak256(abi.encodePacked(sourceChainIds[i], nonces[i]));
+        }
+        require(isValidStateRoot(MerkleProof.processMultiProofCalldata(proof, proofFlags, leaves)), "Invalid state proof");
+
+        skipped = new bool[](nonces.length);
+        for (uint256 i = 0; i < nonces.length; i++) {
+            if (consumedNonces[sourceChainIds[i]][nonces[i]]) {
+                require(skipConsumed, "Nonce already consumed");
+                skipped[i] = true;
+                emit NonceAlreadyConsumed(sourceChainIds[i], nonces[i]);
+                continue;
+            }
+            consumedNonces[sourceChainIds[i]][nonces[i]] = true;
+            emit NonceConsumed(sourceChainIds[i], nonces[i]);
+        }
+    }
+
+    /// @notice Verify Merkle proof against the valid roots in history
+    /// @dev The proof is walked once and the resulting root looked up, so
+    ///      cost does not grow with ROOT_HISTORY_SIZE
     /// @param leaf The leaf node to verify
     /// @param proof The Merkle proof
     /// @return valid True if proof is valid
@@ -63,7 +333,7 @@ contract CrossChainNonceManagement is Ownable {
         view
         returns (bool)
     {
-        return MerkleProof.verify(proof, stateRoot, leaf);
+        return isValidStateRoot(MerkleProof.processProof(proof, leaf));
     }
 
     /// @notice Check if a nonce has been consumed
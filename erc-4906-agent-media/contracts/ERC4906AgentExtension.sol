@@ -2,51 +2,396 @@
 pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
-import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
 import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/introspection/ERC165.sol";
+import "@openzeppelin/contracts/utils/Context.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./SecureMetadataUpdateProtocol.sol";
 
 /// @title ERC4906 Agent Extension v1.1 (Remediated)
 /// @notice EIP-4906 metadata update with agent signing and hash-based nonces
-contract ERC4906AgentExtension is EIP712 {
-    using ECDSA for bytes32;
-    
+/// @dev When a validator is set, every signed URI is run through its sanitizer before the event.
+///      Agents are either authorized collection-wide by the NFT contract or hold scoped grants.
+///      Agents and holders may be EOAs or ERC-1271 contract accounts (e.g. ERC-6551 token-bound accounts).
+///      Accepted URIs are stored with their history; the target NFT can delegate tokenURI to this contract.
+///      Calls relayed by the trusted ERC-2771 forwarder (e.g. AgentForwarder) act for the appended sender.
+contract ERC4906AgentExtension is EIP712, ERC165, Context {
     // ============ CONSTANTS ============
-    bytes32 private constant _UPDATE_TYPEHASH = keccak256(
+    bytes32 public constant UPDATE_TYPEHASH = keccak256(
         "UpdateRequest(address agent,uint256 tokenId,string metadataURI,bytes32 nonceHash,uint256 deadline)"
     );
+    bytes32 public constant DELEGATION_TYPEHASH = keccak256(
+        "Delegation(address holder,address agent,uint256 tokenId,uint64 expiresAt,uint32 maxUpdates,uint32 period,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant RANGE_UPDATE_TYPEHASH = keccak256(
+        "RangeUpdateRequest(address agent,uint256 fromTokenId,uint256 toTokenId,string baseURI,bytes32 nonceHash,uint256 deadline)"
+    );
+    uint256 public constant MAX_RANGE_GRANTS = 16;
+    uint256 public constant MAX_BATCH_SIZE = 100;
+    bytes4 public constant ERC4906_INTERFACE_ID = 0x49064906;
+    
+    // ============ TYPES ============
+    /// @dev Strict reverts on a rejected URI; Permissive consumes the nonce and emits MetadataUpdateRejected
+    enum ValidationMode { Strict, Permissive }
+    
+    /// @dev Scoped permission for an agent over [fromTokenId, toTokenId].
+    ///      maxUpdates == 0 means no rate limit; otherwise at most maxUpdates per `period` seconds,
+    ///      counted across the whole range. Grants from a holder lapse when the token is transferred.
+    struct Grant {
+        address grantor;
+        uint64 expiresAt;
+        uint32 maxUpdates;
+        uint32 period;
+        uint64 windowStart;
+        uint32 used;
+        uint256 fromTokenId;
+        uint256 toTokenId;
+    }
+    
+    /// @dev Holder-signed grant for a single token
+    struct Delegation {
+        address holder;
+        address agent;
+        uint256 tokenId;
+        uint64 expiresAt;
+        uint32 maxUpdates;
+        uint32 period;
+        uint256 deadline;
+    }
+    
+    /// @dev One entry of a token's URI history: _uris[uriId], with the token ID appended for range updates
+    struct URIRecord {
+        address agent;
+        uint64 uriId;
+        bool appendTokenId;
+    }
     
     // ============ STATE VARIABLES ============
     mapping(bytes32 => bool) public nonceHashes;
     mapping(address => bool) public authorizedAgents;
     
     IERC721 public immutable targetNFT;
+    SecureMetadataUpdateProtocol public validator;
+    /// @dev ERC-2771 forwarder whose appended sender is trusted; address(0) disables meta-transactions
+    address public trustedForwarder;
+    mapping(uint256 => ValidationMode) public validationMode;
+    
+    mapping(address => mapping(uint256 => Grant)) public tokenGrants;
+    mapping(address => Grant[]) private _rangeGrants;
+    mapping(address => uint256) public grantCount;
+    /// @dev Tokens with a single-token grant per agent, and each one's index + 1 in that list
+    mapping(address => uint256[]) private _grantedTokens;
+    mapping(address => mapping(uint256 => uint256)) private _grantedTokenIndex;
+    mapping(address => uint256) public delegationNonces;
+    
+    string[] private _uris;
+    mapping(uint256 => URIRecord[]) private _uriHistory;
+    
+    /// @dev EIP-4906 events
+    event MetadataUpdate(uint256 _tokenId);
+    event BatchMetadataUpdate(uint256 _fromTokenId, uint256 _toTokenId);
     
     event MetadataUpdated(uint256 indexed tokenId, string metadataURI, address indexed agent);
+    event MetadataRangeUpdated(uint256 fromTokenId, uint256 toTokenId, string baseURI, address indexed agent);
+    event MetadataUpdateRejected(uint256 indexed tokenId, string metadataURI, address indexed agent, string reason);
     event NonceRevealed(bytes32 indexed nonceHash, uint256 nonce);
     event AgentAuthorized(address indexed agent);
     event AgentRevoked(address indexed agent);
+    event ValidatorUpdated(address indexed validator);
+    event TrustedForwarderUpdated(address indexed forwarder);
+    event ValidationModeSet(uint256 indexed tokenId, ValidationMode mode);
+    event GrantSet(
+        address indexed agent,
+        address indexed grantor,
+        uint256 fromTokenId,
+        uint256 toTokenId,
+        uint64 expiresAt,
+        uint32 maxUpdates,
+        uint32 period
+    );
+    event GrantRevoked(address indexed agent, address indexed revokedBy, uint256 fromTokenId, uint256 toTokenId);
+    event GrantExpired(address indexed agent, uint256 fromTokenId, uint256 toTokenId);
     
     // ============ CONSTRUCTOR ============
-    constructor(address _targetNFT) EIP712("ERC4906AgentExtension", "1.1") {
+    /// @param _targetNFT NFT contract whose tokens this extension updates
+    /// @param _validator SecureMetadataUpdateProtocol instance, or address(0) to skip URI validation
+    constructor(address _targetNFT, address _validator) EIP712("ERC4906AgentExtension", "1.1") {
         targetNFT = IERC721(_targetNFT);
+        validator = SecureMetadataUpdateProtocol(_validator);
         // Domain separator now includes block.chainid via EIP712 parent
     }
     
     // ============ AGENT MANAGEMENT ============
     function authorizeAgent(address agent) external {
-        require(msg.sender == address(targetNFT), "Only NFT contract");
+        require(_msgSender() == address(targetNFT), "Only NFT contract");
         authorizedAgents[agent] = true;
         emit AgentAuthorized(agent);
     }
     
     function revokeAgent(address agent) external {
-        require(msg.sender == address(targetNFT), "Only NFT contract");
+        require(_msgSender() == address(targetNFT), "Only NFT contract");
         authorizedAgents[agent] = false;
         emit AgentRevoked(agent);
     }
     
+    // ============ SCOPED GRANTS ============
+    /// @notice Grant an agent update rights for one token
+    /// @dev Callable by the NFT contract or the current holder; replaces any existing grant for the pair
+    function grantAgent(address agent, uint256 tokenId, uint64 expiresAt, uint32 maxUpdates, uint32 period) external {
+        address sender = _msgSender();
+        require(
+            sender == address(targetNFT) || sender == targetNFT.ownerOf(tokenId),
+            "Not token owner"
+        );
+        _setTokenGrant(sender, agent, tokenId, expiresAt, maxUpdates, period);
+    }
+    
+    /// @notice Grant an agent update rights for one token with the holder's EIP-712 signature
+    /// @dev Consumes delegationNonces[holder]; the holder must own the token at submission time
+    function delegateWithSig(Delegation calldata d, bytes calldata signature) external {
+        require(block.timestamp <= d.deadline, "Signature expired");
+        require(targetNFT.ownerOf(d.tokenId) == d.holder, "Not token owner");
+        
+        bytes32 structHash = keccak256(abi.encode(
+            DELEGATION_TYPEHASH,
+            d.holder,
+            d.agent,
+            d.tokenId,
+            d.expiresAt,
+            d.maxUpdates,
+            d.period,
+            delegationNonces[d.holder]++,
+            d.deadline
+        ));
+        require(
+            SignatureChecker.isValidSignatureNow(d.holder, _hashTypedDataV4(structHash), signature),
+            "Invalid signer"
+        );
+        
+        _setTokenGrant(d.holder, d.agent, d.tokenId, d.expiresAt, d.maxUpdates, d.period);
+    }
+    
+    /// @notice Grant an agent update rights for a token range (NFT contract only)
+    function grantAgentRange(
+        address agent,
+        uint256 fromTokenId,
+        uint256 toTokenId,
+        uint64 expiresAt,
+        uint32 maxUpdates,
+        uint32 period
+    ) external {
+        require(_msgSender() == address(targetNFT), "Only NFT contract");
+        require(fromTokenId <= toTokenId, "Invalid range");
+        require(_rangeGrants[agent].length < MAX_RANGE_GRANTS, "Too many range grants");
+        _validateGrant(agent, expiresAt, maxUpdates, period);
+        
+        _rangeGrants[agent].push(Grant(_msgSender(), expiresAt, maxUpdates, period, 0, 0, fromTokenId, toTokenId));
+        grantCount[agent]++;
+        emit GrantSet(agent, _msgSender(), fromTokenId, toTokenId, expiresAt, maxUpdates, period);
+    }
+    
+    /// @notice Revoke an agent's grant for one token
+    /// @dev Callable by the grantor, the NFT contract or the current holder
+    function revokeGrant(address agent, uint256 tokenId) external {
+        address sender = _msgSender();
+        Grant storage g = tokenGrants[agent][tokenId];
+        require(g.grantor != address(0), "No grant");
+        require(
+            sender == g.grantor || sender == address(targetNFT) || sender == targetNFT.ownerOf(tokenId),
+            "Not authorized to revoke"
+        );
+        _removeTokenGrant(agent, tokenId);
+        emit GrantRevoked(agent, sender, tokenId, tokenId);
+    }
+    
+    /// @notice Revoke one of an agent's range grants (NFT contract only)
+    function revokeGrantRange(address agent, uint256 index) external {
+        require(_msgSender() == address(targetNFT), "Only NFT contract");
+        require(index < _rangeGrants[agent].length, "No grant");
+        Grant memory g = _rangeGrants[agent][index];
+        _removeRangeGrant(agent, index);
+        emit GrantRevoked(agent, _msgSender(), g.fromTokenId, g.toTokenId);
+    }
+    
+    /// @notice Clear expired grants of an agent; anyone may call
+    /// @param tokenIds Tokens whose single-token grants to check; range grants are always swept
+    function pruneExpiredGrants(address agent, uint256[] calldata tokenIds) external {
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            Grant storage g = tokenGrants[agent][tokenIds[i]];
+            if (g.grantor != address(0) && block.timestamp >= g.expiresAt) {
+                _removeTokenGrant(agent, tokenIds[i]);
+                emit GrantExpired(agent, tokenIds[i], tokenIds[i]);
+            }
+        }
+        Grant[] storage ranges = _rangeGrants[agent];
+        for (uint256 i = ranges.length; i > 0; i--) {
+            if (block.timestamp >= ranges[i - 1].expiresAt) {
+                Grant memory g = ranges[i - 1];
+                _removeRangeGrant(agent, i - 1);
+                emit GrantExpired(agent, g.fromTokenId, g.toTokenId);
+            }
+        }
+    }
+    
+    /// @notice Range grants of an agent (order changes on removal)
+    function getRangeGrants(address agent) external view returns (Grant[] memory) {
+        return _rangeGrants[agent];
+    }
+    
+    /// @notice Whether `agent` may currently update `tokenId`, ignoring rate limits
+    function isAuthorizedFor(address agent, uint256 tokenId) external view returns (bool) {
+        if (authorizedAgents[agent]) return true;
+        if (_isLive(tokenGrants[agent][tokenId], tokenId)) return true;
+        Grant[] storage ranges = _rangeGrants[agent];
+        for (uint256 i = 0; i < ranges.length; i++) {
+            if (_isLive(ranges[i], tokenId)) return true;
+        }
+        return false;
+    }
+    
+    function _setTokenGrant(
+        address grantor,
+        address agent,
+        uint256 tokenId,
+        uint64 expiresAt,
+        uint32 maxUpdates,
+        uint32 period
+    ) internal {
+        _validateGrant(agent, expiresAt, maxUpdates, period);
+        if (tokenGrants[agent][tokenId].grantor == address(0)) {
+            _grantedTokens[agent].push(tokenId);
+            _grantedTokenIndex[agent][tokenId] = _grantedTokens[agent].length;
+            grantCount[agent]++;
+        }
+        tokenGrants[agent][tokenId] = Grant(grantor, expiresAt, maxUpdates, period, 0, 0, tokenId, tokenId);
+        emit GrantSet(agent, grantor, tokenId, tokenId, expiresAt, maxUpdates, period);
+    }
+    
+    function _validateGrant(address agent, uint64 expiresAt, uint32 maxUpdates, uint32 period) internal view {
+        require(agent != address(0), "Invalid agent");
+        require(expiresAt > block.timestamp, "Invalid expiry");
+        require(maxUpdates == 0 || period > 0, "Invalid rate limit");
+    }
+    
+    function _removeTokenGrant(address agent, uint256 tokenId) internal {
+        uint256[] storage tokenIds = _grantedTokens[agent];
+        uint256 index = _grantedTokenIndex[agent][tokenId] - 1;
+        uint256 last = tokenIds[tokenIds.length - 1];
+        tokenIds[index] = last;
+        _grantedTokenIndex[agent][last] = index + 1;
+        tokenIds.pop();
+        delete _grantedTokenIndex[agent][tokenId];
+        delete tokenGrants[agent][tokenId];
+        grantCount[agent]--;
+    }
+    
+    function _removeRangeGrant(address agent, uint256 index) internal {
+        Grant[] storage ranges = _rangeGrants[agent];
+        ranges[index] = ranges[ranges.length - 1];
+        ranges.pop();
+        grantCount[agent]--;
+    }
+    
+    /// @dev Unexpired, covers tokenId, and (for holder grants) the grantor still holds the token
+    function _isLive(Grant storage g, uint256 tokenId) internal view returns (bool) {
+        if (g.grantor == address(0) || block.timestamp >= g.expiresAt) return false;
+        if (tokenId < g.fromTokenId || tokenId > g.toTokenId) return false;
+        return g.grantor == address(targetNFT) || targetNFT.ownerOf(tokenId) == g.grantor;
+    }
+    
+    /// @dev Whether any of the agent's grants is unexpired; expired ones still count in grantCount until pruned
+    function _hasUnexpiredGrant(address agent) internal view returns (bool) {
+        uint256[] storage tokenIds = _grantedTokens[agent];
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            if (block.timestamp < tokenGrants[agent][tokenIds[i]].expiresAt) return true;
+        }
+        Grant[] storage ranges = _rangeGrants[agent];
+        for (uint256 i = 0; i < ranges.length; i++) {
+            if (block.timestamp < ranges[i].expiresAt) return true;
+        }
+        return false;
+    }
+    
+    /// @dev Count one update against the grant's rate limit; false if the current window is full
+    function _consume(Grant storage g) internal returns (bool) {
+        if (g.maxUpdates == 0) return true;
+        if (block.timestamp >= uint256(g.windowStart) + g.period) {
+            g.windowStart = uint64(block.timestamp);
+            g.used = 0;
+        }
+        if (g.used >= g.maxUpdates) return false;
+        g.used++;
+        return true;
+    }
+    
+    /// @dev Authorize an update by a non-global agent, consuming the first usable grant
+    function _useGrant(address agent, uint256 tokenId) internal {
+        bool rateLimited;
+        Grant storage tokenGrant = tokenGrants[agent][tokenId];
+        if (_isLive(tokenGrant, tokenId)) {
+            if (_consume(tokenGrant)) return;
+            rateLimited = true;
+        }
+        Grant[] storage ranges = _rangeGrants[agent];
+        for (uint256 i = 0; i < ranges.length; i++) {
+            if (_isLive(ranges[i], tokenId)) {
+                if (_consume(ranges[i])) return;
+                rateLimited = true;
+            }
+        }
+        require(!rateLimited, "Rate limit exceeded");
+        revert("Agent not authorized");
+    }
+    
+    // ============ VALIDATION ============
+    /// @notice Set or clear (address(0)) the URI validator
+    function setValidator(address _validator) external {
+        require(_msgSender() == address(targetNFT), "Only NFT contract");
+        validator = SecureMetadataUpdateProtocol(_validator);
+        emit ValidatorUpdated(_validator);
+    }
+    
+    /// @notice Choose how rejected URIs are handled for a token
+    /// @dev Callable by the current holder of `tokenId`
+    function setValidationMode(uint256 tokenId, ValidationMode mode) external {
+        require(_msgSender() == targetNFT.ownerOf(tokenId), "Not token owner");
+        validationMode[tokenId] = mode;
+        emit ValidationModeSet(tokenId, mode);
+    }
+    
+    // ============ META-TRANSACTIONS ============
+    /// @notice Set the ERC-2771 forwarder trusted to relay calls; address(0) disables relaying
+    function setTrustedForwarder(address forwarder) external {
+        require(_msgSender() == address(targetNFT), "Only NFT contract");
+        trustedForwarder = forwarder;
+        emit TrustedForwarderUpdated(forwarder);
+    }
+    
+    /// @notice Whether calls from `forwarder` are treated as relayed meta-transactions
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder != address(0) && forwarder == trustedForwarder;
+    }
+    
+    /// @dev The original sender from the last 20 bytes of calldata for relayed calls, msg.sender otherwise
+    function _msgSender() internal view override returns (address) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+    
+    function _msgData() internal view override returns (bytes calldata) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return msg.data[:msg.data.length - 20];
+        }
+        return msg.data;
+    }
+    
     // ============ METADATA UPDATE ============
     /// @notice Update metadata with EIP-712 signature
+    /// @dev The signature covers the raw URI; the sanitized one becomes the token's URI and is
+    ///      carried by MetadataUpdated, followed by the EIP-4906 MetadataUpdate
     function updateMetadataWithSig(
         address agent,
         uint256 tokenId,
@@ -57,11 +402,11 @@ contract ERC4906AgentExtension is EIP712 {
     ) external {
         require(block.timestamp <= deadline, "Signature expired");
         require(!nonceHashes[nonceHash], "Nonce already used");
-        require(authorizedAgents[agent], "Agent not authorized");
+        if (!authorizedAgents[agent]) _useGrant(agent, tokenId);
         
         // Verify signature
         bytes32 structHash = keccak256(abi.encode(
-            _UPDATE_TYPEHASH,
+            UPDATE_TYPEHASH,
             agent,
             tokenId,
             keccak256(bytes(metadataURI)),
@@ -70,21 +415,136 @@ contract ERC4906AgentExtension is EIP712 {
         ));
         
         bytes32 digest = _hashTypedDataV4(structHash);
-        address recoveredAddress = digest.recover(signature);
-        require(recoveredAddress != address(0), "Invalid signature"); // CRITICAL FIX
-        require(recoveredAddress == agent, "Invalid signer");
+        // ERC-1271 for contract agents, ECDSA otherwise; a zero-address recovery never matches
+        require(SignatureChecker.isValidSignatureNow(agent, digest, signature), "Invalid signer");
         
         // Mark nonce hash as used
         nonceHashes[nonceHash] = true;
         
-        // Emit EIP-4906 event
-        emit MetadataUpdated(tokenId, metadataURI, agent);
+        (bool accepted, string memory result) = _sanitize(tokenId, metadataURI);
+        if (!accepted) {
+            emit MetadataUpdateRejected(tokenId, metadataURI, agent, result);
+            return;
+        }
+        
+        _uriHistory[tokenId].push(URIRecord(agent, _storeURI(result), false));
+        emit MetadataUpdated(tokenId, result, agent);
+        emit MetadataUpdate(tokenId);
+    }
+    
+    /// @notice Point a range of tokens at `baseURI` with one EIP-712 signature
+    /// @dev Token N resolves to baseURI + N. Grant-based agents consume one update per token.
+    ///      The base URI is always validated strictly, whatever the tokens' validation modes.
+    function updateMetadataRangeWithSig(
+        address agent,
+        uint256 fromTokenId,
+        uint256 toTokenId,
+        string calldata baseURI,
+        bytes32 nonceHash,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        require(block.timestamp <= deadline, "Signature expired");
+        require(!nonceHashes[nonceHash], "Nonce already used");
+        require(fromTokenId <= toTokenId, "Invalid range");
+        require(toTokenId - fromTokenId < MAX_BATCH_SIZE, "Range too large");
+        if (!authorizedAgents[agent]) {
+            for (uint256 tokenId = fromTokenId; tokenId <= toTokenId; tokenId++) {
+                _useGrant(agent, tokenId);
+            }
+        }
+        
+        bytes32 structHash = keccak256(abi.encode(
+            RANGE_UPDATE_TYPEHASH,
+            agent,
+            fromTokenId,
+            toTokenId,
+            keccak256(bytes(baseURI)),
+            nonceHash,
+            deadline
+        ));
+        require(SignatureChecker.isValidSignatureNow(agent, _hashTypedDataV4(structHash), signature), "Invalid signer");
+        
+        nonceHashes[nonceHash] = true;
+        
+        string memory sanitized = address(validator) == address(0) ? baseURI : validator.sanitizeAnimationURL(baseURI);
+        uint64 uriId = _storeURI(sanitized);
+        for (uint256 tokenId = fromTokenId; tokenId <= toTokenId; tokenId++) {
+            _uriHistory[tokenId].push(URIRecord(agent, uriId, true));
+        }
+        emit MetadataRangeUpdated(fromTokenId, toTokenId, sanitized, agent);
+        emit BatchMetadataUpdate(fromTokenId, toTokenId);
+    }
+    
+    /// @dev Returns (true, sanitized URI) or, in permissive mode only, (false, revert reason)
+    function _sanitize(uint256 tokenId, string calldata metadataURI) internal view returns (bool, string memory) {
+        if (address(validator) == address(0)) return (true, metadataURI);
+        if (validationMode[tokenId] == ValidationMode.Strict) {
+            return (true, validator.sanitizeAnimationURL(metadataURI));
+        }
+        try validator.sanitizeAnimationURL(metadataURI) returns (string memory sanitized) {
+            return (true, sanitized);
+        } catch Error(string memory reason) {
+            return (false, reason);
+        } catch {
+            return (false, "Validator reverted");
+        }
+    }
+    
+    // ============ TOKEN URI ============
+    /// @notice Current URI of a token, or "" if no update has been accepted
+    /// @dev For the target NFT to return from its own tokenURI
+    function tokenURI(uint256 tokenId) external view returns (string memory) {
+        URIRecord[] storage history = _uriHistory[tokenId];
+        if (history.length == 0) return "";
+        return _resolve(tokenId, history[history.length - 1]);
+    }
+    
+    /// @notice Number of accepted URIs for a token
+    function uriHistoryLength(uint256 tokenId) external view returns (uint256) {
+        return _uriHistory[tokenId].length;
+    }
+    
+    /// @notice A token's accepted URIs, oldest first, with the agent that set each
+    function getURIHistory(uint256 tokenId, uint256 startIndex, uint256 count)
+        external
+        view
+        returns (string[] memory uris, address[] memory agents)
+    {
+        URIRecord[] storage history = _uriHistory[tokenId];
+        uint256 end = startIndex + count;
+        if (end > history.length) end = history.length;
+        if (startIndex >= end) return (new string[](0), new address[](0));
+        
+        uris = new string[](end - startIndex);
+        agents = new address[](end - startIndex);
+        for (uint256 i = startIndex; i < end; i++) {
+            uris[i - startIndex] = _resolve(tokenId, history[i]);
+            agents[i - startIndex] = history[i].agent;
+        }
+    }
+    
+    function _storeURI(string memory uri) internal returns (uint64 uriId) {
+        uriId = uint64(_uris.length);
+        _uris.push(uri);
+    }
+    
+    function _resolve(uint256 tokenId, URIRecord storage record) internal view returns (string memory) {
+        string storage uri = _uris[record.uriId];
+        return record.appendTokenId ? string.concat(uri, Strings.toString(tokenId)) : uri;
+    }
+    
+    /// @dev Advertises EIP-4906 (0x49064906)
+    function supportsInterface(bytes4 interfaceId) public view virtual override returns (bool) {
+        return interfaceId == ERC4906_INTERFACE_ID || super.supportsInterface(interfaceId);
     }
     
+    // ============ NONCES ============
     /// @notice Reveal nonce to enable future updates
     function revealNonce(bytes32 nonceHash, uint256 nonce) external {
-        require(authorizedAgents[msg.sender], "Unauthorized");
-        require(keccak256(abi.encodePacked(nonce, msg.sender)) == nonceHash, "Invalid reveal");
+        address agent = _msgSender();
+        require(authorizedAgents[agent] || _hasUnexpiredGrant(agent), "Unauthorized");
+        require(keccak256(abi.encodePacked(nonce, agent)) == nonceHash, "Invalid reveal");
         require(!nonceHashes[nonceHash], "Nonce already used");
         
         nonceHashes[nonceHash] = true;
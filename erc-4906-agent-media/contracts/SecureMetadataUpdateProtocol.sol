@@ -3,18 +3,35 @@ pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 
-/// @title Secure Metadata Update Protocol v1.1 (Remediated)
+/// @title Secure Metadata Update Protocol v1.2
 /// @notice Secure, gas-efficient protocol for autonomous agent metadata updates with domain whitelisting
+/// @dev URLs are parsed as scheme "://" authority path [? query] [# fragment].
+///      Hierarchical schemes (https) are checked against the domain allowlist;
+///      content-addressed schemes (ipfs, ar) are checked by identifier format.
 contract SecureMetadataUpdateProtocol is Ownable {
+    // ============ TYPES ============
+    struct ParsedURL {
+        string scheme;
+        string host;
+        string path;
+        bool contentAddressed;
+    }
+
     // ============ STATE VARIABLES ============
     mapping(string => bool) public allowedDomains;
+    /// @notice Registered domains whose subdomains are also allowed (*.domain)
+    mapping(string => bool) public subdomainsAllowed;
+    /// @notice URL schemes accepted by sanitizeAnimationURL
+    mapping(string => bool) public allowedSchemes;
     uint256 public maxURLLength;
     uint256 public constant MAX_ITERATIONS = 1000;
-    
+
     event DomainRegistered(string domain);
     event DomainUnregistered(string domain);
+    event SubdomainRuleUpdated(string domain, bool allowed);
+    event SchemeUpdated(string scheme, bool allowed);
     event MaxLengthUpdated(uint256 newLength);
-    
+
     // ============ CONSTRUCTOR ============
     constructor(uint256 _maxURLLength) {
         maxURLLength = _maxURLLength;
@@ -22,112 +39,278 @@ contract SecureMetadataUpdateProtocol is Ownable {
         allowedDomains["arweave.net"] = true;
         allowedDomains["ipfs.io"] = true;
         allowedDomains["cloudflare-ipfs.com"] = true;
+        allowedSchemes["https"] = true;
+        allowedSchemes["ipfs"] = true;
+        allowedSchemes["ar"] = true;
     }
-    
+
     // ============ DOMAIN MANAGEMENT ============
     /// @notice Register a new allowed domain (owner only)
+    /// @dev Stored lowercase; must be a valid hostname
     function registerDomain(string calldata domain) external onlyOwner {
-        allowedDomains[domain] = true;
-        emit DomainRegistered(domain);
+        string memory normalized = _toLower(bytes(domain));
+        _validateHost(bytes(normalized));
+        allowedDomains[normalized] = true;
+        emit DomainRegistered(normalized);
     }
-    
+
     /// @notice Unregister a domain (owner only)
     function unregisterDomain(string calldata domain) external onlyOwner {
-        allowedDomains[domain] = false;
-        emit DomainUnregistered(domain);
+        string memory normalized = _toLower(bytes(domain));
+        allowedDomains[normalized] = false;
+        subdomainsAllowed[normalized] = false;
+        emit DomainUnregistered(normalized);
+    }
+
+    /// @notice Allow or disallow subdomains of a registered domain (owner only)
+    function setSubdomainsAllowed(string calldata domain, bool allowed) external onlyOwner {
+        string memory normalized = _toLower(bytes(domain));
+        require(allowedDomains[normalized], "Domain not registered");
+        subdomainsAllowed[normalized] = allowed;
+        emit SubdomainRuleUpdated(normalized, allowed);
+    }
+
+    /// @notice Allow or disallow a URL scheme (owner only)
+    function setSchemeAllowed(string calldata scheme, bool allowed) external onlyOwner {
+        string memory normalized = _toLower(bytes(scheme));
+        allowedSchemes[normalized] = allowed;
+        emit SchemeUpdated(normalized, allowed);
     }
-    
+
     /// @notice Update maximum URL length (owner only)
     function setMaxURLLength(uint256 _maxURLLength) external onlyOwner {
         maxURLLength = _maxURLLength;
         emit MaxLengthUpdated(_maxURLLength);
     }
-    
+
+    /// @notice Whether a hostname is allowed, directly or through a subdomain rule
+    /// @param host Hostname (case-insensitive)
+    function isAllowedDomain(string memory host) public view returns (bool) {
+        bytes memory h = bytes(_toLower(bytes(host)));
+        if (allowedDomains[string(h)]) return true;
+        for (uint256 i = 0; i < h.length; i++) {
+            if (h[i] == ".") {
+                string memory parent = string(_slice(h, i + 1, h.length));
+                if (allowedDomains[parent] && subdomainsAllowed[parent]) return true;
+            }
+        }
+        return false;
+    }
+
     // ============ URL VALIDATION ============
     /// @notice Validate and sanitize animation URL
     /// @param url Input URL
-    /// @return sanitizedURL Sanitized URL with validated domain
+    /// @return sanitizedURL Normalized URL (lowercase scheme/host, no port, query or fragment)
     /// @dev Gas cost: ~15k gas for typical URL, scales with length
     function sanitizeAnimationURL(string calldata url) external view returns (string memory) {
         // Gas optimization: length check before any processing
         require(bytes(url).length <= maxURLLength, "URL too long");
-        
-        // Extract and validate hostname
-        string memory hostname = extractHostname(url);
-        require(allowedDomains[hostname], "Domain not allowed");
-        
-        // Sanitize query parameters and fragments
-        string memory sanitized = sanitizeURLComponents(url);
-        
-        return sanitized;
-    }
-    
+
+        ParsedURL memory parsed = _parseURL(bytes(url));
+        require(allowedSchemes[parsed.scheme], "Scheme not allowed");
+        if (!parsed.contentAddressed) {
+            require(isAllowedDomain(parsed.host), "Domain not allowed");
+        }
+
+        return string(abi.encodePacked(parsed.scheme, "://", parsed.host, parsed.path));
+    }
+
+    /// @notice Parse a URL into its normalized components
+    /// @param url Input URL
+    /// @return scheme Lowercase scheme
+    /// @return host Lowercase hostname, or the CID / transaction id for ipfs:// and ar://
+    /// @return path Path without query or fragment (may be empty)
+    function parseURL(string calldata url) external pure returns (string memory scheme, string memory host, string memory path) {
+        ParsedURL memory parsed = _parseURL(bytes(url));
+        return (parsed.scheme, parsed.host, parsed.path);
+    }
+
     /// @notice Extract hostname from URL
     /// @param url Input URL
-    /// @return hostname Extracted hostname
+    /// @return hostname Lowercase hostname
+    /// @dev Reverts for content-addressed URIs, which have no hostname
     function extractHostname(string calldata url) public pure returns (string memory) {
-        bytes memory urlBytes = bytes(url);
-        uint256 start;
-        uint256 end;
-        
-        // Find protocol separator
-        for (uint256 i = 0; i < urlBytes.length; i++) {
-            if (i > maxURLLength) break; // Safety
-            if (urlBytes[i] == ":" && i + 2 < urlBytes.length && urlBytes[i+1] == "/" && urlBytes[i+2] == "/") {
-                start = i + 3;
-                break;
-            }
+        ParsedURL memory parsed = _parseURL(bytes(url));
+        require(!parsed.contentAddressed, "No hostname for content-addressed URI");
+        return parsed.host;
+    }
+
+    // ============ PARSING ============
+    /// @dev Parse and validate; reverts on anything outside the supported grammar
+    function _parseURL(bytes memory u) internal pure returns (ParsedURL memory parsed) {
+        uint256 len = u.length;
+        for (uint256 i = 0; i < len; i++) {
+            require(_isURLChar(u[i]), "Invalid character");
         }
-        
-        // Find end of hostname
-        for (uint256 i = start; i < urlBytes.length; i++) {
-            if (i > maxURLLength) break; // Safety
-            if (urlBytes[i] == "/" || urlBytes[i] == "?" || urlBytes[i] == "#") {
-                end = i;
-                break;
+
+        // Scheme: ALPHA *( ALPHA / DIGIT / "+" / "-" / "." ) followed by "://"
+        uint256 colon = 0;
+        while (colon < len && u[colon] != ":") colon++;
+        require(colon > 0 && colon + 2 < len && u[colon + 1] == "/" && u[colon + 2] == "/", "Invalid URL structure");
+        bytes memory scheme = bytes(_toLower(_slice(u, 0, colon)));
+        require(_isAlpha(scheme[0]), "Invalid scheme");
+        for (uint256 i = 1; i < scheme.length; i++) {
+            bytes1 c = scheme[i];
+            require(_isAlpha(c) || _isDigit(c) || c == "+" || c == "-" || c == ".", "Invalid scheme");
+        }
+        parsed.scheme = string(scheme);
+
+        // Authority ends at the first "/", "?" or "#"
+        uint256 start = colon + 3;
+        uint256 end = start;
+        while (end < len && u[end] != "/" && u[end] != "?" && u[end] != "#") end++;
+        require(end > start, "Invalid URL structure");
+
+        uint256 hostEnd = end;
+        for (uint256 i = start; i < end; i++) {
+            require(u[i] != "@", "Userinfo not allowed");
+            if (u[i] == ":" && hostEnd == end) hostEnd = i;
+        }
+
+        parsed.contentAddressed = _isContentAddressed(scheme);
+        if (parsed.contentAddressed) {
+            require(hostEnd == end, "Port not allowed");
+            bytes memory id = _slice(u, start, end);
+            if (keccak256(scheme) == keccak256("ipfs")) {
+                require(_isCID(id), "Invalid IPFS CID");
+            } else {
+                require(_isArweaveTxId(id), "Invalid Arweave transaction ID");
             }
-            if (i == urlBytes.length - 1) {
-                end = urlBytes.length;
+            parsed.host = string(id);
+        } else {
+            if (hostEnd < end) {
+                require(_parsePort(u, hostEnd + 1, end) == _defaultPort(scheme), "Port not allowed");
             }
+            bytes memory host = bytes(_toLower(_slice(u, start, hostEnd)));
+            _validateHost(host);
+            parsed.host = string(host);
         }
-        
-        require(end > start, "Invalid URL structure");
-        
-        // Extract hostname substring
-        bytes memory hostnameBytes = new bytes(end - start);
+
+        // Path runs to the query or fragment, both of which are dropped
+        uint256 pathEnd = end;
+        while (pathEnd < len && u[pathEnd] != "?" && u[pathEnd] != "#") pathEnd++;
+        parsed.path = string(_slice(u, end, pathEnd));
+    }
+
+    /// @dev DNS hostname: dot-separated labels of [a-z0-9-], no leading/trailing hyphen,
+    ///      and not an IPv4 literal (a numeric last label is parsed as IPv4 by WHATWG)
+    function _validateHost(bytes memory host) internal pure {
+        require(host.length > 0 && host.length <= 253, "Invalid host");
+        uint256 labelStart = 0;
+        for (uint256 i = 0; i <= host.length; i++) {
+            if (i == host.length || host[i] == ".") {
+                uint256 labelLen = i - labelStart;
+                require(labelLen > 0 && labelLen <= 63, "Invalid host");
+                require(host[labelStart] != "-" && host[i - 1] != "-", "Invalid host");
+                labelStart = i + 1;
+            } else {
+                bytes1 c = host[i];
+                require(_isAlpha(c) || _isDigit(c) || c == "-", "Invalid host");
+            }
+        }
+
+        uint256 lastStart = host.length;
+        while (lastStart > 0 && host[lastStart - 1] != ".") lastStart--;
+        bool numeric = true;
+        for (uint256 i = lastStart; i < host.length; i++) {
+            if (!_isDigit(host[i])) numeric = false;
+        }
+        bool hexLike = host.length - lastStart >= 2 && host[lastStart] == "0" && host[lastStart + 1] == "x";
+        for (uint256 i = lastStart + 2; hexLike && i < host.length; i++) {
+            bytes1 c = host[i];
+            if (!_isDigit(c) && (c < "a" || c > "f")) hexLike = false;
+        }
+        require(!numeric && !hexLike, "IP hosts not allowed");
+    }
+
+    /// @dev Decimal port in u[start:end], at most 65535
+    function _parsePort(bytes memory u, uint256 start, uint256 end) internal pure returns (uint256 port) {
+        require(end > start, "Invalid port");
         for (uint256 i = start; i < end; i++) {
-            hostnameBytes[i - start] = urlBytes[i];
+            require(_isDigit(u[i]), "Invalid port");
+            port = port * 10 + (uint8(u[i]) - 48);
+            require(port <= 65535, "Invalid port");
         }
-        
-        return string(hostnameBytes);
     }
-    
-    /// @notice Sanitize URL components
-    /// @param url Input URL
-    /// @return sanitized URL without dangerous components
-    function sanitizeURLComponents(string calldata url) internal pure returns (string memory) {
-        // Implementation removes suspicious query parameters
-        // In production, integrate with OWASP validation library
-        bytes memory urlBytes = bytes(url);
-        uint256 queryStart = type(uint256).max;
-        
-        for (uint256 i = 0; i < urlBytes.length; i++) {
-            if (urlBytes[i] == "?") {
-                queryStart = i;
-                break;
+
+    /// @dev Default port of a special scheme; an unmatchable value for others,
+    ///      so explicit ports are only accepted when they are redundant
+    function _defaultPort(bytes memory scheme) internal pure returns (uint256) {
+        if (keccak256(scheme) == keccak256("https")) return 443;
+        if (keccak256(scheme) == keccak256("http")) return 80;
+        return type(uint256).max;
+    }
+
+    function _isContentAddressed(bytes memory scheme) internal pure returns (bool) {
+        return keccak256(scheme) == keccak256("ipfs") || keccak256(scheme) == keccak256("ar");
+    }
+
+    /// @dev CIDv0 ("Qm" + 44 base58btc) or CIDv1 in base32 ("b" + lowercase base32)
+    function _isCID(bytes memory id) internal pure returns (bool) {
+        if (id.length == 46 && id[0] == "Q" && id[1] == "m") {
+            for (uint256 i = 2; i < id.length; i++) {
+                if (!_isBase58(id[i])) return false;
             }
+            return true;
         }
-        
-        if (queryStart == type(uint256).max) {
-            return url;
+        if (id.length >= 59 && id.length <= 128 && id[0] == "b") {
+            for (uint256 i = 1; i < id.length; i++) {
+                bytes1 c = id[i];
+                if (!((c >= "a" && c <= "z") || (c >= "2" && c <= "7"))) return false;
+            }
+            return true;
         }
-        
-        // Return only the path portion (pre-query)
-        bytes memory sanitized = new bytes(queryStart);
-        for (uint256 i = 0; i < queryStart; i++) {
-            sanitized[i] = urlBytes[i];
+        return false;
+    }
+
+    /// @dev Arweave transaction id: 43 base64url characters
+    function _isArweaveTxId(bytes memory id) internal pure returns (bool) {
+        if (id.length != 43) return false;
+        for (uint256 i = 0; i < id.length; i++) {
+            bytes1 c = id[i];
+            if (!(_isAlpha(c) || _isDigit(c) || c == "-" || c == "_")) return false;
+        }
+        return true;
+    }
+
+    // ============ CHARACTER HELPERS ============
+    /// @dev RFC 3986 unreserved / reserved characters and "%"; anything else
+    ///      (whitespace, controls, backslash, quotes, <>, non-ASCII) is rejected
+    function _isURLChar(bytes1 c) internal pure returns (bool) {
+        if (_isAlpha(c) || _isDigit(c)) return true;
+        bytes memory allowed = "-._~:/?#[]@!$&'()*+,;=%";
+        for (uint256 i = 0; i < allowed.length; i++) {
+            if (c == allowed[i]) return true;
+        }
+        return false;
+    }
+
+    function _isAlpha(bytes1 c) internal pure returns (bool) {
+        return (c >= "a" && c <= "z") || (c >= "A" && c <= "Z");
+    }
+
+    function _isDigit(bytes1 c) internal pure returns (bool) {
+        return c >= "0" && c <= "9";
+    }
+
+    function _isBase58(bytes1 c) internal pure returns (bool) {
+        if (c == "0" || c == "O" || c == "I" || c == "l") return false;
+        return _isAlpha(c) || _isDigit(c);
+    }
+
+    function _toLower(bytes memory b) internal pure returns (string memory) {
+        bytes memory out = new bytes(b.length);
+        for (uint256 i = 0; i < b.length; i++) {
+            bytes1 c = b[i];
+            out[i] = (c >= "A" && c <= "Z") ? bytes1(uint8(c) + 32) : c;
+        }
+        return string(out);
+    }
+
+    function _slice(bytes memory b, uint256 start, uint256 end) internal pure returns (bytes memory out) {
+        out = new bytes(end - start);
+        for (uint256 i = start; i < end; i++) {
+            out[i - start] = b[i];
         }
-        
-        return string(sanitized);
     }
 }
@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "../ERC4906AgentExtension.sol";
+
+/// @title Mock Target NFT (test only)
+/// @notice Minimal ERC-721 that forwards agent management to an ERC4906AgentExtension
+///         and delegates tokenURI to it
+contract MockTargetNFT is ERC721 {
+    ERC4906AgentExtension public agentExtension;
+
+    constructor() ERC721("Mock Living PFP", "MPFP") {}
+
+    function setAgent(address _agentExtension) external {
+        agentExtension = ERC4906AgentExtension(_agentExtension);
+    }
+
+    function mint(address to, uint256 tokenId) external {
+        _mint(to, tokenId);
+    }
+
+    function authorizeAgent(address agent) external {
+        agentExtension.authorizeAgent(agent);
+    }
+
+    function revokeAgent(address agent) external {
+        agentExtension.revokeAgent(agent);
+    }
+
+    function grantAgentRange(
+        address agent,
+        uint256 fromTokenId,
+        uint256 toTokenId,
+        uint64 expiresAt,
+        uint32 maxUpdates,
+        uint32 period
+    ) external {
+        agentExtension.grantAgentRange(agent, fromTokenId, toTokenId, expiresAt, maxUpdates, period);
+    }
+
+    function revokeGrantRange(address agent, uint256 index) external {
+        agentExtension.revokeGrantRange(agent, index);
+    }
+
+    function setValidator(address validator) external {
+        agentExtension.setValidator(validator);
+    }
+
+    function setTrustedForwarder(address forwarder) external {
+        agentExtension.setTrustedForwarder(forwarder);
+    }
+
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        _requireMinted(tokenId);
+        return agentExtension.tokenURI(tokenId);
+    }
+
+    function supportsInterface(bytes4 interfaceId) public view override returns (bool) {
+        return interfaceId == bytes4(0x49064906) || super.supportsInterface(interfaceId);
+    }
+}
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+// State-root builder and proof service for CrossChainNonceManagement.
+//
+//   node scripts/nonce-state.js append <state.json> <batch.json>   add an epoch, print the new root
+//   node scripts/nonce-state.js root   <state.json>                print the root for updateStateRoot
+//   node scripts/nonce-state.js proof  <state.json> <sourceChainId> <nonce>
+//   node scripts/nonce-state.js multiproof <state.json> <batch.json>  one multiproof per epoch
+//   node scripts/nonce-state.js export <state.json> <outDir>       one proof JSON per nonce
+//   node scripts/nonce-state.js serve  <state.json> [port]         GET /root, GET /proof/:sourceChainId/:nonce
+//       (/root is 404 until the first epoch is appended)
+//
+// batch.json is an array of { "sourceChainId": ..., "nonce": ... }.
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { NonceStateTree } = require("../../sdk/merkle");
+
+function load(file) {
+  if (!fs.existsSync(file)) return new NonceStateTree();
+  return NonceStateTree.fromJSON(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+function save(file, state) {
+  fs.writeFileSync(file, JSON.stringify(state.toJSON(), null, 2) + "\n");
+}
+
+function print(value) {
+  process.stdout.write(JSON.stringify(value, null, 2) + "\n");
+}
+
+function serve(state, port) {
+  const server = http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+    const parts = req.url.split("?")[0].split("/").filter(Boolean);
+    if (req.method !== "GET") return send(405, { error: "method not allowed" });
+    if (parts.length === 1 && parts[0] === "root") {
+      if (state.epochs.length === 0) return send(404, { error: "no epochs", epochs: 0 });
+      return send(200, { root: state.root, epochs: state.epochs.length });
+    }
+    if (parts.length === 3 && parts[0] === "proof") {
+      try {
+        if (!state.has(parts[1], parts[2])) return send(404, { error: "unknown nonce" });
+        return send(200, state.getProof(parts[1], parts[2]));
+      } catch (err) {
+        return send(400, { error: err.message });
+      }
+    }
+    return send(404, { error: "not found" });
+  });
+  server.listen(port, () => {
+    const root = state.epochs.length ? state.root : "no epochs";
+    console.error(`nonce-state: serving ${root} on :${server.address().port}`);
+  });
+  return server;
+}
+
+function main(argv) {
+  const [command, file, ...args] = argv;
+  switch (command) {
+    case "append": {
+      const state = load(file);
+      const epoch = state.appendEpoch(JSON.parse(fs.readFileSync(args[0], "utf8")));
+      save(file, state);
+      return print({ epoch, epochRoot: state.epochRoot(epoch), root: state.root });
+    }
+    case "root":
+      return print({ root: load(file).root });
+    case "proof":
+      return print(load(file).getProof(args[0], args[1]));
+    case "multiproof":
+      return print(load(file).getMultiProofs(JSON.parse(fs.readFileSync(args[0], "utf8"))));
+    case "export": {
+      const outDir = args[0];
+      fs.mkdirSync(outDir, { recursive: true });
+      const proofs = load(file).getAllProofs();
+      for (const p of proofs) {
+        fs.writeFileSync(path.join(outDir, `${p.sourceChainId}-${p.nonce}.json`), JSON.stringify(p, null, 2) + "\n");
+      }
+      return print({ exported: proofs.length, outDir });
+    }
+    case "serve":
+      return serve(load(file), Number(args[0] || 9545));
+    default:
+      console.error("usage: nonce-state.js <append|root|proof|multiproof|export|serve> <state.json> [...args]");
+      process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2));
+  } catch (err) {
+    console.error(`nonce-state: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { main, serve };
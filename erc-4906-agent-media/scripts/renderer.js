@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+// Living PFP metadata renderer for ERC4906AgentExtension.
+//
+//   node scripts/renderer.js sync  <addresses.json> <state.json>          index and fetch up to the head once
+//   node scripts/renderer.js serve <addresses.json> <state.json> [port]   follow the chain and serve:
+//       GET /status
+//       GET /tokens/:tokenId                     current ERC-721 metadata JSON
+//       GET /tokens/:tokenId/versions/:version
+//       GET /tokens/:tokenId/history             versions, each valid, disallowed or unresolved
+//
+// addresses.json: { "agentExtension", "targetNFT", "validator" (default: the extension's), "startBlock" }
+// startBlock must not be later than the validator's deployment, so its allowlist events replay in full.
+// state.json is a checkpoint; syncs and fetched content since are appended to state.json.log next to it.
+// Environment: RPC_URL (default http://127.0.0.1:8545, a local Hardhat node), GATEWAY_DIR local
+//              ipfs:// / ar:// content (default ./gateway), POLL_INTERVAL ms (default 2000),
+//              CONFIRMATIONS blocks to stay behind the head (default 0)
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { LocalGateway, Renderer, createServer } = require("../../sdk/renderer");
+
+function open(addressesFile, stateFile, env) {
+  const addresses = JSON.parse(fs.readFileSync(addressesFile, "utf8"));
+  const provider = new ethers.providers.JsonRpcProvider(env.RPC_URL || "http://127.0.0.1:8545");
+  return Renderer.open(provider, addresses, {
+    file: stateFile,
+    startBlock: Number(addresses.startBlock || 0),
+    gateway: new LocalGateway(env.GATEWAY_DIR || "gateway"),
+    confirmations: Number(env.CONFIRMATIONS || 0),
+  });
+}
+
+async function main(argv, env = process.env) {
+  const [command, addressesFile, stateFile, port = "8548"] = argv;
+  switch (command) {
+    case "sync": {
+      const renderer = await open(addressesFile, stateFile, env);
+      const result = await renderer.sync();
+      process.stdout.write(JSON.stringify({ ...result, errors: Object.fromEntries(renderer.errors) }, null, 2) + "\n");
+      return null;
+    }
+    case "serve": {
+      const renderer = await open(addressesFile, stateFile, env);
+      renderer.start(Number(env.POLL_INTERVAL || 2000));
+      const server = createServer(renderer.index);
+      server.listen(Number(port), () => console.error(`renderer: serving on :${port}`));
+      return server;
+    }
+    default:
+      console.error("usage: renderer.js <sync|serve> <addresses.json> <state.json> [port]");
+      process.exitCode = 1;
+      return null;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error(`renderer: ${err.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { main };
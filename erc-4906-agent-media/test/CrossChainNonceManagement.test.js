@@ -1,128 +1,517 @@
-const { expect } = require(\"chai\");\
-const { ethers } = require(\"hardhat\");\
-const { MerkleTree } = require('merkletreejs');\
-const keccak256 = require('keccak256');\
-\
-function encodeLeaf(account, nonce) {\
-  return ethers.utils.solidityKeccak256(\
-    ['address', 'uint256'],\
-    [account, nonce]\
-  );\
-}\
-\
-describe(\"CrossChainNonceManagement v1.2\", function () {\
-  let CCNM;\
-  let ccnm;\
-  let owner;\
-  let addr1;\
-  let addr2;\
-  let addrs;\
-  let initialStateRoot;\
-  let merkleTree;\
-  let leaves;\
-  let proof;\
-  let validNonce = 1;\
-  let invalidNonce = 999;\
-\
-  beforeEach(async function () {\
-    [owner, addr1, addr2, ...addrs] = await ethers.getSigners();\
-\
-    // Generate Merkle Tree\
-    leaves = [\
-      encodeLeaf(addr1.address, validNonce),\
-      encodeLeaf(addr2.address, validNonce),\
-    ];\
-\
-    merkleTree = new MerkleTree(leaves, keccak256, { sortPairs: true });\
-    initialStateRoot = merkleTree.getRoot();\
-\
-    CCNM = await ethers.getContractFactory(\"CrossChainNonceManagement\");\
-    ccnm = await CCNM.deploy(initialStateRoot);\
-    await ccnm.deployed();\
-\
-  });\
-\
-  describe(\"Deployment\", function () {\
-    it(\"Constructor sets initialStateRoot correctly\", async function () {\
-      expect(await ccnm.stateRoot()).to.equal(ethers.utils.hexlify(initialStateRoot));\
-    });\
-  });\
-\
-  describe(\"State Root Updates\", function () {\
-    it(\"updateStateRoot: owner can update\", async function () {\
-      const newRoot = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(\"new root\"));\
-      await ccnm.updateStateRoot(newRoot);\
-      expect(await ccnm.stateRoot()).to.equal(newRoot);\
-    });\
-\
-    it(\"REGRESSION CCNM-003: non-owner cannot call updateStateRoot\", async function () {\
-      const newRoot = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(\"new root\"));\
-      await expect(ccnm.connect(addr1).updateStateRoot(newRoot)).to.be.revertedWith(\"Ownable: caller is not the owner\");\
-    });\
-  });\
-\
-  describe(\"Nonce Consumption\", function () {\
-    it(\"consumeNonceWithProof: valid proof with unused nonce succeeds\", async function () {\
-      const leaf = encodeLeaf(addr1.address, validNonce);\
-      const proof = merkleTree.getHexProof(leaf);\
-      await expect(ccnm.connect(addr1).consumeNonceWithProof(validNonce, proof, 1)).to.not.be.reverted;\
-      expect(await ccnm.isNonceConsumed(addr1.address, validNonce, 1)).to.equal(true);\
-    });\
-\
-    it(\"REGRESSION CCNM-002: nonces segregated by source chainId\", async function () {\
-      const leaf = encodeLeaf(addr1.address, validNonce);\
-      const proof = merkleTree.getHexProof(leaf);\
-      await ccnm.connect(addr1).consumeNonceWithProof(validNonce, proof, 1)\
-      expect(await ccnm.isNonceConsumed(addr1.address, validNonce, 2)).to.equal(false);\
-    });\
-\
-    it(\"REGRESSION CCNM-001: valid Merkle proof required (not stub)\", async function () {\
-      const leaf = encodeLeaf(addr1.address, validNonce);\
-      const badProof = merkleTree.getHexProof(encodeLeaf(addr2.address, validNonce)); //wrong proof\
-      await expect(ccnm.connect(addr1).consumeNonceWithProof(validNonce, badProof, 1)).to.be.revertedWith(\"Invalid Merkle proof.\");\
-    });\
-\
-    it(\"consumeNonceWithProof: invalid proof reverts\", async function () {\
-      const invalidLeaf = encodeLeaf(addr1.address, invalidNonce);\
-      const invalidProof = merkleTree.getHexProof(invalidLeaf);\
-      await expect(ccnm.connect(addr1).consumeNonceWithProof(invalidNonce, invalidProof, 1)).to.be.revertedWith(\"Invalid Merkle proof.\");\
-    });\
-\
-    it(\"consumeNonceWithProof: already consumed nonce reverts\", async function () {\
-      const leaf = encodeLeaf(addr1.address, validNonce);\
-      const proof = merkleTree.getHexProof(leaf);\
-      await ccnm.connect(addr1).consumeNonceWithProof(validNonce, proof, 1);\
-      await expect(ccnm.connect(addr1).consumeNonceWithProof(validNonce, proof, 1)).to.be.revertedWith(\"Nonce already consumed.\");\
-    });\
-  });\
-\
-  describe(\"Nonce Status\", function () {\
-    it(\"isNonceConsumed: returns false for unused nonce\", async function () {\
-      expect(await ccnm.isNonceConsumed(addr1.address, validNonce, 1)).to.equal(false);\
-    });\
-\
-    it(\"isNonceConsumed: returns true for consumed nonce\", async function () {\
-      const leaf = encodeLeaf(addr1.address, validNonce);\
-      const proof = merkleTree.getHexProof(leaf);\
-      await ccnm.connect(addr1).consumeNonceWithProof(validNonce, proof, 1);\
-      expect(await ccnm.isNonceConsumed(addr1.address, validNonce, 1)).to.equal(true);\
-    });\
-  });\
-\
-  describe(\"Gas Consumption\", function () {\
-    it(\"consumeNonceWithProof: measures gas consumption\", async function () {\
-      const leaf = encodeLeaf(addr1.address, validNonce);\
-      const proof = merkleTree.getHexProof(leaf);\
-      const tx = await ccnm.connect(addr1).consumeNonceWithProof(validNonce, proof, 1);\
-      const receipt = await tx.wait();\
-      console.log(\"Gas used for consumeNonceWithProof:\", receipt.gasUsed.toString());\
-    });\
-    it(\"updateStateRoot: measures gas consumption\", async function () {\
-      const newRoot = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(\"new root\"));\
-      const tx = await ccnm.updateStateRoot(newRoot);\
-      const receipt = await tx.wait();\
-      console.log(\"Gas used for updateStateRoot:\", receipt.gasUsed.toString());\
-    });\
-  });\
-\
-});\
+const http = require("http");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { NonceStateTree, encodeLeaf, verifyProof } = require("../../sdk/merkle");
+const signing = require("../../sdk/signing");
+const { serve } = require("../scripts/nonce-state");
+
+describe("CrossChainNonceManagement v1.2", function () {
+  let CCNM;
+  let ccnm;
+  let owner;
+  let addr1;
+  let addrs;
+  let stateTree;
+  const sourceChainId = 1;
+  const otherChainId = 2;
+  let validNonce = 1;
+  let invalidNonce = 999;
+
+  beforeEach(async function () {
+    [owner, addr1, ...addrs] = await ethers.getSigners();
+
+    // Generate state tree over (sourceChainId, nonce) leaves
+    stateTree = new NonceStateTree();
+    stateTree.appendEpoch([
+      { sourceChainId, nonce: validNonce },
+      { sourceChainId, nonce: validNonce + 1 },
+      { sourceChainId: otherChainId, nonce: validNonce + 1 },
+    ]);
+
+    CCNM = await ethers.getContractFactory("CrossChainNonceManagement");
+    ccnm = await CCNM.deploy(stateTree.root);
+    await ccnm.deployed();
+  });
+
+  describe("Deployment", function () {
+    it("Constructor sets initialStateRoot correctly", async function () {
+      expect(await ccnm.stateRoot()).to.equal(stateTree.root);
+    });
+
+    it("Constructor accepts a zero initial root; no proof verifies until a root is posted", async function () {
+      const empty = await CCNM.deploy(ethers.constants.HashZero);
+      expect(await empty.stateRoot()).to.equal(ethers.constants.HashZero);
+      expect(await empty.isValidStateRoot(ethers.constants.HashZero)).to.equal(false);
+      expect((await empty.getRootHistory()).every((r) => r === ethers.constants.HashZero)).to.equal(true);
+
+      const { proof } = stateTree.getProof(sourceChainId, validNonce);
+      await expect(empty.consumeNonceWithProof(sourceChainId, validNonce, proof)).to.be.revertedWith("Invalid state proof");
+      await empty.updateStateRoot(stateTree.root);
+      await empty.consumeNonceWithProof(sourceChainId, validNonce, proof);
+      expect(await empty.isNonceConsumed(sourceChainId, validNonce)).to.equal(true);
+    });
+  });
+
+  describe("State Root Updates", function () {
+    it("updateStateRoot: owner can update", async function () {
+      const newRoot = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("new root"));
+      await ccnm.updateStateRoot(newRoot);
+      expect(await ccnm.stateRoot()).to.equal(newRoot);
+    });
+
+    it("REGRESSION CCNM-003: non-owner cannot call updateStateRoot", async function () {
+      const newRoot = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("new root"));
+      await expect(ccnm.connect(addr1).updateStateRoot(newRoot)).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
+  describe("Root History", function () {
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    function rootFor(label) {
+      return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(label));
+    }
+
+    it("consumeNonceWithProof: proof against the previous root survives rotation", async function () {
+      const { proof } = stateTree.getProof(sourceChainId, validNonce);
+      await ccnm.updateStateRoot(rootFor("next root"));
+
+      expect(await ccnm.isValidStateRoot(stateTree.root)).to.equal(true);
+      await ccnm.consumeNonceWithProof(sourceChainId, validNonce, proof);
+      expect(await ccnm.isNonceConsumed(sourceChainId, validNonce)).to.equal(true);
+    });
+
+    it("updateStateRootWithExpiry: root is rejected once its window has passed", async function () {
+      const oldRoot = stateTree.root;
+      stateTree.appendEpoch([{ sourceChainId, nonce: 10 }]);
+      await expect(ccnm.updateStateRootWithExpiry(stateTree.root, 3600))
+        .to.emit(ccnm, "StateRootExpirySet");
+      const { proof } = stateTree.getProof(sourceChainId, 10);
+
+      await increaseTime(3601);
+      expect(await ccnm.isValidStateRoot(stateTree.root)).to.equal(false);
+      expect(await ccnm.isValidStateRoot(oldRoot)).to.equal(true);
+      await expect(ccnm.consumeNonceWithProof(sourceChainId, 10, proof)).to.be.revertedWith("Invalid state proof");
+    });
+
+    it("updateStateRootWithExpiry: rejects windows that do not fit a uint64 timestamp", async function () {
+      const now = (await ethers.provider.getBlock("latest")).timestamp + 1;
+      // 2^64 - now would wrap validUntil to 0, which means "never expires"
+      const wrapsToZero = ethers.BigNumber.from(2).pow(64).sub(now);
+      await ethers.provider.send("evm_setNextBlockTimestamp", [now]);
+      await expect(ccnm.updateStateRootWithExpiry(rootFor("wrapping root"), wrapsToZero)).to.be.revertedWith(
+        "Invalid validity window"
+      );
+      await expect(ccnm.updateStateRootWithExpiry(rootFor("wrapping root"), 0)).to.be.revertedWith("Invalid validity window");
+    });
+
+    it("revokeStateRoot: owner can revoke a compromised root, non-owner reverts", async function () {
+      const { proof } = stateTree.getProof(sourceChainId, validNonce);
+      await expect(ccnm.connect(addr1).revokeStateRoot(stateTree.root)).to.be.revertedWith("Ownable: caller is not the owner");
+
+      await expect(ccnm.revokeStateRoot(stateTree.root))
+        .to.emit(ccnm, "StateRootRevoked")
+        .withArgs(stateTree.root);
+      await expect(ccnm.consumeNonceWithProof(sourceChainId, validNonce, proof)).to.be.revertedWith("Invalid state proof");
+      await expect(ccnm.revokeStateRoot(stateTree.root)).to.be.revertedWith("Root already revoked");
+    });
+
+    it("updateStateRoot: oldest root is evicted once history is full", async function () {
+      const { proof } = stateTree.getProof(sourceChainId, validNonce);
+      const size = (await ccnm.ROOT_HISTORY_SIZE()).toNumber();
+      for (let i = 1; i < size; i++) {
+        await ccnm.updateStateRoot(rootFor(`root ${i}`));
+      }
+      expect(await ccnm.isValidStateRoot(stateTree.root)).to.equal(true);
+
+      await expect(ccnm.updateStateRoot(rootFor(`root ${size}`)))
+        .to.emit(ccnm, "StateRootEvicted")
+        .withArgs(stateTree.root);
+      expect(await ccnm.isValidStateRoot(stateTree.root)).to.equal(false);
+      await expect(ccnm.consumeNonceWithProof(sourceChainId, validNonce, proof)).to.be.revertedWith("Invalid state proof");
+
+      const history = await ccnm.getRootHistory();
+      expect(history[0]).to.equal(rootFor(`root ${size}`));
+      expect(history[size - 1]).to.equal(rootFor("root 1"));
+    });
+
+    it("updateStateRoot: reposting a root still in history reverts", async function () {
+      await expect(ccnm.updateStateRoot(stateTree.root)).to.be.revertedWith("Root already in history");
+    });
+
+    it("consumeNoncesWithMultiProof: multiproof against an older root is accepted", async function () {
+      const multi = stateTree.getMultiProof([{ sourceChainId, nonce: validNonce }, { sourceChainId, nonce: validNonce + 1 }]);
+      await ccnm.updateStateRoot(rootFor("next root"));
+      await ccnm.consumeNoncesWithMultiProof(multi.sourceChainIds, multi.nonces, multi.proof, multi.proofFlags, false);
+      expect(await ccnm.isNonceConsumed(sourceChainId, validNonce + 1)).to.equal(true);
+    });
+  });
+
+  describe("Attester Quorum", function () {
+    let attesters;
+    let domain;
+    const newRoot = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("attested root"));
+
+    function attest(signers, root, epoch) {
+      return Promise.all(signers.map((a) => signing.signStateRootAttestation(a, domain, { root, epoch })));
+    }
+
+    function approve(signers, update) {
+      return Promise.all(signers.map((a) => signing.signAttesterUpdate(a, domain, update)));
+    }
+
+    function updateAttesters(update, signatures) {
+      return ccnm.updateAttesters(update.added, update.removed, update.threshold, update.epoch, signatures);
+    }
+
+    beforeEach(async function () {
+      attesters = addrs.slice(0, 3);
+      for (const a of attesters) {
+        await ccnm.addAttester(a.address);
+      }
+      await ccnm.setAttestationThreshold(2);
+
+      const { chainId } = await ethers.provider.getNetwork();
+      domain = signing.nonceManagerDomain(chainId, ccnm.address);
+    });
+
+    it("SDK StateRootAttestation type matches on-chain ATTESTATION_TYPEHASH", async function () {
+      expect(await ccnm.ATTESTATION_TYPEHASH()).to.equal(signing.ATTESTATION_TYPEHASH);
+    });
+
+    it("SDK AttesterUpdate type matches on-chain ATTESTER_UPDATE_TYPEHASH", async function () {
+      expect(await ccnm.ATTESTER_UPDATE_TYPEHASH()).to.equal(signing.ATTESTER_UPDATE_TYPEHASH);
+    });
+
+    it("submitStateRoot: threshold of attester signatures accepts the root", async function () {
+      const signatures = await attest(attesters.slice(0, 2), newRoot, 0);
+      await expect(ccnm.connect(addr1).submitStateRoot(newRoot, 0, signatures))
+        .to.emit(ccnm, "StateRootAttested")
+        .withArgs(newRoot, 0, [attesters[0].address, attesters[1].address]);
+      expect(await ccnm.stateRoot()).to.equal(newRoot);
+      expect(await ccnm.rootEpoch()).to.equal(1);
+    });
+
+    it("submitStateRoot: below threshold reverts", async function () {
+      const signatures = await attest(attesters.slice(0, 1), newRoot, 0);
+      await expect(ccnm.submitStateRoot(newRoot, 0, signatures)).to.be.revertedWith("Insufficient attestations");
+    });
+
+    it("submitStateRoot: duplicate signer does not count twice", async function () {
+      const [signature] = await attest(attesters.slice(0, 1), newRoot, 0);
+      await expect(ccnm.submitStateRoot(newRoot, 0, [signature, signature])).to.be.revertedWith("Duplicate attester");
+    });
+
+    it("submitStateRoot: signature from a non-attester reverts", async function () {
+      const signatures = await attest([attesters[0], addr1], newRoot, 0);
+      await expect(ccnm.submitStateRoot(newRoot, 0, signatures)).to.be.revertedWith("Not an attester");
+    });
+
+    it("submitStateRoot: signatures for another root or stale epoch revert", async function () {
+      const signatures = await attest(attesters.slice(0, 2), newRoot, 0);
+      const otherRoot = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("other root"));
+      await expect(ccnm.submitStateRoot(otherRoot, 0, signatures)).to.be.revertedWith("Not an attester");
+
+      await ccnm.submitStateRoot(newRoot, 0, signatures);
+      await expect(ccnm.submitStateRoot(newRoot, 0, signatures)).to.be.revertedWith("Stale epoch");
+      await expect(ccnm.submitStateRoot(otherRoot, 2, await attest(attesters.slice(0, 2), otherRoot, 2)))
+        .to.be.revertedWith("Invalid epoch");
+    });
+
+    it("owner cannot bypass the quorum in attester mode", async function () {
+      await expect(ccnm.updateStateRoot(newRoot)).to.be.revertedWith("Attester mode enabled");
+      await expect(ccnm.updateStateRootWithExpiry(newRoot, 3600)).to.be.revertedWith("Attester mode enabled");
+      await expect(ccnm.setAttestationThreshold(0)).to.be.revertedWith("Attester mode enabled");
+      await expect(ccnm.setAttestationThreshold(1)).to.be.revertedWith("Attester mode enabled");
+      await expect(ccnm.addAttester(owner.address)).to.be.revertedWith("Attester mode enabled");
+      await expect(ccnm.removeAttester(attesters[0].address)).to.be.revertedWith("Attester mode enabled");
+      expect(await ccnm.attestationThreshold()).to.equal(2);
+      expect(await ccnm.isAttester(owner.address)).to.equal(false);
+    });
+
+    it("attester set: owner only in owner mode, threshold bounded by set size", async function () {
+      const fresh = await CCNM.deploy(stateTree.root);
+      await expect(fresh.connect(addr1).addAttester(addr1.address)).to.be.revertedWith("Ownable: caller is not the owner");
+      await fresh.addAttester(attesters[0].address);
+      await expect(fresh.setAttestationThreshold(2)).to.be.revertedWith("Threshold exceeds attesters");
+      await expect(fresh.removeAttester(attesters[0].address))
+        .to.emit(fresh, "AttesterRemoved")
+        .withArgs(attesters[0].address);
+      await expect(fresh.updateAttesters([], [], 0, 0, [])).to.be.revertedWith("Attester mode disabled");
+    });
+
+    it("updateAttesters: a quorum of attesters changes the set and threshold", async function () {
+      const update = { added: [addr1.address], removed: [attesters[2].address], threshold: 3, epoch: 0 };
+      await expect(updateAttesters(update, await approve(attesters.slice(0, 2), update)))
+        .to.emit(ccnm, "AttesterRemoved")
+        .withArgs(attesters[2].address)
+        .and.to.emit(ccnm, "AttesterAdded")
+        .withArgs(addr1.address)
+        .and.to.emit(ccnm, "AttestationThresholdUpdated")
+        .withArgs(3);
+      expect(await ccnm.isAttester(attesters[2].address)).to.equal(false);
+      expect(await ccnm.isAttester(addr1.address)).to.equal(true);
+      expect(await ccnm.attesterCount()).to.equal(3);
+      expect(await ccnm.attesterEpoch()).to.equal(1);
+
+      const signatures = await attest([...attesters.slice(0, 2), addr1], newRoot, 0);
+      await expect(ccnm.submitStateRoot(newRoot, 0, signatures.slice(0, 2))).to.be.revertedWith("Insufficient attestations");
+      await ccnm.submitStateRoot(newRoot, 0, signatures);
+      expect(await ccnm.stateRoot()).to.equal(newRoot);
+    });
+
+    it("updateAttesters: a quorum can return to owner mode", async function () {
+      const update = { added: [], removed: [], threshold: 0, epoch: 0 };
+      await updateAttesters(update, await approve(attesters.slice(1, 3), update));
+      await ccnm.updateStateRoot(newRoot);
+      expect(await ccnm.stateRoot()).to.equal(newRoot);
+    });
+
+    it("updateAttesters: rejects below-quorum, non-attester, replayed or unreachable updates", async function () {
+      const update = { added: [owner.address], removed: [], threshold: 1, epoch: 0 };
+      await expect(updateAttesters(update, await approve(attesters.slice(0, 1), update)))
+        .to.be.revertedWith("Insufficient attestations");
+      await expect(updateAttesters(update, await approve([attesters[0], owner], update)))
+        .to.be.revertedWith("Not an attester");
+      await expect(updateAttesters({ ...update, threshold: 2 }, await approve(attesters.slice(0, 2), update)))
+        .to.be.revertedWith("Not an attester");
+
+      const signatures = await approve(attesters.slice(0, 2), update);
+      await updateAttesters(update, signatures);
+      await expect(updateAttesters(update, signatures)).to.be.revertedWith("Stale epoch");
+
+      const drain = { added: [], removed: attesters.map((a) => a.address).concat(owner.address), threshold: 1, epoch: 1 };
+      await expect(updateAttesters(drain, await approve([attesters[0]], drain)))
+        .to.be.revertedWith("Threshold exceeds attesters");
+    });
+  });
+
+  describe("Nonce Consumption", function () {
+    it("consumeNonceWithProof: valid proof with unused nonce succeeds", async function () {
+      const { proof } = stateTree.getProof(sourceChainId, validNonce);
+      await expect(ccnm.connect(addr1).consumeNonceWithProof(sourceChainId, validNonce, proof))
+        .to.emit(ccnm, "NonceConsumed")
+        .withArgs(sourceChainId, validNonce);
+      expect(await ccnm.isNonceConsumed(sourceChainId, validNonce)).to.equal(true);
+    });
+
+    it("REGRESSION CCNM-002: nonces segregated by source chainId", async function () {
+      const { proof } = stateTree.getProof(otherChainId, validNonce + 1);
+      await ccnm.connect(addr1).consumeNonceWithProof(otherChainId, validNonce + 1, proof);
+      expect(await ccnm.isNonceConsumed(otherChainId, validNonce + 1)).to.equal(true);
+      expect(await ccnm.isNonceConsumed(sourceChainId, validNonce + 1)).to.equal(false);
+    });
+
+    it("REGRESSION CCNM-001: valid Merkle proof required (not stub)", async function () {
+      const badProof = stateTree.getProof(sourceChainId, validNonce + 1).proof; // wrong proof
+      await expect(ccnm.connect(addr1).consumeNonceWithProof(sourceChainId, validNonce, badProof)).to.be.revertedWith("Invalid state proof");
+    });
+
+    it("consumeNonceWithProof: invalid proof reverts", async function () {
+      const { proof } = stateTree.getProof(sourceChainId, validNonce);
+      await expect(ccnm.connect(addr1).consumeNonceWithProof(sourceChainId, invalidNonce, proof)).to.be.revertedWith("Invalid state proof");
+    });
+
+    it("consumeNonceWithProof: already consumed nonce reverts", async function () {
+      const { proof } = stateTree.getProof(sourceChainId, validNonce);
+      await ccnm.connect(addr1).consumeNonceWithProof(sourceChainId, validNonce, proof);
+      await expect(ccnm.connect(addr1).consumeNonceWithProof(sourceChainId, validNonce, proof)).to.be.revertedWith("Nonce already consumed");
+    });
+  });
+
+  describe("Nonce Status", function () {
+    it("isNonceConsumed: returns false for unused nonce", async function () {
+      expect(await ccnm.isNonceConsumed(sourceChainId, validNonce)).to.equal(false);
+    });
+
+    it("isNonceConsumed: returns true for consumed nonce", async function () {
+      const { proof } = stateTree.getProof(sourceChainId, validNonce);
+      await ccnm.connect(addr1).consumeNonceWithProof(sourceChainId, validNonce, proof);
+      expect(await ccnm.isNonceConsumed(sourceChainId, validNonce)).to.equal(true);
+    });
+  });
+
+  describe("Batch Consumption", function () {
+    const batch = [
+      { sourceChainId, nonce: validNonce },
+      { sourceChainId, nonce: validNonce + 1 },
+      { sourceChainId: otherChainId, nonce: validNonce + 1 },
+    ];
+
+    function consumeBatch(multi, skipConsumed) {
+      return ccnm.consumeNoncesWithMultiProof(multi.sourceChainIds, multi.nonces, multi.proof, multi.proofFlags, skipConsumed);
+    }
+
+    it("consumeNoncesWithMultiProof: consumes every nonce in the batch", async function () {
+      const multi = stateTree.getMultiProof(batch);
+      await expect(consumeBatch(multi, false))
+        .to.emit(ccnm, "NonceConsumed")
+        .withArgs(otherChainId, validNonce + 1);
+      for (const { sourceChainId: chainId, nonce } of batch) {
+        expect(await ccnm.isNonceConsumed(chainId, nonce)).to.equal(true);
+      }
+    });
+
+    it("consumeNoncesWithMultiProof: subset from a later epoch verifies against the new root", async function () {
+      stateTree.appendEpoch([10, 11, 12, 13, 14].map((nonce) => ({ sourceChainId, nonce })));
+      await ccnm.updateStateRoot(stateTree.root);
+
+      const multi = stateTree.getMultiProof([{ sourceChainId, nonce: 14 }, { sourceChainId, nonce: 11 }]);
+      await consumeBatch(multi, false);
+      expect(await ccnm.isNonceConsumed(sourceChainId, 11)).to.equal(true);
+      expect(await ccnm.isNonceConsumed(sourceChainId, 14)).to.equal(true);
+      expect(await ccnm.isNonceConsumed(sourceChainId, 12)).to.equal(false);
+    });
+
+    it("consumeNoncesWithMultiProof: strict mode reverts whole batch on a consumed nonce", async function () {
+      const { proof } = stateTree.getProof(sourceChainId, validNonce + 1);
+      await ccnm.consumeNonceWithProof(sourceChainId, validNonce + 1, proof);
+
+      await expect(consumeBatch(stateTree.getMultiProof(batch), false)).to.be.revertedWith("Nonce already consumed");
+      expect(await ccnm.isNonceConsumed(sourceChainId, validNonce)).to.equal(false);
+    });
+
+    it("consumeNoncesWithMultiProof: skip mode reports consumed nonces", async function () {
+      const { proof } = stateTree.getProof(sourceChainId, validNonce + 1);
+      await ccnm.consumeNonceWithProof(sourceChainId, validNonce + 1, proof);
+
+      const multi = stateTree.getMultiProof(batch);
+      const skipped = await ccnm.callStatic.consumeNoncesWithMultiProof(
+        multi.sourceChainIds, multi.nonces, multi.proof, multi.proofFlags, true
+      );
+      const expected = multi.nonces.map((nonce, i) => multi.sourceChainIds[i] === String(sourceChainId) && nonce === String(validNonce + 1));
+      expect(skipped).to.deep.equal(expected);
+
+      await expect(consumeBatch(multi, true))
+        .to.emit(ccnm, "NonceAlreadyConsumed")
+        .withArgs(sourceChainId, validNonce + 1);
+      expect(await ccnm.isNonceConsumed(sourceChainId, validNonce)).to.equal(true);
+    });
+
+    it("consumeNoncesWithMultiProof: tampered batch reverts", async function () {
+      const multi = stateTree.getMultiProof(batch);
+      const nonces = [...multi.nonces];
+      nonces[0] = String(invalidNonce);
+      await expect(
+        ccnm.consumeNoncesWithMultiProof(multi.sourceChainIds, nonces, multi.proof, multi.proofFlags, false)
+      ).to.be.revertedWith("Invalid state proof");
+    });
+
+    it("getMultiProof: rejects batches spanning epochs", async function () {
+      stateTree.appendEpoch([{ sourceChainId, nonce: 10 }]);
+      expect(() => stateTree.getMultiProof([{ sourceChainId, nonce: validNonce }, { sourceChainId, nonce: 10 }]))
+        .to.throw("batch spans epochs");
+      expect(stateTree.getMultiProofs([{ sourceChainId, nonce: validNonce }, { sourceChainId, nonce: 10 }])).to.have.length(2);
+    });
+  });
+
+  describe("State Root Builder", function () {
+    it("nonce-state serve answers 404 for /root before the first epoch", async function () {
+      const server = serve(new NonceStateTree(), 0);
+      await new Promise((resolve) => server.once("listening", resolve));
+      try {
+        const get = (urlPath) =>
+          new Promise((resolve, reject) => {
+            http.get({ host: "127.0.0.1", port: server.address().port, path: urlPath }, (res) => {
+              let body = "";
+              res.on("data", (chunk) => (body += chunk));
+              res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+            }).on("error", reject);
+          });
+        expect(await get("/root")).to.deep.equal({ status: 404, body: { error: "no epochs", epochs: 0 } });
+        expect((await get(`/proof/${sourceChainId}/${validNonce}`)).status).to.equal(404);
+      } finally {
+        server.close();
+      }
+    });
+
+    it("encodeLeaf matches abi.encodePacked(sourceChainId, nonce)", async function () {
+      const leaf = ethers.utils.keccak256(
+        ethers.utils.defaultAbiCoder.encode(["uint256", "uint256"], [sourceChainId, validNonce])
+      );
+      expect(encodeLeaf(sourceChainId, validNonce)).to.equal(leaf);
+    });
+
+    it("appendEpoch keeps earlier epoch roots and proofs verify against the new root", async function () {
+      const firstEpochRoot = stateTree.epochRoot(0);
+      stateTree.appendEpoch([
+        { sourceChainId, nonce: 10 },
+        { sourceChainId, nonce: 11 },
+      ]);
+      expect(stateTree.epochRoot(0)).to.equal(firstEpochRoot);
+
+      await ccnm.updateStateRoot(stateTree.root);
+      for (const p of stateTree.getAllProofs()) {
+        expect(verifyProof(stateTree.root, p.leaf, p.proof)).to.be.true;
+      }
+
+      const oldEpoch = stateTree.getProof(sourceChainId, validNonce);
+      const newEpoch = stateTree.getProof(sourceChainId, 11);
+      await ccnm.consumeNonceWithProof(sourceChainId, validNonce, oldEpoch.proof);
+      await ccnm.consumeNonceWithProof(sourceChainId, 11, newEpoch.proof);
+      expect(await ccnm.isNonceConsumed(sourceChainId, validNonce)).to.equal(true);
+      expect(await ccnm.isNonceConsumed(sourceChainId, 11)).to.equal(true);
+    });
+
+    it("appendEpoch rejects a nonce already present in history", async function () {
+      expect(() => stateTree.appendEpoch([{ sourceChainId, nonce: validNonce }])).to.throw("duplicate nonce");
+    });
+
+    it("toJSON/fromJSON round-trips roots and proofs", async function () {
+      stateTree.appendEpoch([{ sourceChainId: otherChainId, nonce: 5 }]);
+      const restored = NonceStateTree.fromJSON(JSON.parse(JSON.stringify(stateTree.toJSON())));
+      expect(restored.root).to.equal(stateTree.root);
+      expect(restored.getProof(otherChainId, 5)).to.deep.equal(stateTree.getProof(otherChainId, 5));
+    });
+  });
+
+  describe("Gas Consumption", function () {
+    it("consumeNonceWithProof: costs under 60k gas", async function () {
+      const { proof } = stateTree.getProof(sourceChainId, validNonce);
+      const tx = await ccnm.connect(addr1).consumeNonceWithProof(sourceChainId, validNonce, proof);
+      const receipt = await tx.wait();
+      expect(receipt.gasUsed).to.be.lt(60000);
+    });
+    it("consumeNoncesWithMultiProof: 8 nonces cost under two thirds of 8 single proofs", async function () {
+      const pairs = Array.from({ length: 16 }, (_, i) => ({ sourceChainId, nonce: 100 + i }));
+      stateTree.appendEpoch(pairs);
+      await ccnm.updateStateRoot(stateTree.root);
+
+      const batch = pairs.slice(0, 8);
+      const multi = stateTree.getMultiProof(batch);
+      const tx = await ccnm.consumeNoncesWithMultiProof(multi.sourceChainIds, multi.nonces, multi.proof, multi.proofFlags, false);
+      const receipt = await tx.wait();
+
+      let individual = ethers.BigNumber.from(0);
+      for (const { nonce } of pairs.slice(8)) {
+        const { proof } = stateTree.getProof(sourceChainId, nonce);
+        const r = await (await ccnm.consumeNonceWithProof(sourceChainId, nonce, proof)).wait();
+        individual = individual.add(r.gasUsed);
+      }
+      expect(receipt.gasUsed).to.be.lt(individual.mul(2).div(3));
+    });
+    it("submitStateRoot: 3 of 3 attestations cost under 170k gas", async function () {
+      const attesters = addrs.slice(0, 3);
+      for (const a of attesters) {
+        await ccnm.addAttester(a.address);
+      }
+      await ccnm.setAttestationThreshold(3);
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = signing.nonceManagerDomain(chainId, ccnm.address);
+      const newRoot = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("new root"));
+      const signatures = await Promise.all(attesters.map((a) => signing.signStateRootAttestation(a, domain, { root: newRoot, epoch: 0 })));
+      const receipt = await (await ccnm.submitStateRoot(newRoot, 0, signatures)).wait();
+      expect(receipt.gasUsed).to.be.lt(170000);
+    });
+    it("updateStateRoot: costs under 110k gas", async function () {
+      const newRoot = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("new root"));
+      const tx = await ccnm.updateStateRoot(newRoot);
+      const receipt = await tx.wait();
+      expect(receipt.gasUsed).to.be.lt(110000);
+    });
+  });
+
+});
@@ -1,23 +1,44 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { keccak256 } = require("ethers");
+const signing = require("../../sdk/signing");
 
 describe("ERC4906AgentExtension v1.1 Tests", function () {
-  let ERC4906AgentExtension, agentExtension, targetNFT, owner, agent, unauthorizedAgent;
-  const DOMAIN_TYPE = [
-    { name: "name", type: "string" },
-    { name: "version", type: "string" },
-    { name: "chainId", type: "uint256" },
-    { name: "verifyingContract", type: "address" },
-  ];
-
-  const UPDATE_METADATA_TYPE = [
-    { name: "nonceHash", type: "bytes32" },
-    { name: "metadata", type: "string" },
-  ];
+  let ERC4906AgentExtension, agentExtension, targetNFT, owner, agent, unauthorizedAgent, holder;
+  let domain;
+  const tokenId = 1;
+  const metadata = "ipfs://example.com/metadata.json";
+
+  async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function signedRequest(signer, overrides = {}) {
+    const nonce = signing.generateNonce();
+    const request = {
+      agent: signer.address,
+      tokenId,
+      metadataURI: metadata,
+      nonceHash: signing.nonceHash(nonce, signer.address),
+      deadline: (await latestTimestamp()) + 3600,
+      ...overrides,
+    };
+    const signature = await signing.signUpdateRequest(signer, domain, request);
+    return { nonce, request, signature };
+  }
+
+  function submit(request, signature) {
+    return agentExtension.updateMetadataWithSig(
+      request.agent,
+      request.tokenId,
+      request.metadataURI,
+      request.nonceHash,
+      request.deadline,
+      signature
+    );
+  }
 
   beforeEach(async function () {
-    [owner, agent, unauthorizedAgent] = await ethers.getSigners();
+    [owner, agent, unauthorizedAgent, holder] = await ethers.getSigners();
 
     // Mock TargetNFT contract
     const TargetNFT = await ethers.getContractFactory("MockTargetNFT");
@@ -25,240 +46,699 @@ describe("ERC4906AgentExtension v1.1 Tests", function () {
     await targetNFT.deployed();
 
     ERC4906AgentExtension = await ethers.getContractFactory("ERC4906AgentExtension");
-    agentExtension = await ERC4906AgentExtension.deploy(targetNFT.address);
+    agentExtension = await ERC4906AgentExtension.deploy(targetNFT.address, ethers.constants.AddressZero);
     await agentExtension.deployed();
 
-    // Grant agent role in the mock NFT contract
+    // Route agent management from the mock NFT to the extension
     await targetNFT.connect(owner).setAgent(agentExtension.address);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    domain = signing.agentExtensionDomain(chainId, agentExtension.address);
   });
 
   it("Constructor sets targetNFT correctly", async function () {
     expect(await agentExtension.targetNFT()).to.equal(targetNFT.address);
   });
 
+  describe("Typed Data", function () {
+    it("SDK UpdateRequest type matches on-chain UPDATE_TYPEHASH", async function () {
+      expect(await agentExtension.UPDATE_TYPEHASH()).to.equal(signing.UPDATE_TYPEHASH);
+    });
+
+    it("SDK RangeUpdateRequest type matches on-chain RANGE_UPDATE_TYPEHASH", async function () {
+      expect(await agentExtension.RANGE_UPDATE_TYPEHASH()).to.equal(signing.RANGE_UPDATE_TYPEHASH);
+    });
+
+    it("SDK Delegation type matches on-chain DELEGATION_TYPEHASH", async function () {
+      expect(await agentExtension.DELEGATION_TYPEHASH()).to.equal(signing.DELEGATION_TYPEHASH);
+    });
+
+    it("SDK domain matches on-chain EIP-712 domain", async function () {
+      const onChain = await agentExtension.eip712Domain();
+      expect(onChain.name).to.equal(domain.name);
+      expect(onChain.version).to.equal(domain.version);
+      expect(onChain.chainId).to.equal(domain.chainId);
+      expect(onChain.verifyingContract).to.equal(domain.verifyingContract);
+    });
+
+    it("verifyUpdateRequest: accepts agent signature, rejects other signer and past deadline", async function () {
+      const { request, signature } = await signedRequest(agent);
+      expect(await signing.verifyUpdateRequest(ethers.provider, domain, request, signature)).to.be.true;
+
+      const forged = await signing.signUpdateRequest(unauthorizedAgent, domain, request);
+      expect(await signing.verifyUpdateRequest(ethers.provider, domain, request, forged)).to.be.false;
+
+      expect(await signing.verifyUpdateRequest(ethers.provider, domain, request, signature, request.deadline + 1)).to.be.false;
+    });
+  });
+
   describe("Agent Authorization", function () {
     it("NFT contract can authorize, other addresses revert", async function () {
-      await expect(agentExtension.connect(targetNFT.signer).authorizeAgent(agent.address))
+      await expect(targetNFT.authorizeAgent(agent.address))
         .to.emit(agentExtension, "AgentAuthorized")
         .withArgs(agent.address);
 
-      expect(await agentExtension.isAuthorized(agent.address)).to.be.true;
+      expect(await agentExtension.authorizedAgents(agent.address)).to.be.true;
 
       await expect(agentExtension.connect(unauthorizedAgent).authorizeAgent(agent.address))
-        .to.be.revertedWith("Only NFT contract can call this function");
+        .to.be.revertedWith("Only NFT contract");
     });
 
     it("NFT contract can revoke, other addresses revert", async function () {
-      await agentExtension.connect(targetNFT.signer).authorizeAgent(agent.address);
+      await targetNFT.authorizeAgent(agent.address);
 
-      await expect(agentExtension.connect(targetNFT.signer).revokeAgent(agent.address))
+      await expect(targetNFT.revokeAgent(agent.address))
         .to.emit(agentExtension, "AgentRevoked")
         .withArgs(agent.address);
 
-      expect(await agentExtension.isAuthorized(agent.address)).to.be.false;
+      expect(await agentExtension.authorizedAgents(agent.address)).to.be.false;
 
       await expect(agentExtension.connect(unauthorizedAgent).revokeAgent(agent.address))
-        .to.be.revertedWith("Only NFT contract can call this function");
+        .to.be.revertedWith("Only NFT contract");
     });
   });
 
   describe("Nonce and Signature Management", function () {
+    beforeEach(async function () {
+      await targetNFT.authorizeAgent(agent.address);
+    });
+
     it("generateNonceHash: produces correct keccak256(nonce, agent)", async function () {
-      const nonce = ethers.utils.randomBytes(32);
-      const expectedHash = keccak256(ethers.utils.concat([nonce, agent.address]));
+      const nonce = signing.generateNonce();
       const calculatedHash = await agentExtension.generateNonceHash(nonce, agent.address);
-      expect(calculatedHash).to.equal(expectedHash);
+      expect(calculatedHash).to.equal(signing.nonceHash(nonce, agent.address));
     });
 
     it("updateMetadataWithSig: valid signature from authorized agent succeeds", async function () {
-      const nonce = ethers.utils.randomBytes(32);
-      const nonceHash = keccak256(ethers.utils.concat([nonce, agent.address]));
-      const metadata = "ipfs://example.com/metadata.json";
-
-      const domain = {
-        name: "ERC4906AgentExtension",
-        version: "1.1",
-        chainId: await ethers.provider.getNetwork().then((network) => network.chainId),
-        verifyingContract: agentExtension.address,
-      };
-
-      const typedData = {
-        types: {
-          EIP712Domain: DOMAIN_TYPE,
-          UpdateMetadata: UPDATE_METADATA_TYPE,
-        },
-        primaryType: "UpdateMetadata",
-        domain: domain,
-        message: {
-          nonceHash: nonceHash,
-          metadata: metadata,
-        },
-      };
+      const { request, signature } = await signedRequest(agent);
 
-      const signature = await agent._signTypedData(domain, 'UpdateMetadata', typedData.message);
-      const gasUsed = await agentExtension.connect(targetNFT.signer).updateMetadataWithSig(nonceHash, metadata, signature).then(tx => tx.gasUsed);
-      console.log("Gas Used for updateMetadataWithSig: ", gasUsed.toString());
+      const tx = await submit(request, signature);
+      const receipt = await tx.wait();
+      console.log("Gas Used for updateMetadataWithSig: ", receipt.gasUsed.toString());
 
-      expect(await agentExtension.metadataByNonceHash(nonceHash)).to.equal(metadata);
+      await expect(tx)
+        .to.emit(agentExtension, "MetadataUpdated")
+        .withArgs(tokenId, metadata, agent.address);
+      expect(await agentExtension.nonceHashes(request.nonceHash)).to.be.true;
     });
 
     it("updateMetadataWithSig: signature from unauthorized agent reverts", async function () {
-      const nonce = ethers.utils.randomBytes(32);
-      const nonceHash = keccak256(ethers.utils.concat([nonce, agent.address]));
-      const metadata = "ipfs://example.com/metadata.json";
-
-       const domain = {
-        name: "ERC4906AgentExtension",
-        version: "1.1",
-        chainId: await ethers.provider.getNetwork().then((network) => network.chainId),
-        verifyingContract: agentExtension.address,
-      };
+      const { request, signature } = await signedRequest(unauthorizedAgent);
 
-      const typedData = {
-        types: {
-          EIP712Domain: DOMAIN_TYPE,
-          UpdateMetadata: UPDATE_METADATA_TYPE,
-        },
-        primaryType: "UpdateMetadata",
-        domain: domain,
-        message: {
-          nonceHash: nonceHash,
-          metadata: metadata,
-        },
-      };
+      await expect(submit(request, signature)).to.be.revertedWith("Agent not authorized");
+    });
 
-      const signature = await unauthorizedAgent._signTypedData(domain, 'UpdateMetadata', typedData.message);
+    it("updateMetadataWithSig: signature from a different key reverts", async function () {
+      const { request } = await signedRequest(agent);
+      const signature = await signing.signUpdateRequest(unauthorizedAgent, domain, request);
 
-      await expect(agentExtension.connect(targetNFT.signer).updateMetadataWithSig(nonceHash, metadata, signature))
-        .to.be.revertedWith("Invalid signature");
+      await expect(submit(request, signature)).to.be.revertedWith("Invalid signer");
     });
 
     it("updateMetadataWithSig: reused nonce hash reverts", async function () {
-      const nonce = ethers.utils.randomBytes(32);
-      const nonceHash = keccak256(ethers.utils.concat([nonce, agent.address]));
-      const metadata1 = "ipfs://example.com/metadata1.json";
-       const domain = {
-        name: "ERC4906AgentExtension",
-        version: "1.1",
-        chainId: await ethers.provider.getNetwork().then((network) => network.chainId),
-        verifyingContract: agentExtension.address,
+      const { request, signature } = await signedRequest(agent);
+      await submit(request, signature);
+
+      const request2 = { ...request, metadataURI: "ipfs://example.com/metadata2.json" };
+      const signature2 = await signing.signUpdateRequest(agent, domain, request2);
+
+      await expect(submit(request2, signature2)).to.be.revertedWith("Nonce already used");
+    });
+
+    it("updateMetadataWithSig: expired signature reverts", async function () {
+      const { request, signature } = await signedRequest(agent, { deadline: (await latestTimestamp()) - 1 });
+
+      await expect(submit(request, signature)).to.be.revertedWith("Signature expired");
+    });
+
+    it("revealNonce: authorized agent can reveal valid nonce", async function () {
+      const nonce = signing.generateNonce();
+      const nonceHash = signing.nonceHash(nonce, agent.address);
+
+      await expect(agentExtension.connect(agent).revealNonce(nonceHash, nonce))
+        .to.emit(agentExtension, "NonceRevealed")
+        .withArgs(nonceHash, nonce);
+
+      expect(await agentExtension.nonceHashes(nonceHash)).to.be.true;
+    });
+
+    it("revealNonce: unauthorized agent cannot reveal nonce", async function () {
+      const nonce = signing.generateNonce();
+      const nonceHash = signing.nonceHash(nonce, unauthorizedAgent.address);
+
+      await expect(agentExtension.connect(unauthorizedAgent).revealNonce(nonceHash, nonce))
+        .to.be.revertedWith("Unauthorized");
+    });
+  });
+
+  describe("ERC-1271 Signers", function () {
+    let account;
+
+    beforeEach(async function () {
+      // Contract agent controlled by the `agent` key, standing in for a token-bound account
+      const Wallet = await ethers.getContractFactory("MockERC1271Wallet");
+      account = await Wallet.deploy(agent.address);
+      await account.deployed();
+      await targetNFT.authorizeAgent(account.address);
+    });
+
+    async function accountRequest(signer) {
+      const nonce = signing.generateNonce();
+      const request = {
+        agent: account.address,
+        tokenId,
+        metadataURI: metadata,
+        nonceHash: signing.nonceHash(nonce, account.address),
+        deadline: (await latestTimestamp()) + 3600,
       };
+      const signature = await signing.signUpdateRequest(signer, domain, request);
+      return { request, signature };
+    }
+
+    it("updateMetadataWithSig: accepts a signature the contract agent validates", async function () {
+      const { request, signature } = await accountRequest(agent);
+      const digest = signing.typedDataDigest(domain, signing.UPDATE_REQUEST_TYPES, request);
+      expect(await signing.isValidSignatureNow(ethers.provider, account.address, digest, signature)).to.be.true;
+      expect(await signing.verifyUpdateRequest(ethers.provider, domain, request, signature)).to.be.true;
+
+      await expect(submit(request, signature))
+        .to.emit(agentExtension, "MetadataUpdated")
+        .withArgs(tokenId, metadata, account.address);
+    });
+
+    it("updateMetadataWithSig: rejects a signature the contract agent does not validate", async function () {
+      const { request, signature } = await accountRequest(unauthorizedAgent);
+      const digest = signing.typedDataDigest(domain, signing.UPDATE_REQUEST_TYPES, request);
+      expect(await signing.isValidSignatureNow(ethers.provider, account.address, digest, signature)).to.be.false;
+      expect(await signing.verifyUpdateRequest(ethers.provider, domain, request, signature)).to.be.false;
 
-      const typedData = {
-        types: {
-          EIP712Domain: DOMAIN_TYPE,
-          UpdateMetadata: UPDATE_METADATA_TYPE,
-        },
-        primaryType: "UpdateMetadata",
-        domain: domain,
-        message: {
-          nonceHash: nonceHash,
-          metadata: metadata1,
-        },
+      await expect(submit(request, signature)).to.be.revertedWith("Invalid signer");
+    });
+
+    it("delegateWithSig: contract holder can delegate through ERC-1271", async function () {
+      await targetNFT.mint(account.address, tokenId);
+      const delegation = {
+        holder: account.address,
+        agent: unauthorizedAgent.address,
+        tokenId,
+        expiresAt: (await latestTimestamp()) + 3600,
+        maxUpdates: 0,
+        period: 0,
+        deadline: (await latestTimestamp()) + 3600,
       };
+      const signed = { ...delegation, nonce: 0 };
+
+      const forged = await signing.signDelegation(unauthorizedAgent, domain, signed);
+      await expect(agentExtension.delegateWithSig(delegation, forged)).to.be.revertedWith("Invalid signer");
+
+      const signature = await signing.signDelegation(agent, domain, signed);
+      await expect(agentExtension.delegateWithSig(delegation, signature)).to.emit(agentExtension, "GrantSet");
+      expect(await agentExtension.isAuthorizedFor(unauthorizedAgent.address, tokenId)).to.be.true;
+    });
+  });
 
-      const signature = await agent._signTypedData(domain, 'UpdateMetadata', typedData.message);
-
-      await agentExtension.connect(targetNFT.signer).updateMetadataWithSig(nonceHash, metadata1, signature);
-      const metadata2 = "ipfs://example.com/metadata2.json";
-      
-      const typedData2 = {
-        types: {
-          EIP712Domain: DOMAIN_TYPE,
-          UpdateMetadata: UPDATE_METADATA_TYPE,
-        },
-        primaryType: "UpdateMetadata",
-        domain: domain,
-        message: {
-          nonceHash: nonceHash,
-          metadata: metadata2,
-        },
+  describe("Scoped Grants", function () {
+    const otherTokenId = 2;
+    let expiresAt;
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    async function signedDelegation(signer, overrides = {}) {
+      const delegation = {
+        holder: signer.address,
+        agent: agent.address,
+        tokenId,
+        expiresAt,
+        maxUpdates: 0,
+        period: 0,
+        deadline: (await latestTimestamp()) + 3600,
+        ...overrides,
       };
-      const signature2 = await agent._signTypedData(domain, 'UpdateMetadata', typedData2.message);
+      const nonce = await agentExtension.delegationNonces(delegation.holder);
+      const signature = await signing.signDelegation(signer, domain, { ...delegation, nonce });
+      return { delegation, signature };
+    }
+
+    beforeEach(async function () {
+      await targetNFT.mint(holder.address, tokenId);
+      await targetNFT.mint(holder.address, otherTokenId);
+      expiresAt = (await latestTimestamp()) + 3600;
+    });
 
+    it("grantAgent: holder grant covers only that token", async function () {
+      await expect(agentExtension.connect(holder).grantAgent(agent.address, tokenId, expiresAt, 0, 0))
+        .to.emit(agentExtension, "GrantSet")
+        .withArgs(agent.address, holder.address, tokenId, tokenId, expiresAt, 0, 0);
 
-      await expect(agentExtension.connect(targetNFT.signer).updateMetadataWithSig(nonceHash, metadata2, signature2))
-        .to.be.revertedWith("Nonce already used");
+      expect(await agentExtension.isAuthorizedFor(agent.address, tokenId)).to.be.true;
+      expect(await agentExtension.isAuthorizedFor(agent.address, otherTokenId)).to.be.false;
+
+      const { request, signature } = await signedRequest(agent);
+      await expect(submit(request, signature)).to.emit(agentExtension, "MetadataUpdated");
+
+      const other = await signedRequest(agent, { tokenId: otherTokenId });
+      await expect(submit(other.request, other.signature)).to.be.revertedWith("Agent not authorized");
     });
 
-    it("updateMetadataWithSig: expired signature reverts", async function () {
-      // This test requires time manipulation, which is more complex to implement in this context.
-      // Skipping for now, but it should be added in a full implementation.
-      this.skip();
+    it("grantAgent: non-holder cannot grant", async function () {
+      await expect(agentExtension.connect(unauthorizedAgent).grantAgent(agent.address, tokenId, expiresAt, 0, 0))
+        .to.be.revertedWith("Not token owner");
     });
 
-    it("revealNonce: authorized agent can reveal valid nonce", async function () {
-      const nonce = ethers.utils.randomBytes(32);
-      const nonceHash = keccak256(ethers.utils.concat([nonce, agent.address]));
-      const metadata = "ipfs://example.com/metadata.json";
-
-      const domain = {
-        name: "ERC4906AgentExtension",
-        version: "1.1",
-        chainId: await ethers.provider.getNetwork().then((network) => network.chainId),
-        verifyingContract: agentExtension.address,
-      };
+    it("grantAgent: rejects past expiry and rate limit without period", async function () {
+      await expect(agentExtension.connect(holder).grantAgent(agent.address, tokenId, await latestTimestamp(), 0, 0))
+        .to.be.revertedWith("Invalid expiry");
+      await expect(agentExtension.connect(holder).grantAgent(agent.address, tokenId, expiresAt, 1, 0))
+        .to.be.revertedWith("Invalid rate limit");
+    });
 
-      const typedData = {
-        types: {
-          EIP712Domain: DOMAIN_TYPE,
-          UpdateMetadata: UPDATE_METADATA_TYPE,
-        },
-        primaryType: "UpdateMetadata",
-        domain: domain,
-        message: {
-          nonceHash: nonceHash,
-          metadata: metadata,
-        },
-      };
+    it("grant expires at expiresAt and can be pruned", async function () {
+      await agentExtension.connect(holder).grantAgent(agent.address, tokenId, expiresAt, 0, 0);
+      await increaseTime(3600);
 
-      const signature = await agent._signTypedData(domain, 'UpdateMetadata', typedData.message);
+      const { request, signature } = await signedRequest(agent);
+      await expect(submit(request, signature)).to.be.revertedWith("Agent not authorized");
 
-      await agentExtension.connect(targetNFT.signer).updateMetadataWithSig(nonceHash, metadata, signature);
+      await expect(agentExtension.pruneExpiredGrants(agent.address, [tokenId, otherTokenId]))
+        .to.emit(agentExtension, "GrantExpired")
+        .withArgs(agent.address, tokenId, tokenId);
+      expect(await agentExtension.grantCount(agent.address)).to.equal(0);
+    });
 
-      await expect(agentExtension.connect(agent).revealNonce(nonce))
-        .to.emit(agentExtension, "NonceRevealed")
-        .withArgs(nonceHash, agent.address);
+    it("holder grant lapses when the token is transferred", async function () {
+      await agentExtension.connect(holder).grantAgent(agent.address, tokenId, expiresAt, 0, 0);
+      await targetNFT.connect(holder).transferFrom(holder.address, owner.address, tokenId);
 
-      expect(await agentExtension.revealedNonces(nonceHash)).to.be.true;
+      expect(await agentExtension.isAuthorizedFor(agent.address, tokenId)).to.be.false;
     });
 
-    it("revealNonce: unauthorized agent cannot reveal nonce", async function () {
-      const nonce = ethers.utils.randomBytes(32);
-      const nonceHash = keccak256(ethers.utils.concat([nonce, agent.address]));
-      const metadata = "ipfs://example.com/metadata.json";
-
-      const domain = {
-        name: "ERC4906AgentExtension",
-        version: "1.1",
-        chainId: await ethers.provider.getNetwork().then((network) => network.chainId),
-        verifyingContract: agentExtension.address,
+    it("rate limit: maxUpdates per period, window resets", async function () {
+      await agentExtension.connect(holder).grantAgent(agent.address, tokenId, expiresAt, 2, 600);
+
+      for (let i = 0; i < 2; i++) {
+        const { request, signature } = await signedRequest(agent);
+        await submit(request, signature);
+      }
+      const third = await signedRequest(agent);
+      await expect(submit(third.request, third.signature)).to.be.revertedWith("Rate limit exceeded");
+
+      await increaseTime(600);
+      const next = await signedRequest(agent);
+      await expect(submit(next.request, next.signature)).to.emit(agentExtension, "MetadataUpdated");
+    });
+
+    it("grantAgentRange: NFT contract grants a token range", async function () {
+      await expect(targetNFT.grantAgentRange(agent.address, 1, 10, expiresAt, 0, 0))
+        .to.emit(agentExtension, "GrantSet")
+        .withArgs(agent.address, targetNFT.address, 1, 10, expiresAt, 0, 0);
+
+      expect(await agentExtension.isAuthorizedFor(agent.address, 10)).to.be.true;
+      expect(await agentExtension.isAuthorizedFor(agent.address, 11)).to.be.false;
+
+      const { request, signature } = await signedRequest(agent, { tokenId: otherTokenId });
+      await expect(submit(request, signature)).to.emit(agentExtension, "MetadataUpdated");
+
+      await expect(agentExtension.connect(holder).grantAgentRange(agent.address, 1, 10, expiresAt, 0, 0))
+        .to.be.revertedWith("Only NFT contract");
+      await expect(targetNFT.grantAgentRange(agent.address, 10, 1, expiresAt, 0, 0)).to.be.revertedWith("Invalid range");
+    });
+
+    it("revokeGrantRange: NFT contract revokes a range grant", async function () {
+      await targetNFT.grantAgentRange(agent.address, 1, 10, expiresAt, 0, 0);
+
+      await expect(targetNFT.revokeGrantRange(agent.address, 0))
+        .to.emit(agentExtension, "GrantRevoked")
+        .withArgs(agent.address, targetNFT.address, 1, 10);
+      expect(await agentExtension.getRangeGrants(agent.address)).to.have.length(0);
+      expect(await agentExtension.isAuthorizedFor(agent.address, tokenId)).to.be.false;
+    });
+
+    it("revokeGrant: holder revokes, others cannot", async function () {
+      await agentExtension.connect(holder).grantAgent(agent.address, tokenId, expiresAt, 0, 0);
+
+      await expect(agentExtension.connect(unauthorizedAgent).revokeGrant(agent.address, tokenId))
+        .to.be.revertedWith("Not authorized to revoke");
+      await expect(agentExtension.connect(holder).revokeGrant(agent.address, tokenId))
+        .to.emit(agentExtension, "GrantRevoked")
+        .withArgs(agent.address, holder.address, tokenId, tokenId);
+
+      const { request, signature } = await signedRequest(agent);
+      await expect(submit(request, signature)).to.be.revertedWith("Agent not authorized");
+    });
+
+    it("delegateWithSig: holder signature grants the agent", async function () {
+      const { delegation, signature } = await signedDelegation(holder, { maxUpdates: 5, period: 3600 });
+
+      await expect(agentExtension.connect(unauthorizedAgent).delegateWithSig(delegation, signature))
+        .to.emit(agentExtension, "GrantSet")
+        .withArgs(agent.address, holder.address, tokenId, tokenId, expiresAt, 5, 3600);
+      expect(await agentExtension.delegationNonces(holder.address)).to.equal(1);
+      expect(await agentExtension.isAuthorizedFor(agent.address, tokenId)).to.be.true;
+    });
+
+    it("delegateWithSig: replay, wrong signer, non-holder and expired deadline revert", async function () {
+      const { delegation, signature } = await signedDelegation(holder);
+      await agentExtension.delegateWithSig(delegation, signature);
+      await expect(agentExtension.delegateWithSig(delegation, signature)).to.be.revertedWith("Invalid signer");
+
+      const forged = await signedDelegation(unauthorizedAgent, { holder: holder.address });
+      await expect(agentExtension.delegateWithSig(forged.delegation, forged.signature)).to.be.revertedWith("Invalid signer");
+
+      const notHolder = await signedDelegation(unauthorizedAgent);
+      await expect(agentExtension.delegateWithSig(notHolder.delegation, notHolder.signature)).to.be.revertedWith("Not token owner");
+
+      const late = await signedDelegation(holder, { deadline: (await latestTimestamp()) - 1 });
+      await expect(agentExtension.delegateWithSig(late.delegation, late.signature)).to.be.revertedWith("Signature expired");
+    });
+
+    it("revealNonce: scoped agents can reveal their own nonces", async function () {
+      await agentExtension.connect(holder).grantAgent(agent.address, tokenId, expiresAt, 0, 0);
+      const nonce = signing.generateNonce();
+
+      await expect(agentExtension.connect(agent).revealNonce(signing.nonceHash(nonce, agent.address), nonce))
+        .to.emit(agentExtension, "NonceRevealed");
+    });
+
+    it("revealNonce: expired grants do not count, even before they are pruned", async function () {
+      await agentExtension.connect(holder).grantAgent(agent.address, tokenId, expiresAt, 0, 0);
+      await agentExtension.connect(holder).grantAgent(agent.address, otherTokenId, expiresAt + 7200, 0, 0);
+      await agentExtension.connect(holder).revokeGrant(agent.address, otherTokenId);
+      await increaseTime(3600);
+      expect(await agentExtension.grantCount(agent.address)).to.equal(1);
+
+      const nonce = signing.generateNonce();
+      const nonceHash = signing.nonceHash(nonce, agent.address);
+      await expect(agentExtension.connect(agent).revealNonce(nonceHash, nonce)).to.be.revertedWith("Unauthorized");
+
+      await agentExtension.connect(holder).grantAgent(agent.address, otherTokenId, (await latestTimestamp()) + 3600, 0, 0);
+      await expect(agentExtension.connect(agent).revealNonce(nonceHash, nonce)).to.emit(agentExtension, "NonceRevealed");
+    });
+  });
+
+  describe("URI Validation", function () {
+    const cleanURI = "https://arweave.net/ewi6UNjJJf4Y-cEq481-HBPjHn8QmPGLqEwJq-WtCc0";
+    let validator;
+
+    beforeEach(async function () {
+      const Validator = await ethers.getContractFactory("SecureMetadataUpdateProtocol");
+      validator = await Validator.deploy(256);
+      await validator.deployed();
+
+      await targetNFT.authorizeAgent(agent.address);
+      await targetNFT.mint(owner.address, tokenId);
+      await expect(targetNFT.setValidator(validator.address))
+        .to.emit(agentExtension, "ValidatorUpdated")
+        .withArgs(validator.address);
+    });
+
+    it("Constructor accepts a validator", async function () {
+      const extension = await ERC4906AgentExtension.deploy(targetNFT.address, validator.address);
+      await extension.deployed();
+      expect(await extension.validator()).to.equal(validator.address);
+    });
+
+    it("setValidator: only the NFT contract can set it", async function () {
+      await expect(agentExtension.connect(unauthorizedAgent).setValidator(ethers.constants.AddressZero))
+        .to.be.revertedWith("Only NFT contract");
+    });
+
+    it("updateMetadataWithSig: emits the sanitized URI", async function () {
+      const { request, signature } = await signedRequest(agent, { metadataURI: `${cleanURI}?utm=1#top` });
+
+      await expect(submit(request, signature))
+        .to.emit(agentExtension, "MetadataUpdated")
+        .withArgs(tokenId, cleanURI, agent.address);
+    });
+
+    it("updateMetadataWithSig: strict mode (default) reverts on a rejected URI", async function () {
+      expect(await agentExtension.validationMode(tokenId)).to.equal(0);
+      const { request, signature } = await signedRequest(agent, { metadataURI: "https://evil.com/payload.js" });
+
+      await expect(submit(request, signature)).to.be.revertedWith("Domain not allowed");
+      expect(await agentExtension.nonceHashes(request.nonceHash)).to.be.false;
+    });
+
+    it("updateMetadataWithSig: permissive mode consumes the nonce and reports the rejection", async function () {
+      await expect(agentExtension.connect(owner).setValidationMode(tokenId, 1))
+        .to.emit(agentExtension, "ValidationModeSet")
+        .withArgs(tokenId, 1);
+      const { request, signature } = await signedRequest(agent, { metadataURI: "https://evil.com/payload.js" });
+
+      const tx = submit(request, signature);
+      await expect(tx)
+        .to.emit(agentExtension, "MetadataUpdateRejected")
+        .withArgs(tokenId, request.metadataURI, agent.address, "Domain not allowed");
+      await expect(tx).to.not.emit(agentExtension, "MetadataUpdated");
+      expect(await agentExtension.nonceHashes(request.nonceHash)).to.be.true;
+    });
+
+    it("setValidationMode: only the token holder can choose the mode", async function () {
+      await expect(agentExtension.connect(agent).setValidationMode(tokenId, 1))
+        .to.be.revertedWith("Not token owner");
+    });
+
+    it("setValidator(address(0)): URIs pass through unchanged", async function () {
+      await targetNFT.setValidator(ethers.constants.AddressZero);
+      const { request, signature } = await signedRequest(agent, { metadataURI: "https://evil.com/payload.js" });
+
+      await expect(submit(request, signature))
+        .to.emit(agentExtension, "MetadataUpdated")
+        .withArgs(tokenId, request.metadataURI, agent.address);
+    });
+  });
+
+  describe("Token URI and EIP-4906", function () {
+    const baseURI = "https://arweave.net/collection/";
+
+    async function signedRangeRequest(signer, overrides = {}) {
+      const nonce = signing.generateNonce();
+      const request = {
+        agent: signer.address,
+        fromTokenId: 1,
+        toTokenId: 3,
+        baseURI,
+        nonceHash: signing.nonceHash(nonce, signer.address),
+        deadline: (await latestTimestamp()) + 3600,
+        ...overrides,
       };
+      const signature = await signing.signRangeUpdateRequest(signer, domain, request);
+      return { request, signature };
+    }
+
+    function submitRange(request, signature) {
+      return agentExtension.updateMetadataRangeWithSig(
+        request.agent,
+        request.fromTokenId,
+        request.toTokenId,
+        request.baseURI,
+        request.nonceHash,
+        request.deadline,
+        signature
+      );
+    }
+
+    beforeEach(async function () {
+      await targetNFT.authorizeAgent(agent.address);
+      for (const id of [1, 2, 3]) await targetNFT.mint(holder.address, id);
+    });
+
+    it("advertises EIP-4906 through ERC-165", async function () {
+      expect(await agentExtension.supportsInterface("0x49064906")).to.be.true;
+      expect(await agentExtension.supportsInterface("0x01ffc9a7")).to.be.true;
+      expect(await agentExtension.supportsInterface("0xffffffff")).to.be.false;
+      expect(await targetNFT.supportsInterface("0x49064906")).to.be.true;
+    });
+
+    it("updateMetadataWithSig: emits MetadataUpdate and stores the URI", async function () {
+      expect(await agentExtension.tokenURI(tokenId)).to.equal("");
+      const { request, signature } = await signedRequest(agent);
+
+      await expect(submit(request, signature))
+        .to.emit(agentExtension, "MetadataUpdate")
+        .withArgs(tokenId);
+      expect(await agentExtension.tokenURI(tokenId)).to.equal(metadata);
+      expect(await targetNFT.tokenURI(tokenId)).to.equal(metadata);
+    });
+
+    it("keeps the URI history of each token", async function () {
+      const first = await signedRequest(agent);
+      await submit(first.request, first.signature);
+      const second = await signedRequest(agent, { metadataURI: "ipfs://example.com/v2.json" });
+      await submit(second.request, second.signature);
+
+      expect(await agentExtension.uriHistoryLength(tokenId)).to.equal(2);
+      const [uris, agents] = await agentExtension.getURIHistory(tokenId, 0, 10);
+      expect(uris).to.deep.equal([metadata, "ipfs://example.com/v2.json"]);
+      expect(agents).to.deep.equal([agent.address, agent.address]);
+
+      const [page] = await agentExtension.getURIHistory(tokenId, 1, 1);
+      expect(page).to.deep.equal(["ipfs://example.com/v2.json"]);
+      const [empty] = await agentExtension.getURIHistory(tokenId, 5, 1);
+      expect(empty).to.deep.equal([]);
+      expect(await targetNFT.tokenURI(tokenId)).to.equal("ipfs://example.com/v2.json");
+    });
+
+    it("permissive rejections leave the stored URI unchanged", async function () {
+      const Validator = await ethers.getContractFactory("SecureMetadataUpdateProtocol");
+      const validator = await Validator.deploy(256);
+      await targetNFT.setValidator(validator.address);
+      await agentExtension.connect(holder).setValidationMode(tokenId, 1);
+
+      const { request, signature } = await signedRequest(agent, { metadataURI: "https://evil.com/payload.js" });
+      await expect(submit(request, signature)).to.not.emit(agentExtension, "MetadataUpdate");
+      expect(await agentExtension.uriHistoryLength(tokenId)).to.equal(0);
+    });
+
+    it("targetNFT.tokenURI reverts for unminted tokens", async function () {
+      await expect(targetNFT.tokenURI(99)).to.be.revertedWith("ERC721: invalid token ID");
+    });
+
+    it("updateMetadataRangeWithSig: updates every token and emits BatchMetadataUpdate", async function () {
+      const { request, signature } = await signedRangeRequest(agent);
+
+      await expect(submitRange(request, signature))
+        .to.emit(agentExtension, "BatchMetadataUpdate")
+        .withArgs(1, 3)
+        .and.to.emit(agentExtension, "MetadataRangeUpdated")
+        .withArgs(1, 3, baseURI, agent.address);
+
+      for (const id of [1, 2, 3]) {
+        expect(await targetNFT.tokenURI(id)).to.equal(`${baseURI}${id}`);
+      }
+      expect(await agentExtension.nonceHashes(request.nonceHash)).to.be.true;
+
+      // A later single update overrides one token only
+      const single = await signedRequest(agent, { tokenId: 2 });
+      await submit(single.request, single.signature);
+      expect(await targetNFT.tokenURI(2)).to.equal(metadata);
+      expect(await targetNFT.tokenURI(3)).to.equal(`${baseURI}3`);
+      const [uris] = await agentExtension.getURIHistory(2, 0, 10);
+      expect(uris).to.deep.equal([`${baseURI}2`, metadata]);
+    });
+
+    it("updateMetadataRangeWithSig: rejects bad ranges, replays and forged signatures", async function () {
+      const inverted = await signedRangeRequest(agent, { fromTokenId: 3, toTokenId: 1 });
+      await expect(submitRange(inverted.request, inverted.signature)).to.be.revertedWith("Invalid range");
+
+      const huge = await signedRangeRequest(agent, { fromTokenId: 0, toTokenId: 100 });
+      await expect(submitRange(huge.request, huge.signature)).to.be.revertedWith("Range too large");
+
+      const { request } = await signedRangeRequest(agent);
+      const forged = await signing.signRangeUpdateRequest(unauthorizedAgent, domain, request);
+      await expect(submitRange(request, forged)).to.be.revertedWith("Invalid signer");
+
+      const ok = await signedRangeRequest(agent);
+      await submitRange(ok.request, ok.signature);
+      await expect(submitRange(ok.request, ok.signature)).to.be.revertedWith("Nonce already used");
+    });
+
+    it("updateMetadataRangeWithSig: grant-based agents need a grant for every token", async function () {
+      const expiresAt = (await latestTimestamp()) + 3600;
+      await targetNFT.grantAgentRange(unauthorizedAgent.address, 1, 2, expiresAt, 0, 0);
+
+      const tooWide = await signedRangeRequest(unauthorizedAgent);
+      await expect(submitRange(tooWide.request, tooWide.signature)).to.be.revertedWith("Agent not authorized");
+
+      const covered = await signedRangeRequest(unauthorizedAgent, { toTokenId: 2 });
+      await expect(submitRange(covered.request, covered.signature)).to.emit(agentExtension, "BatchMetadataUpdate");
+    });
+
+    it("updateMetadataRangeWithSig: the base URI is validated strictly", async function () {
+      const Validator = await ethers.getContractFactory("SecureMetadataUpdateProtocol");
+      const validator = await Validator.deploy(256);
+      await targetNFT.setValidator(validator.address);
+
+      const rejected = await signedRangeRequest(agent, { baseURI: "https://evil.com/" });
+      await expect(submitRange(rejected.request, rejected.signature)).to.be.revertedWith("Domain not allowed");
 
-      const typedData = {
-        types: {
-          EIP712Domain: DOMAIN_TYPE,
-          UpdateMetadata: UPDATE_METADATA_TYPE,
-        },
-        primaryType: "UpdateMetadata",
-        domain: domain,
-        message: {
-          nonceHash: nonceHash,
-          metadata: metadata,
-        },
+      const { request, signature } = await signedRangeRequest(agent);
+      await submitRange(request, signature);
+      expect(await targetNFT.tokenURI(1)).to.equal(`${baseURI}1`);
+    });
+  });
+
+  describe("Meta-transactions", function () {
+    let forwarder;
+    let forwardDomain;
+    // Agent without ETH, signing off-chain only
+    const gaslessAgent = ethers.Wallet.createRandom();
+
+    async function forwardRequest(signer, method, args) {
+      const request = {
+        from: signer.address,
+        to: agentExtension.address,
+        value: 0,
+        gas: 300000,
+        nonce: await forwarder.getNonce(signer.address),
+        deadline: (await latestTimestamp()) + 3600,
+        data: agentExtension.interface.encodeFunctionData(method, args),
       };
+      return { request, signature: await signing.signForwardRequest(signer, forwardDomain, request) };
+    }
+
+    beforeEach(async function () {
+      const AgentForwarder = await ethers.getContractFactory("AgentForwarder");
+      forwarder = await AgentForwarder.deploy();
+      await forwarder.deployed();
+      forwardDomain = signing.forwarderDomain(domain.chainId, forwarder.address);
+      await targetNFT.setTrustedForwarder(forwarder.address);
+      await targetNFT.authorizeAgent(gaslessAgent.address);
+    });
+
+    it("only the NFT contract sets the forwarder", async function () {
+      await expect(agentExtension.setTrustedForwarder(owner.address)).to.be.revertedWith("Only NFT contract");
+      expect(await agentExtension.trustedForwarder()).to.equal(forwarder.address);
+      expect(await agentExtension.isTrustedForwarder(forwarder.address)).to.be.true;
+      expect(await agentExtension.isTrustedForwarder(ethers.constants.AddressZero)).to.be.false;
+    });
+
+    it("revealNonce: relayed for an agent without ETH", async function () {
+      const nonce = signing.generateNonce();
+      const nonceHash = signing.nonceHash(nonce, gaslessAgent.address);
+      const { request, signature } = await forwardRequest(gaslessAgent, "revealNonce", [nonceHash, nonce]);
+
+      await expect(forwarder.connect(holder).execute(request, signature))
+        .to.emit(agentExtension, "NonceRevealed")
+        .withArgs(nonceHash, nonce);
+      expect(await ethers.provider.getBalance(gaslessAgent.address)).to.equal(0);
+      await expect(forwarder.execute(request, signature)).to.be.revertedWith("AgentForwarder: invalid request");
+    });
 
-      const signature = await agent._signTypedData(domain, 'UpdateMetadata', typedData.message);
-      await agentExtension.connect(targetNFT.signer).updateMetadataWithSig(nonceHash, metadata, signature);
+    it("revealNonce: an appended sender is ignored from untrusted callers", async function () {
+      const nonce = signing.generateNonce();
+      const nonceHash = signing.nonceHash(nonce, gaslessAgent.address);
+      const data = agentExtension.interface.encodeFunctionData("revealNonce", [nonceHash, nonce]);
 
-      await expect(agentExtension.connect(unauthorizedAgent).revealNonce(nonce))
+      await expect(unauthorizedAgent.sendTransaction({ to: agentExtension.address, data: data + gaslessAgent.address.slice(2) }))
         .to.be.revertedWith("Unauthorized");
+
+      await targetNFT.setTrustedForwarder(ethers.constants.AddressZero);
+      const { request, signature } = await forwardRequest(gaslessAgent, "revealNonce", [nonceHash, nonce]);
+      await expect(forwarder.execute(request, signature)).to.be.revertedWith("Unauthorized");
+    });
+
+    it("setValidationMode: relayed for the token holder", async function () {
+      await targetNFT.mint(holder.address, tokenId);
+      const { request, signature } = await forwardRequest(holder, "setValidationMode", [tokenId, 1]);
+      await forwarder.execute(request, signature);
+      expect(await agentExtension.validationMode(tokenId)).to.equal(1);
     });
   });
 
   describe("Regression Tests", function () {
+    beforeEach(async function () {
+      await targetNFT.authorizeAgent(agent.address);
+    });
+
     it("REGRESSION EAE-001: signature created on wrong chainId fails verification", async function () {
-          this.skip(); //Skipping due to inability to change chainId in hardhat tests
+      const { request } = await signedRequest(agent);
+      const wrongDomain = signing.agentExtensionDomain(domain.chainId + 1, agentExtension.address);
+      const signature = await signing.signUpdateRequest(agent, wrongDomain, request);
+
+      await expect(submit(request, signature)).to.be.revertedWith("Invalid signer");
     });
 
     it("REGRESSION EAE-002: ecrecover returning address(0) is rejected", async function () {
@@ -266,34 +746,15 @@ describe("ERC4906AgentExtension v1.1 Tests", function () {
     });
 
     it("REGRESSION EAE-003: nonce griefing attack prevented by hash commitment", async function () {
-      const nonce = ethers.utils.randomBytes(32);
-      const nonceHash = keccak256(ethers.utils.concat([nonce, agent.address]));
-      const metadata = "ipfs://example.com/metadata.json";
-      const domain = {
-        name: "ERC4906AgentExtension",
-        version: "1.1",
-        chainId: await ethers.provider.getNetwork().then((network) => network.chainId),
-        verifyingContract: agentExtension.address,
-      };
-      const typedData = {
-        types: {
-          EIP712Domain: DOMAIN_TYPE,
-          UpdateMetadata: UPDATE_METADATA_TYPE,
-        },
-        primaryType: "UpdateMetadata",
-        domain: domain,
-        message: {
-          nonceHash: nonceHash,
-          metadata: metadata,
-        },
-      };
-      const signature = await agent._signTypedData(domain, 'UpdateMetadata', typedData.message);
-
-      await agentExtension.connect(targetNFT.signer).updateMetadataWithSig(nonceHash, metadata, signature);
-      // Try to reveal the nonce before updating the metadata.
-       const attackerNonce = ethers.utils.randomBytes(32);
-       await expect(agentExtension.connect(agent).revealNonce(attackerNonce)).to.be.revertedWith("Unauthorized");
+      const { nonce, request, signature } = await signedRequest(agent);
+      await submit(request, signature);
 
+      // Revealing a consumed commitment, or one bound to another agent, must fail
+      await expect(agentExtension.connect(agent).revealNonce(request.nonceHash, nonce))
+        .to.be.revertedWith("Nonce already used");
+      const attackerNonce = signing.generateNonce();
+      await expect(agentExtension.connect(agent).revealNonce(request.nonceHash, attackerNonce))
+        .to.be.revertedWith("Invalid reveal");
     });
   });
 });
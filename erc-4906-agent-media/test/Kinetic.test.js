@@ -0,0 +1,181 @@
+const { execFile } = require("child_process");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { NonceStateTree } = require("../../sdk/merkle");
+const signing = require("../../sdk/signing");
+
+const KINETIC = path.join(__dirname, "..", "..", "sdk", "kinetic.js");
+
+/** JSON-RPC endpoint for the in-process Hardhat network, so the CLI can run as its own process */
+function serveNetwork() {
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", async () => {
+      const { id, method, params } = JSON.parse(body);
+      let reply;
+      try {
+        reply = { jsonrpc: "2.0", id, result: await network.provider.send(method, params) };
+      } catch (err) {
+        reply = { jsonrpc: "2.0", id, error: { code: err.code || -32603, message: err.message, data: err.data } };
+      }
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(reply));
+    });
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+describe("kinetic CLI (agent media)", function () {
+  this.timeout(120000);
+
+  let server;
+  let dir;
+  let env;
+  let keys;
+  let agent;
+  let relayer;
+  let agentExtension;
+  let ccnm;
+  let stateTree;
+  const tokenId = 1;
+
+  // Run the CLI with --json as Hardhat account `account` (null: no PRIVATE_KEY)
+  function kinetic(account, ...args) {
+    const childEnv = { ...env };
+    if (account !== null) childEnv.PRIVATE_KEY = keys[account];
+    return new Promise((resolve) => {
+      execFile(process.execPath, [KINETIC, "--json", ...args], { env: childEnv }, (err, stdout, stderr) => {
+        resolve({ code: err ? err.code : 0, output: stdout ? JSON.parse(stdout) : null, stderr });
+      });
+    });
+  }
+
+  async function ok(account, ...args) {
+    const { code, output, stderr } = await kinetic(account, ...args);
+    expect(code, stderr || JSON.stringify(output)).to.equal(0);
+    return output;
+  }
+
+  async function fails(account, ...args) {
+    const { code, output } = await kinetic(account, ...args);
+    expect(code).to.equal(1);
+    return output.error;
+  }
+
+  function writeJSON(name, value) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(value));
+    return file;
+  }
+
+  before(async function () {
+    server = await serveNetwork();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "kinetic-"));
+  });
+
+  after(async function () {
+    if (server) await new Promise((resolve) => server.close(resolve));
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    let owner;
+    [owner, agent, relayer] = await ethers.getSigners();
+    const { mnemonic, path: hdPath } = network.config.accounts;
+    keys = [owner, agent, relayer].map((_, i) => ethers.Wallet.fromMnemonic(mnemonic, `${hdPath}/${i}`).privateKey);
+
+    const targetNFT = await (await ethers.getContractFactory("MockTargetNFT")).deploy();
+    agentExtension = await (await ethers.getContractFactory("ERC4906AgentExtension")).deploy(
+      targetNFT.address,
+      ethers.constants.AddressZero
+    );
+    await targetNFT.setAgent(agentExtension.address);
+    await targetNFT.authorizeAgent(agent.address);
+
+    stateTree = new NonceStateTree();
+    stateTree.appendEpoch([
+      { sourceChainId: 1, nonce: 1 },
+      { sourceChainId: 1, nonce: 2 },
+      { sourceChainId: 2, nonce: 2 },
+    ]);
+    ccnm = await (await ethers.getContractFactory("CrossChainNonceManagement")).deploy(stateTree.root);
+
+    const config = writeJSON("kinetic.json", { agentExtension: agentExtension.address, nonceManager: ccnm.address });
+    env = { ...process.env, KINETIC_CONFIG: config, RPC_URL: `http://127.0.0.1:${server.address().port}` };
+    delete env.PRIVATE_KEY;
+  });
+
+  describe("extension", function () {
+    it("signs and submits an update in one step", async function () {
+      const result = await ok(1, "extension", "update", String(tokenId), "ipfs://living/1");
+      expect(result.nonceHash).to.equal(signing.nonceHash(result.nonce, agent.address));
+      expect(result.events.map((e) => e.name)).to.deep.equal(["MetadataUpdated"]);
+      expect(await agentExtension.tokenURI(tokenId)).to.equal("ipfs://living/1");
+      expect(await ok(null, "extension", "show", String(tokenId))).to.deep.equal({
+        tokenId: String(tokenId),
+        tokenURI: "ipfs://living/1",
+        updates: "1",
+      });
+    });
+
+    it("lets another account submit an update the agent signed", async function () {
+      const signed = await ok(1, "extension", "sign", String(tokenId), "ipfs://living/2", "--deadline", "600");
+      expect(signed.request.agent).to.equal(agent.address);
+      const file = writeJSON("signed.json", signed);
+
+      await ok(2, "extension", "submit", file);
+      expect(await agentExtension.tokenURI(tokenId)).to.equal("ipfs://living/2");
+      expect(await fails(2, "extension", "submit", file)).to.equal("Nonce already used");
+    });
+
+    it("reveals the nonce of a signed update, invalidating it", async function () {
+      const file = writeJSON("signed.json", await ok(1, "extension", "sign", String(tokenId), "ipfs://withdrawn"));
+      const revealed = await ok(1, "extension", "reveal", file);
+      expect(revealed.events.map((e) => e.name)).to.deep.equal(["NonceRevealed"]);
+      expect(await fails(2, "extension", "submit", file)).to.equal("Nonce already used");
+      expect(await agentExtension.tokenURI(tokenId)).to.equal("");
+
+      // Only agents can reveal
+      expect(await fails(2, "extension", "reveal", "12345")).to.equal("Unauthorized");
+    });
+  });
+
+  describe("nonce", function () {
+    it("consumes a nonce with a proof file", async function () {
+      const file = writeJSON("proof.json", stateTree.getProof(1, 2));
+
+      const simulated = await ok(2, "--dry-run", "nonce", "consume", file);
+      expect(simulated.dryRun).to.equal(true);
+      expect(await ccnm.isNonceConsumed(1, 2)).to.equal(false);
+
+      const result = await ok(2, "nonce", "consume", file);
+      expect(result.events).to.deep.equal([{ name: "NonceConsumed", args: { sourceChainId: "1", nonce: "2" } }]);
+      expect(await ok(null, "nonce", "status", "1", "2")).to.deep.equal({ sourceChainId: "1", nonce: "2", consumed: true });
+      expect(await fails(2, "nonce", "consume", file)).to.equal("Nonce already consumed");
+
+      const forged = writeJSON("forged.json", { ...stateTree.getProof(1, 1), nonce: "3" });
+      expect(await fails(2, "nonce", "consume", forged)).to.equal("Invalid state proof");
+    });
+
+    it("consumes a batch with a multiproof, skipping consumed nonces on request", async function () {
+      await ccnm.consumeNonceWithProof(1, 1, stateTree.getProof(1, 1).proof);
+      const file = writeJSON(
+        "multiproof.json",
+        stateTree.getMultiProofs([
+          { sourceChainId: 1, nonce: 1 },
+          { sourceChainId: 2, nonce: 2 },
+        ])
+      );
+
+      expect(await fails(2, "nonce", "consume", file)).to.equal("Nonce already consumed");
+      const [result] = await ok(2, "nonce", "consume", file, "--skip-consumed");
+      expect(result.events.map((e) => e.name)).to.have.members(["NonceAlreadyConsumed", "NonceConsumed"]);
+      expect(await ccnm.isNonceConsumed(2, 2)).to.equal(true);
+    });
+  });
+});
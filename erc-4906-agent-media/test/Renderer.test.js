@@ -0,0 +1,347 @@
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const signing = require("../../sdk/signing");
+const { LocalGateway, MetadataIndex, Renderer, createServer } = require("../../sdk/renderer");
+
+describe("Renderer", function () {
+  let owner;
+  let agent;
+  let holder;
+  let targetNFT;
+  let agentExtension;
+  let validator;
+  let domain;
+  let startBlock;
+  let dir;
+  let web;
+  let fetched;
+  let gateway;
+  let renderer;
+  const cid = "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG";
+  const arweaveTxId = "ewi6UNjJJf4Y-cEq481-HBPjHn8QmPGLqEwJq-WtCc0";
+
+  async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function update(tokenId, metadataURI) {
+    const nonce = signing.generateNonce();
+    const request = {
+      agent: agent.address,
+      tokenId,
+      metadataURI,
+      nonceHash: signing.nonceHash(nonce, agent.address),
+      deadline: (await latestTimestamp()) + 3600,
+    };
+    const signature = await signing.signUpdateRequest(agent, domain, request);
+    const { agent: a, nonceHash, deadline } = request;
+    return agentExtension.updateMetadataWithSig(a, tokenId, metadataURI, nonceHash, deadline, signature);
+  }
+
+  async function updateRange(fromTokenId, toTokenId, baseURI) {
+    const nonce = signing.generateNonce();
+    const request = {
+      agent: agent.address,
+      fromTokenId,
+      toTokenId,
+      baseURI,
+      nonceHash: signing.nonceHash(nonce, agent.address),
+      deadline: (await latestTimestamp()) + 3600,
+    };
+    const signature = await signing.signRangeUpdateRequest(agent, domain, request);
+    const { nonceHash, deadline } = request;
+    return agentExtension.updateMetadataRangeWithSig(agent.address, fromTokenId, toTokenId, baseURI, nonceHash, deadline, signature);
+  }
+
+  const statuses = (tokenId) => renderer.index.getHistory(tokenId).versions.map((v) => v.status);
+
+  beforeEach(async function () {
+    [owner, agent, holder] = await ethers.getSigners();
+    startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+    validator = await (await ethers.getContractFactory("SecureMetadataUpdateProtocol")).deploy(256);
+    await validator.registerDomain("cdn.example.com");
+    targetNFT = await (await ethers.getContractFactory("MockTargetNFT")).deploy();
+    // No on-chain validator: the renderer alone decides what is served
+    agentExtension = await (await ethers.getContractFactory("ERC4906AgentExtension")).deploy(
+      targetNFT.address,
+      ethers.constants.AddressZero
+    );
+    await targetNFT.setAgent(agentExtension.address);
+    await targetNFT.authorizeAgent(agent.address);
+    await targetNFT.mint(holder.address, 1);
+    await targetNFT.mint(holder.address, 2);
+    const { chainId } = await ethers.provider.getNetwork();
+    domain = signing.agentExtensionDomain(chainId, agentExtension.address);
+
+    // https:// content comes from `web`; ipfs:// and ar:// from the gateway directory
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "renderer-"));
+    web = new Map([["https://cdn.example.com/pfp/1.json", JSON.stringify({ name: "Living PFP #1", image: "https://cdn.example.com/1.png" })]]);
+    fetched = [];
+    gateway = new LocalGateway(dir, {
+      fallback: async (uri) => {
+        fetched.push(uri);
+        if (!web.has(uri)) throw new Error(`${uri} not found`);
+        return web.get(uri);
+      },
+    });
+    gateway.put(`ipfs://${cid}/1.json`, { name: "Living PFP #1", animation_url: `ipfs://${cid}/1.html` });
+
+    renderer = await Renderer.open(
+      ethers.provider,
+      { agentExtension: agentExtension.address, targetNFT: targetNFT.address, validator: validator.address },
+      { gateway, startBlock }
+    );
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Versions", function () {
+    it("serves the newest version and keeps every earlier one", async function () {
+      await update(1, "https://CDN.example.com/pfp/1.json");
+      await update(1, `ipfs://${cid}/1.json`);
+      const result = await renderer.sync();
+      expect(result).to.include({ fetched: 2, failed: 0 });
+
+      expect(renderer.index.getMetadata(1)).to.deep.equal({
+        version: 2,
+        uri: `ipfs://${cid}/1.json`,
+        metadata: { name: "Living PFP #1", animation_url: `ipfs://${cid}/1.html` },
+      });
+      expect(renderer.index.getMetadata(1, 1).metadata.image).to.equal("https://cdn.example.com/1.png");
+
+      const history = renderer.index.getHistory(1);
+      expect(history).to.include({ tokenId: "1", owner: holder.address, current: 2 });
+      expect(history.versions[0]).to.include({
+        version: 1,
+        uri: "https://CDN.example.com/pfp/1.json",
+        sanitized: "https://cdn.example.com/pfp/1.json",
+        agent: agent.address,
+        status: "valid",
+      });
+      expect(history.versions[1].blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("rejects URIs that sanitizeAnimationURL would reject, without fetching them", async function () {
+      await update(1, `ipfs://${cid}/1.json`);
+      await update(1, "https://evil.com/pfp.json");
+      await update(1, "ipfs://example.com/metadata.json");
+      await update(1, "http://cdn.example.com/pfp/1.json");
+      await renderer.sync();
+
+      expect(statuses(1)).to.deep.equal(["valid", "disallowed", "disallowed", "disallowed"]);
+      expect(renderer.index.getHistory(1).versions.slice(1).map((v) => v.reason)).to.deep.equal([
+        "Domain not allowed",
+        "Invalid IPFS CID",
+        "Scheme not allowed",
+      ]);
+      expect(renderer.index.currentVersion(1)).to.equal(1);
+      expect(fetched).to.deep.equal([]);
+    });
+
+    it("rolls back when a domain is unregistered and forward again when it is re-registered", async function () {
+      await update(1, `ipfs://${cid}/1.json`);
+      await update(1, "https://cdn.example.com/pfp/1.json");
+      await renderer.sync();
+      expect(renderer.index.currentVersion(1)).to.equal(2);
+
+      await validator.unregisterDomain("cdn.example.com");
+      await renderer.sync();
+      expect(renderer.index.currentVersion(1)).to.equal(1);
+      expect(renderer.index.getHistory(1).versions[1]).to.include({ status: "disallowed", reason: "Domain not allowed" });
+      expect(renderer.index.getMetadata(1, 2)).to.equal(null);
+
+      await validator.registerDomain("cdn.example.com");
+      await renderer.sync();
+      expect(renderer.index.currentVersion(1)).to.equal(2);
+    });
+
+    it("follows subdomain, scheme and length rules", async function () {
+      web.set("https://img.cdn.example.com/1.json", JSON.stringify({ name: "sub" }));
+      await update(1, "https://img.cdn.example.com/1.json");
+      await renderer.sync();
+      expect(statuses(1)).to.deep.equal(["disallowed"]);
+
+      await validator.setSubdomainsAllowed("cdn.example.com", true);
+      await renderer.sync();
+      expect(renderer.index.getMetadata(1).metadata).to.deep.equal({ name: "sub" });
+
+      await validator.setSchemeAllowed("https", false);
+      await renderer.sync();
+      expect(renderer.index.getHistory(1).versions[0].reason).to.equal("Scheme not allowed");
+
+      await validator.setSchemeAllowed("https", true);
+      await validator.setMaxURLLength(20);
+      await renderer.sync();
+      expect(renderer.index.getHistory(1).versions[0].reason).to.equal("URL too long");
+      expect(renderer.index.status().policy).to.include({ maxURLLength: 20 });
+    });
+
+    it("expands range updates per token and serves only minted tokens", async function () {
+      gateway.put(`ar://${arweaveTxId}/1`, { name: "from range" });
+      gateway.put(`ar://${arweaveTxId}/2`, "<svg/>");
+      gateway.put(`ar://${arweaveTxId}/3`, { name: "not minted yet" });
+      await updateRange(1, 3, `ar://${arweaveTxId}/`);
+      await renderer.sync();
+
+      expect(renderer.index.getMetadata(1).metadata).to.deep.equal({ name: "from range" });
+      // Content that is not a JSON object is the media itself
+      expect(renderer.index.getMetadata(2).metadata).to.deep.equal({ name: "#2", animation_url: `ar://${arweaveTxId}/2` });
+      expect(renderer.index.getHistory(3)).to.equal(null);
+
+      await targetNFT.mint(holder.address, 3);
+      await renderer.sync();
+      expect(renderer.index.getMetadata(3).uri).to.equal(`ar://${arweaveTxId}/3`);
+      expect(renderer.index.status().tokens).to.equal(3);
+    });
+
+    it("retries content the gateway could not resolve", async function () {
+      await update(2, `ipfs://${cid}/2.json`);
+      const first = await renderer.sync();
+      expect(first).to.include({ fetched: 0, failed: 1 });
+      expect(renderer.errors.get(`ipfs://${cid}/2.json`)).to.match(/not found$/);
+      expect(statuses(2)).to.deep.equal(["unresolved"]);
+      expect(renderer.index.getMetadata(2)).to.equal(null);
+
+      gateway.put(`ipfs://${cid}/2.json`, { name: "Living PFP #2" });
+      expect(await renderer.sync()).to.include({ fetched: 1, failed: 0 });
+      expect(renderer.index.getMetadata(2).metadata).to.deep.equal({ name: "Living PFP #2" });
+    });
+
+    it("drops versions from orphaned blocks", async function () {
+      await update(1, `ipfs://${cid}/1.json`);
+      await renderer.sync();
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+      await update(1, "https://cdn.example.com/pfp/1.json");
+      await validator.unregisterDomain("ipfs.io");
+      await renderer.sync();
+      expect(renderer.index.currentVersion(1)).to.equal(2);
+
+      await ethers.provider.send("evm_revert", [snapshot]);
+      await ethers.provider.send("evm_mine", []);
+      await ethers.provider.send("evm_mine", []);
+      const result = await renderer.sync();
+      expect(result.reorged).to.equal(2);
+      expect(statuses(1)).to.deep.equal(["valid"]);
+      expect(renderer.index.policy.allowedDomains.has("ipfs.io")).to.equal(true);
+    });
+  });
+
+  describe("Gateway", function () {
+    it("keeps content-addressed paths inside the gateway directory", async function () {
+      expect(gateway.pathOf(`ipfs://${cid}/a/b.json`)).to.equal(path.join(dir, "ipfs", cid, "a", "b.json"));
+      expect(() => gateway.pathOf(`ipfs://${cid}/../../secret`)).to.throw(/escapes the gateway/);
+      expect(() => gateway.pathOf("https://cdn.example.com/x")).to.throw(/not content-addressed/);
+
+      // A directory resolves to its index.json
+      gateway.put(`ar://${arweaveTxId}/index.json`, { name: "index" });
+      expect(JSON.parse(await gateway.fetch(`ar://${arweaveTxId}`))).to.deep.equal({ name: "index" });
+    });
+  });
+
+  describe("Persistence and API", function () {
+    it("opens on the extension's validator and refuses an extension without one", async function () {
+      const addresses = { agentExtension: agentExtension.address, targetNFT: targetNFT.address };
+      let error;
+      try {
+        await Renderer.open(ethers.provider, addresses, { gateway, startBlock });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal("Renderer: the extension has no validator");
+
+      await targetNFT.setValidator(validator.address);
+      await update(1, "https://cdn.example.com/pfp/1.json");
+      const opened = await Renderer.open(ethers.provider, addresses, { gateway, startBlock });
+      await opened.sync();
+      expect(opened.index.currentVersion(1)).to.equal(1);
+    });
+
+    it("saves the index and content to a file and reloads them", async function () {
+      const file = path.join(dir, "renderer.json");
+      const addresses = { agentExtension: agentExtension.address, targetNFT: targetNFT.address, validator: validator.address };
+      renderer = await Renderer.open(ethers.provider, addresses, { gateway, startBlock, file });
+      await update(1, "https://cdn.example.com/pfp/1.json");
+      await validator.setSubdomainsAllowed("cdn.example.com", true);
+      await renderer.sync();
+
+      // The fetched content went to the log after the sync's checkpoint
+      expect(fs.readFileSync(`${file}.log`, "utf8")).to.include('"content"');
+      const reloaded = MetadataIndex.load(file);
+      expect(reloaded.status()).to.deep.equal(renderer.index.status());
+      expect(reloaded.getHistory(1)).to.deep.equal(renderer.index.getHistory(1));
+      expect(reloaded.getMetadata(1)).to.deep.equal(renderer.index.getMetadata(1));
+
+      // Reopening resumes from the file without refetching
+      const reopened = await Renderer.open(ethers.provider, addresses, { gateway, file });
+      expect(await reopened.sync()).to.include({ events: 0, fetched: 0 });
+    });
+
+    it("restores tokens and the mirrored policy from a snapshot on rollback", function () {
+      const index = new MetadataIndex({ startBlock: 1, reorgDepth: 2, snapshotInterval: 4, maxURLLength: 256 });
+      const event = (blockNumber, contract, name, args) => ({ contract, name, args, blockNumber, logIndex: 0 });
+      const commit = (blockNumber, ...events) => index.commit(events, [{ number: blockNumber, hash: ethers.utils.id(String(blockNumber)) }]);
+      commit(1, event(1, "targetNFT", "Transfer", { from: ethers.constants.AddressZero, to: owner.address, tokenId: "1" }));
+      commit(2, event(2, "validator", "DomainRegistered", { domain: "cdn.example.com" }));
+      commit(3, event(3, "agentExtension", "MetadataUpdated", { tokenId: "1", metadataURI: "https://cdn.example.com/1.json", agent: owner.address }));
+      for (let n = 4; n <= 10; n++) commit(n);
+      commit(11, event(11, "validator", "DomainUnregistered", { domain: "cdn.example.com" }));
+      index.setContent("https://cdn.example.com/1.json", Buffer.from('{"name":"one"}'));
+      expect(index.events.map((e) => e.blockNumber)).to.deep.equal([11]);
+      expect(index.currentVersion(1)).to.equal(0);
+
+      expect(index.rollback(10)).to.equal(1);
+      expect(index.getMetadata(1)).to.deep.equal({ version: 1, uri: "https://cdn.example.com/1.json", metadata: { name: "one" } });
+      expect(index.status()).to.include({ cursor: 10, events: 3, tokens: 1 });
+    });
+
+    it("serves metadata, versions and history over HTTP", async function () {
+      await update(1, `ipfs://${cid}/1.json`);
+      await update(1, "https://cdn.example.com/pfp/1.json");
+      await validator.unregisterDomain("cdn.example.com");
+      await renderer.sync();
+
+      const server = createServer(renderer.index);
+      await new Promise((resolve) => server.listen(0, resolve));
+      const { port } = server.address();
+      const call = (method, urlPath) =>
+        new Promise((resolve, reject) => {
+          const req = http.request({ host: "127.0.0.1", port, method, path: urlPath }, (res) => {
+            let data = "";
+            res.on("data", (chunk) => (data += chunk));
+            res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(data) }));
+          });
+          req.on("error", reject);
+          req.end();
+        });
+
+      try {
+        const current = await call("GET", "/tokens/1");
+        expect(current.body).to.deep.equal({ name: "Living PFP #1", animation_url: `ipfs://${cid}/1.html` });
+        expect(current.headers["x-metadata-version"]).to.equal("1");
+
+        const history = await call("GET", "/tokens/01/history");
+        expect(history.body.current).to.equal(1);
+        expect(history.body.versions.map((v) => v.status)).to.deep.equal(["valid", "disallowed"]);
+
+        expect((await call("GET", "/tokens/1/versions/1")).headers["x-metadata-version"]).to.equal("1");
+        expect((await call("GET", "/tokens/1/versions/2")).body).to.deep.equal({ error: "version disallowed", reason: "Domain not allowed" });
+        expect((await call("GET", "/tokens/1/versions/2")).status).to.equal(410);
+        expect((await call("GET", "/tokens/1/versions/3")).status).to.equal(404);
+        expect((await call("GET", "/tokens/2")).body).to.deep.equal({ error: "no valid metadata" });
+        expect((await call("GET", "/tokens/99")).status).to.equal(404);
+        expect((await call("GET", "/tokens/0x1")).status).to.equal(400);
+        expect((await call("GET", "/status")).body.cursor).to.equal(renderer.index.cursor);
+        expect((await call("POST", "/status")).status).to.equal(405);
+      } finally {
+        server.close();
+      }
+    });
+  });
+});
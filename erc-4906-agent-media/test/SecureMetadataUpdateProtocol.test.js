@@ -3,6 +3,7 @@ const { expect } = require("chai");
 
 // Deploy and control our contract using Hardhat's Ethers integration
 const { ethers } = require("hardhat");
+const { UrlPolicy } = require("../../sdk/url");
 
 describe("SecureMetadataUpdateProtocol", function () {
   let SecureMetadataUpdateProtocol;
@@ -11,6 +12,9 @@ describe("SecureMetadataUpdateProtocol", function () {
   let addr1;
   let addr2;
   const initialMaxURLLength = 256;
+  const arweaveTxId = "ewi6UNjJJf4Y-cEq481-HBPjHn8QmPGLqEwJq-WtCc0";
+  const cidV0 = "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG";
+  const cidV1 = "bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi";
 
   beforeEach(async function () {
     // Get the ContractFactory and Signers here.
@@ -29,6 +33,13 @@ describe("SecureMetadataUpdateProtocol", function () {
       expect(await secureMetadataUpdateProtocol.isAllowedDomain("ipfs.io")).to.equal(true);
       expect(await secureMetadataUpdateProtocol.isAllowedDomain("cloudflare-ipfs.com")).to.equal(true);
     });
+
+    it("Constructor allows https, ipfs and ar schemes only", async function () {
+      expect(await secureMetadataUpdateProtocol.allowedSchemes("https")).to.equal(true);
+      expect(await secureMetadataUpdateProtocol.allowedSchemes("ipfs")).to.equal(true);
+      expect(await secureMetadataUpdateProtocol.allowedSchemes("ar")).to.equal(true);
+      expect(await secureMetadataUpdateProtocol.allowedSchemes("http")).to.equal(false);
+    });
   });
 
   describe("Domain Management", function () {
@@ -45,6 +56,17 @@ describe("SecureMetadataUpdateProtocol", function () {
       );
     });
 
+    it("registerDomain: normalizes case and rejects invalid hosts", async function () {
+      await expect(secureMetadataUpdateProtocol.registerDomain("Example.COM"))
+        .to.emit(secureMetadataUpdateProtocol, "DomainRegistered")
+        .withArgs("example.com");
+      expect(await secureMetadataUpdateProtocol.allowedDomains("example.com")).to.equal(true);
+
+      await expect(secureMetadataUpdateProtocol.registerDomain("evil.com/")).to.be.revertedWith("Invalid host");
+      await expect(secureMetadataUpdateProtocol.registerDomain("-evil.com")).to.be.revertedWith("Invalid host");
+      await expect(secureMetadataUpdateProtocol.registerDomain("127.0.0.1")).to.be.revertedWith("IP hosts not allowed");
+    });
+
     it("unregisterDomain: owner can unregister, non-owner reverts", async function () {
       const domainToUnregister = "arweave.net";
       const unregisterTx = await secureMetadataUpdateProtocol.unregisterDomain(domainToUnregister);
@@ -58,6 +80,32 @@ describe("SecureMetadataUpdateProtocol", function () {
       );
     });
 
+    it("setSubdomainsAllowed: wildcard rule applies only to registered domains", async function () {
+      expect(await secureMetadataUpdateProtocol.isAllowedDomain("gateway.arweave.net")).to.equal(false);
+
+      await expect(secureMetadataUpdateProtocol.setSubdomainsAllowed("arweave.net", true))
+        .to.emit(secureMetadataUpdateProtocol, "SubdomainRuleUpdated")
+        .withArgs("arweave.net", true);
+      expect(await secureMetadataUpdateProtocol.isAllowedDomain("gateway.arweave.net")).to.equal(true);
+      expect(await secureMetadataUpdateProtocol.isAllowedDomain("a.b.ARWEAVE.net")).to.equal(true);
+      expect(await secureMetadataUpdateProtocol.isAllowedDomain("evilarweave.net")).to.equal(false);
+      expect(await secureMetadataUpdateProtocol.isAllowedDomain("arweave.net.evil.com")).to.equal(false);
+
+      await expect(secureMetadataUpdateProtocol.setSubdomainsAllowed("evil.com", true)).to.be.revertedWith("Domain not registered");
+      await expect(secureMetadataUpdateProtocol.connect(addr1).setSubdomainsAllowed("arweave.net", true)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+    });
+
+    it("setSchemeAllowed: owner can allow and disallow schemes", async function () {
+      await secureMetadataUpdateProtocol.setSchemeAllowed("ar", false);
+      await expect(secureMetadataUpdateProtocol.sanitizeAnimationURL(`ar://${arweaveTxId}`)).to.be.revertedWith("Scheme not allowed");
+
+      await expect(secureMetadataUpdateProtocol.connect(addr1).setSchemeAllowed("http", true)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+    });
+
     it("setMaxURLLength: owner can set, non-owner reverts", async function () {
       const newMaxURLLength = 512;
       const setMaxTx = await secureMetadataUpdateProtocol.setMaxURLLength(newMaxURLLength);
@@ -74,14 +122,27 @@ describe("SecureMetadataUpdateProtocol", function () {
   });
 
   describe("URL Sanitization", function () {
-    it("sanitizeAnimationURL: valid arweave.net URL passes", async function () {
-      const validArweaveURL = "ar://ewi6UNjJJf4Y-cEq481-HBPjHn8QmPGLqEwJq-WtCc0";
+    it("sanitizeAnimationURL: valid ar:// transaction id passes", async function () {
+      const validArweaveURL = `ar://${arweaveTxId}`;
       expect(await secureMetadataUpdateProtocol.sanitizeAnimationURL(validArweaveURL)).to.equal(validArweaveURL);
     });
 
-    it("sanitizeAnimationURL: valid ipfs.io URL passes", async function () {
-      const validIpfsURL = "ipfs://QmVUNVWJapRgFfFVj8JBj9kXoP72i8266NM7QQWjBjL9m"
+    it("sanitizeAnimationURL: valid ipfs:// CIDv0 and CIDv1 pass", async function () {
+      const validIpfsURL = `ipfs://${cidV0}`;
       expect(await secureMetadataUpdateProtocol.sanitizeAnimationURL(validIpfsURL)).to.equal(validIpfsURL);
+      const validIpfsV1URL = `ipfs://${cidV1}/metadata.json`;
+      expect(await secureMetadataUpdateProtocol.sanitizeAnimationURL(validIpfsV1URL)).to.equal(validIpfsV1URL);
+    });
+
+    it("sanitizeAnimationURL: malformed content identifiers revert", async function () {
+      await expect(secureMetadataUpdateProtocol.sanitizeAnimationURL("ipfs://QmVUNVWJapRgFfFVj8JBj9kXoP72i8266NM7QQWjBjL9m"))
+        .to.be.revertedWith("Invalid IPFS CID");
+      await expect(secureMetadataUpdateProtocol.sanitizeAnimationURL("ipfs://evil.com/payload.js"))
+        .to.be.revertedWith("Invalid IPFS CID");
+      await expect(secureMetadataUpdateProtocol.sanitizeAnimationURL("ar://arweave.net"))
+        .to.be.revertedWith("Invalid Arweave transaction ID");
+      await expect(secureMetadataUpdateProtocol.sanitizeAnimationURL(`ar://${arweaveTxId}:443`))
+        .to.be.revertedWith("Port not allowed");
     });
 
     it("sanitizeAnimationURL: unregistered domain reverts", async function () {
@@ -90,8 +151,8 @@ describe("SecureMetadataUpdateProtocol", function () {
     });
 
     it("sanitizeAnimationURL: URL exceeding maxURLLength reverts", async function () {
-      const longURL = "ar://" + "a".repeat(initialMaxURLLength + 1);
-      await expect(secureMetadataUpdateProtocol.sanitizeAnimationURL(longURL)).to.be.revertedWith("URL exceeds max length");
+      const longURL = "https://arweave.net/" + "a".repeat(initialMaxURLLength);
+      await expect(secureMetadataUpdateProtocol.sanitizeAnimationURL(longURL)).to.be.revertedWith("URL too long");
     });
 
     it("sanitizeAnimationURL: strips query parameters from URL", async function () {
@@ -99,6 +160,26 @@ describe("SecureMetadataUpdateProtocol", function () {
       const expectedURL = "https://arweave.net/ewi6UNjJJf4Y-cEq481-HBPjHn8QmPGLqEwJq-WtCc0";
       expect(await secureMetadataUpdateProtocol.sanitizeAnimationURL(urlWithParams)).to.equal(expectedURL);
     });
+
+    it("sanitizeAnimationURL: strips fragments, default port and normalizes case", async function () {
+      expect(await secureMetadataUpdateProtocol.sanitizeAnimationURL("HTTPS://ArWeave.NET:443/Path/File.json#frag"))
+        .to.equal("https://arweave.net/Path/File.json");
+    });
+
+    it("sanitizeAnimationURL: userinfo, non-default ports and disallowed schemes revert", async function () {
+      await expect(secureMetadataUpdateProtocol.sanitizeAnimationURL("https://user@evil.com/x")).to.be.revertedWith("Userinfo not allowed");
+      await expect(secureMetadataUpdateProtocol.sanitizeAnimationURL("https://arweave.net@evil.com/x")).to.be.revertedWith("Userinfo not allowed");
+      await expect(secureMetadataUpdateProtocol.sanitizeAnimationURL("https://arweave.net:8443/x")).to.be.revertedWith("Port not allowed");
+      await expect(secureMetadataUpdateProtocol.sanitizeAnimationURL("http://arweave.net/x")).to.be.revertedWith("Scheme not allowed");
+      await expect(secureMetadataUpdateProtocol.sanitizeAnimationURL("javascript://arweave.net/%0Aalert(1)")).to.be.revertedWith("Scheme not allowed");
+    });
+
+    it("sanitizeAnimationURL: backslashes, whitespace and IP hosts revert", async function () {
+      await expect(secureMetadataUpdateProtocol.sanitizeAnimationURL("https://evil.com\\@arweave.net/")).to.be.revertedWith("Invalid character");
+      await expect(secureMetadataUpdateProtocol.sanitizeAnimationURL("https://arweave.net /x")).to.be.revertedWith("Invalid character");
+      await expect(secureMetadataUpdateProtocol.sanitizeAnimationURL("https://0x7f.1/x")).to.be.revertedWith("IP hosts not allowed");
+      await expect(secureMetadataUpdateProtocol.sanitizeAnimationURL("https://arweave.net./x")).to.be.revertedWith("Invalid host");
+    });
   });
 
   describe("Hostname Extraction", function () {
@@ -107,9 +188,16 @@ describe("SecureMetadataUpdateProtocol", function () {
       expect(await secureMetadataUpdateProtocol.extractHostname(url)).to.equal("www.example.com");
     });
 
-    it("extractHostname: correctly extracts from ar:// URL", async function () {
-      const url = "ar://ewi6UNjJJf4Y-cEq481-HBPjHn8QmPGLqEwJq-WtCc0";
-      expect(await secureMetadataUpdateProtocol.extractHostname(url)).to.equal("arweave.net");
+    it("extractHostname: ar:// URL has no hostname", async function () {
+      const url = `ar://${arweaveTxId}`;
+      await expect(secureMetadataUpdateProtocol.extractHostname(url)).to.be.revertedWith("No hostname for content-addressed URI");
+    });
+
+    it("parseURL: returns scheme, host and path", async function () {
+      const parsed = await secureMetadataUpdateProtocol.parseURL(`IPFS://${cidV0}/img.png?x=1`);
+      expect(parsed.scheme).to.equal("ipfs");
+      expect(parsed.host).to.equal(cidV0);
+      expect(parsed.path).to.equal("/img.png");
     });
   });
 
@@ -124,11 +212,146 @@ describe("SecureMetadataUpdateProtocol", function () {
     });
 
     it("REGRESSION SMUP-003: URL at maxURLLength passes, URL at maxURLLength+1 reverts", async function () {
-      const maxLengthURL = "ar://" + "a".repeat(initialMaxURLLength);
-      const tooLongURL = "ar://" + "a".repeat(initialMaxURLLength + 1);
+      const prefix = "https://arweave.net/";
+      const maxLengthURL = prefix + "a".repeat(initialMaxURLLength - prefix.length);
+      const tooLongURL = maxLengthURL + "a";
 
       expect(await secureMetadataUpdateProtocol.sanitizeAnimationURL(maxLengthURL)).to.equal(maxLengthURL);
-      await expect(secureMetadataUpdateProtocol.sanitizeAnimationURL(tooLongURL)).to.be.revertedWith("URL exceeds max length");
+      await expect(secureMetadataUpdateProtocol.sanitizeAnimationURL(tooLongURL)).to.be.revertedWith("URL too long");
+    });
+  });
+
+  describe("Differential Fuzzing (WHATWG URL)", function () {
+    const CASES = 300;
+    const SPECIAL = new Set(["http:", "https:", "ftp:", "ws:", "wss:"]);
+
+    // Deterministic PRNG so failures are reproducible (mulberry32)
+    function rng(seed) {
+      return function () {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      };
+    }
+
+    const parts = {
+      scheme: ["https", "HTTPS", "hTTps", "http", "ipfs", "IPFS", "ar", "javascript", "data", "ws", "foo"],
+      userinfo: ["", "", "", "user@", "user:pw@", "arweave.net@", ":@"],
+      host: [
+        "arweave.net", "ARWEAVE.NET", "ipfs.io", "sub.arweave.net", "evil.com", "arweave.net.evil.com",
+        "evilarweave.net", "127.0.0.1", "0x7f.1", "1.2.3", "xn--nxasmq6b.com", "arweave..net", "-bad.com",
+        "arweave.net.", "a_b.com", "", "[::1]", "ar%77eave.net", cidV0, cidV1, arweaveTxId, cidV0.slice(0, 45),
+      ],
+      port: ["", "", "", ":443", ":0443", ":80", ":8080", ":", ":65536", ":0"],
+      path: ["", "/", "/a/b.json", "/../x", "/%2e%2e/", "/\\evil", "/ x", "/ok~(1)", "//evil.com"],
+      query: ["", "", "?a=1", "?redirect=https://evil.com"],
+      fragment: ["", "", "#f", "#@evil.com"],
+    };
+    const noise = ["@", ":", "/", "\\", "#", "?", "%", ".", " ", "\t", "A", "-", "[", "é"];
+
+    function generate(random) {
+      const pick = (list) => list[Math.floor(random() * list.length)];
+      let url = pick(parts.scheme) + "://" + pick(parts.userinfo) + pick(parts.host) + pick(parts.port) +
+        pick(parts.path) + pick(parts.query) + pick(parts.fragment);
+      if (random() < 0.25) {
+        const at = Math.floor(random() * (url.length + 1));
+        url = url.slice(0, at) + pick(noise) + url.slice(at);
+      }
+      return url;
+    }
+
+    function whatwg(url) {
+      try {
+        return new URL(url);
+      } catch (err) {
+        return null;
+      }
+    }
+
+    async function tryCall(fn) {
+      try {
+        return await fn();
+      } catch (err) {
+        return null;
+      }
+    }
+
+    it(`agrees with the WHATWG parser on ${CASES} generated URLs`, async function () {
+      this.timeout(120000);
+      await secureMetadataUpdateProtocol.setSubdomainsAllowed("arweave.net", true);
+      const allowed = ["arweave.net", "ipfs.io", "cloudflare-ipfs.com"];
+      const isAllowed = (host) => allowed.some((d) => host === d || host.endsWith("." + d));
+
+      const random = rng(0x4906);
+      for (let i = 0; i < CASES; i++) {
+        const url = generate(random);
+        const reference = whatwg(url);
+        const parsed = await tryCall(() => secureMetadataUpdateProtocol.parseURL(url));
+        const sanitized = await tryCall(() => secureMetadataUpdateProtocol.sanitizeAnimationURL(url));
+
+        if (parsed) {
+          // Anything the contract parses, WHATWG parses to the same scheme and host with no userinfo
+          expect(reference, url).to.not.equal(null);
+          expect(reference.protocol, url).to.equal(parsed.scheme + ":");
+          expect(reference.username + reference.password, url).to.equal("");
+          if (SPECIAL.has(reference.protocol)) {
+            expect(reference.hostname, url).to.equal(parsed.host);
+            expect(reference.port, url).to.equal("");
+          } else {
+            expect(reference.hostname.toLowerCase(), url).to.equal(parsed.host.toLowerCase());
+          }
+        }
+
+        if (sanitized) {
+          expect(parsed, url).to.not.equal(null);
+          const clean = whatwg(sanitized);
+          expect(clean.search + clean.hash, url).to.equal("");
+          expect(clean.host, url).to.equal(reference.host);
+          if (reference.protocol === "https:") {
+            expect(isAllowed(reference.hostname), url).to.equal(true);
+          } else {
+            expect(["ipfs:", "ar:"], url).to.include(reference.protocol);
+          }
+        } else if (reference && reference.protocol === "https:" && reference.username === "" && reference.password === "" &&
+          reference.port === "" && isAllowed(reference.hostname) && /^[\x21-\x7e]*$/.test(url) && !url.includes("\\")) {
+          // WHATWG sees an allowed https host; the contract may only be stricter on grammar, never on the host
+          expect(parsed === null || !isAllowed(parsed.host), url).to.equal(parsed === null);
+        }
+      }
+    });
+
+    it(`sdk/url.js matches sanitizeAnimationURL result and revert reason on ${CASES} generated URLs`, async function () {
+      this.timeout(120000);
+      const policy = new UrlPolicy({ maxURLLength: initialMaxURLLength });
+      // The policy follows the contract through its events only
+      const mirror = async (tx) => {
+        for (const log of (await tx.wait()).logs) {
+          const { name, args } = secureMetadataUpdateProtocol.interface.parseLog(log);
+          expect(policy.applyEvent(name, args), name).to.equal(true);
+        }
+      };
+      await mirror(await secureMetadataUpdateProtocol.setSubdomainsAllowed("arweave.net", true));
+      await mirror(await secureMetadataUpdateProtocol.registerDomain("Evil.com"));
+      await mirror(await secureMetadataUpdateProtocol.unregisterDomain("ipfs.io"));
+      await mirror(await secureMetadataUpdateProtocol.setSchemeAllowed("HTTP", true));
+      await mirror(await secureMetadataUpdateProtocol.setSchemeAllowed("ar", false));
+      await mirror(await secureMetadataUpdateProtocol.setMaxURLLength(90));
+
+      const outcome = async (fn) => {
+        try {
+          return { value: await fn() };
+        } catch (err) {
+          return { reason: err.reason || (/reason string '(.*)'/.exec(err.message) || [])[1] || err.message };
+        }
+      };
+
+      const random = rng(0x8004);
+      for (let i = 0; i < CASES; i++) {
+        const url = generate(random);
+        const expected = await outcome(() => secureMetadataUpdateProtocol.sanitizeAnimationURL(url));
+        expect(await outcome(() => policy.sanitizeAnimationURL(url)), url).to.deep.equal(expected);
+      }
     });
   });
 });
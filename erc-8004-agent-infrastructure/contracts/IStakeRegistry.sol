@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title StakeRegistry interface
+/// @notice Stake lookups exposed by StakeRegistry to the other registries
+interface IStakeRegistry {
+    /// @notice Timestamp until which the stake of `staker` on `agentId` is locked
+    function getStakeLockUntil(uint256 agentId, address staker) external view returns (uint256);
+
+    /// @notice Amount `staker` can withdraw from `agentId` now
+    function getWithdrawableAmount(uint256 agentId, address staker) external view returns (uint256);
+}
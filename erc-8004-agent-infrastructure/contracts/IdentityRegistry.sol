@@ -106,4 +106,9 @@ contract IdentityRegistry is ERC721Upgradeable, ERC721URIStorageUpgradeable, EIP
     function tokenURI(uint256 tokenId) public view virtual override(ERC721Upgradeable, ERC721URIStorageUpgradeable) returns (string memory) {
         return super.tokenURI(tokenId);
     }
+
+    /// @dev Override _burn for ERC721URIStorage
+    function _burn(uint256 tokenId) internal virtual override(ERC721Upgradeable, ERC721URIStorageUpgradeable) {
+        super._burn(tokenId);
+    }
 }
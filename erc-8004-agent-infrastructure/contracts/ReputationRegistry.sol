@@ -4,6 +4,7 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/structs/EnumerableMapUpgradeable.sol";
 import "./IStakeRegistry.sol"; // Interface for StakeRegistry
+import "@openzeppelin/contracts-upgradeable/utils/introspection/IERC165Upgradeable.sol";
 
 contract ReputationRegistry is OwnableUpgradeable {
     using EnumerableMapUpgradeable for EnumerableMapUpgradeable.AddressToUintMap;
@@ -43,7 +44,7 @@ contract ReputationRegistry is OwnableUpgradeable {
     }
 
     function initialize(address _stakeRegistry) public initializer {
-        __Ownable_init(msg.sender);
+        __Ownable_init();
         stakeRegistry = _stakeRegistry;
         // Shape L2 gasback registration placeholder
     }
@@ -56,7 +57,7 @@ contract ReputationRegistry is OwnableUpgradeable {
         string memory tag1,
         string memory tag2,
         string memory feedbackURI
-    ) external {
+    ) public {
         Feedback[] storage clientFeedbacks = _feedbacks[agentId][msg.sender];
         uint64 feedbackIndex = uint64(clientFeedbacks.length);
         clientFeedbacks.push(Feedback({
@@ -140,6 +141,6 @@ contract ReputationRegistry is OwnableUpgradeable {
 
     /// @dev EIP-165 support
     function supportsInterface(bytes4 interfaceId) public view virtual returns (bool) {
-        return interfaceId == type(IERC165).interfaceId;
+        return interfaceId == type(IERC165Upgradeable).interfaceId;
     }
 }
@@ -5,6 +5,7 @@ import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/token/ERC20/IERC20Upgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/token/ERC20/utils/SafeERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/introspection/IERC165Upgradeable.sol";
 
 contract StakeRegistry is OwnableUpgradeable, ReentrancyGuardUpgradeable {
     using SafeERC20Upgradeable for IERC20Upgradeable;
@@ -39,7 +40,7 @@ contract StakeRegistry is OwnableUpgradeable, ReentrancyGuardUpgradeable {
     }
 
     function initialize(address _stakingToken) public initializer {
-        __Ownable_init(msg.sender);
+        __Ownable_init();
         stakingToken = IERC20Upgradeable(_stakingToken);
         // Shape L2 gasback registration placeholder
     }
@@ -107,6 +108,6 @@ contract StakeRegistry is OwnableUpgradeable, ReentrancyGuardUpgradeable {
 
     /// @dev EIP-165 support
     function supportsInterface(bytes4 interfaceId) public view virtual returns (bool) {
-        return interfaceId == type(IERC165).interfaceId;
+        return interfaceId == type(IERC165Upgradeable).interfaceId;
     }
 }
@@ -2,6 +2,7 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/introspection/IERC165Upgradeable.sol";
 
 contract ValidationRegistry is OwnableUpgradeable {
     /// @dev Struct for validation request
@@ -10,11 +11,12 @@ contract ValidationRegistry is OwnableUpgradeable {
         uint256 agentId;
         string requestURI;
         bytes32 requestHash;
-        uint8 response; // 0 = pending, 1 = approved, 2 = rejected
+        uint8 response; // 0-100 score, valid once responded
         string responseURI;
         bytes32 responseHash;
         string tag;
         uint64 timestamp;
+        bool responded;
     }
 
     /// @dev Mapping from requestHash to ValidationRequest
@@ -23,9 +25,26 @@ contract ValidationRegistry is OwnableUpgradeable {
     /// @dev Registered validators mapping
     mapping(address => bool) public registeredValidators;
 
+    /// @dev Running response count and score sum
+    struct Tally {
+        uint64 count;
+        uint192 scoreSum;
+    }
+
+    /// @dev Tallies keyed by keccak256(abi.encode(agentId, validator, tag)).
+    ///      validator == address(0) and tag == "" hold the totals across all validators / tags.
+    mapping(bytes32 => Tally) private _tallies;
+
+    /// @dev Maximum score a response may carry
+    uint8 public constant MAX_RESPONSE = 100;
+
+    /// @dev Maximum validators per getSummary query to prevent gas griefing
+    uint256 public constant MAX_VALIDATORS = 100;
+
     /// @dev Events per ERC-8004
     event ValidationRequested(bytes32 indexed requestHash, address indexed validatorAddress, uint256 indexed agentId, string requestURI);
     event ValidationResponded(bytes32 indexed requestHash, uint8 response, string responseURI, string tag);
+    event ValidatorSet(address indexed validator, bool registered);
 
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
@@ -33,12 +52,20 @@ contract ValidationRegistry is OwnableUpgradeable {
     }
 
     function initialize() public initializer {
-        __Ownable_init(msg.sender);
+        __Ownable_init();
         // Shape L2 gasback registration placeholder
     }
 
+    /// @notice Register or deregister a validator
+    function setValidator(address validator, bool registered) external onlyOwner {
+        require(validator != address(0), "ValidationRegistry: invalid validator");
+        registeredValidators[validator] = registered;
+        emit ValidatorSet(validator, registered);
+    }
+
     /// @notice Submit a validation request
     function validationRequest(address validatorAddress, uint256 agentId, string memory requestURI, bytes32 requestHash) external {
+        require(validatorAddress != address(0), "ValidationRegistry: invalid validator");
         require(_requests[requestHash].validatorAddress == address(0), "ValidationRegistry: request already exists");
         _requests[requestHash] = ValidationRequest({
             validatorAddress: validatorAddress,
@@ -49,7 +76,8 @@ contract ValidationRegistry is OwnableUpgradeable {
             responseURI: "",
             responseHash: bytes32(0),
             tag: "",
-            timestamp: uint64(block.timestamp)
+            timestamp: uint64(block.timestamp),
+            responded: false
         });
         emit ValidationRequested(requestHash, validatorAddress, agentId, requestURI);
     }
@@ -59,11 +87,14 @@ contract ValidationRegistry is OwnableUpgradeable {
         require(registeredValidators[msg.sender], "ValidationRegistry: not a validator");
         ValidationRequest storage req = _requests[requestHash];
         require(req.validatorAddress == msg.sender, "ValidationRegistry: not the validator");
-        require(req.response == 0, "ValidationRegistry: already responded");
+        require(!req.responded, "ValidationRegistry: already responded");
+        require(response <= MAX_RESPONSE, "ValidationRegistry: response out of range");
+        req.responded = true;
         req.response = response;
         req.responseURI = responseURI;
         req.responseHash = responseHash;
         req.tag = tag;
+        _addToTally(req.agentId, msg.sender, tag, response);
         emit ValidationResponded(requestHash, response, responseURI, tag);
     }
 
@@ -72,16 +103,60 @@ contract ValidationRegistry is OwnableUpgradeable {
         return _requests[requestHash];
     }
 
-    /// @notice Get summary for an agent
-    function getSummary(uint256 agentId, address[] memory validatorAddresses, string memory tag) external view returns (uint256 approved, uint256 total) {
+    /// @notice Get the response count and average score for an agent
+    /// @dev Each request takes a single final response, so every response is both the latest and completed
+    /// @param agentId The ID of the agent
+    /// @param validatorAddresses Validators to include; empty for all validators
+    /// @param tag Response tag to include; empty for all tags
+    /// @return count Number of matching responses
+    /// @return avgResponse Average score (0-100) of matching responses, 0 when count is 0
+    function getSummary(uint256 agentId, address[] memory validatorAddresses, string memory tag) external view returns (uint64 count, uint8 avgResponse) {
+        require(validatorAddresses.length <= MAX_VALIDATORS, "ValidationRegistry: too many validators");
+        uint256 scoreSum;
+
+        if (validatorAddresses.length == 0) {
+            Tally storage t = _tallies[_tallyKey(agentId, address(0), tag)];
+            count = t.count;
+            scoreSum = t.scoreSum;
+        }
         for (uint256 i = 0; i < validatorAddresses.length; i++) {
-            // In practice, need to iterate over requests; this is simplified
-            // For production, use indexed events or additional mappings
+            address validator = validatorAddresses[i];
+            require(validator != address(0), "ValidationRegistry: invalid validator");
+            for (uint256 j = 0; j < i; j++) {
+                require(validatorAddresses[j] != validator, "ValidationRegistry: duplicate validator");
+            }
+            Tally storage t = _tallies[_tallyKey(agentId, validator, tag)];
+            count += t.count;
+            scoreSum += t.scoreSum;
+        }
+
+        if (count > 0) {
+            avgResponse = uint8(scoreSum / count);
         }
     }
 
     /// @dev EIP-165 support
     function supportsInterface(bytes4 interfaceId) public view virtual returns (bool) {
-        return interfaceId == type(IERC165).interfaceId;
+        return interfaceId == type(IERC165Upgradeable).interfaceId;
+    }
+
+    // ============ TALLIES ============
+    function _tallyKey(uint256 agentId, address validator, string memory tag) internal pure returns (bytes32) {
+        return keccak256(abi.encode(agentId, validator, tag));
+    }
+
+    /// @dev Adds a score to the (validator, tag) tally and its all-validator / all-tag totals
+    function _addToTally(uint256 agentId, address validator, string memory tag, uint8 score) internal {
+        _add(_tallies[_tallyKey(agentId, validator, "")], score);
+        _add(_tallies[_tallyKey(agentId, address(0), "")], score);
+        if (bytes(tag).length > 0) {
+            _add(_tallies[_tallyKey(agentId, validator, tag)], score);
+            _add(_tallies[_tallyKey(agentId, address(0), tag)], score);
+        }
+    }
+
+    function _add(Tally storage t, uint8 score) private {
+        t.count += 1;
+        t.scoreSum += score;
     }
 }
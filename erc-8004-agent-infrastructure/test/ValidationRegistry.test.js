@@ -0,0 +1,101 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+
+describe("ValidationRegistry", function () {
+  let validationRegistry;
+  let owner;
+  let requester;
+  let v1;
+  let v2;
+  let outsider;
+  const agentId = 1;
+  let nextRequest = 0;
+
+  async function request(validator, id = agentId) {
+    const requestHash = ethers.utils.id(`request-${nextRequest++}`);
+    await validationRegistry.connect(requester).validationRequest(validator.address, id, "ipfs://request", requestHash);
+    return requestHash;
+  }
+
+  function respond(validator, requestHash, score, tag = "") {
+    return validationRegistry
+      .connect(validator)
+      .validationResponse(requestHash, score, "ipfs://response", ethers.constants.HashZero, tag);
+  }
+
+  async function summary(validators, tag = "") {
+    const [count, avg] = await validationRegistry.getSummary(agentId, validators.map((v) => v.address), tag);
+    return [count.toNumber(), avg];
+  }
+
+  beforeEach(async function () {
+    [owner, requester, v1, v2, outsider] = await ethers.getSigners();
+    const ValidationRegistry = await ethers.getContractFactory("ValidationRegistry");
+    validationRegistry = await upgrades.deployProxy(ValidationRegistry, []);
+    await validationRegistry.deployed();
+    await validationRegistry.setValidator(v1.address, true);
+    await validationRegistry.setValidator(v2.address, true);
+  });
+
+  describe("Validators", function () {
+    it("only the owner can register validators", async function () {
+      await expect(validationRegistry.connect(outsider).setValidator(outsider.address, true))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(validationRegistry.setValidator(outsider.address, true))
+        .to.emit(validationRegistry, "ValidatorSet")
+        .withArgs(outsider.address, true);
+    });
+
+    it("rejects responses from unregistered or unassigned validators", async function () {
+      const requestHash = await request(v1);
+      await expect(respond(outsider, requestHash, 50)).to.be.revertedWith("ValidationRegistry: not a validator");
+      await expect(respond(v2, requestHash, 50)).to.be.revertedWith("ValidationRegistry: not the validator");
+    });
+  });
+
+  describe("Summary", function () {
+    it("averages 0-100 scores across validators", async function () {
+      await respond(v1, await request(v1), 80);
+      await respond(v2, await request(v2), 40);
+      await respond(v2, await request(v2), 0);
+
+      expect(await summary([])).to.deep.equal([3, 40]);
+      expect(await summary([v1])).to.deep.equal([1, 80]);
+      expect(await summary([v2])).to.deep.equal([2, 20]);
+      expect(await summary([v1, v2])).to.deep.equal([3, 40]);
+    });
+
+    it("a zero score still counts as a response and cannot be overwritten", async function () {
+      const requestHash = await request(v1);
+      await respond(v1, requestHash, 0);
+      await expect(respond(v1, requestHash, 100)).to.be.revertedWith("ValidationRegistry: already responded");
+
+      const status = await validationRegistry.getValidationStatus(requestHash);
+      expect(status.responded).to.equal(true);
+      expect(await summary([v1])).to.deep.equal([1, 0]);
+    });
+
+    it("rejects scores above 100", async function () {
+      await expect(respond(v1, await request(v1), 101)).to.be.revertedWith("ValidationRegistry: response out of range");
+    });
+
+    it("filters by tag; an empty tag matches every tag", async function () {
+      await respond(v1, await request(v1), 90, "security");
+      await respond(v1, await request(v1), 30, "uptime");
+      await respond(v2, await request(v2), 60, "security");
+      await respond(v2, await request(v2, 2), 10, "security");
+
+      expect(await summary([], "security")).to.deep.equal([2, 75]);
+      expect(await summary([v1], "uptime")).to.deep.equal([1, 30]);
+      expect(await summary([v2], "uptime")).to.deep.equal([0, 0]);
+      expect(await summary([], "")).to.deep.equal([3, 60]);
+    });
+
+    it("rejects duplicate or too many validators", async function () {
+      await expect(summary([v1, v1])).to.be.revertedWith("ValidationRegistry: duplicate validator");
+      const many = Array.from({ length: 101 }, (_, i) => ethers.utils.hexZeroPad(ethers.utils.hexlify(i + 1), 20));
+      await expect(validationRegistry.getSummary(agentId, many, ""))
+        .to.be.revertedWith("ValidationRegistry: too many validators");
+    });
+  });
+});
@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/utils/ContextUpgradeable.sol";
+
+/// @title ERC-2771 recipient with a configurable trusted forwarder
+/// @notice Calls relayed by the trusted forwarder carry the original sender in the last 20 bytes of
+///         calldata; _msgSender() returns that address, and msg.sender for every other caller
+/// @dev Inheriting contracts expose an access-controlled setter around _setTrustedForwarder
+abstract contract ERC2771Recipient is ContextUpgradeable {
+    /// @dev Forwarder whose appended sender is trusted; address(0) disables meta-transactions
+    address private _trustedForwarder;
+
+    event TrustedForwarderUpdated(address indexed forwarder);
+
+    /// @notice Current trusted forwarder, or address(0)
+    function trustedForwarder() public view returns (address) {
+        return _trustedForwarder;
+    }
+
+    /// @notice Whether calls from `forwarder` are treated as relayed meta-transactions
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder != address(0) && forwarder == _trustedForwarder;
+    }
+
+    function _setTrustedForwarder(address forwarder) internal {
+        _trustedForwarder = forwarder;
+        emit TrustedForwarderUpdated(forwarder);
+    }
+
+    function _msgSender() internal view virtual override returns (address) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return super._msgSender();
+    }
+
+    function _msgData() internal view virtual override returns (bytes calldata) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return msg.data[:msg.data.length - 20];
+        }
+        return super._msgData();
+    }
+
+    uint256[49] private __gap;
+}
@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title ERC-6551 Account interface
+/// @notice Token-bound account owned by whoever holds the bound NFT
+interface IERC6551Account {
+    /// @notice The NFT this account is bound to
+    function token() external view returns (uint256 chainId, address tokenContract, uint256 tokenId);
+
+    /// @notice Execute a call from the account; restricted to the NFT holder
+    function executeCall(address to, uint256 value, bytes calldata data) external payable returns (bytes memory);
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title IdentityRegistry interface
+/// @notice Agent lookups used by ReputationRegistry to authorize feedback
+interface IIdentityRegistry {
+    /// @notice Holder of the agent identity NFT (the agent's TBA)
+    function ownerOf(uint256 agentId) external view returns (address);
+
+    /// @notice Wallet bound with setAgentWallet, or address(0)
+    function getAgentWallet(uint256 agentId) external view returns (address);
+
+    /// @notice NFT that owns the agent's token-bound account
+    function getBoundToken(uint256 agentId) external view returns (uint256 chainId, address tokenContract, uint256 tokenId);
+}
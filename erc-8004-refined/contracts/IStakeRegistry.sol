@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title StakeRegistry interface
+/// @notice Stake lookups used by ReputationRegistry for weighted scoring
+interface IStakeRegistry {
+    /// @notice Current stake of `staker` on `agentId`
+    function getStake(uint256 agentId, address staker) external view returns (uint256);
+
+    /// @notice Stake of `staker` on `agentId` at the end of `timestamp`
+    function getStakeAt(uint256 agentId, address staker, uint256 timestamp) external view returns (uint256);
+}
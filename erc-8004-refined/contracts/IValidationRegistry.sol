@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title ValidationRegistry interface
+/// @notice Request outcomes used by StakeRegistry for outcome-driven slashing
+interface IValidationRegistry {
+    /// @notice Validator, agent, completion state and latest 0-100 response of a request
+    function getOutcome(bytes32 requestHash) external view returns (
+        address validator,
+        uint256 agentId,
+        bool completed,
+        uint8 latestResponse,
+        uint256 responseCount
+    );
+
+    /// @notice Whether `validator` may currently respond to requests
+    function isActiveValidator(address validator) external view returns (bool);
+
+    /// @notice Whether `validator` registered itself through stake rather than being set by the owner
+    function stakeGatedValidators(address validator) external view returns (bool);
+}
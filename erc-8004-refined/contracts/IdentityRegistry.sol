@@ -1,35 +1,51 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/token/ERC721/ERC721Upgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/token/ERC721/extensions/ERC721URIStorageUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/utils/cryptography/ECDSAUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/SignatureCheckerUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/interfaces/IERC1271Upgradeable.sol";
 import "./IERC6551Registry.sol"; // Interface for ERC-6551 registry
+import "./IERC6551Account.sol";
+import "./ERC2771Recipient.sol";
+import "./IdentityRegistryStorageV1.sol";
+
+contract IdentityRegistry is
+    ERC721Upgradeable,
+    ERC721URIStorageUpgradeable,
+    EIP712Upgradeable,
+    IdentityRegistryStorageV1,
+    OwnableUpgradeable,
+    UUPSUpgradeable,
+    ERC2771Recipient
+{
+    /// @dev NFT that owns an agent's token-bound account
+    struct BoundToken {
+        uint256 chainId;
+        address tokenContract;
+        uint256 tokenId;
+    }
+
+    // v1 state (_agentWallets, _nonces, erc6551Registry) lives in IdentityRegistryStorageV1
 
-contract IdentityRegistry is ERC721Upgradeable, ERC721URIStorageUpgradeable, EIP712Upgradeable {
-    /// @dev Struct to store agent wallet mapping
-    struct AgentWallet {
-        address wallet;
-        uint256 setTimestamp;
-    }
-
-    /// @dev Mapping from agentId to AgentWallet
-    mapping(uint256 => AgentWallet) private _agentWallets;
-    
     /// @dev Mapping from agent ID to a key-value store for metadata
     mapping(uint256 => mapping(string => string)) private _agentMetadata;
-    
-    /// @dev Nonce tracking for replay protection
-    mapping(uint256 => uint256) private _nonces;
 
-    /// @dev ERC-6551 registry address for TBA validation
-    address public erc6551Registry;
+    /// @dev TBA implementations accepted for registration
+    mapping(address => bool) public allowedImplementations;
+
+    /// @dev NFT behind each agent's TBA
+    mapping(uint256 => BoundToken) private _boundTokens;
+
+    /// @dev Agent ID registered by each TBA (0 if none)
+    mapping(address => uint256) public agentIdOf;
     
     /// @dev Modifier to check if caller owns the agent NFT
     modifier onlyOwnerOf(uint256 agentId) {
-        require(ownerOf(agentId) == msg.sender, "IdentityRegistry: caller is not owner");
+        require(ownerOf(agentId) == _msgSender(), "IdentityRegistry: caller is not owner");
         _;
     }
 
@@ -41,41 +57,94 @@ contract IdentityRegistry is ERC721Upgradeable, ERC721URIStorageUpgradeable, EIP
     event AgentWalletSet(uint256 indexed agentId, address indexed wallet, bytes signature);
     event MetadataUpdated(uint256 indexed agentId, string metadataURI);
     event MetadataSet(uint256 indexed agentId, string key, string value);
+    event AgentBound(uint256 indexed agentId, uint256 chainId, address indexed tokenContract, uint256 tokenId);
+    event ImplementationAllowed(address indexed implementation, bool allowed);
 
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
         _disableInitializers();
     }
 
-    function initialize(address _erc6551Registry) public initializer {
+    /// @dev Initializes a new proxy at version 2; v1 proxies are upgraded with initializeV2 instead
+    /// @custom:oz-upgrades-validate-as-initializer
+    function initialize(address _erc6551Registry) public reinitializer(2) {
         __ERC721_init("AgentIdentity", "AID");
         __ERC721URIStorage_init();
         __EIP712_init("IdentityRegistry", "1");
+        __Ownable_init();
+        __UUPSUpgradeable_init();
         erc6551Registry = _erc6551Registry;
         // Shape L2 gasback registration placeholder - to be filled during deployment
         // gasbackRegister(address(this));
     }
 
+    /// @notice Initializes what v1 lacked when a v1 proxy is upgraded to this implementation
+    /// @dev v1 had no owner; call atomically with the upgrade (upgradeAndCall), as anyone could otherwise
+    ///      claim ownership. Agents, wallets, nonces and the ERC-6551 registry are kept.
+    function initializeV2(address initialOwner) external reinitializer(2) {
+        require(initialOwner != address(0), "IdentityRegistry: invalid owner");
+        __Ownable_init();
+        _transferOwnership(initialOwner);
+        __UUPSUpgradeable_init();
+    }
+
+    /// @notice Allows or disallows a TBA implementation for registration
+    function setImplementationAllowed(address implementation, bool allowed) external onlyOwner {
+        allowedImplementations[implementation] = allowed;
+        emit ImplementationAllowed(implementation, allowed);
+    }
+
     /// @notice Prepares encoded call data for TBA.executeCall() to register an agent
-    function prepareAgentRegistration() external view returns (bytes memory) {
-        return abi.encodeWithSelector(this.registerAgent.selector, msg.sender);
+    /// @param implementation TBA implementation the account was created with
+    /// @param salt Salt the account was created with
+    function prepareAgentRegistration(address implementation, bytes32 salt) external pure returns (bytes memory) {
+        return abi.encodeCall(IdentityRegistry.registerAgent, (implementation, salt));
     }
 
-    /// @notice Registers an agent by minting an NFT to the TBA address; must be called via TBA executeCall
-    function registerAgent(address tbaAddress) external {
-        require(_isValidTBA(tbaAddress), "IdentityRegistry: sender not a valid TBA");
-        uint256 agentId = uint256(keccak256(abi.encodePacked(tbaAddress, block.timestamp)));
-        _safeMint(tbaAddress, agentId);
-        emit AgentRegistered(agentId, tbaAddress);
+    /// @notice Registers the calling TBA as an agent by minting an NFT to it; must be called via TBA executeCall
+    /// @dev The caller must be the account the ERC-6551 registry derives from (implementation, salt) and
+    ///      the NFT the caller reports via token(); the NFT is recorded with the identity
+    function registerAgent(address implementation, bytes32 salt) external {
+        address tba = _msgSender();
+        require(allowedImplementations[implementation], "IdentityRegistry: implementation not allowed");
+        require(agentIdOf[tba] == 0, "IdentityRegistry: already registered");
+        require(tba.code.length > 0, "IdentityRegistry: sender not a valid TBA");
+
+        (uint256 chainId, address tokenContract, uint256 tokenId) = IERC6551Account(tba).token();
+        require(
+            _isValidTBA(tba, implementation, salt, chainId, tokenContract, tokenId),
+            "IdentityRegistry: sender not a valid TBA"
+        );
+
+        uint256 agentId = uint256(keccak256(abi.encodePacked(tba, block.timestamp)));
+        _boundTokens[agentId] = BoundToken(chainId, tokenContract, tokenId);
+        agentIdOf[tba] = agentId;
+        _safeMint(tba, agentId);
+        emit AgentRegistered(agentId, tba);
+        emit AgentBound(agentId, chainId, tokenContract, tokenId);
+    }
+
+    /// @notice NFT that owns the agent's token-bound account
+    function getBoundToken(uint256 agentId) external view returns (uint256 chainId, address tokenContract, uint256 tokenId) {
+        BoundToken storage bound = _boundTokens[agentId];
+        return (bound.chainId, bound.tokenContract, bound.tokenId);
+    }
+
+    /// @notice Set the ERC-2771 forwarder trusted to relay calls; address(0) disables relaying
+    function setTrustedForwarder(address forwarder) external onlyOwner {
+        _setTrustedForwarder(forwarder);
     }
 
     /// @notice Sets the agent's wallet with EIP-712/ERC-1271 signature verification
+    /// @dev Contract wallets are checked with isValidSignature, EOAs with ECDSA
     function setAgentWallet(uint256 agentId, address wallet, bytes memory signature) external {
-        require(ownerOf(agentId) == msg.sender, "IdentityRegistry: not agent owner");
+        require(ownerOf(agentId) == _msgSender(), "IdentityRegistry: not agent owner");
         uint256 currentNonce = _nonces[agentId];
         bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(SET_WALLET_TYPEHASH, agentId, wallet, currentNonce)));
-        address signer = ECDSAUpgradeable.recover(digest, signature);
-        require(signer == wallet, "IdentityRegistry: invalid signature");
+        require(
+            SignatureCheckerUpgradeable.isValidSignatureNow(wallet, digest, signature),
+            "IdentityRegistry: invalid signature"
+        );
         _nonces[agentId] = currentNonce + 1;
         _agentWallets[agentId] = AgentWallet(wallet, block.timestamp);
         emit AgentWalletSet(agentId, wallet, signature);
@@ -83,7 +152,7 @@ contract IdentityRegistry is ERC721Upgradeable, ERC721URIStorageUpgradeable, EIP
 
     /// @notice Updates metadata URI for an agent; owner only
     function updateMetadata(uint256 agentId, string memory metadataURI) external {
-        require(ownerOf(agentId) == msg.sender, "IdentityRegistry: not agent owner");
+        require(ownerOf(agentId) == _msgSender(), "IdentityRegistry: not agent owner");
         _setTokenURI(agentId, metadataURI);
         emit MetadataUpdated(agentId, metadataURI);
     }
@@ -130,12 +199,17 @@ contract IdentityRegistry is ERC721Upgradeable, ERC721URIStorageUpgradeable, EIP
     }
 
     /// @dev Internal function to validate TBA via ERC-6551 registry
-    function _isValidTBA(address tbaAddress) internal view returns (bool) {
-        // Simplified check; in production, verify with ERC-6551 registry
+    function _isValidTBA(
+        address tbaAddress,
+        address implementation,
+        bytes32 salt,
+        uint256 chainId,
+        address tokenContract,
+        uint256 tokenId
+    ) internal view returns (bool) {
+        if (erc6551Registry == address(0)) return false;
         IERC6551Registry registry = IERC6551Registry(erc6551Registry);
-        // Assume registry.getAccount() returns TBA details; adjust based on actual interface
-        // For now, return true if address is not zero
-        return tbaAddress != address(0);
+        return registry.account(implementation, salt, chainId, tokenContract, tokenId) == tbaAddress;
     }
 
     /// @dev Override supportsInterface for EIP-165
@@ -147,4 +221,20 @@ contract IdentityRegistry is ERC721Upgradeable, ERC721URIStorageUpgradeable, EIP
     function tokenURI(uint256 tokenId) public view virtual override(ERC721Upgradeable, ERC721URIStorageUpgradeable) returns (string memory) {
         return super.tokenURI(tokenId);
     }
+
+    /// @dev Override _burn for ERC721URIStorage
+    function _burn(uint256 tokenId) internal virtual override(ERC721Upgradeable, ERC721URIStorageUpgradeable) {
+        super._burn(tokenId);
+    }
+
+    /// @dev Upgrades are restricted to the owner
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+
+    function _msgSender() internal view override(ContextUpgradeable, ERC2771Recipient) returns (address) {
+        return super._msgSender();
+    }
+
+    function _msgData() internal view override(ContextUpgradeable, ERC2771Recipient) returns (bytes calldata) {
+        return super._msgData();
+    }
 }
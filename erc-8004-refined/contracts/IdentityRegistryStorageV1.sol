@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title IdentityRegistry v1 storage
+/// @notice State of the erc-8004-agent-infrastructure IdentityRegistry, in its original order
+/// @dev Inherited right after the v1 parents so a v1 proxy keeps its agent wallets and nonces when
+///      upgraded; parents and variables added since v1 are laid out after it. Never reorder or insert.
+abstract contract IdentityRegistryStorageV1 {
+    /// @dev Struct to store agent wallet mapping
+    struct AgentWallet {
+        address wallet;
+        uint256 setTimestamp;
+    }
+
+    /// @dev Mapping from agentId to AgentWallet
+    mapping(uint256 => AgentWallet) internal _agentWallets;
+
+    /// @dev Nonce tracking for replay protection
+    mapping(uint256 => uint256) internal _nonces;
+
+    /// @dev ERC-6551 registry address for TBA validation
+    address public erc6551Registry;
+}
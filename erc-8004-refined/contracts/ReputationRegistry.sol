@@ -2,10 +2,24 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC721/IERC721Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/SignatureCheckerUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/structs/EnumerableMapUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/introspection/IERC165Upgradeable.sol";
 import "./IStakeRegistry.sol"; // Interface for StakeRegistry
+import "./IIdentityRegistry.sol";
+import "./ERC2771Recipient.sol";
+import "./ReputationRegistryStorageV1.sol";
 
-contract ReputationRegistry is OwnableUpgradeable {
+contract ReputationRegistry is
+    OwnableUpgradeable,
+    ReputationRegistryStorageV1,
+    EIP712Upgradeable,
+    UUPSUpgradeable,
+    ERC2771Recipient
+{
     using EnumerableMapUpgradeable for EnumerableMapUpgradeable.AddressToUintMap;
 
     /// @dev Struct for feedback entry
@@ -22,35 +36,130 @@ contract ReputationRegistry is OwnableUpgradeable {
         uint64 timestamp;
     }
 
+    /// @dev Running totals for one (agentId, tag1, tag2), values normalized to SCORE_DECIMALS.
+    ///      With decay enabled every term except `count` is decayed to `lastUpdate`.
+    struct Aggregate {
+        uint64 count;
+        uint64 lastUpdate;
+        uint256 mass;
+        int256 sum;
+        uint256 totalWeight;
+        int256 weightedSum;
+    }
+
+    // v1 state (_feedbacksV1, stakeRegistry) lives in ReputationRegistryStorageV1
+
     /// @dev Mapping from agentId to client address to feedback array
     mapping(uint256 => mapping(address => Feedback[])) private _feedbacks;
 
-    /// @dev StakeRegistry address for weighted scoring
-    address public stakeRegistry;
-    
-    /// @dev Stake snapshots to prevent flash loan manipulation
-    mapping(uint256 => mapping(address => uint256)) public stakeSnapshots;
+    /// @dev Aggregates keyed by keccak256(abi.encode(agentId, tag1, tag2))
+    mapping(bytes32 => Aggregate) private _aggregates;
+
+    /// @dev Half-life in seconds for score decay; 0 disables decay
+    uint256 public decayHalfLife;
+
+    /// @dev IdentityRegistry used to authorize feedback and responses
+    address public identityRegistry;
+
+    /// @dev EIP-712 FeedbackAuth signed by the agent (owner or agent wallet) for one client.
+    ///      The client may give feedback while their feedback count for the agent is below indexLimit.
+    bytes32 public constant FEEDBACK_AUTH_TYPEHASH = keccak256(
+        "FeedbackAuth(uint256 agentId,address clientAddress,uint64 indexLimit,uint256 expiry,address signerAddress)"
+    );
     
     /// @dev Maximum validators to prevent gas griefing
     uint256 public constant MAX_VALIDATORS = 100;
 
+    /// @dev Fixed-point decimals of every score returned by this contract
+    uint8 public constant SCORE_DECIMALS = 18;
+    uint256 private constant ONE = 1e18;
+
     /// @dev Events per ERC-8004
-    event FeedbackGiven(uint256 indexed agentId, address indexed clientAddress, uint64 feedbackIndex, int128 value, string tag1, string tag2);
+    event FeedbackGiven(uint256 indexed agentId, address indexed clientAddress, uint64 feedbackIndex, int128 value, uint8 valueDecimals, string tag1, string tag2);
     event FeedbackRevoked(uint256 indexed agentId, address indexed clientAddress, uint64 feedbackIndex);
     event ResponseAppended(uint256 indexed agentId, address indexed clientAddress, uint64 feedbackIndex, string responseURI);
+    event DecayHalfLifeUpdated(uint256 halfLife);
+    event IdentityRegistryUpdated(address indexed identityRegistry);
+    event FeedbackMigrated(uint256 indexed agentId, address indexed clientAddress, uint64 count);
 
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
         _disableInitializers();
     }
 
-    function initialize(address _stakeRegistry) public initializer {
-        __Ownable_init(msg.sender);
+    /// @dev Initializes a new proxy at version 2; v1 proxies are upgraded with initializeV2 instead
+    /// @custom:oz-upgrades-validate-as-initializer
+    function initialize(address _stakeRegistry, address _identityRegistry) public reinitializer(2) {
+        __Ownable_init();
+        __EIP712_init("ReputationRegistry", "1");
+        __UUPSUpgradeable_init();
         stakeRegistry = _stakeRegistry;
+        identityRegistry = _identityRegistry;
         // Shape L2 gasback registration placeholder
     }
 
+    /// @notice Initializes what v1 lacked when a v1 proxy is upgraded to this implementation
+    /// @dev Call atomically with the upgrade (upgradeAndCall). The owner and stakeRegistry are kept;
+    ///      v1 feedback stays unreadable until moved with migrateFeedback.
+    function initializeV2(address _identityRegistry) external reinitializer(2) {
+        __EIP712_init("ReputationRegistry", "1");
+        __UUPSUpgradeable_init();
+        identityRegistry = _identityRegistry;
+    }
+
+    /// @notice Move v1 feedback of `clientAddresses` for `agentId` into the current format
+    /// @dev Feedback keeps its index, timestamp, revocation and response; endpoint and feedbackHash are empty.
+    ///      Live entries are added to the aggregates at their decayed size, weighted by the client's stake
+    ///      checkpoint before they were given. Pairs without v1 feedback are skipped.
+    function migrateFeedback(uint256 agentId, address[] calldata clientAddresses) external onlyOwner {
+        for (uint256 i = 0; i < clientAddresses.length; i++) {
+            address client = clientAddresses[i];
+            FeedbackV1[] storage legacy = _feedbacksV1[agentId][client];
+            uint256 count = legacy.length;
+            if (count == 0) continue;
+            Feedback[] storage clientFeedbacks = _feedbacks[agentId][client];
+            for (uint256 j = 0; j < count; j++) {
+                FeedbackV1 storage fb = legacy[j];
+                clientFeedbacks.push(Feedback({
+                    value: fb.value,
+                    valueDecimals: fb.valueDecimals,
+                    tag1: fb.tag1,
+                    tag2: fb.tag2,
+                    endpoint: "",
+                    feedbackURI: fb.feedbackURI,
+                    feedbackHash: bytes32(0),
+                    responseURI: fb.responseURI,
+                    revoked: fb.revoked,
+                    timestamp: fb.timestamp
+                }));
+                if (!fb.revoked) {
+                    _addToAggregate(
+                        _aggregateKey(agentId, fb.tag1, fb.tag2),
+                        _normalize(fb.value, fb.valueDecimals),
+                        _stakeAt(agentId, client, fb.timestamp),
+                        fb.timestamp
+                    );
+                }
+            }
+            delete _feedbacksV1[agentId][client];
+            emit FeedbackMigrated(agentId, client, uint64(count));
+        }
+    }
+
+    /// @notice Point feedback authorization at an IdentityRegistry
+    function setIdentityRegistry(address _identityRegistry) external onlyOwner {
+        identityRegistry = _identityRegistry;
+        emit IdentityRegistryUpdated(_identityRegistry);
+    }
+
+    /// @notice Set the ERC-2771 forwarder trusted to relay calls; address(0) disables relaying
+    function setTrustedForwarder(address forwarder) external onlyOwner {
+        _setTrustedForwarder(forwarder);
+    }
+
     /// @notice Core function to give feedback
+    /// @param feedbackAuth abi.encode(uint64 indexLimit, uint256 expiry, address signerAddress, bytes signature)
+    ///        where the signature is the agent's EIP-712 FeedbackAuth for the caller
     function giveFeedback(
         uint256 agentId,
         int128 value,
@@ -59,9 +168,27 @@ contract ReputationRegistry is OwnableUpgradeable {
         string memory tag2,
         string memory endpoint,
         string memory feedbackURI,
-        bytes32 feedbackHash
+        bytes32 feedbackHash,
+        bytes memory feedbackAuth
     ) external {
-        Feedback[] storage clientFeedbacks = _feedbacks[agentId][msg.sender];
+        _verifyFeedbackAuth(agentId, feedbackAuth);
+        _giveFeedback(agentId, value, valueDecimals, tag1, tag2, endpoint, feedbackURI, feedbackHash);
+    }
+
+    function _giveFeedback(
+        uint256 agentId,
+        int128 value,
+        uint8 valueDecimals,
+        string memory tag1,
+        string memory tag2,
+        string memory endpoint,
+        string memory feedbackURI,
+        bytes32 feedbackHash
+    ) internal {
+        address client = _msgSender();
+        require(_feedbacksV1[agentId][client].length == 0, "ReputationRegistry: v1 feedback not migrated");
+        int256 normalized = _normalize(value, valueDecimals);
+        Feedback[] storage clientFeedbacks = _feedbacks[agentId][client];
         uint64 feedbackIndex = uint64(clientFeedbacks.length);
         clientFeedbacks.push(Feedback({
             value: value,
@@ -75,55 +202,93 @@ contract ReputationRegistry is OwnableUpgradeable {
             revoked: false,
             timestamp: uint64(block.timestamp)
         }));
-        emit FeedbackGiven(agentId, msg.sender, feedbackIndex, value, tag1, tag2);
+        _addToAggregate(_aggregateKey(agentId, tag1, tag2), normalized, _stakeAt(agentId, client, block.timestamp), block.timestamp);
+        emit FeedbackGiven(agentId, client, feedbackIndex, value, valueDecimals, tag1, tag2);
     }
 
     /// @notice Revoke feedback by index
     function revokeFeedback(uint256 agentId, uint64 feedbackIndex) external {
-        Feedback storage feedback = _feedbacks[agentId][msg.sender][feedbackIndex];
+        address client = _msgSender();
+        Feedback storage feedback = _feedbacks[agentId][client][feedbackIndex];
         require(!feedback.revoked, "ReputationRegistry: already revoked");
         feedback.revoked = true;
-        emit FeedbackRevoked(agentId, msg.sender, feedbackIndex);
+        _removeFromAggregate(
+            _aggregateKey(agentId, feedback.tag1, feedback.tag2),
+            _normalize(feedback.value, feedback.valueDecimals),
+            _stakeAt(agentId, client, feedback.timestamp),
+            feedback.timestamp
+        );
+        emit FeedbackRevoked(agentId, client, feedbackIndex);
     }
 
-    /// @notice Append response to feedback
+    /// @notice Append response to feedback; callable by the client or the agent
     function appendResponse(uint256 agentId, address clientAddress, uint64 feedbackIndex, string memory responseURI) external {
-        require(msg.sender == clientAddress, "ReputationRegistry: only client can respond");
+        address sender = _msgSender();
+        require(
+            sender == clientAddress || _isAgent(agentId, sender),
+            "ReputationRegistry: only client or agent can respond"
+        );
         Feedback storage feedback = _feedbacks[agentId][clientAddress][feedbackIndex];
         feedback.responseURI = responseURI;
         emit ResponseAppended(agentId, clientAddress, feedbackIndex, responseURI);
     }
 
-    /// @notice Update stake snapshot for flash loan protection
-    function updateStakeSnapshot(uint256 agentId, address staker, uint256 amount) external {
-        stakeSnapshots[agentId][staker] = amount;
+    /// @notice Set the score half-life in seconds; 0 disables decay
+    /// @dev Aggregates are decayed lazily with the current half-life, so a change also applies
+    ///      to the time since each aggregate's last update
+    function setDecayHalfLife(uint256 halfLife) external onlyOwner {
+        decayHalfLife = halfLife;
+        emit DecayHalfLifeUpdated(halfLife);
     }
 
-    /// @notice Get weighted average reputation score
     /// @notice Get weighted average reputation score
     /// @dev clientAddresses parameter limited to MAX_VALIDATORS to prevent gas griefing
     ///      This is parameter validation, not state management - no unbounded arrays stored
+    ///      Each feedback is weighted by the client's stake checkpoint just before it was given,
+    ///      so stake added in the same block (flash staking) or after the fact carries no weight.
+    ///      Values are normalized to SCORE_DECIMALS and decayed like the global aggregates.
     function getSummary(uint256 agentId, address[] memory clientAddresses, string memory tag1, string memory tag2) external view returns (int128 weightedAverage) {
         require(clientAddresses.length <= MAX_VALIDATORS, "ReputationRegistry: too many validators");
         uint256 totalWeight = 0;
-        int128 totalValue = 0;
+        int256 totalValue = 0;
         for (uint256 i = 0; i < clientAddresses.length; i++) {
             address client = clientAddresses[i];
             Feedback[] storage feedbacks = _feedbacks[agentId][client];
             for (uint256 j = 0; j < feedbacks.length; j++) {
                 Feedback memory fb = feedbacks[j];
                 if (!fb.revoked && keccak256(bytes(fb.tag1)) == keccak256(bytes(tag1)) && keccak256(bytes(fb.tag2)) == keccak256(bytes(tag2))) {
-                    uint256 weight = stakeSnapshots[agentId][client]; // Assume function in StakeRegistry
+                    uint256 weight = _stakeAt(agentId, client, fb.timestamp) * _decayFactor(block.timestamp - fb.timestamp) / ONE;
                     totalWeight += weight;
-                    totalValue += fb.value * int128(int256(weight));
+                    totalValue += _normalize(fb.value, fb.valueDecimals) * int256(weight);
                 }
             }
         }
         if (totalWeight > 0) {
-            weightedAverage = totalValue / int128(int256(totalWeight));
+            weightedAverage = int128(totalValue / int256(totalWeight));
         }
     }
 
+    /// @notice Running aggregate for (agentId, tag1, tag2), decayed to the current block
+    function getAggregate(uint256 agentId, string memory tag1, string memory tag2) public view returns (Aggregate memory agg) {
+        agg = _aggregates[_aggregateKey(agentId, tag1, tag2)];
+        _decay(agg);
+    }
+
+    /// @notice Agent's score over all clients for (tag1, tag2), in SCORE_DECIMALS fixed point
+    /// @return count Live (non-revoked) feedback entries
+    /// @return average Mean value (decay-weighted when decay is enabled)
+    /// @return weightedAverage Stake-weighted mean value; 0 if no feedback carried stake
+    function getGlobalScore(uint256 agentId, string memory tag1, string memory tag2)
+        external
+        view
+        returns (uint64 count, int256 average, int256 weightedAverage)
+    {
+        Aggregate memory agg = getAggregate(agentId, tag1, tag2);
+        count = agg.count;
+        if (agg.mass > 0) average = agg.sum * int256(ONE) / int256(agg.mass);
+        if (agg.totalWeight > 0) weightedAverage = agg.weightedSum / int256(agg.totalWeight);
+    }
+
     /// @notice Read specific feedback
     function readFeedback(uint256 agentId, address clientAddress, uint64 feedbackIndex) external view returns (Feedback memory) {
         return _feedbacks[agentId][clientAddress][feedbackIndex];
@@ -136,11 +301,18 @@ contract ReputationRegistry is OwnableUpgradeable {
         uint8[] memory valueDecimals,
         string[] memory tag1s,
         string[] memory tag2s,
-        string[] memory feedbackURIs
+        string[] memory feedbackURIs,
+        bytes[] memory feedbackAuths
     ) external {
-        require(agentIds.length == values.length, "ReputationRegistry: array length mismatch");
-        for (uint256 i = 0; i < agentIds.length; i++) {
-            giveFeedback(agentIds[i], values[i], valueDecimals[i], tag1s[i], tag2s[i], feedbackURIs[i]);
+        uint256 n = agentIds.length;
+        require(
+            values.length == n && valueDecimals.length == n && tag1s.length == n && tag2s.length == n &&
+                feedbackURIs.length == n && feedbackAuths.length == n,
+            "ReputationRegistry: array length mismatch"
+        );
+        for (uint256 i = 0; i < n; i++) {
+            _verifyFeedbackAuth(agentIds[i], feedbackAuths[i]);
+            _giveFeedback(agentIds[i], values[i], valueDecimals[i], tag1s[i], tag2s[i], "", feedbackURIs[i], bytes32(0));
         }
     }
 
@@ -179,8 +351,161 @@ contract ReputationRegistry is OwnableUpgradeable {
         return _feedbacks[agentId][clientAddress].length;
     }
     
+    // ============ AUTHORIZATION ============
+    /// @dev Reject self-feedback and check the agent's FeedbackAuth for the caller
+    function _verifyFeedbackAuth(uint256 agentId, bytes memory feedbackAuth) internal view {
+        address client = _msgSender();
+        require(identityRegistry != address(0), "ReputationRegistry: identity registry not set");
+        require(!_isAgent(agentId, client), "ReputationRegistry: self-feedback not allowed");
+        require(feedbackAuth.length > 0, "ReputationRegistry: missing feedback auth");
+
+        (uint64 indexLimit, uint256 expiry, address signerAddress, bytes memory signature) =
+            abi.decode(feedbackAuth, (uint64, uint256, address, bytes));
+        require(block.timestamp <= expiry, "ReputationRegistry: feedback auth expired");
+        require(_feedbacks[agentId][client].length < indexLimit, "ReputationRegistry: index limit reached");
+
+        IIdentityRegistry identity = IIdentityRegistry(identityRegistry);
+        require(
+            signerAddress == identity.ownerOf(agentId) || signerAddress == identity.getAgentWallet(agentId),
+            "ReputationRegistry: signer not agent"
+        );
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(
+            FEEDBACK_AUTH_TYPEHASH,
+            agentId,
+            client,
+            indexLimit,
+            expiry,
+            signerAddress
+        )));
+        require(
+            SignatureCheckerUpgradeable.isValidSignatureNow(signerAddress, digest, signature),
+            "ReputationRegistry: invalid feedback auth"
+        );
+    }
+
+    /// @dev True for the agent's identity holder (TBA), its agent wallet, or the holder of the NFT behind the TBA
+    function _isAgent(uint256 agentId, address account) internal view returns (bool) {
+        if (identityRegistry == address(0)) return false;
+        IIdentityRegistry identity = IIdentityRegistry(identityRegistry);
+        if (account == identity.ownerOf(agentId) || account == identity.getAgentWallet(agentId)) return true;
+
+        (uint256 chainId, address tokenContract, uint256 tokenId) = identity.getBoundToken(agentId);
+        if (tokenContract == address(0) || chainId != block.chainid) return false;
+        try IERC721Upgradeable(tokenContract).ownerOf(tokenId) returns (address holder) {
+            return account == holder;
+        } catch {
+            return false;
+        }
+    }
+
+    // ============ AGGREGATES ============
+    function _aggregateKey(uint256 agentId, string memory tag1, string memory tag2) internal pure returns (bytes32) {
+        return keccak256(abi.encode(agentId, tag1, tag2));
+    }
+
+    /// @dev Scale a value with `decimals` to SCORE_DECIMALS; result must fit in int128
+    function _normalize(int128 value, uint8 decimals) internal pure returns (int256 normalized) {
+        require(decimals <= SCORE_DECIMALS, "ReputationRegistry: too many decimals");
+        normalized = int256(value) * int256(10 ** (SCORE_DECIMALS - decimals));
+        require(
+            normalized >= type(int128).min && normalized <= type(int128).max,
+            "ReputationRegistry: value out of range"
+        );
+    }
+
+    /// @dev Client's stake just before `timestamp`, so same-block stakes carry no weight
+    function _stakeAt(uint256 agentId, address client, uint256 timestamp) internal view returns (uint256) {
+        if (stakeRegistry == address(0)) return 0;
+        return IStakeRegistry(stakeRegistry).getStakeAt(agentId, client, timestamp - 1);
+    }
+
+    /// @dev 2^(-elapsed / decayHalfLife) in 1e18 fixed point; 1e18 when decay is disabled.
+    ///      The fractional half-life is resolved to 1/256, i.e. within 0.3%.
+    function _decayFactor(uint256 elapsed) internal view returns (uint256 factor) {
+        uint256 halfLife = decayHalfLife;
+        if (halfLife == 0 || elapsed == 0) return ONE;
+        uint256 halvings = elapsed / halfLife;
+        if (halvings >= 60) return 0;
+        factor = ONE >> halvings;
+        uint256 frac = (elapsed % halfLife) * 256 / halfLife;
+        // 2^(-1/2), 2^(-1/4), ..., 2^(-1/256)
+        uint256[8] memory roots = [
+            uint256(707106781186547524),
+            840896415253714543,
+            917004043204671231,
+            957603280698573646,
+            978572062087700134,
+            989228013193975484,
+            994599423483633175,
+            997296056085470126
+        ];
+        for (uint256 i = 0; i < 8; i++) {
+            if (frac & (128 >> i) != 0) factor = factor * roots[i] / ONE;
+        }
+    }
+
+    /// @dev Bring an in-memory aggregate's decayed terms up to the current block
+    function _decay(Aggregate memory agg) internal view {
+        if (agg.lastUpdate == block.timestamp) return;
+        uint256 factor = _decayFactor(block.timestamp - agg.lastUpdate);
+        if (factor != ONE) {
+            agg.mass = agg.mass * factor / ONE;
+            agg.sum = agg.sum * int256(factor) / int256(ONE);
+            agg.totalWeight = agg.totalWeight * factor / ONE;
+            agg.weightedSum = agg.weightedSum * int256(factor) / int256(ONE);
+        }
+        agg.lastUpdate = uint64(block.timestamp);
+    }
+
+    /// @dev Add a feedback given at `givenAt`, at its current decayed size
+    function _addToAggregate(bytes32 key, int256 value, uint256 weight, uint256 givenAt) internal {
+        Aggregate memory agg = _aggregates[key];
+        _decay(agg);
+        uint256 factor = _decayFactor(block.timestamp - givenAt);
+        uint256 decayedWeight = weight * factor / ONE;
+        agg.count += 1;
+        agg.mass += factor;
+        agg.sum += value * int256(factor) / int256(ONE);
+        agg.totalWeight += decayedWeight;
+        agg.weightedSum += value * int256(decayedWeight);
+        _aggregates[key] = agg;
+    }
+
+    /// @dev Remove a feedback given at `givenAt`, at its current decayed size
+    function _removeFromAggregate(bytes32 key, int256 value, uint256 weight, uint256 givenAt) internal {
+        Aggregate memory agg = _aggregates[key];
+        _decay(agg);
+        agg.count -= 1;
+        if (agg.count == 0) {
+            // Drop rounding residue along with the last entry
+            agg.mass = 0;
+            agg.sum = 0;
+            agg.totalWeight = 0;
+            agg.weightedSum = 0;
+        } else {
+            uint256 factor = _decayFactor(block.timestamp - givenAt);
+            uint256 decayedWeight = weight * factor / ONE;
+            agg.mass = agg.mass > factor ? agg.mass - factor : 0;
+            agg.sum -= value * int256(factor) / int256(ONE);
+            agg.totalWeight = agg.totalWeight > decayedWeight ? agg.totalWeight - decayedWeight : 0;
+            agg.weightedSum -= value * int256(decayedWeight);
+        }
+        _aggregates[key] = agg;
+    }
+
     /// @dev EIP-165 support
     function supportsInterface(bytes4 interfaceId) public view virtual returns (bool) {
-        return interfaceId == type(IERC165).interfaceId;
+        return interfaceId == type(IERC165Upgradeable).interfaceId;
+    }
+
+    /// @dev Upgrades are restricted to the owner
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+
+    function _msgSender() internal view override(ContextUpgradeable, ERC2771Recipient) returns (address) {
+        return super._msgSender();
+    }
+
+    function _msgData() internal view override(ContextUpgradeable, ERC2771Recipient) returns (bytes calldata) {
+        return super._msgData();
     }
 }
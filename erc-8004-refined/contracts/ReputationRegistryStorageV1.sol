@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title ReputationRegistry v1 storage
+/// @notice State of the erc-8004-agent-infrastructure ReputationRegistry, in its original order
+/// @dev Inherited right after OwnableUpgradeable; parents and variables added since v1 are laid out
+///      after it. v1 feedback has no endpoint or feedbackHash, so it stays in `_feedbacksV1` until
+///      ReputationRegistry.migrateFeedback moves it into the current format. Never reorder or insert.
+abstract contract ReputationRegistryStorageV1 {
+    /// @dev Feedback entry as stored by v1
+    struct FeedbackV1 {
+        int128 value;
+        uint8 valueDecimals;
+        string tag1;
+        string tag2;
+        string feedbackURI;
+        string responseURI;
+        bool revoked;
+        uint64 timestamp;
+    }
+
+    /// @dev v1 feedback not yet migrated, by agentId and client address
+    /// @custom:oz-renamed-from _feedbacks
+    mapping(uint256 => mapping(address => FeedbackV1[])) internal _feedbacksV1;
+
+    /// @dev StakeRegistry address for weighted scoring
+    address public stakeRegistry;
+
+    /// @dev Unused; former stakeSnapshots slot. Weights now come from StakeRegistry checkpoints.
+    /// @custom:oz-renamed-from stakeSnapshots
+    mapping(uint256 => mapping(address => uint256)) private __deprecatedStakeSnapshots;
+}
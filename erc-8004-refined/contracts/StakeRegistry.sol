@@ -2,54 +2,169 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/token/ERC20/IERC20Upgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/token/ERC20/utils/SafeERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/CheckpointsUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/math/SafeCastUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/introspection/IERC165Upgradeable.sol";
+import "./IStakeRegistry.sol";
+import "./IValidationRegistry.sol";
+import "./StakeRegistryStorageV1.sol";
 
-contract StakeRegistry is OwnableUpgradeable, ReentrancyGuardUpgradeable {
+contract StakeRegistry is
+    IStakeRegistry,
+    OwnableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    StakeRegistryStorageV1,
+    UUPSUpgradeable
+{
     using SafeERC20Upgradeable for IERC20Upgradeable;
+    using CheckpointsUpgradeable for CheckpointsUpgradeable.Trace224;
 
-    /// @dev Struct for stake entry
-    struct Stake {
-        uint256 amount;
-        uint256 lockUntil;
-        uint256 withdrawRequestTime;
-        bool slashed;
+    /// @dev Status of a slash proposal
+    enum ProposalStatus {
+        None,
+        Pending,
+        Disputed,
+        Executed,
+        Cancelled
     }
 
-    /// @dev Mapping from agentId to staker address to Stake
-    mapping(uint256 => mapping(address => Stake)) private _stakes;
+    /// @dev Slash proposed by the validator of a failed validation request
+    struct SlashProposal {
+        bytes32 requestHash;
+        uint256 agentId;
+        address staker;
+        address reporter;
+        uint256 amount;
+        uint64 disputeDeadline;
+        ProposalStatus status;
+        string reason;
+    }
 
-    /// @dev ERC20 token for staking
-    IERC20Upgradeable public stakingToken;
+    // v1 state (_stakes, stakingToken) lives in StakeRegistryStorageV1
 
     /// @dev Constants for timing
     uint256 public constant LOCK_DURATION = 7 days;
     uint256 public constant WITHDRAW_COOLDOWN = 2 days;
 
+    /// @dev Timestamp-keyed stake history per agent and staker, written on every stake change
+    mapping(uint256 => mapping(address => CheckpointsUpgradeable.Trace224)) private _stakeCheckpoints;
+
+    /// @dev Slashed tokens are burned by sending them here, since the staking token may not be burnable
+    address public constant BURN_ADDRESS = 0x000000000000000000000000000000000000dEaD;
+
+    /// @dev Basis-point denominator for the slash split
+    uint16 public constant BPS = 10_000;
+
+    /// @dev ValidationRegistry whose failed requests back slash proposals
+    address public validationRegistry;
+
+    /// @dev Latest response below this score counts as a failed validation
+    uint8 public failureThreshold;
+
+    /// @dev Time the staker has to dispute a slash proposal
+    uint64 public disputeWindow;
+
+    /// @dev Recipient of the treasury share of slashed funds
+    address public treasury;
+
+    /// @dev Split of slashed funds in basis points; sums to BPS
+    uint16 public burnBps;
+    uint16 public treasuryBps;
+    uint16 public validatorBps;
+
+    /// @dev Proposals keyed by keccak256(abi.encode(requestHash, staker))
+    mapping(bytes32 => SlashProposal) public slashProposals;
+
     /// @dev Events
     event Staked(uint256 indexed agentId, address indexed staker, uint256 amount);
     event WithdrawRequested(uint256 indexed agentId, address indexed staker);
     event Withdrawn(uint256 indexed agentId, address indexed staker, uint256 amount);
     event Slashed(uint256 indexed agentId, address indexed staker, uint256 amount, string reason);
+    event SlashDistributed(uint256 indexed agentId, address indexed staker, uint256 burned, uint256 toTreasury, address indexed validator, uint256 toValidator);
+    event SlashProposed(bytes32 indexed proposalId, bytes32 indexed requestHash, uint256 indexed agentId, address staker, address reporter, uint256 amount, uint64 disputeDeadline);
+    event SlashDisputed(bytes32 indexed proposalId, address indexed staker);
+    event SlashExecuted(bytes32 indexed proposalId);
+    event SlashCancelled(bytes32 indexed proposalId);
+    event SlashConfigUpdated(address treasury, uint16 burnBps, uint16 treasuryBps, uint16 validatorBps);
+    event DisputeWindowUpdated(uint64 disputeWindow);
+    event ValidationRegistryUpdated(address indexed validationRegistry, uint8 failureThreshold);
+    event StakeCheckpointed(uint256 indexed agentId, address indexed staker, uint256 timestamp, uint256 amount);
 
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
         _disableInitializers();
     }
 
-    function initialize(address _stakingToken) public initializer {
-        __Ownable_init(msg.sender);
+    /// @dev Initializes a new proxy at version 2; v1 proxies are upgraded with initializeV2 instead
+    /// @custom:oz-upgrades-validate-as-initializer
+    function initialize(address _stakingToken) public reinitializer(2) {
+        __Ownable_init();
+        __ReentrancyGuard_init();
+        __UUPSUpgradeable_init();
         stakingToken = IERC20Upgradeable(_stakingToken);
+        disputeWindow = 3 days;
+        failureThreshold = 50;
+        _setSlashConfig(msg.sender, 0, BPS, 0);
         // Shape L2 gasback registration placeholder
     }
 
+    /// @notice Initializes what v1 lacked when a v1 proxy is upgraded to this implementation
+    /// @dev Call atomically with the upgrade (upgradeAndCall). Stakes, the token and the owner are kept;
+    ///      slashed funds go to the owner, as in v1, until setSlashConfig.
+    function initializeV2() external reinitializer(2) {
+        __UUPSUpgradeable_init();
+        disputeWindow = 3 days;
+        failureThreshold = 50;
+        _setSlashConfig(owner(), 0, BPS, 0);
+    }
+
+    /// @notice Record the current amount of v1 stakes as their first checkpoint
+    /// @dev v1 kept no stake history, so until migrated these stakes read as 0 in getStakeAt.
+    ///      Pairs that already have checkpoints or no stake are skipped.
+    function migrateStakes(uint256[] calldata agentIds, address[] calldata stakers) external onlyOwner {
+        require(agentIds.length == stakers.length, "StakeRegistry: array length mismatch");
+        for (uint256 i = 0; i < agentIds.length; i++) {
+            uint256 amount = _stakes[agentIds[i]][stakers[i]].amount;
+            if (amount == 0 || _stakeCheckpoints[agentIds[i]][stakers[i]].length() > 0) continue;
+            _checkpoint(agentIds[i], stakers[i], amount);
+        }
+    }
+
+    // ============ CONFIGURATION ============
+    /// @notice Set the ValidationRegistry backing slash proposals and the score below which a request failed
+    function setValidationRegistry(address _validationRegistry, uint8 _failureThreshold) external onlyOwner {
+        require(_failureThreshold > 0 && _failureThreshold <= 100, "StakeRegistry: invalid threshold");
+        validationRegistry = _validationRegistry;
+        failureThreshold = _failureThreshold;
+        emit ValidationRegistryUpdated(_validationRegistry, _failureThreshold);
+    }
+
+    /// @notice Set the dispute window for slash proposals
+    function setDisputeWindow(uint64 _disputeWindow) external onlyOwner {
+        require(_disputeWindow > 0, "StakeRegistry: invalid dispute window");
+        disputeWindow = _disputeWindow;
+        emit DisputeWindowUpdated(_disputeWindow);
+    }
+
+    /// @notice Set the treasury and the burn / treasury / reporting-validator split of slashed funds
+    function setSlashConfig(address _treasury, uint16 _burnBps, uint16 _treasuryBps, uint16 _validatorBps) external onlyOwner {
+        _setSlashConfig(_treasury, _burnBps, _treasuryBps, _validatorBps);
+    }
+
+    // ============ STAKING ============
     /// @notice Stake tokens for an agent
+    /// @dev Restarts the lock and cancels a pending withdraw request
     function stake(uint256 amount, uint256 agentId) external {
         require(amount > 0, "StakeRegistry: amount must be > 0");
         Stake storage s = _stakes[agentId][msg.sender];
         s.amount += amount;
         s.lockUntil = block.timestamp + LOCK_DURATION;
+        s.withdrawRequestTime = 0;
+        _checkpoint(agentId, msg.sender, s.amount);
         stakingToken.safeTransferFrom(msg.sender, address(this), amount);
         emit Staked(agentId, msg.sender, amount);
     }
@@ -63,31 +178,107 @@ contract StakeRegistry is OwnableUpgradeable, ReentrancyGuardUpgradeable {
         emit WithdrawRequested(agentId, msg.sender);
     }
 
-    /// @notice Withdraw after cooldown
+    /// @notice Withdraw all stake not reserved by open slash proposals, after cooldown
     function withdraw(uint256 agentId) external nonReentrant {
         Stake storage s = _stakes[agentId][msg.sender];
-        require(s.amount > 0, "StakeRegistry: no stake");
-        require(s.withdrawRequestTime > 0, "StakeRegistry: no withdraw request");
-        require(block.timestamp >= s.withdrawRequestTime + WITHDRAW_COOLDOWN, "StakeRegistry: cooldown not met");
-        require(!s.slashed, "StakeRegistry: slashed");
-        uint256 amount = s.amount;
-        s.amount = 0;
-        s.withdrawRequestTime = 0;
-        stakingToken.safeTransfer(msg.sender, amount);
-        emit Withdrawn(agentId, msg.sender, amount);
+        _withdraw(agentId, s, s.amount - s.pendingSlash);
+    }
+
+    /// @notice Withdraw part of the stake after cooldown; the withdraw request stays open for the rest
+    function withdrawPartial(uint256 agentId, uint256 amount) external nonReentrant {
+        _withdraw(agentId, _stakes[agentId][msg.sender], amount);
     }
 
+    // ============ SLASHING ============
     /// @notice Slash stake (governance action)
-    function slash(uint256 agentId, address staker, uint256 amount, string memory reason) external onlyOwner {
+    /// @dev Cannot touch stake reserved by open proposals; the reporting-validator share goes to the treasury
+    function slash(uint256 agentId, address staker, uint256 amount, string memory reason) external onlyOwner nonReentrant {
         Stake storage s = _stakes[agentId][staker];
-        require(s.amount >= amount, "StakeRegistry: insufficient stake");
-        s.amount -= amount;
-        s.slashed = true;
-        s.lockUntil = 0;
-        s.withdrawRequestTime = 0;
-        // Burn or transfer slashed tokens as per governance
-        stakingToken.safeTransfer(owner(), amount); // Example: transfer to owner
-        emit Slashed(agentId, staker, amount, reason);
+        require(s.amount - s.pendingSlash >= amount, "StakeRegistry: insufficient stake");
+        _slash(agentId, staker, amount, address(0), reason);
+    }
+
+    /// @notice Propose slashing a staker of an agent whose validation request failed
+    /// @dev Only the request's validator can propose, once the request is completed with a latest response
+    ///      below failureThreshold. The amount is reserved until the proposal is executed or cancelled.
+    ///      Anyone can open a request naming any validator, so only active owner-registered validators may
+    ///      propose: a stake-gated validator could otherwise request, fail and slash any agent by itself.
+    /// @return proposalId keccak256(abi.encode(requestHash, staker))
+    function proposeSlash(bytes32 requestHash, address staker, uint256 amount, string memory reason) external returns (bytes32 proposalId) {
+        require(validationRegistry != address(0), "StakeRegistry: validation registry not set");
+        (address validator, uint256 agentId, bool completed, uint8 latestResponse, uint256 responseCount) =
+            IValidationRegistry(validationRegistry).getOutcome(requestHash);
+        require(validator == msg.sender, "StakeRegistry: not the request validator");
+        require(_canProposeSlash(validator), "StakeRegistry: validator cannot propose slashes");
+        require(completed && responseCount > 0 && latestResponse < failureThreshold, "StakeRegistry: validation did not fail");
+
+        proposalId = keccak256(abi.encode(requestHash, staker));
+        require(slashProposals[proposalId].status == ProposalStatus.None, "StakeRegistry: already proposed");
+        Stake storage s = _stakes[agentId][staker];
+        require(amount > 0 && s.amount - s.pendingSlash >= amount, "StakeRegistry: insufficient stake");
+
+        s.pendingSlash += amount;
+        uint64 disputeDeadline = uint64(block.timestamp) + disputeWindow;
+        slashProposals[proposalId] = SlashProposal({
+            requestHash: requestHash,
+            agentId: agentId,
+            staker: staker,
+            reporter: msg.sender,
+            amount: amount,
+            disputeDeadline: disputeDeadline,
+            status: ProposalStatus.Pending,
+            reason: reason
+        });
+        emit SlashProposed(proposalId, requestHash, agentId, staker, msg.sender, amount, disputeDeadline);
+    }
+
+    /// @notice Contest a pending slash within the dispute window; the owner then resolves it
+    function disputeSlash(bytes32 proposalId) external {
+        SlashProposal storage p = slashProposals[proposalId];
+        require(p.status == ProposalStatus.Pending, "StakeRegistry: not pending");
+        require(p.staker == msg.sender, "StakeRegistry: not the staker");
+        require(block.timestamp <= p.disputeDeadline, "StakeRegistry: dispute window closed");
+        p.status = ProposalStatus.Disputed;
+        emit SlashDisputed(proposalId, msg.sender);
+    }
+
+    /// @notice Execute an undisputed slash once the dispute window has closed; callable by anyone
+    function executeSlash(bytes32 proposalId) external nonReentrant {
+        SlashProposal storage p = slashProposals[proposalId];
+        require(p.status == ProposalStatus.Pending, "StakeRegistry: not pending");
+        require(block.timestamp > p.disputeDeadline, "StakeRegistry: dispute window open");
+        _executeProposal(proposalId, p);
+    }
+
+    /// @notice Resolve a disputed slash: uphold executes it, otherwise it is cancelled
+    function resolveDispute(bytes32 proposalId, bool uphold) external onlyOwner nonReentrant {
+        SlashProposal storage p = slashProposals[proposalId];
+        require(p.status == ProposalStatus.Disputed, "StakeRegistry: not disputed");
+        if (uphold) {
+            _executeProposal(proposalId, p);
+        } else {
+            p.status = ProposalStatus.Cancelled;
+            _stakes[p.agentId][p.staker].pendingSlash -= p.amount;
+            emit SlashCancelled(proposalId);
+        }
+    }
+
+    // ============ VIEWS ============
+
+    /// @notice Current stake of `staker` on `agentId`
+    function getStake(uint256 agentId, address staker) external view returns (uint256) {
+        return _stakes[agentId][staker].amount;
+    }
+
+    /// @notice Stake of `staker` on `agentId` at the end of `timestamp`
+    /// @dev Includes changes made in that second; pass `t - 1` to exclude same-block stakes
+    function getStakeAt(uint256 agentId, address staker, uint256 timestamp) external view returns (uint256) {
+        return _stakeCheckpoints[agentId][staker].upperLookupRecent(SafeCastUpgradeable.toUint32(timestamp));
+    }
+
+    /// @notice Number of stake checkpoints for `staker` on `agentId`
+    function getCheckpointCount(uint256 agentId, address staker) external view returns (uint256) {
+        return _stakeCheckpoints[agentId][staker].length();
     }
 
     /// @notice Get lock until timestamp
@@ -95,18 +286,94 @@ contract StakeRegistry is OwnableUpgradeable, ReentrancyGuardUpgradeable {
         return _stakes[agentId][staker].lockUntil;
     }
 
+    /// @notice Stake reserved by open slash proposals
+    function getPendingSlash(uint256 agentId, address staker) external view returns (uint256) {
+        return _stakes[agentId][staker].pendingSlash;
+    }
+
     /// @notice Get withdrawable amount
     function getWithdrawableAmount(uint256 agentId, address staker) external view returns (uint256) {
         Stake storage s = _stakes[agentId][staker];
-        if (s.slashed || s.amount == 0) return 0;
         if (s.withdrawRequestTime > 0 && block.timestamp >= s.withdrawRequestTime + WITHDRAW_COOLDOWN) {
-            return s.amount;
+            return s.amount - s.pendingSlash;
         }
         return 0;
     }
 
+    // ============ INTERNAL ============
+    /// @dev Active and registered by the ValidationRegistry owner rather than through stake
+    function _canProposeSlash(address validator) internal view returns (bool) {
+        IValidationRegistry registry = IValidationRegistry(validationRegistry);
+        return registry.isActiveValidator(validator) && !registry.stakeGatedValidators(validator);
+    }
+
+    function _withdraw(uint256 agentId, Stake storage s, uint256 amount) internal {
+        require(amount > 0, "StakeRegistry: no stake");
+        require(s.withdrawRequestTime > 0, "StakeRegistry: no withdraw request");
+        require(block.timestamp >= s.withdrawRequestTime + WITHDRAW_COOLDOWN, "StakeRegistry: cooldown not met");
+        require(s.amount - s.pendingSlash >= amount, "StakeRegistry: amount exceeds withdrawable");
+        s.amount -= amount;
+        if (s.amount == 0) {
+            s.withdrawRequestTime = 0;
+        }
+        _checkpoint(agentId, msg.sender, s.amount);
+        stakingToken.safeTransfer(msg.sender, amount);
+        emit Withdrawn(agentId, msg.sender, amount);
+    }
+
+    function _executeProposal(bytes32 proposalId, SlashProposal storage p) internal {
+        p.status = ProposalStatus.Executed;
+        _stakes[p.agentId][p.staker].pendingSlash -= p.amount;
+        _slash(p.agentId, p.staker, p.amount, p.reporter, p.reason);
+        emit SlashExecuted(proposalId);
+    }
+
+    /// @dev Remove `amount` from the stake and split it between burn, treasury and the reporting validator.
+    ///      Without a reporter the validator share goes to the treasury.
+    function _slash(uint256 agentId, address staker, uint256 amount, address reporter, string memory reason) internal {
+        Stake storage s = _stakes[agentId][staker];
+        s.amount -= amount;
+        s.slashed = true;
+        if (s.amount == 0) {
+            s.withdrawRequestTime = 0;
+        }
+        _checkpoint(agentId, staker, s.amount);
+
+        uint256 burned = amount * burnBps / BPS;
+        uint256 toValidator = reporter == address(0) ? 0 : amount * validatorBps / BPS;
+        uint256 toTreasury = amount - burned - toValidator;
+        if (burned > 0) stakingToken.safeTransfer(BURN_ADDRESS, burned);
+        if (toTreasury > 0) stakingToken.safeTransfer(treasury, toTreasury);
+        if (toValidator > 0) stakingToken.safeTransfer(reporter, toValidator);
+
+        emit Slashed(agentId, staker, amount, reason);
+        emit SlashDistributed(agentId, staker, burned, toTreasury, reporter, toValidator);
+    }
+
+    function _setSlashConfig(address _treasury, uint16 _burnBps, uint16 _treasuryBps, uint16 _validatorBps) internal {
+        require(_treasury != address(0), "StakeRegistry: invalid treasury");
+        require(uint256(_burnBps) + _treasuryBps + _validatorBps == BPS, "StakeRegistry: split must total 100%");
+        treasury = _treasury;
+        burnBps = _burnBps;
+        treasuryBps = _treasuryBps;
+        validatorBps = _validatorBps;
+        emit SlashConfigUpdated(_treasury, _burnBps, _treasuryBps, _validatorBps);
+    }
+
+    /// @dev Record the staker's new amount at the current timestamp
+    function _checkpoint(uint256 agentId, address staker, uint256 amount) internal {
+        _stakeCheckpoints[agentId][staker].push(
+            SafeCastUpgradeable.toUint32(block.timestamp),
+            SafeCastUpgradeable.toUint224(amount)
+        );
+        emit StakeCheckpointed(agentId, staker, block.timestamp, amount);
+    }
+
+    /// @dev Upgrades are restricted to the owner
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+
     /// @dev EIP-165 support
     function supportsInterface(bytes4 interfaceId) public view virtual returns (bool) {
-        return interfaceId == type(IERC165).interfaceId;
+        return interfaceId == type(IERC165Upgradeable).interfaceId || interfaceId == type(IStakeRegistry).interfaceId;
     }
 }
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC20/IERC20Upgradeable.sol";
+
+/// @title StakeRegistry v1 storage
+/// @notice State of the erc-8004-agent-infrastructure StakeRegistry, in its original order
+/// @dev Inherited right after the v1 parents; parents and variables added since v1 are laid out
+///      after it. Stake may only grow at the end, as it is only stored as a mapping value.
+abstract contract StakeRegistryStorageV1 {
+    /// @dev Struct for stake entry
+    struct Stake {
+        uint256 amount;
+        uint256 lockUntil;
+        uint256 withdrawRequestTime;
+        bool slashed; // slashed at least once; no longer blocks withdrawal of the remainder
+        uint256 pendingSlash; // reserved by open slash proposals, not withdrawable; added after v1
+    }
+
+    /// @dev Mapping from agentId to staker address to Stake
+    mapping(uint256 => mapping(address => Stake)) internal _stakes;
+
+    /// @dev ERC20 token for staking
+    IERC20Upgradeable public stakingToken;
+}
@@ -2,9 +2,27 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/IERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/utils/SafeERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/introspection/IERC165Upgradeable.sol";
+import "./IStakeRegistry.sol";
+import "./IValidationRegistry.sol";
+import "./ERC2771Recipient.sol";
+import "./ValidationRegistryStorageV1.sol";
 
-contract ValidationRegistry is OwnableUpgradeable {
-    /// @dev Struct for single response
+contract ValidationRegistry is
+    IValidationRegistry,
+    OwnableUpgradeable,
+    ValidationRegistryStorageV1,
+    ReentrancyGuardUpgradeable,
+    UUPSUpgradeable,
+    ERC2771Recipient
+{
+    using SafeERC20Upgradeable for IERC20Upgradeable;
+
+    /// @dev Struct for single response; code is a 0-100 score
     struct Response {
         uint8 code;
         string responseURI;
@@ -22,8 +40,15 @@ contract ValidationRegistry is OwnableUpgradeable {
         Response[] responses;
         bool completed;
         uint64 timestamp;
+        address requester;
+        address feeToken;
+        uint256 fee;
+        uint64 deadline;
+        bool expired;
     }
 
+    // v1 state (_requestsV1, registeredValidators) lives in ValidationRegistryStorageV1
+
     /// @dev Mapping from requestHash to ValidationRequest
     mapping(bytes32 => ValidationRequest) private _requests;
     
@@ -32,47 +57,200 @@ contract ValidationRegistry is OwnableUpgradeable {
     
     /// @dev Track request IDs for a given validator
     mapping(address => bytes32[]) private _validatorRequestIds;
-    
-    /// @dev Registered validators mapping
-    mapping(address => bool) public registeredValidators;
+
+    /// @dev Tallies keyed by keccak256(abi.encode(agentId, validator, tag)), one per query mode.
+    ///      validator == address(0) and tag == "" hold the totals across all validators / tags.
+    mapping(bytes32 => Tally[4]) private _tallies;
+
+    /// @dev Query modes (index into _tallies): bit 0 = latest response per request, bit 1 = completed requests only
+    uint8 private constant MODE_LATEST = 1;
+    uint8 private constant MODE_COMPLETED = 2;
+
+    /// @dev Maximum score a response may carry
+    uint8 public constant MAX_RESPONSE = 100;
+
+    /// @dev Maximum validators per getSummary query to prevent gas griefing
+    uint256 public constant MAX_VALIDATORS = 100;
+
+    /// @dev Deadline applied to requests submitted without one
+    uint64 public constant DEFAULT_REQUEST_TTL = 7 days;
+
+    /// @dev StakeRegistry used for stake-gated validator registration
+    address public stakeRegistry;
+
+    /// @dev Minimum stake for self-registration; 0 disables stake-gated registration
+    uint256 public minValidatorStake;
+
+    /// @dev Agent the validator's stake is held on, for stake-gated validators
+    mapping(address => uint256) public validatorStakeAgent;
+
+    /// @dev Validators that registered through stake and lose access when it drops below the minimum
+    mapping(address => bool) public stakeGatedValidators;
 
     /// @dev Events per ERC-8004
     event ValidationRequested(bytes32 indexed requestHash, address indexed validatorAddress, uint256 indexed agentId, string requestURI);
     event ValidationResponded(bytes32 indexed requestHash, uint8 response, string responseURI, string tag);
+    event ValidationCompleted(bytes32 indexed requestHash, uint256 responseCount, uint256 feePaid);
+    event ValidationExpired(bytes32 indexed requestHash);
+    event ValidationRefunded(bytes32 indexed requestHash, address indexed requester, address feeToken, uint256 fee);
+    event ValidatorSet(address indexed validator, bool registered);
+    event ValidatorStakeRegistered(address indexed validator, uint256 indexed agentId, uint256 stake);
+    event ValidatorStakeConfigUpdated(address stakeRegistry, uint256 minValidatorStake);
+    event ValidationMigrated(bytes32 indexed requestHash);
 
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
         _disableInitializers();
     }
 
-    function initialize() public initializer {
-        __Ownable_init(msg.sender);
+    /// @dev Initializes a new proxy at version 2; v1 proxies are upgraded with initializeV2 instead
+    /// @custom:oz-upgrades-validate-as-initializer
+    function initialize() public reinitializer(2) {
+        __Ownable_init();
+        __ReentrancyGuard_init();
+        __UUPSUpgradeable_init();
         // Shape L2 gasback registration placeholder
     }
 
-    /// @notice Submit a validation request
+    /// @notice Initializes what v1 lacked when a v1 proxy is upgraded to this implementation
+    /// @dev Call atomically with the upgrade (upgradeAndCall). The owner and validators are kept;
+    ///      v1 requests stay unreadable until moved with migrateValidations.
+    function initializeV2() external reinitializer(2) {
+        __ReentrancyGuard_init();
+        __UUPSUpgradeable_init();
+    }
+
+    /// @notice Move v1 requests into the current format
+    /// @dev A v1 response was final, so answered requests become completed requests with that single
+    ///      response and count in every tally mode. Unanswered requests get a fresh DEFAULT_REQUEST_TTL
+    ///      deadline; v1 did not record the requester. Unknown or already migrated hashes are skipped.
+    function migrateValidations(bytes32[] calldata requestHashes) external onlyOwner {
+        for (uint256 i = 0; i < requestHashes.length; i++) {
+            bytes32 requestHash = requestHashes[i];
+            ValidationRequestV1 storage legacy = _requestsV1[requestHash];
+            address validator = legacy.validatorAddress;
+            if (validator == address(0)) continue;
+
+            ValidationRequest storage req = _requests[requestHash];
+            req.validatorAddress = validator;
+            req.agentId = legacy.agentId;
+            req.requestURI = legacy.requestURI;
+            req.requestHash = requestHash;
+            req.timestamp = legacy.timestamp;
+            req.deadline = uint64(block.timestamp) + DEFAULT_REQUEST_TTL;
+            if (legacy.responded) {
+                req.responses.push(Response({
+                    code: legacy.response,
+                    responseURI: legacy.responseURI,
+                    responseHash: legacy.responseHash,
+                    tag: legacy.tag,
+                    timestamp: legacy.timestamp
+                }));
+                req.completed = true;
+                for (uint8 mode = 0; mode < 4; mode++) {
+                    _updateTally(legacy.agentId, validator, legacy.tag, mode, legacy.response, true);
+                }
+            }
+            _agentRequestIds[legacy.agentId].push(requestHash);
+            _validatorRequestIds[validator].push(requestHash);
+            delete _requestsV1[requestHash];
+            emit ValidationMigrated(requestHash);
+        }
+    }
+
+    /// @notice Register or deregister a validator
+    /// @dev Owner registration is not stake-gated
+    function setValidator(address validator, bool registered) external onlyOwner {
+        require(validator != address(0), "ValidationRegistry: invalid validator");
+        registeredValidators[validator] = registered;
+        stakeGatedValidators[validator] = false;
+        emit ValidatorSet(validator, registered);
+    }
+
+    /// @notice Set the ERC-2771 forwarder trusted to relay calls; address(0) disables relaying
+    function setTrustedForwarder(address forwarder) external onlyOwner {
+        _setTrustedForwarder(forwarder);
+    }
+
+    /// @notice Configure stake-gated validator registration
+    /// @param _stakeRegistry StakeRegistry holding validator stakes
+    /// @param _minValidatorStake Minimum stake; 0 disables self-registration
+    function setValidatorStakeConfig(address _stakeRegistry, uint256 _minValidatorStake) external onlyOwner {
+        require(_minValidatorStake == 0 || _stakeRegistry != address(0), "ValidationRegistry: invalid stake registry");
+        stakeRegistry = _stakeRegistry;
+        minValidatorStake = _minValidatorStake;
+        emit ValidatorStakeConfigUpdated(_stakeRegistry, _minValidatorStake);
+    }
+
+    /// @notice Register the caller as a validator backed by its StakeRegistry stake on `agentId`
+    /// @dev The validator stays active only while that stake meets minValidatorStake
+    function registerValidator(uint256 agentId) external {
+        address validator = _msgSender();
+        require(minValidatorStake > 0, "ValidationRegistry: stake registration disabled");
+        uint256 stake = IStakeRegistry(stakeRegistry).getStake(agentId, validator);
+        require(stake >= minValidatorStake, "ValidationRegistry: insufficient stake");
+        registeredValidators[validator] = true;
+        stakeGatedValidators[validator] = true;
+        validatorStakeAgent[validator] = agentId;
+        emit ValidatorSet(validator, true);
+        emit ValidatorStakeRegistered(validator, agentId, stake);
+    }
+
+    /// @notice Whether `validator` may currently respond to requests
+    function isActiveValidator(address validator) public view returns (bool) {
+        if (!registeredValidators[validator]) return false;
+        if (!stakeGatedValidators[validator]) return true;
+        uint256 minStake = minValidatorStake;
+        return minStake > 0 &&
+            IStakeRegistry(stakeRegistry).getStake(validatorStakeAgent[validator], validator) >= minStake;
+    }
+
+    /// @notice Submit a validation request with the default deadline and no fee
     function validationRequest(address validatorAddress, uint256 agentId, string memory requestURI, bytes32 requestHash) external {
-        require(_requests[requestHash].validatorAddress == address(0), "ValidationRegistry: request already exists");
-        _requests[requestHash].validatorAddress = validatorAddress;
-        _requests[requestHash].agentId = agentId;
-        _requests[requestHash].requestURI = requestURI;
-        _requests[requestHash].requestHash = requestHash;
-        _requests[requestHash].completed = false;
-        _requests[requestHash].timestamp = uint64(block.timestamp);
-        
-        _agentRequestIds[agentId].push(requestHash);
-        _validatorRequestIds[validatorAddress].push(requestHash);
-        
-        emit ValidationRequested(requestHash, validatorAddress, agentId, requestURI);
+        _createRequest(validatorAddress, agentId, requestURI, requestHash, address(0), 0, uint64(block.timestamp) + DEFAULT_REQUEST_TTL);
+    }
+
+    /// @notice Submit a validation request with an escrowed ERC-20 fee
+    /// @dev The fee is paid to the validator on completion, or refundable to the requester via
+    ///      expireValidation once `deadline` has passed without completion
+    /// @param feeToken ERC-20 token of the fee
+    /// @param fee Fee amount transferred from the caller into escrow
+    /// @param deadline Last timestamp at which the validator can respond or complete
+    function validationRequestWithFee(
+        address validatorAddress,
+        uint256 agentId,
+        string memory requestURI,
+        bytes32 requestHash,
+        address feeToken,
+        uint256 fee,
+        uint64 deadline
+    ) external nonReentrant {
+        require(fee == 0 || feeToken != address(0), "ValidationRegistry: invalid fee token");
+        _createRequest(validatorAddress, agentId, requestURI, requestHash, feeToken, fee, deadline);
+        if (fee > 0) {
+            IERC20Upgradeable(feeToken).safeTransferFrom(_msgSender(), address(this), fee);
+        }
     }
 
     /// @notice Append a response to a validation request (supports multiple responses)
+    /// @dev The newest response replaces the previous one in the latest-only tallies
     function appendResponse(bytes32 requestHash, uint8 response, string memory responseURI, bytes32 responseHash, string memory tag) external {
-        require(registeredValidators[msg.sender], "ValidationRegistry: not a validator");
+        address validator = _msgSender();
+        require(isActiveValidator(validator), "ValidationRegistry: not a validator");
         ValidationRequest storage req = _requests[requestHash];
-        require(req.validatorAddress == msg.sender, "ValidationRegistry: not the validator");
+        require(req.validatorAddress == validator, "ValidationRegistry: not the validator");
         require(!req.completed, "ValidationRegistry: request already completed");
-        
+        require(block.timestamp <= req.deadline, "ValidationRegistry: request expired");
+        require(response <= MAX_RESPONSE, "ValidationRegistry: response out of range");
+
+        uint256 previous = req.responses.length;
+        if (previous > 0) {
+            Response storage last = req.responses[previous - 1];
+            _updateTally(req.agentId, validator, last.tag, MODE_LATEST, last.code, false);
+        }
+        _updateTally(req.agentId, validator, tag, 0, response, true);
+        _updateTally(req.agentId, validator, tag, MODE_LATEST, response, true);
+
         req.responses.push(Response({
             code: response,
             responseURI: responseURI,
@@ -84,11 +262,52 @@ contract ValidationRegistry is OwnableUpgradeable {
         emit ValidationResponded(requestHash, response, responseURI, tag);
     }
     
-    /// @notice Mark a validation request as completed
-    function completeValidation(bytes32 requestHash) external {
+    /// @notice Mark a validation request as completed and release its fee to the validator
+    /// @dev Moves the request's responses into the completed-only tallies; no responses can follow.
+    ///      Needs at least one response, and the validator must still be active to collect the fee.
+    function completeValidation(bytes32 requestHash) external nonReentrant {
+        address validator = _msgSender();
         ValidationRequest storage req = _requests[requestHash];
-        require(req.validatorAddress == msg.sender, "ValidationRegistry: not the validator");
+        require(req.validatorAddress == validator, "ValidationRegistry: not the validator");
+        require(isActiveValidator(validator), "ValidationRegistry: not a validator");
+        require(!req.completed, "ValidationRegistry: request already completed");
+        require(block.timestamp <= req.deadline, "ValidationRegistry: request expired");
+        uint256 count = req.responses.length;
+        require(count > 0, "ValidationRegistry: no responses");
         req.completed = true;
+
+        for (uint256 i = 0; i < count; i++) {
+            Response storage r = req.responses[i];
+            _updateTally(req.agentId, validator, r.tag, MODE_COMPLETED, r.code, true);
+            if (i == count - 1) {
+                _updateTally(req.agentId, validator, r.tag, MODE_COMPLETED | MODE_LATEST, r.code, true);
+            }
+        }
+
+        uint256 fee = req.fee;
+        if (fee > 0) {
+            IERC20Upgradeable(req.feeToken).safeTransfer(validator, fee);
+        }
+
+        emit ValidationCompleted(requestHash, count, fee);
+    }
+
+    /// @notice Expire a request that was not completed by its deadline and refund its fee to the requester
+    /// @dev Callable by anyone once the deadline has passed
+    function expireValidation(bytes32 requestHash) external nonReentrant {
+        ValidationRequest storage req = _requests[requestHash];
+        require(req.validatorAddress != address(0), "ValidationRegistry: request not found");
+        require(!req.completed, "ValidationRegistry: request already completed");
+        require(!req.expired, "ValidationRegistry: request already expired");
+        require(block.timestamp > req.deadline, "ValidationRegistry: deadline not reached");
+        req.expired = true;
+        emit ValidationExpired(requestHash);
+
+        uint256 fee = req.fee;
+        if (fee > 0) {
+            IERC20Upgradeable(req.feeToken).safeTransfer(req.requester, fee);
+            emit ValidationRefunded(requestHash, req.requester, req.feeToken, fee);
+        }
     }
 
     /// @notice Get validation status
@@ -96,11 +315,59 @@ contract ValidationRegistry is OwnableUpgradeable {
         return _requests[requestHash];
     }
 
-    /// @notice Get summary for an agent
-    function getSummary(uint256 agentId, address[] memory validatorAddresses, string memory tag) external view returns (uint256 approved, uint256 total) {
+    /// @notice Validator, agent, completion state and latest 0-100 response of a request
+    function getOutcome(bytes32 requestHash) external view returns (
+        address validator,
+        uint256 agentId,
+        bool completed,
+        uint8 latestResponse,
+        uint256 responseCount
+    ) {
+        ValidationRequest storage req = _requests[requestHash];
+        responseCount = req.responses.length;
+        if (responseCount > 0) {
+            latestResponse = req.responses[responseCount - 1].code;
+        }
+        return (req.validatorAddress, req.agentId, req.completed, latestResponse, responseCount);
+    }
+
+    /// @notice Get the response count and average score for an agent
+    /// @param agentId The ID of the agent
+    /// @param validatorAddresses Validators to include; empty for all validators
+    /// @param tag Response tag to include; empty for all tags
+    /// @param latestOnly Count only the latest response of each request
+    /// @param completedOnly Count only responses to completed requests
+    /// @return count Number of matching responses
+    /// @return avgResponse Average score (0-100) of matching responses, 0 when count is 0
+    function getSummary(
+        uint256 agentId,
+        address[] memory validatorAddresses,
+        string memory tag,
+        bool latestOnly,
+        bool completedOnly
+    ) external view returns (uint64 count, uint8 avgResponse) {
+        require(validatorAddresses.length <= MAX_VALIDATORS, "ValidationRegistry: too many validators");
+        uint8 mode = (latestOnly ? MODE_LATEST : 0) | (completedOnly ? MODE_COMPLETED : 0);
+        uint256 scoreSum;
+
+        if (validatorAddresses.length == 0) {
+            Tally storage t = _tallies[_tallyKey(agentId, address(0), tag)][mode];
+            count = t.count;
+            scoreSum = t.scoreSum;
+        }
         for (uint256 i = 0; i < validatorAddresses.length; i++) {
-            // In practice, need to iterate over requests; this is simplified
-            // For production, use indexed events or additional mappings
+            address validator = validatorAddresses[i];
+            require(validator != address(0), "ValidationRegistry: invalid validator");
+            for (uint256 j = 0; j < i; j++) {
+                require(validatorAddresses[j] != validator, "ValidationRegistry: duplicate validator");
+            }
+            Tally storage t = _tallies[_tallyKey(agentId, validator, tag)][mode];
+            count += t.count;
+            scoreSum += t.scoreSum;
+        }
+
+        if (count > 0) {
+            avgResponse = uint8(scoreSum / count);
         }
     }
 
@@ -172,6 +439,75 @@ contract ValidationRegistry is OwnableUpgradeable {
     
     /// @dev EIP-165 support
     function supportsInterface(bytes4 interfaceId) public view virtual returns (bool) {
-        return interfaceId == type(IERC165).interfaceId;
+        return interfaceId == type(IERC165Upgradeable).interfaceId || interfaceId == type(IValidationRegistry).interfaceId;
+    }
+
+    // ============ REQUESTS ============
+    function _createRequest(
+        address validatorAddress,
+        uint256 agentId,
+        string memory requestURI,
+        bytes32 requestHash,
+        address feeToken,
+        uint256 fee,
+        uint64 deadline
+    ) internal {
+        require(validatorAddress != address(0), "ValidationRegistry: invalid validator");
+        require(
+            _requests[requestHash].validatorAddress == address(0) && _requestsV1[requestHash].validatorAddress == address(0),
+            "ValidationRegistry: request already exists"
+        );
+        require(deadline > block.timestamp, "ValidationRegistry: invalid deadline");
+        ValidationRequest storage req = _requests[requestHash];
+        req.validatorAddress = validatorAddress;
+        req.agentId = agentId;
+        req.requestURI = requestURI;
+        req.requestHash = requestHash;
+        req.timestamp = uint64(block.timestamp);
+        req.requester = _msgSender();
+        req.feeToken = feeToken;
+        req.fee = fee;
+        req.deadline = deadline;
+
+        _agentRequestIds[agentId].push(requestHash);
+        _validatorRequestIds[validatorAddress].push(requestHash);
+
+        emit ValidationRequested(requestHash, validatorAddress, agentId, requestURI);
+    }
+
+    // ============ TALLIES ============
+    function _tallyKey(uint256 agentId, address validator, string memory tag) internal pure returns (bytes32) {
+        return keccak256(abi.encode(agentId, validator, tag));
+    }
+
+    /// @dev Applies a score to the (validator, tag) tally and its all-validator / all-tag totals
+    function _updateTally(uint256 agentId, address validator, string memory tag, uint8 mode, uint8 score, bool add) internal {
+        _applyTally(_tallies[_tallyKey(agentId, validator, "")][mode], score, add);
+        _applyTally(_tallies[_tallyKey(agentId, address(0), "")][mode], score, add);
+        if (bytes(tag).length > 0) {
+            _applyTally(_tallies[_tallyKey(agentId, validator, tag)][mode], score, add);
+            _applyTally(_tallies[_tallyKey(agentId, address(0), tag)][mode], score, add);
+        }
+    }
+
+    function _applyTally(Tally storage t, uint8 score, bool add) private {
+        if (add) {
+            t.count += 1;
+            t.scoreSum += score;
+        } else {
+            t.count -= 1;
+            t.scoreSum -= score;
+        }
+    }
+
+    /// @dev Upgrades are restricted to the owner
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+
+    function _msgSender() internal view override(ContextUpgradeable, ERC2771Recipient) returns (address) {
+        return super._msgSender();
+    }
+
+    function _msgData() internal view override(ContextUpgradeable, ERC2771Recipient) returns (bytes calldata) {
+        return super._msgData();
     }
 }
@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title ValidationRegistry v1 storage
+/// @notice State of the erc-8004-agent-infrastructure ValidationRegistry, in its original order
+/// @dev Inherited right after OwnableUpgradeable; parents and variables added since v1 are laid out
+///      after it. v1 requests hold a single response, so they stay in `_requestsV1` until
+///      ValidationRegistry.migrateValidations moves them into the current format. Never reorder or insert.
+abstract contract ValidationRegistryStorageV1 {
+    /// @dev Validation request as stored by v1
+    struct ValidationRequestV1 {
+        address validatorAddress;
+        uint256 agentId;
+        string requestURI;
+        bytes32 requestHash;
+        uint8 response; // 0-100 score, valid once responded
+        string responseURI;
+        bytes32 responseHash;
+        string tag;
+        uint64 timestamp;
+        bool responded;
+    }
+
+    /// @dev Running response count and score sum
+    struct Tally {
+        uint64 count;
+        uint192 scoreSum;
+    }
+
+    /// @dev v1 requests not yet migrated, by requestHash
+    /// @custom:oz-renamed-from _requests
+    mapping(bytes32 => ValidationRequestV1) internal _requestsV1;
+
+    /// @dev Registered validators mapping
+    mapping(address => bool) public registeredValidators;
+
+    /// @dev Unused; v1 tallies. migrateValidations rebuilds the per-mode tallies from the requests.
+    /// @custom:oz-renamed-from _tallies
+    mapping(bytes32 => Tally) private __deprecatedTallies;
+}
@@ -0,0 +1,82 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC721/ERC721Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC721/extensions/ERC721URIStorageUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/ECDSAUpgradeable.sol";
+
+/// @title v1 IdentityRegistry (test only)
+/// @notice erc-8004-agent-infrastructure IdentityRegistry with the same storage layout
+///         (checked against storage-layouts/v1.json), used to test upgrading a v1 deployment
+contract IdentityRegistryV1 is ERC721Upgradeable, ERC721URIStorageUpgradeable, EIP712Upgradeable {
+    struct AgentWallet {
+        address wallet;
+        uint256 setTimestamp;
+    }
+
+    mapping(uint256 => AgentWallet) private _agentWallets;
+    mapping(uint256 => uint256) private _nonces;
+    address public erc6551Registry;
+
+    bytes32 public constant SET_WALLET_TYPEHASH = keccak256("SetAgentWallet(uint256 agentId,address wallet,uint256 nonce)");
+
+    event AgentRegistered(uint256 indexed agentId, address indexed tbaAddress);
+    event AgentWalletSet(uint256 indexed agentId, address indexed wallet, bytes signature);
+    event MetadataUpdated(uint256 indexed agentId, string metadataURI);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(address _erc6551Registry) public initializer {
+        __ERC721_init("AgentIdentity", "AID");
+        __ERC721URIStorage_init();
+        __EIP712_init("IdentityRegistry", "1");
+        erc6551Registry = _erc6551Registry;
+    }
+
+    function registerAgent(address tbaAddress) external {
+        require(tbaAddress != address(0), "IdentityRegistry: sender not a valid TBA");
+        uint256 agentId = uint256(keccak256(abi.encodePacked(tbaAddress, block.timestamp)));
+        _safeMint(tbaAddress, agentId);
+        emit AgentRegistered(agentId, tbaAddress);
+    }
+
+    function setAgentWallet(uint256 agentId, address wallet, bytes memory signature) external {
+        require(ownerOf(agentId) == msg.sender, "IdentityRegistry: not agent owner");
+        uint256 currentNonce = _nonces[agentId];
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(SET_WALLET_TYPEHASH, agentId, wallet, currentNonce)));
+        require(ECDSAUpgradeable.recover(digest, signature) == wallet, "IdentityRegistry: invalid signature");
+        _nonces[agentId] = currentNonce + 1;
+        _agentWallets[agentId] = AgentWallet(wallet, block.timestamp);
+        emit AgentWalletSet(agentId, wallet, signature);
+    }
+
+    function updateMetadata(uint256 agentId, string memory metadataURI) external {
+        require(ownerOf(agentId) == msg.sender, "IdentityRegistry: not agent owner");
+        _setTokenURI(agentId, metadataURI);
+        emit MetadataUpdated(agentId, metadataURI);
+    }
+
+    function getAgentWallet(uint256 agentId) external view returns (address) {
+        return _agentWallets[agentId].wallet;
+    }
+
+    function getNonce(uint256 agentId) external view returns (uint256) {
+        return _nonces[agentId];
+    }
+
+    function supportsInterface(bytes4 interfaceId) public view virtual override(ERC721Upgradeable, ERC721URIStorageUpgradeable) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+
+    function tokenURI(uint256 tokenId) public view virtual override(ERC721Upgradeable, ERC721URIStorageUpgradeable) returns (string memory) {
+        return super.tokenURI(tokenId);
+    }
+
+    function _burn(uint256 tokenId) internal virtual override(ERC721Upgradeable, ERC721URIStorageUpgradeable) {
+        super._burn(tokenId);
+    }
+}
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/interfaces/IERC1271Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/ECDSAUpgradeable.sol";
+
+/// @title Mock ERC-1271 Wallet (test only)
+/// @notice Contract account that accepts signatures made by its owner key, like a token-bound account
+contract MockERC1271Wallet is IERC1271Upgradeable {
+    address public immutable owner;
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    function isValidSignature(bytes32 hash, bytes memory signature) external view override returns (bytes4) {
+        (address signer, ECDSAUpgradeable.RecoverError error) = ECDSAUpgradeable.tryRecover(hash, signature);
+        if (error == ECDSAUpgradeable.RecoverError.NoError && signer == owner) {
+            return IERC1271Upgradeable.isValidSignature.selector;
+        }
+        return 0xffffffff;
+    }
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
+
+/// @title Mock ERC-20 (test only)
+/// @notice Freely mintable token for staking and fee tests
+contract MockERC20 is ERC20Upgradeable {
+    constructor() initializer {
+        __ERC20_init("Mock Token", "MOCK");
+    }
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
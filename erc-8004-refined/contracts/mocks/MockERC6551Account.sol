@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC721/IERC721Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC721/IERC721ReceiverUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/interfaces/IERC1271Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/ECDSAUpgradeable.sol";
+import "../IERC6551Account.sol";
+
+/// @title Mock ERC-6551 Account (test only)
+/// @notice Token-bound account that forwards calls from, and accepts signatures of, the current holder of its NFT
+contract MockERC6551Account is IERC6551Account, IERC721ReceiverUpgradeable, IERC1271Upgradeable {
+    uint256 private immutable _chainId;
+    address private immutable _tokenContract;
+    uint256 private immutable _tokenId;
+
+    constructor(uint256 chainId, address tokenContract, uint256 tokenId) {
+        _chainId = chainId;
+        _tokenContract = tokenContract;
+        _tokenId = tokenId;
+    }
+
+    receive() external payable {}
+
+    function token() external view returns (uint256, address, uint256) {
+        return (_chainId, _tokenContract, _tokenId);
+    }
+
+    function owner() public view returns (address) {
+        if (_chainId != block.chainid) return address(0);
+        return IERC721Upgradeable(_tokenContract).ownerOf(_tokenId);
+    }
+
+    /// @dev Bubbles up the callee's revert data
+    function executeCall(address to, uint256 value, bytes calldata data) external payable returns (bytes memory result) {
+        require(msg.sender == owner(), "Not token owner");
+        bool success;
+        (success, result) = to.call{value: value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+
+    function isValidSignature(bytes32 hash, bytes memory signature) external view returns (bytes4) {
+        (address signer, ECDSAUpgradeable.RecoverError error) = ECDSAUpgradeable.tryRecover(hash, signature);
+        if (error == ECDSAUpgradeable.RecoverError.NoError && signer != address(0) && signer == owner()) {
+            return IERC1271Upgradeable.isValidSignature.selector;
+        }
+        return 0xffffffff;
+    }
+
+    function onERC721Received(address, address, uint256, bytes calldata) external pure returns (bytes4) {
+        return IERC721ReceiverUpgradeable.onERC721Received.selector;
+    }
+}
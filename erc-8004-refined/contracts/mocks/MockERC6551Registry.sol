@@ -0,0 +1,56 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../IERC6551Registry.sol";
+import "./MockERC6551Account.sol";
+
+/// @title Mock ERC-6551 Registry (test only)
+/// @notice CREATE2 registry with the standard interface. Unlike the reference registry it deploys
+///         MockERC6551Account directly instead of a proxy; `implementation` only feeds the address.
+contract MockERC6551Registry is IERC6551Registry {
+    function createAccount(
+        address implementation,
+        bytes32 salt,
+        uint256 chainId,
+        address tokenContract,
+        uint256 tokenId
+    ) external returns (address) {
+        address predicted = account(implementation, salt, chainId, tokenContract, tokenId);
+        if (predicted.code.length > 0) return predicted;
+
+        bytes32 create2Salt = _create2Salt(implementation, salt, chainId, tokenContract, tokenId);
+        address deployed = address(new MockERC6551Account{salt: create2Salt}(chainId, tokenContract, tokenId));
+        emit ERC6551AccountCreated(deployed, implementation, salt, chainId, tokenContract, tokenId);
+        return deployed;
+    }
+
+    function account(
+        address implementation,
+        bytes32 salt,
+        uint256 chainId,
+        address tokenContract,
+        uint256 tokenId
+    ) public view returns (address) {
+        bytes32 initCodeHash = keccak256(abi.encodePacked(
+            type(MockERC6551Account).creationCode,
+            abi.encode(chainId, tokenContract, tokenId)
+        ));
+        bytes32 hash = keccak256(abi.encodePacked(
+            bytes1(0xff),
+            address(this),
+            _create2Salt(implementation, salt, chainId, tokenContract, tokenId),
+            initCodeHash
+        ));
+        return address(uint160(uint256(hash)));
+    }
+
+    function _create2Salt(
+        address implementation,
+        bytes32 salt,
+        uint256 chainId,
+        address tokenContract,
+        uint256 tokenId
+    ) internal pure returns (bytes32) {
+        return keccak256(abi.encode(implementation, salt, chainId, tokenContract, tokenId));
+    }
+}
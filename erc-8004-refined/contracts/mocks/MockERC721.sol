@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC721/ERC721Upgradeable.sol";
+
+/// @title Mock ERC-721 (test only)
+/// @notice Freely mintable NFT to bind token-bound accounts to
+contract MockERC721 is ERC721Upgradeable {
+    constructor() initializer {
+        __ERC721_init("Mock NFT", "MNFT");
+    }
+
+    function mint(address to, uint256 tokenId) external {
+        _mint(to, tokenId);
+    }
+}
@@ -0,0 +1,78 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+
+/// @title v1 ReputationRegistry (test only)
+/// @notice erc-8004-agent-infrastructure ReputationRegistry with the same storage layout
+///         (checked against storage-layouts/v1.json), used to test upgrading a v1 deployment
+contract ReputationRegistryV1 is OwnableUpgradeable {
+    struct Feedback {
+        int128 value;
+        uint8 valueDecimals;
+        string tag1;
+        string tag2;
+        string feedbackURI;
+        string responseURI;
+        bool revoked;
+        uint64 timestamp;
+    }
+
+    mapping(uint256 => mapping(address => Feedback[])) private _feedbacks;
+    address public stakeRegistry;
+    mapping(uint256 => mapping(address => uint256)) public stakeSnapshots;
+
+    event FeedbackGiven(uint256 indexed agentId, address indexed clientAddress, uint64 feedbackIndex, int128 value, string tag1, string tag2);
+    event FeedbackRevoked(uint256 indexed agentId, address indexed clientAddress, uint64 feedbackIndex);
+    event ResponseAppended(uint256 indexed agentId, address indexed clientAddress, uint64 feedbackIndex, string responseURI);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(address _stakeRegistry) public initializer {
+        __Ownable_init();
+        stakeRegistry = _stakeRegistry;
+    }
+
+    function giveFeedback(
+        uint256 agentId,
+        int128 value,
+        uint8 valueDecimals,
+        string memory tag1,
+        string memory tag2,
+        string memory feedbackURI
+    ) external {
+        Feedback[] storage clientFeedbacks = _feedbacks[agentId][msg.sender];
+        uint64 feedbackIndex = uint64(clientFeedbacks.length);
+        clientFeedbacks.push(Feedback({
+            value: value,
+            valueDecimals: valueDecimals,
+            tag1: tag1,
+            tag2: tag2,
+            feedbackURI: feedbackURI,
+            responseURI: "",
+            revoked: false,
+            timestamp: uint64(block.timestamp)
+        }));
+        emit FeedbackGiven(agentId, msg.sender, feedbackIndex, value, tag1, tag2);
+    }
+
+    function revokeFeedback(uint256 agentId, uint64 feedbackIndex) external {
+        Feedback storage feedback = _feedbacks[agentId][msg.sender][feedbackIndex];
+        require(!feedback.revoked, "ReputationRegistry: already revoked");
+        feedback.revoked = true;
+        emit FeedbackRevoked(agentId, msg.sender, feedbackIndex);
+    }
+
+    function appendResponse(uint256 agentId, address clientAddress, uint64 feedbackIndex, string memory responseURI) external {
+        require(msg.sender == clientAddress, "ReputationRegistry: only client can respond");
+        _feedbacks[agentId][clientAddress][feedbackIndex].responseURI = responseURI;
+        emit ResponseAppended(agentId, clientAddress, feedbackIndex, responseURI);
+    }
+
+    function readFeedback(uint256 agentId, address clientAddress, uint64 feedbackIndex) external view returns (Feedback memory) {
+        return _feedbacks[agentId][clientAddress][feedbackIndex];
+    }
+}
@@ -0,0 +1,52 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/IERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/utils/SafeERC20Upgradeable.sol";
+
+/// @title v1 StakeRegistry (test only)
+/// @notice erc-8004-agent-infrastructure StakeRegistry with the same storage layout
+///         (checked against storage-layouts/v1.json), used to test upgrading a v1 deployment
+contract StakeRegistryV1 is OwnableUpgradeable, ReentrancyGuardUpgradeable {
+    using SafeERC20Upgradeable for IERC20Upgradeable;
+
+    struct Stake {
+        uint256 amount;
+        uint256 lockUntil;
+        uint256 withdrawRequestTime;
+        bool slashed;
+    }
+
+    mapping(uint256 => mapping(address => Stake)) private _stakes;
+    IERC20Upgradeable public stakingToken;
+
+    uint256 public constant LOCK_DURATION = 7 days;
+
+    event Staked(uint256 indexed agentId, address indexed staker, uint256 amount);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(address _stakingToken) public initializer {
+        __Ownable_init();
+        __ReentrancyGuard_init();
+        stakingToken = IERC20Upgradeable(_stakingToken);
+    }
+
+    function stake(uint256 amount, uint256 agentId) external {
+        require(amount > 0, "StakeRegistry: amount must be > 0");
+        Stake storage s = _stakes[agentId][msg.sender];
+        s.amount += amount;
+        s.lockUntil = block.timestamp + LOCK_DURATION;
+        stakingToken.safeTransferFrom(msg.sender, address(this), amount);
+        emit Staked(agentId, msg.sender, amount);
+    }
+
+    function getStakeLockUntil(uint256 agentId, address staker) external view returns (uint256) {
+        return _stakes[agentId][staker].lockUntil;
+    }
+}
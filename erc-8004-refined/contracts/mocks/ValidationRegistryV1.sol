@@ -0,0 +1,76 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+
+/// @title v1 ValidationRegistry (test only)
+/// @notice erc-8004-agent-infrastructure ValidationRegistry with the same storage layout
+///         (checked against storage-layouts/v1.json), used to test upgrading a v1 deployment
+contract ValidationRegistryV1 is OwnableUpgradeable {
+    struct ValidationRequest {
+        address validatorAddress;
+        uint256 agentId;
+        string requestURI;
+        bytes32 requestHash;
+        uint8 response;
+        string responseURI;
+        bytes32 responseHash;
+        string tag;
+        uint64 timestamp;
+        bool responded;
+    }
+
+    struct Tally {
+        uint64 count;
+        uint192 scoreSum;
+    }
+
+    mapping(bytes32 => ValidationRequest) private _requests;
+    mapping(address => bool) public registeredValidators;
+    mapping(bytes32 => Tally) private _tallies;
+
+    event ValidationRequested(bytes32 indexed requestHash, address indexed validatorAddress, uint256 indexed agentId, string requestURI);
+    event ValidationResponded(bytes32 indexed requestHash, uint8 response, string responseURI, string tag);
+    event ValidatorSet(address indexed validator, bool registered);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize() public initializer {
+        __Ownable_init();
+    }
+
+    function setValidator(address validator, bool registered) external onlyOwner {
+        registeredValidators[validator] = registered;
+        emit ValidatorSet(validator, registered);
+    }
+
+    function validationRequest(address validatorAddress, uint256 agentId, string memory requestURI, bytes32 requestHash) external {
+        require(_requests[requestHash].validatorAddress == address(0), "ValidationRegistry: request already exists");
+        ValidationRequest storage req = _requests[requestHash];
+        req.validatorAddress = validatorAddress;
+        req.agentId = agentId;
+        req.requestURI = requestURI;
+        req.requestHash = requestHash;
+        req.timestamp = uint64(block.timestamp);
+        emit ValidationRequested(requestHash, validatorAddress, agentId, requestURI);
+    }
+
+    function validationResponse(bytes32 requestHash, uint8 response, string memory responseURI, bytes32 responseHash, string memory tag) external {
+        require(registeredValidators[msg.sender], "ValidationRegistry: not a validator");
+        ValidationRequest storage req = _requests[requestHash];
+        require(req.validatorAddress == msg.sender, "ValidationRegistry: not the validator");
+        require(!req.responded, "ValidationRegistry: already responded");
+        req.responded = true;
+        req.response = response;
+        req.responseURI = responseURI;
+        req.responseHash = responseHash;
+        req.tag = tag;
+        Tally storage t = _tallies[keccak256(abi.encode(req.agentId, msg.sender, tag))];
+        t.count += 1;
+        t.scoreSum += response;
+        emit ValidationResponded(requestHash, response, responseURI, tag);
+    }
+}
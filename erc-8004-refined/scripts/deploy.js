@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+// Deploy the four ERC-8004 registries behind UUPS proxies and wire them together.
+//
+//   DEPLOY_CONFIG=deploy.json npx hardhat run scripts/deploy.js --network localhost
+//
+// deploy.json:
+//   stakingToken        ERC-20 staked in StakeRegistry (required)
+//   erc6551Registry     ERC-6551 registry IdentityRegistry checks TBAs against (required)
+//   tbaImplementations  TBA implementations allowed to register agents
+//   trustedForwarder    ERC-2771 forwarder for the Identity, Reputation and Validation registries
+//   failureThreshold    score below which a validation failed, for slash proposals (default 50)
+//   minValidatorStake   stake for validator self-registration (default 0: owner registration only)
+//   owner               final owner of every registry (default: the deployer)
+//
+// Writes deployments/<network>.json: proxy addresses, startBlock and the storage layout of every
+// implementation, as read by scripts/upgrade.js (and, for the addresses, scripts/indexer.js).
+const fs = require("fs");
+const path = require("path");
+const { readLayout } = require("./storage-layout");
+
+/** Deployment keys of the registries, by contract name */
+const REGISTRIES = {
+  IdentityRegistry: "identityRegistry",
+  ReputationRegistry: "reputationRegistry",
+  ValidationRegistry: "validationRegistry",
+  StakeRegistry: "stakeRegistry",
+};
+
+/** Storage layout of every registry implementation in the current build */
+function currentLayouts(hre) {
+  const layouts = {};
+  for (const name of Object.keys(REGISTRIES)) layouts[name] = readLayout(hre.config.paths.artifacts, name);
+  return layouts;
+}
+
+async function proxy(hre, name, args) {
+  const factory = await hre.ethers.getContractFactory(name);
+  const contract = await hre.upgrades.deployProxy(factory, args, { kind: "uups" });
+  await contract.deployed();
+  return contract;
+}
+
+/**
+ * Deploy and wire the registries:
+ * StakeRegistry -> ReputationRegistry (stake weights), ERC-6551 registry -> IdentityRegistry (TBA checks),
+ * IdentityRegistry -> ReputationRegistry (feedback auth), ValidationRegistry <-> StakeRegistry (slashing,
+ * stake-gated validators).
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} config see the header of this file
+ * @returns {Promise<object>} deployment record
+ */
+async function deploy(hre, config) {
+  if (!config.stakingToken || !config.erc6551Registry) {
+    throw new Error("Deploy: stakingToken and erc6551Registry are required");
+  }
+  const { ethers } = hre;
+  const [deployer] = await ethers.getSigners();
+  const startBlock = await ethers.provider.getBlockNumber();
+
+  const stake = await proxy(hre, "StakeRegistry", [config.stakingToken]);
+  const identity = await proxy(hre, "IdentityRegistry", [config.erc6551Registry]);
+  const reputation = await proxy(hre, "ReputationRegistry", [stake.address, identity.address]);
+  const validation = await proxy(hre, "ValidationRegistry", []);
+
+  await (await stake.setValidationRegistry(validation.address, config.failureThreshold ?? 50)).wait();
+  if (config.minValidatorStake) {
+    await (await validation.setValidatorStakeConfig(stake.address, config.minValidatorStake)).wait();
+  }
+  for (const implementation of config.tbaImplementations || []) {
+    await (await identity.setImplementationAllowed(implementation, true)).wait();
+  }
+  if (config.trustedForwarder) {
+    for (const registry of [identity, reputation, validation]) {
+      await (await registry.setTrustedForwarder(config.trustedForwarder)).wait();
+    }
+  }
+  const owner = config.owner || deployer.address;
+  if (ethers.utils.getAddress(owner) !== deployer.address) {
+    for (const registry of [identity, reputation, validation, stake]) {
+      await (await registry.transferOwnership(owner)).wait();
+    }
+  }
+
+  return {
+    network: hre.network.name,
+    chainId: (await ethers.provider.getNetwork()).chainId,
+    version: 2,
+    startBlock,
+    owner,
+    identityRegistry: identity.address,
+    reputationRegistry: reputation.address,
+    validationRegistry: validation.address,
+    stakeRegistry: stake.address,
+    layouts: currentLayouts(hre),
+  };
+}
+
+function deploymentFile(hre) {
+  return path.join(hre.config.paths.root, "deployments", `${hre.network.name}.json`);
+}
+
+function writeDeployment(file, deployment) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(deployment, null, 2) + "\n");
+}
+
+async function main(env = process.env) {
+  const hre = require("hardhat");
+  if (!env.DEPLOY_CONFIG) throw new Error("DEPLOY_CONFIG is not set");
+  const config = JSON.parse(fs.readFileSync(env.DEPLOY_CONFIG, "utf8"));
+  const deployment = await deploy(hre, config);
+  const file = deploymentFile(hre);
+  writeDeployment(file, deployment);
+  for (const key of Object.values(REGISTRIES)) console.error(`deploy: ${key} ${deployment[key]}`);
+  console.error(`deploy: wrote ${file}`);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(`deploy: ${err.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  REGISTRIES,
+  currentLayouts,
+  deploy,
+  deploymentFile,
+  writeDeployment,
+  main,
+};
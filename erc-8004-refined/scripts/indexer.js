@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// Event indexer and agent-discovery API for the ERC-8004 registries.
+//
+//   node scripts/indexer.js sync  <addresses.json> <index.json>          index up to the head once
+//   node scripts/indexer.js serve <addresses.json> <index.json> [port]   follow the chain and serve:
+//       GET /status
+//       GET /agents?key=&value=          agents by metadata key (and value)
+//       GET /agents/:agentId
+//       GET /rankings?tag1=&tag2=        stake-weighted reputation ranking
+//       GET /validators/:address/pending open validation requests
+//
+// addresses.json: { "identityRegistry", "reputationRegistry", "validationRegistry", "stakeRegistry", "startBlock" }
+// index.json is a checkpoint; syncs since are appended to index.json.log next to it.
+// Environment: RPC_URL (default http://127.0.0.1:8545, a local Hardhat node), POLL_INTERVAL ms (default 2000),
+//              CONFIRMATIONS blocks to stay behind the head (default 0)
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { AgentIndex } = require("../../sdk/agent-index");
+const { Indexer, createServer } = require("../../sdk/indexer");
+
+function open(addressesFile, indexFile, env) {
+  const addresses = JSON.parse(fs.readFileSync(addressesFile, "utf8"));
+  const provider = new ethers.providers.JsonRpcProvider(env.RPC_URL || "http://127.0.0.1:8545");
+  const index = AgentIndex.load(indexFile, { startBlock: Number(addresses.startBlock || 0) });
+  return new Indexer(provider, addresses, index, { file: indexFile, confirmations: Number(env.CONFIRMATIONS || 0) });
+}
+
+async function main(argv, env = process.env) {
+  const [command, addressesFile, indexFile, port = "8547"] = argv;
+  switch (command) {
+    case "sync": {
+      const result = await open(addressesFile, indexFile, env).sync();
+      process.stdout.write(JSON.stringify(result, null, 2) + "\n");
+      return null;
+    }
+    case "serve": {
+      const indexer = open(addressesFile, indexFile, env);
+      indexer.start(Number(env.POLL_INTERVAL || 2000));
+      const server = createServer(indexer.index);
+      server.listen(Number(port), () => console.error(`indexer: serving on :${port}`));
+      return server;
+    }
+    default:
+      console.error("usage: indexer.js <sync|serve> <addresses.json> <index.json> [port]");
+      process.exitCode = 1;
+      return null;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error(`indexer: ${err.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { main };
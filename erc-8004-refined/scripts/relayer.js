@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+// Local meta-transaction relayer for AgentForwarder.
+//
+//   node scripts/relayer.js <forwarder> [port]      POST /relay {request, signature}, GET /nonce/:address
+//
+// Environment:
+//   RELAYER_PRIVATE_KEY  key of the account paying gas (required)
+//   RPC_URL              node to submit to (default http://127.0.0.1:8545, a local Hardhat node)
+//   ALLOWED_TARGETS      comma-separated registry addresses; empty relays to any target
+//   MAX_GAS              per-request gas cap (default 1000000)
+const { ethers } = require("ethers");
+const { Relayer, createServer, DEFAULT_MAX_GAS } = require("../../sdk/relayer");
+
+function main(argv, env = process.env) {
+  const [forwarder, port = "8546"] = argv;
+  if (!forwarder || !ethers.utils.isAddress(forwarder)) {
+    console.error("usage: relayer.js <forwarder> [port]");
+    process.exitCode = 1;
+    return null;
+  }
+  if (!env.RELAYER_PRIVATE_KEY) throw new Error("RELAYER_PRIVATE_KEY is not set");
+
+  const provider = new ethers.providers.JsonRpcProvider(env.RPC_URL || "http://127.0.0.1:8545");
+  const signer = new ethers.Wallet(env.RELAYER_PRIVATE_KEY, provider);
+  const relayer = new Relayer(signer, forwarder, {
+    allowedTargets: (env.ALLOWED_TARGETS || "").split(",").filter(Boolean),
+    maxGas: Number(env.MAX_GAS || DEFAULT_MAX_GAS),
+  });
+
+  const server = createServer(relayer);
+  server.listen(Number(port), () => console.error(`relayer: ${signer.address} relaying to ${forwarder} on :${port}`));
+  return server;
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2));
+  } catch (err) {
+    console.error(`relayer: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { main };
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+// Storage-layout snapshots and upgrade-safety diff for the ERC-8004 registries.
+//
+//   node scripts/storage-layout.js snapshot <artifactsDir> <out.json> <Contract>[=<Name>]...
+//       record the layouts of compiled contracts (stored under Name, default Contract)
+//   node scripts/storage-layout.js check <reference.json> <artifactsDir> [<Contract>[=<Name>]...]
+//       diff compiled contracts against a snapshot (default: every contract in it); exits 1 when
+//       an upgrade from the snapshot would be unsafe
+//
+// Layouts come from the solc `storageLayout` output in Hardhat's build-info, which the
+// @openzeppelin/hardhat-upgrades plugin enables. storage-layouts/v1.json is the layout of the
+// erc-8004-agent-infrastructure registries, regenerated from that suite with `npm run storage-layout:v1`
+// at the repository root; check it after every contract change:
+//   npx hardhat compile && node scripts/storage-layout.js check storage-layouts/v1.json artifacts
+const fs = require("fs");
+const path = require("path");
+
+// ============ LAYOUTS ============
+/**
+ * Name-independent description of a storage type: struct, enum and contract names are dropped,
+ * so a renamed struct with the same members compares equal.
+ */
+function describeType(types, id) {
+  const t = types[id];
+  let label = t.label;
+  if (t.members) label = "struct";
+  else if (t.encoding === "mapping") label = "mapping";
+  else if (t.encoding === "dynamic_array") label = "array";
+  else if (t.base) label = `array[${/\[(\d+)\]$/.exec(t.label)[1]}]`;
+  else if (label.startsWith("contract ")) label = "address";
+  else if (label.startsWith("enum ")) label = "enum";
+
+  const type = { label, bytes: Number(t.numberOfBytes) };
+  if (t.encoding === "mapping") {
+    type.key = describeType(types, t.key);
+    type.value = describeType(types, t.value);
+  } else if (t.base) {
+    type.base = describeType(types, t.base);
+  } else if (t.members) {
+    type.members = t.members.map((m) => ({
+      label: m.label,
+      slot: Number(m.slot),
+      offset: m.offset,
+      type: describeType(types, m.type),
+    }));
+  }
+  return type;
+}
+
+/**
+ * Normalize a solc storageLayout to `[{label, slot, offset, type}]`, in slot order. Variables
+ * annotated `@custom:oz-renamed-from <old>` also carry `renamedFrom`.
+ * @param {{storage: object[], types: object}} storageLayout
+ * @param {Map<number, string>} [renames] previous label by AST id of the variable (see renamesOf)
+ */
+function normalizeLayout(storageLayout, renames = new Map()) {
+  return storageLayout.storage.map((s) => {
+    const variable = {
+      label: s.label,
+      slot: Number(s.slot),
+      offset: s.offset,
+      type: describeType(storageLayout.types, s.type),
+    };
+    if (renames.has(s.astId)) variable.renamedFrom = renames.get(s.astId);
+    return variable;
+  });
+}
+
+/** `@custom:oz-renamed-from` annotations of the state variables in a build's ASTs, by AST id. */
+function renamesOf(sources) {
+  const renames = new Map();
+  const walk = (node) => {
+    if (node.nodeType === "VariableDeclaration" && node.stateVariable && node.documentation) {
+      const match = /@custom:oz-renamed-from\s+(\w+)/.exec(node.documentation.text);
+      if (match) renames.set(node.id, match[1]);
+    }
+    for (const value of Object.values(node)) {
+      if (value && typeof value === "object") walk(value);
+    }
+  };
+  for (const source of Object.values(sources)) walk(source.ast);
+  return renames;
+}
+
+/** Find `<artifactsDir>/**\/<contract>.json` (or the artifact of a fully qualified `source:Contract`). */
+function findArtifact(artifactsDir, contract) {
+  if (contract.includes(":")) {
+    const [source, name] = contract.split(":");
+    return path.join(artifactsDir, source, `${name}.json`);
+  }
+  const matches = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory() && entry.name !== "build-info") walk(file);
+      else if (entry.name === `${contract}.json`) matches.push(file);
+    }
+  };
+  walk(artifactsDir);
+  if (matches.length !== 1) {
+    throw new Error(`StorageLayout: ${matches.length ? "ambiguous" : "no"} artifact for ${contract}; use source:Contract`);
+  }
+  return matches[0];
+}
+
+/**
+ * Normalized layout of a compiled contract, read through its Hardhat debug file and build-info.
+ * @param {string} artifactsDir Hardhat artifacts directory
+ * @param {string} contract Contract name or fully qualified `source:Contract`
+ */
+function readLayout(artifactsDir, contract) {
+  const artifactFile = findArtifact(artifactsDir, contract);
+  const { sourceName, contractName } = JSON.parse(fs.readFileSync(artifactFile, "utf8"));
+  const dbgFile = artifactFile.replace(/\.json$/, ".dbg.json");
+  const { buildInfo } = JSON.parse(fs.readFileSync(dbgFile, "utf8"));
+  const info = JSON.parse(fs.readFileSync(path.resolve(path.dirname(dbgFile), buildInfo), "utf8"));
+  const storageLayout = info.output.contracts[sourceName][contractName].storageLayout;
+  if (!storageLayout) {
+    throw new Error(`StorageLayout: no storage layout for ${contract}; compile with @openzeppelin/hardhat-upgrades loaded`);
+  }
+  return normalizeLayout(storageLayout, renamesOf(info.output.sources));
+}
+
+// ============ DIFF ============
+/**
+ * Why `next` cannot take the place of `prev` in storage, or null if it can.
+ * @param {boolean} growable whether a struct may gain members at its end (mapping values only)
+ */
+function compareTypes(prev, next, growable) {
+  if (prev.label !== next.label) return `type changed from ${prev.label} to ${next.label}`;
+  if (prev.label === "mapping") {
+    return compareTypes(prev.key, next.key, false) || compareTypes(prev.value, next.value, true);
+  }
+  if (prev.base) {
+    const problem = compareTypes(prev.base, next.base, false);
+    return problem && `array element: ${problem}`;
+  }
+  if (prev.members) {
+    if (next.members.length < prev.members.length) return "struct lost members";
+    if (!growable && next.bytes !== prev.bytes) return `struct size changed from ${prev.bytes} to ${next.bytes} bytes`;
+    for (let i = 0; i < prev.members.length; i++) {
+      const [a, b] = [prev.members[i], next.members[i]];
+      if (a.slot !== b.slot || a.offset !== b.offset) return `struct member ${a.label} moved`;
+      const problem = compareTypes(a.type, b.type, false);
+      if (problem) return `struct member ${a.label}: ${problem}`;
+    }
+    return null;
+  }
+  if (prev.bytes !== next.bytes) return `size changed from ${prev.bytes} to ${next.bytes} bytes`;
+  return null;
+}
+
+/**
+ * Diff a deployed layout against a new one. Every variable of `reference` must still be at the same
+ * slot and offset with a compatible type; new variables may only use storage the reference left free.
+ * A different name in a variable's place is an error, as it usually means variables were reordered,
+ * unless the new variable is annotated `@custom:oz-renamed-from <old name>`; those renames are reported.
+ * @returns {{errors: string[], renamed: string[]}}
+ */
+function diffLayouts(reference, current) {
+  const errors = [];
+  const renamed = [];
+  for (const prev of reference) {
+    const next = current.find((v) => v.slot === prev.slot && v.offset === prev.offset);
+    if (!next) {
+      errors.push(`${prev.label} (slot ${prev.slot}) was moved or removed`);
+      continue;
+    }
+    const problem = compareTypes(prev.type, next.type, false);
+    if (problem) errors.push(`${prev.label} (slot ${prev.slot}): ${problem}`);
+    else if (next.label !== prev.label && next.renamedFrom === prev.label) {
+      renamed.push(`${prev.label} -> ${next.label} (slot ${prev.slot})`);
+    } else if (next.label !== prev.label) {
+      errors.push(`${prev.label} (slot ${prev.slot}): replaced by ${next.label}; annotate a rename with @custom:oz-renamed-from`);
+    }
+  }
+  return { errors, renamed };
+}
+
+// ============ SNAPSHOTS ============
+/** Write layouts keyed by contract name, one variable per line. */
+function writeSnapshot(file, layouts) {
+  const body = Object.entries(layouts)
+    .map(([name, layout]) => `  ${JSON.stringify(name)}: [\n${layout.map((v) => `    ${JSON.stringify(v)}`).join(",\n")}\n  ]`)
+    .join(",\n");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `{\n${body}\n}\n`);
+}
+
+function readSnapshot(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/** "Contract=Name" -> [contract, name] */
+function parseTarget(arg) {
+  const [contract, name = contract.split(":").pop()] = arg.split("=");
+  return [contract, name];
+}
+
+function main(argv) {
+  const [command, ...args] = argv;
+  switch (command) {
+    case "snapshot": {
+      const [artifactsDir, out, ...targets] = args;
+      const layouts = {};
+      for (const [contract, name] of targets.map(parseTarget)) layouts[name] = readLayout(artifactsDir, contract);
+      writeSnapshot(out, layouts);
+      console.error(`storage-layout: wrote ${Object.keys(layouts).join(", ")} to ${out}`);
+      return true;
+    }
+    case "check": {
+      const [referenceFile, artifactsDir, ...targets] = args;
+      const reference = readSnapshot(referenceFile);
+      const pairs = targets.length ? targets.map(parseTarget) : Object.keys(reference).map((name) => [name, name]);
+      let safe = true;
+      for (const [contract, name] of pairs) {
+        if (!reference[name]) throw new Error(`StorageLayout: ${name} not in ${referenceFile}`);
+        const { errors, renamed } = diffLayouts(reference[name], readLayout(artifactsDir, contract));
+        for (const r of renamed) console.error(`storage-layout: ${contract}: renamed ${r}`);
+        for (const e of errors) console.error(`storage-layout: ${contract}: ${e}`);
+        console.error(`storage-layout: ${contract}: ${errors.length ? "UNSAFE" : "ok"}`);
+        if (errors.length) safe = false;
+      }
+      if (!safe) process.exitCode = 1;
+      return safe;
+    }
+    default:
+      console.error("usage: storage-layout.js <snapshot|check> ...");
+      process.exitCode = 1;
+      return false;
+  }
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2));
+  } catch (err) {
+    console.error(`storage-layout: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  normalizeLayout,
+  readLayout,
+  diffLayouts,
+  writeSnapshot,
+  readSnapshot,
+  main,
+};
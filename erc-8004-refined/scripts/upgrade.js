@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+// Upgrade the registry proxies of a deployment to the contracts in this build.
+//
+//   DEPLOYMENT=deployments/localhost.json npx hardhat run scripts/upgrade.js --network localhost
+//
+// Every registry's new storage layout is diffed (scripts/storage-layout.js) against the layout recorded
+// in the deployment file; nothing is sent if any diff is unsafe. The file is rewritten with the new layouts.
+//
+// An erc-8004-agent-infrastructure deployment is upgraded from v1: write its file by hand as
+//   { "version": 1, "identityRegistry", "reputationRegistry", "validationRegistry", "stakeRegistry",
+//     "startBlock", "owner" }
+// Its layouts are storage-layouts/v1.json. Each proxy is upgraded through its ProxyAdmin with initializeV2
+// in the same transaction (IdentityRegistry gets `owner`, default the caller, as its first owner). Stakes,
+// feedback and validation requests are then found from the v1 events since startBlock and moved with
+// migrateStakes, migrateFeedback and migrateValidations. The caller must own the ProxyAdmin and the
+// v1 Reputation, Validation and Stake registries. The proxies stay transparent proxies, so later upgrades
+// still go through the ProxyAdmin.
+const fs = require("fs");
+const path = require("path");
+const { diffLayouts, readSnapshot } = require("./storage-layout");
+const { REGISTRIES, currentLayouts, writeDeployment } = require("./deploy");
+
+const V1_LAYOUTS = path.join(__dirname, "..", "storage-layouts", "v1.json");
+
+/** v1 events that locate the state to migrate */
+const V1_EVENTS = {
+  stakeRegistry: "event Staked(uint256 indexed agentId, address indexed staker, uint256 amount)",
+  reputationRegistry:
+    "event FeedbackGiven(uint256 indexed agentId, address indexed clientAddress, uint64 feedbackIndex, int128 value, string tag1, string tag2)",
+  validationRegistry:
+    "event ValidationRequested(bytes32 indexed requestHash, address indexed validatorAddress, uint256 indexed agentId, string requestURI)",
+};
+
+/** Entries per migration transaction */
+const MIGRATION_BATCH = 50;
+
+/** Throw unless every registry can be upgraded from `reference` to `layouts` */
+function checkLayouts(reference, layouts) {
+  const problems = [];
+  for (const name of Object.keys(REGISTRIES)) {
+    if (!reference || !reference[name]) {
+      problems.push(`${name}: no recorded layout`);
+      continue;
+    }
+    problems.push(...diffLayouts(reference[name], layouts[name]).errors.map((e) => `${name}: ${e}`));
+  }
+  if (problems.length) throw new Error(`Upgrade: unsafe storage layout\n  ${problems.join("\n  ")}`);
+}
+
+function chunks(items, size = MIGRATION_BATCH) {
+  const out = [];
+  for (let i = 0; i < items.length; i += size) out.push(items.slice(i, i + size));
+  return out;
+}
+
+/** Events of `contract` matching `filter` in [fromBlock, toBlock], `batchSize` blocks per query */
+async function queryEvents(contract, filter, fromBlock, toBlock, batchSize) {
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += batchSize) {
+    events.push(...(await contract.queryFilter(filter, start, Math.min(start + batchSize - 1, toBlock))));
+  }
+  return events;
+}
+
+/**
+ * Move v1 stakes, feedback and validation requests into the v2 format after the upgrade.
+ * Each step skips what is already migrated, so an interrupted migration can be run again.
+ * @returns {Promise<{stakes: number, feedback: number, validations: number}>} pairs / requests found
+ */
+async function migrateV1(hre, deployment, { batchSize = 10000 } = {}) {
+  const { ethers } = hre;
+  const fromBlock = Number(deployment.startBlock || 0);
+  const toBlock = await ethers.provider.getBlockNumber();
+  const v1Events = async (key) => {
+    const contract = new ethers.Contract(deployment[key], [V1_EVENTS[key]], ethers.provider);
+    const [name] = Object.keys(contract.filters);
+    return queryEvents(contract, contract.filters[name](), fromBlock, toBlock, batchSize);
+  };
+
+  const stakes = new Map();
+  for (const { args } of await v1Events("stakeRegistry")) {
+    stakes.set(`${args.agentId}:${args.staker}`, [args.agentId, args.staker]);
+  }
+  const stake = await ethers.getContractAt("StakeRegistry", deployment.stakeRegistry);
+  for (const batch of chunks([...stakes.values()])) {
+    await (await stake.migrateStakes(batch.map(([agentId]) => agentId), batch.map(([, staker]) => staker))).wait();
+  }
+
+  const clients = new Map();
+  for (const { args } of await v1Events("reputationRegistry")) {
+    const key = args.agentId.toString();
+    if (!clients.has(key)) clients.set(key, new Set());
+    clients.get(key).add(args.clientAddress);
+  }
+  const reputation = await ethers.getContractAt("ReputationRegistry", deployment.reputationRegistry);
+  let feedback = 0;
+  for (const [agentId, set] of clients) {
+    feedback += set.size;
+    for (const batch of chunks([...set])) {
+      await (await reputation.migrateFeedback(agentId, batch)).wait();
+    }
+  }
+
+  const requests = [...new Set((await v1Events("validationRegistry")).map((e) => e.args.requestHash))];
+  const validation = await ethers.getContractAt("ValidationRegistry", deployment.validationRegistry);
+  for (const batch of chunks(requests)) {
+    await (await validation.migrateValidations(batch)).wait();
+  }
+
+  return { stakes: stakes.size, feedback, validations: requests.length };
+}
+
+/**
+ * Upgrade every registry proxy of `deployment` after checking its storage layout.
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} deployment deployment record (deployments/<network>.json), version 1 or 2
+ * @param {{batchSize?: number}} [options] blocks per event query when migrating from v1
+ * @returns {Promise<{deployment: object, migrated: object|null}>} the updated record and, from v1,
+ *   what migrateV1 moved
+ */
+async function upgrade(hre, deployment, { batchSize } = {}) {
+  const fromV1 = deployment.version === 1;
+  const layouts = currentLayouts(hre);
+  checkLayouts(fromV1 ? readSnapshot(V1_LAYOUTS) : deployment.layouts, layouts);
+
+  const [caller] = await hre.ethers.getSigners();
+  const owner = deployment.owner || caller.address;
+  const initializeV2 = {
+    IdentityRegistry: [owner],
+    ReputationRegistry: [deployment.identityRegistry],
+    ValidationRegistry: [],
+    StakeRegistry: [],
+  };
+  for (const [name, key] of Object.entries(REGISTRIES)) {
+    const factory = await hre.ethers.getContractFactory(name);
+    // The plugin has no record of v1 implementations; their layouts were checked above
+    const options = fromV1
+      ? { kind: "transparent", call: { fn: "initializeV2", args: initializeV2[name] }, unsafeSkipStorageCheck: true }
+      : {};
+    const contract = await hre.upgrades.upgradeProxy(deployment[key], factory, options);
+    await contract.deployed();
+  }
+
+  const migrated = fromV1 ? await migrateV1(hre, deployment, { batchSize }) : null;
+  return { deployment: { ...deployment, version: 2, owner, layouts }, migrated };
+}
+
+async function main(env = process.env) {
+  const hre = require("hardhat");
+  if (!env.DEPLOYMENT) throw new Error("DEPLOYMENT is not set");
+  const { deployment, migrated } = await upgrade(hre, JSON.parse(fs.readFileSync(env.DEPLOYMENT, "utf8")));
+  writeDeployment(env.DEPLOYMENT, deployment);
+  if (migrated) {
+    console.error(`upgrade: migrated ${migrated.stakes} stakes, feedback of ${migrated.feedback} clients, ${migrated.validations} requests`);
+  }
+  console.error(`upgrade: wrote ${env.DEPLOYMENT}`);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(`upgrade: ${err.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  V1_LAYOUTS,
+  checkLayouts,
+  migrateV1,
+  upgrade,
+  main,
+};
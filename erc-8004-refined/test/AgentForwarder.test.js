@@ -0,0 +1,313 @@
+const http = require("http");
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const signing = require("../../sdk/signing");
+const { Relayer, createServer, buildForwardRequest, MAX_BODY_BYTES } = require("../../sdk/relayer");
+
+describe("AgentForwarder", function () {
+  let forwarder;
+  let relayer;
+  let identityRegistry;
+  let reputationRegistry;
+  let validationRegistry;
+  let tba;
+  let owner;
+  let relayerSigner;
+  let agentHolder;
+  let agentWallet;
+  let outsider;
+  let agentId;
+  let chainId;
+  let forwardDomain;
+  // Accounts without ETH, signing off-chain only
+  const validator = ethers.Wallet.createRandom();
+  const client = ethers.Wallet.createRandom();
+
+  async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  // Signed ForwardRequest calling `method` on `target` as `from`; `signer` signs for `from`
+  async function forwardRequest(signer, from, target, method, args) {
+    const request = await buildForwardRequest(forwarder, {
+      from,
+      to: target.address,
+      data: target.interface.encodeFunctionData(method, args),
+      gas: 500000,
+      deadline: (await latestTimestamp()) + 3600,
+    });
+    const signature = await signing.signForwardRequest(signer, forwardDomain, request);
+    return { request, signature };
+  }
+
+  async function validationRequest(label) {
+    const requestHash = ethers.utils.id(label);
+    await validationRegistry.validationRequest(validator.address, agentId, "ipfs://request", requestHash);
+    return requestHash;
+  }
+
+  function appendResponse(requestHash, score, from = validator.address, signer = validator) {
+    return forwardRequest(signer, from, validationRegistry, "appendResponse", [
+      requestHash,
+      score,
+      "ipfs://response",
+      ethers.constants.HashZero,
+      "",
+    ]);
+  }
+
+  beforeEach(async function () {
+    [owner, relayerSigner, agentHolder, agentWallet, outsider] = await ethers.getSigners();
+    ({ chainId } = await ethers.provider.getNetwork());
+
+    // Agent identity: NFT held by agentHolder -> TBA -> IdentityRegistry, with agentWallet bound
+    const Registry6551 = await ethers.getContractFactory("MockERC6551Registry");
+    const registry6551 = await Registry6551.deploy();
+    const NFT = await ethers.getContractFactory("MockERC721");
+    const nft = await NFT.deploy();
+    await nft.mint(agentHolder.address, 1);
+
+    const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
+    identityRegistry = await upgrades.deployProxy(IdentityRegistry, [registry6551.address]);
+    await identityRegistry.deployed();
+    const implementation = "0x55266d75D1a14E4572138116aF39863Ed6596E7F";
+    await identityRegistry.setImplementationAllowed(implementation, true);
+    await registry6551.createAccount(implementation, ethers.constants.HashZero, chainId, nft.address, 1);
+    tba = await ethers.getContractAt(
+      "MockERC6551Account",
+      await registry6551.account(implementation, ethers.constants.HashZero, chainId, nft.address, 1)
+    );
+    const data = await identityRegistry.prepareAgentRegistration(implementation, ethers.constants.HashZero);
+    await tba.connect(agentHolder).executeCall(identityRegistry.address, 0, data);
+    agentId = await identityRegistry.agentIdOf(tba.address);
+
+    const walletDomain = signing.identityRegistryDomain(chainId, identityRegistry.address);
+    const walletSig = await signing.signSetAgentWallet(agentWallet, walletDomain, { agentId, wallet: agentWallet.address, nonce: 0 });
+    await tba.connect(agentHolder).executeCall(
+      identityRegistry.address,
+      0,
+      identityRegistry.interface.encodeFunctionData("setAgentWallet", [agentId, agentWallet.address, walletSig])
+    );
+
+    const Token = await ethers.getContractFactory("MockERC20");
+    const token = await Token.deploy();
+    const StakeRegistry = await ethers.getContractFactory("StakeRegistry");
+    const stakeRegistry = await upgrades.deployProxy(StakeRegistry, [token.address]);
+    await stakeRegistry.deployed();
+
+    const ReputationRegistry = await ethers.getContractFactory("ReputationRegistry");
+    reputationRegistry = await upgrades.deployProxy(ReputationRegistry, [stakeRegistry.address, identityRegistry.address]);
+    await reputationRegistry.deployed();
+
+    const ValidationRegistry = await ethers.getContractFactory("ValidationRegistry");
+    validationRegistry = await upgrades.deployProxy(ValidationRegistry, []);
+    await validationRegistry.deployed();
+    await validationRegistry.setValidator(validator.address, true);
+
+    const AgentForwarder = await ethers.getContractFactory("AgentForwarder");
+    forwarder = await AgentForwarder.deploy();
+    await forwarder.deployed();
+    forwardDomain = signing.forwarderDomain(chainId, forwarder.address);
+    for (const registry of [identityRegistry, reputationRegistry, validationRegistry]) {
+      await registry.setTrustedForwarder(forwarder.address);
+    }
+
+    relayer = new Relayer(relayerSigner, forwarder.address, {
+      allowedTargets: [identityRegistry.address, reputationRegistry.address, validationRegistry.address],
+    });
+  });
+
+  describe("Relaying", function () {
+    it("relays a validator response from an account without ETH", async function () {
+      const requestHash = await validationRequest("gasless");
+      const { request, signature } = await appendResponse(requestHash, 80);
+      await relayer.relay(request, signature);
+
+      expect(await ethers.provider.getBalance(validator.address)).to.equal(0);
+      const [count, avg] = await validationRegistry.getSummary(agentId, [validator.address], "", false, false);
+      expect(count).to.equal(1);
+      expect(avg).to.equal(80);
+      expect(await forwarder.getNonce(validator.address)).to.equal(1);
+    });
+
+    it("relays giveFeedback with the signer as the client", async function () {
+      const domain = signing.reputationRegistryDomain(chainId, reputationRegistry.address);
+      const auth = await signing.signFeedbackAuth(agentWallet, domain, {
+        agentId,
+        clientAddress: client.address,
+        indexLimit: 1,
+        expiry: (await latestTimestamp()) + 3600,
+      });
+      const { request, signature } = await forwardRequest(client, client.address, reputationRegistry, "giveFeedback", [
+        agentId, 90, 0, "quality", "latency", "https://agent.example/api", "ipfs://feedback", ethers.constants.HashZero, auth,
+      ]);
+      await relayer.relay(request, signature);
+
+      expect(await reputationRegistry.getFeedbackCount(agentId, client.address)).to.equal(1);
+      expect(await reputationRegistry.getFeedbackCount(agentId, relayerSigner.address)).to.equal(0);
+    });
+
+    it("relays for token-bound accounts signing via ERC-1271", async function () {
+      const { request, signature } = await forwardRequest(agentHolder, tba.address, identityRegistry, "setMetadata", [
+        agentId,
+        "endpoint",
+        "https://agent.example",
+      ]);
+      await expect(forwarder.connect(relayerSigner).execute(request, signature))
+        .to.emit(forwarder, "Executed")
+        .withArgs(tba.address, identityRegistry.address, 0, relayerSigner.address);
+      expect(await identityRegistry.getMetadata(agentId, "endpoint")).to.equal("https://agent.example");
+    });
+
+    it("surfaces the target's revert reason", async function () {
+      const { request, signature } = await forwardRequest(client, client.address, identityRegistry, "setMetadata", [agentId, "k", "v"]);
+      await expect(forwarder.execute(request, signature)).to.be.revertedWith("IdentityRegistry: caller is not owner");
+      expect(await forwarder.getNonce(client.address)).to.equal(0);
+    });
+  });
+
+  describe("Replay and Spoofing", function () {
+    it("rejects a replayed request", async function () {
+      const { request, signature } = await appendResponse(await validationRequest("replay"), 50);
+      await relayer.relay(request, signature);
+
+      await expect(relayer.relay(request, signature)).to.be.rejectedWith("Relayer: invalid signature, nonce or deadline");
+      await expect(forwarder.execute(request, signature)).to.be.revertedWith("AgentForwarder: invalid request");
+    });
+
+    it("rejects forged and expired requests", async function () {
+      const requestHash = await validationRequest("forged");
+      const forged = await appendResponse(requestHash, 100, validator.address, client);
+      await expect(forwarder.execute(forged.request, forged.signature)).to.be.revertedWith("AgentForwarder: invalid request");
+
+      const { request, signature } = await appendResponse(requestHash, 100);
+      const expired = { ...request, deadline: (await latestTimestamp()) - 1 };
+      const expiredSig = await signing.signForwardRequest(validator, forwardDomain, expired);
+      await expect(forwarder.execute(expired, expiredSig)).to.be.revertedWith("AgentForwarder: invalid request");
+      await expect(forwarder.execute({ ...request, value: 1 }, signature)).to.be.revertedWith("AgentForwarder: invalid request");
+    });
+
+    it("ignores a sender appended by an untrusted caller", async function () {
+      const requestHash = await validationRequest("spoof");
+      const data = validationRegistry.interface.encodeFunctionData("appendResponse", [
+        requestHash, 0, "", ethers.constants.HashZero, "",
+      ]);
+      await expect(outsider.sendTransaction({ to: validationRegistry.address, data: data + validator.address.slice(2) }))
+        .to.be.revertedWith("ValidationRegistry: not a validator");
+    });
+
+    it("an untrusted forwarder acts as itself", async function () {
+      const AgentForwarder = await ethers.getContractFactory("AgentForwarder");
+      const rogue = await AgentForwarder.deploy();
+      const requestHash = await validationRequest("rogue");
+      const request = {
+        from: validator.address,
+        to: validationRegistry.address,
+        value: 0,
+        gas: 500000,
+        nonce: 0,
+        deadline: (await latestTimestamp()) + 3600,
+        data: validationRegistry.interface.encodeFunctionData("appendResponse", [requestHash, 0, "", ethers.constants.HashZero, ""]),
+      };
+      const domain = signing.forwarderDomain(chainId, rogue.address);
+      const signature = await signing.signForwardRequest(validator, domain, request);
+      await expect(rogue.execute(request, signature)).to.be.revertedWith("ValidationRegistry: not a validator");
+    });
+
+    it("stops trusting a forwarder once it is unset", async function () {
+      const { request, signature } = await appendResponse(await validationRequest("unset"), 50);
+      await validationRegistry.setTrustedForwarder(ethers.constants.AddressZero);
+      expect(await validationRegistry.isTrustedForwarder(forwarder.address)).to.equal(false);
+      await expect(forwarder.execute(request, signature)).to.be.revertedWith("ValidationRegistry: not a validator");
+    });
+
+    it("only the owner sets the forwarder", async function () {
+      await expect(identityRegistry.connect(outsider).setTrustedForwarder(outsider.address))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(reputationRegistry.setTrustedForwarder(outsider.address))
+        .to.emit(reputationRegistry, "TrustedForwarderUpdated")
+        .withArgs(outsider.address);
+      expect(await reputationRegistry.trustedForwarder()).to.equal(outsider.address);
+    });
+  });
+
+  describe("Relayer", function () {
+    it("matches the on-chain typehash", async function () {
+      expect(await forwarder.FORWARD_REQUEST_TYPEHASH()).to.equal(signing.FORWARD_REQUEST_TYPEHASH);
+    });
+
+    it("refuses disallowed targets, ETH value, high gas and reverting calls", async function () {
+      const requestHash = await validationRequest("checks");
+      const balance = await relayerSigner.getBalance();
+
+      const other = await forwardRequest(validator, validator.address, forwarder, "getNonce", [validator.address]);
+      await expect(relayer.relay(other.request, other.signature)).to.be.rejectedWith("Relayer: target not allowed");
+
+      const { request, signature } = await appendResponse(requestHash, 50);
+      await expect(relayer.relay({ ...request, value: 1 }, signature)).to.be.rejectedWith("Relayer: value not supported");
+      await expect(relayer.relay({ ...request, gas: 2000000 }, signature)).to.be.rejectedWith("Relayer: gas above limit");
+
+      const late = await appendResponse(requestHash, 101);
+      await expect(relayer.relay(late.request, late.signature)).to.be.rejectedWith(/response out of range/);
+      expect(await relayerSigner.getBalance()).to.equal(balance);
+    });
+
+    it("serves POST /relay and GET /nonce over HTTP", async function () {
+      const server = createServer(relayer);
+      await new Promise((resolve) => server.listen(0, resolve));
+      const { port } = server.address();
+      const call = (method, path, body) =>
+        new Promise((resolve, reject) => {
+          const req = http.request({ host: "127.0.0.1", port, method, path }, (res) => {
+            let data = "";
+            res.on("data", (chunk) => (data += chunk));
+            res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+          });
+          req.on("error", reject);
+          req.end(body && JSON.stringify(body));
+        });
+
+      try {
+        const { request, signature } = await appendResponse(await validationRequest("http"), 70);
+        const json = JSON.parse(JSON.stringify({ request, signature }));
+        const relayed = await call("POST", "/relay", json);
+        expect(relayed.status).to.equal(200);
+        expect((await ethers.provider.getTransaction(relayed.body.txHash)).from).to.equal(relayerSigner.address);
+
+        const replayed = await call("POST", "/relay", json);
+        expect(replayed.status).to.equal(400);
+        expect(replayed.body.error).to.equal("Relayer: invalid signature, nonce or deadline");
+        expect((await call("GET", `/nonce/${validator.address}`)).body).to.deep.equal({ nonce: "1" });
+        expect((await call("POST", "/relay", { request })).status).to.equal(400);
+        expect((await call("GET", "/relay")).status).to.equal(405);
+        expect(await call("POST", "/relay", { request, signature, padding: "x".repeat(MAX_BODY_BYTES) })).to.deep.equal({
+          status: 413,
+          body: { error: "request body too large" },
+        });
+      } finally {
+        server.close();
+      }
+    });
+
+    it("rejects a streamed body once it passes the size cap", async function () {
+      const server = createServer(relayer, { maxBodyBytes: 1024 });
+      await new Promise((resolve) => server.listen(0, resolve));
+      try {
+        const response = await new Promise((resolve, reject) => {
+          // No Content-Length: the body arrives chunked and is only counted as it streams in
+          const req = http.request({ host: "127.0.0.1", port: server.address().port, method: "POST", path: "/relay" }, (res) => {
+            let data = "";
+            res.on("data", (chunk) => (data += chunk));
+            res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+          });
+          req.on("error", reject);
+          req.write("x".repeat(1000));
+          req.end("x".repeat(1000));
+        });
+        expect(response).to.deep.equal({ status: 413, body: { error: "request body too large" } });
+      } finally {
+        server.close();
+      }
+    });
+  });
+});
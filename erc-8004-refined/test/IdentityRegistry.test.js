@@ -0,0 +1,206 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const signing = require("../../sdk/signing");
+
+describe("IdentityRegistry", function () {
+  let identityRegistry;
+  let erc6551Registry;
+  let nft;
+  let tba;
+  let owner;
+  let wallet;
+  let other;
+  let agentId;
+  let chainId;
+  let domain;
+  // Stand-in for a TBA implementation address; the mock registry only uses it to derive accounts
+  const implementation = "0x55266d75D1a14E4572138116aF39863Ed6596E7F";
+  const salt = ethers.constants.HashZero;
+  const nftTokenId = 7;
+
+  async function createAccount(tokenId, impl = implementation) {
+    await erc6551Registry.createAccount(impl, salt, chainId, nft.address, tokenId);
+    const address = await erc6551Registry.account(impl, salt, chainId, nft.address, tokenId);
+    return ethers.getContractAt("MockERC6551Account", address);
+  }
+
+  // Calls the identity registry from the TBA, as the NFT holder would
+  function viaTBA(account, signer, fn, args) {
+    const data = identityRegistry.interface.encodeFunctionData(fn, args);
+    return account.connect(signer).executeCall(identityRegistry.address, 0, data);
+  }
+
+  async function register(account, signer, impl = implementation) {
+    const data = await identityRegistry.prepareAgentRegistration(impl, salt);
+    return account.connect(signer).executeCall(identityRegistry.address, 0, data);
+  }
+
+  beforeEach(async function () {
+    [owner, wallet, other] = await ethers.getSigners();
+    ({ chainId } = await ethers.provider.getNetwork());
+
+    const Registry = await ethers.getContractFactory("MockERC6551Registry");
+    erc6551Registry = await Registry.deploy();
+    await erc6551Registry.deployed();
+
+    const NFT = await ethers.getContractFactory("MockERC721");
+    nft = await NFT.deploy();
+    await nft.deployed();
+    await nft.mint(owner.address, nftTokenId);
+
+    const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
+    identityRegistry = await upgrades.deployProxy(IdentityRegistry, [erc6551Registry.address]);
+    await identityRegistry.deployed();
+    await identityRegistry.setImplementationAllowed(implementation, true);
+
+    tba = await createAccount(nftTokenId);
+    const receipt = await (await register(tba, owner)).wait();
+    const registered = receipt.logs
+      .filter((log) => log.address === identityRegistry.address)
+      .map((log) => identityRegistry.interface.parseLog(log))
+      .find((e) => e.name === "AgentRegistered");
+    agentId = registered.args.agentId;
+
+    domain = signing.identityRegistryDomain(chainId, identityRegistry.address);
+  });
+
+  describe("ERC-6551 Registration", function () {
+    it("prepareAgentRegistration -> executeCall -> registerAgent mints to the TBA and records the NFT", async function () {
+      expect(await identityRegistry.ownerOf(agentId)).to.equal(tba.address);
+      expect(await identityRegistry.agentIdOf(tba.address)).to.equal(agentId);
+
+      const bound = await identityRegistry.getBoundToken(agentId);
+      expect(bound.chainId).to.equal(chainId);
+      expect(bound.tokenContract).to.equal(nft.address);
+      expect(bound.tokenId).to.equal(nftTokenId);
+    });
+
+    it("registerAgent: emits AgentRegistered and AgentBound", async function () {
+      await nft.mint(owner.address, 8);
+      const account = await createAccount(8);
+
+      const tx = await register(account, owner);
+      await expect(tx).to.emit(identityRegistry, "AgentRegistered");
+      const newAgentId = await identityRegistry.agentIdOf(account.address);
+      await expect(tx).to.emit(identityRegistry, "AgentBound").withArgs(newAgentId, chainId, nft.address, 8);
+    });
+
+    it("registerAgent: direct call from an EOA reverts", async function () {
+      await expect(identityRegistry.connect(other).registerAgent(implementation, salt))
+        .to.be.revertedWith("IdentityRegistry: sender not a valid TBA");
+    });
+
+    it("registerAgent: contract not derived by the registry reverts", async function () {
+      // Same NFT, but deployed outside the registry: token() matches, address does not
+      const Account = await ethers.getContractFactory("MockERC6551Account");
+      const rogue = await Account.deploy(chainId, nft.address, nftTokenId);
+      await rogue.deployed();
+
+      await expect(register(rogue, owner)).to.be.revertedWith("IdentityRegistry: sender not a valid TBA");
+    });
+
+    it("registerAgent: implementation not on the allowlist reverts", async function () {
+      await nft.mint(owner.address, 8);
+      const other6551 = "0x000000000000000000000000000000000000dEaD";
+      const account = await createAccount(8, other6551);
+
+      await expect(register(account, owner, other6551))
+        .to.be.revertedWith("IdentityRegistry: implementation not allowed");
+
+      await expect(identityRegistry.setImplementationAllowed(other6551, true))
+        .to.emit(identityRegistry, "ImplementationAllowed")
+        .withArgs(other6551, true);
+      await expect(register(account, owner, other6551)).to.emit(identityRegistry, "AgentRegistered");
+    });
+
+    it("registerAgent: a TBA registers only once", async function () {
+      await expect(register(tba, owner)).to.be.revertedWith("IdentityRegistry: already registered");
+    });
+
+    it("executeCall: only the NFT holder can drive the TBA", async function () {
+      await expect(register(tba, other)).to.be.revertedWith("Not token owner");
+    });
+
+    it("setImplementationAllowed: owner only", async function () {
+      await expect(identityRegistry.connect(other).setImplementationAllowed(implementation, false))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
+  describe("EIP-712 Agent Wallet", function () {
+    it("SDK SetAgentWallet type matches on-chain SET_WALLET_TYPEHASH", async function () {
+      expect(await identityRegistry.SET_WALLET_TYPEHASH()).to.equal(signing.SET_WALLET_TYPEHASH);
+    });
+
+    it("SDK domain matches on-chain EIP-712 domain", async function () {
+      const onChain = await identityRegistry.eip712Domain();
+      expect(onChain.name).to.equal(domain.name);
+      expect(onChain.version).to.equal(domain.version);
+      expect(onChain.chainId).to.equal(domain.chainId);
+      expect(onChain.verifyingContract).to.equal(domain.verifyingContract);
+    });
+
+    it("setAgentWallet: SDK signature is accepted and nonce increments", async function () {
+      const message = { agentId, wallet: wallet.address, nonce: await identityRegistry.getNonce(agentId) };
+      const signature = await signing.signSetAgentWallet(wallet, domain, message);
+      expect(await signing.verifySetAgentWallet(ethers.provider, domain, message, signature)).to.be.true;
+
+      await expect(viaTBA(tba, owner, "setAgentWallet", [agentId, wallet.address, signature]))
+        .to.emit(identityRegistry, "AgentWalletSet")
+        .withArgs(agentId, wallet.address, signature);
+      expect(await identityRegistry.getAgentWallet(agentId)).to.equal(wallet.address);
+      expect(await identityRegistry.getNonce(agentId)).to.equal(1);
+    });
+
+    it("setAgentWallet: replayed signature reverts", async function () {
+      const message = { agentId, wallet: wallet.address, nonce: 0 };
+      const signature = await signing.signSetAgentWallet(wallet, domain, message);
+      await viaTBA(tba, owner, "setAgentWallet", [agentId, wallet.address, signature]);
+
+      await expect(viaTBA(tba, owner, "setAgentWallet", [agentId, wallet.address, signature]))
+        .to.be.revertedWith("IdentityRegistry: invalid signature");
+    });
+
+    it("setAgentWallet: signature from another key reverts", async function () {
+      const message = { agentId, wallet: wallet.address, nonce: 0 };
+      const signature = await signing.signSetAgentWallet(other, domain, message);
+      expect(await signing.verifySetAgentWallet(ethers.provider, domain, message, signature)).to.be.false;
+
+      await expect(viaTBA(tba, owner, "setAgentWallet", [agentId, wallet.address, signature]))
+        .to.be.revertedWith("IdentityRegistry: invalid signature");
+    });
+  });
+
+  describe("ERC-1271 Agent Wallet", function () {
+    let account;
+
+    beforeEach(async function () {
+      // Contract wallet controlled by the `wallet` key, standing in for a token-bound account
+      const Wallet = await ethers.getContractFactory("MockERC1271Wallet");
+      account = await Wallet.deploy(wallet.address);
+      await account.deployed();
+    });
+
+    it("setAgentWallet: accepts a contract wallet signature via isValidSignature", async function () {
+      const message = { agentId, wallet: account.address, nonce: 0 };
+      const signature = await signing.signSetAgentWallet(wallet, domain, message);
+      const digest = signing.typedDataDigest(domain, signing.SET_AGENT_WALLET_TYPES, message);
+      expect(await signing.isValidSignatureNow(ethers.provider, account.address, digest, signature)).to.be.true;
+      expect(await signing.verifySetAgentWallet(ethers.provider, domain, message, signature)).to.be.true;
+
+      await expect(viaTBA(tba, owner, "setAgentWallet", [agentId, account.address, signature]))
+        .to.emit(identityRegistry, "AgentWalletSet")
+        .withArgs(agentId, account.address, signature);
+      expect(await identityRegistry.getAgentWallet(agentId)).to.equal(account.address);
+    });
+
+    it("setAgentWallet: rejects a signature the contract wallet does not validate", async function () {
+      const message = { agentId, wallet: account.address, nonce: 0 };
+      const signature = await signing.signSetAgentWallet(other, domain, message);
+      expect(await signing.verifySetAgentWallet(ethers.provider, domain, message, signature)).to.be.false;
+
+      await expect(viaTBA(tba, owner, "setAgentWallet", [agentId, account.address, signature]))
+        .to.be.revertedWith("IdentityRegistry: invalid signature");
+    });
+  });
+});
@@ -0,0 +1,388 @@
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const signing = require("../../sdk/signing");
+const { AgentIndex } = require("../../sdk/agent-index");
+const { Indexer, createServer } = require("../../sdk/indexer");
+
+describe("Indexer", function () {
+  let identityRegistry;
+  let reputationRegistry;
+  let validationRegistry;
+  let stakeRegistry;
+  let token;
+  let indexer;
+  let owner;
+  let agentHolder;
+  let alice;
+  let bob;
+  let v1;
+  let v2;
+  let chainId;
+  let agents;
+  let nextRequest = 0;
+  const implementation = "0x55266d75D1a14E4572138116aF39863Ed6596E7F";
+  const units = (x) => ethers.utils.parseUnits(String(x), 18);
+
+  async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  // Agent behind a TBA of NFT `tokenId` held by agentHolder
+  async function registerAgent(nft, registry6551, tokenId) {
+    await nft.mint(agentHolder.address, tokenId);
+    await registry6551.createAccount(implementation, ethers.constants.HashZero, chainId, nft.address, tokenId);
+    const tba = await ethers.getContractAt(
+      "MockERC6551Account",
+      await registry6551.account(implementation, ethers.constants.HashZero, chainId, nft.address, tokenId)
+    );
+    const data = await identityRegistry.prepareAgentRegistration(implementation, ethers.constants.HashZero);
+    await tba.connect(agentHolder).executeCall(identityRegistry.address, 0, data);
+    return { tba, agentId: (await identityRegistry.agentIdOf(tba.address)).toString() };
+  }
+
+  function setMetadata(agent, key, value) {
+    return agent.tba
+      .connect(agentHolder)
+      .executeCall(identityRegistry.address, 0, identityRegistry.interface.encodeFunctionData("setMetadata", [agent.agentId, key, value]));
+  }
+
+  async function stake(client, agent, amount) {
+    await token.connect(client).approve(stakeRegistry.address, amount);
+    return stakeRegistry.connect(client).stake(amount, agent.agentId);
+  }
+
+  // FeedbackAuth signed for the agent's TBA by its holder (ERC-1271)
+  async function feedback(client, agent, value, tag1 = "quality") {
+    const domain = signing.reputationRegistryDomain(chainId, reputationRegistry.address);
+    const count = await reputationRegistry.getFeedbackCount(agent.agentId, client.address);
+    const auth = await signing.signFeedbackAuth(agentHolder, domain, {
+      agentId: agent.agentId,
+      clientAddress: client.address,
+      indexLimit: count.add(1),
+      expiry: (await latestTimestamp()) + 3600,
+      signerAddress: agent.tba.address,
+    });
+    return reputationRegistry
+      .connect(client)
+      .giveFeedback(agent.agentId, value, 0, tag1, "", "", "", ethers.constants.HashZero, auth);
+  }
+
+  async function validationRequest(validator, agent) {
+    const requestHash = ethers.utils.id(`request-${nextRequest++}`);
+    await validationRegistry.validationRequest(validator.address, agent.agentId, "ipfs://request", requestHash);
+    return requestHash;
+  }
+
+  beforeEach(async function () {
+    [owner, agentHolder, alice, bob, v1, v2] = await ethers.getSigners();
+    ({ chainId } = await ethers.provider.getNetwork());
+    const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+    const Registry6551 = await ethers.getContractFactory("MockERC6551Registry");
+    const registry6551 = await Registry6551.deploy();
+    const NFT = await ethers.getContractFactory("MockERC721");
+    const nft = await NFT.deploy();
+
+    const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
+    identityRegistry = await upgrades.deployProxy(IdentityRegistry, [registry6551.address]);
+    await identityRegistry.deployed();
+    await identityRegistry.setImplementationAllowed(implementation, true);
+
+    const Token = await ethers.getContractFactory("MockERC20");
+    token = await Token.deploy();
+    await token.mint(alice.address, 1000);
+    await token.mint(bob.address, 1000);
+    const StakeRegistry = await ethers.getContractFactory("StakeRegistry");
+    stakeRegistry = await upgrades.deployProxy(StakeRegistry, [token.address]);
+    await stakeRegistry.deployed();
+
+    const ReputationRegistry = await ethers.getContractFactory("ReputationRegistry");
+    reputationRegistry = await upgrades.deployProxy(ReputationRegistry, [stakeRegistry.address, identityRegistry.address]);
+    await reputationRegistry.deployed();
+
+    const ValidationRegistry = await ethers.getContractFactory("ValidationRegistry");
+    validationRegistry = await upgrades.deployProxy(ValidationRegistry, []);
+    await validationRegistry.deployed();
+    await validationRegistry.setValidator(v1.address, true);
+    await validationRegistry.setValidator(v2.address, true);
+
+    agents = [
+      await registerAgent(nft, registry6551, 1),
+      await registerAgent(nft, registry6551, 2),
+    ];
+    await setMetadata(agents[0], "skill", "translation");
+    await setMetadata(agents[1], "skill", "summarization");
+    await setMetadata(agents[1], "region", "eu");
+
+    indexer = new Indexer(
+      ethers.provider,
+      {
+        identityRegistry: identityRegistry.address,
+        reputationRegistry: reputationRegistry.address,
+        validationRegistry: validationRegistry.address,
+        stakeRegistry: stakeRegistry.address,
+      },
+      new AgentIndex({ startBlock }),
+      { batchSize: 5 }
+    );
+  });
+
+  describe("Agents", function () {
+    it("indexes registrations and searches by metadata", async function () {
+      await indexer.sync();
+      const index = indexer.index;
+
+      expect(index.searchAgents({ key: "skill", value: "translation" }).map((a) => a.agentId)).to.deep.equal([agents[0].agentId]);
+      expect(index.searchAgents({ key: "skill" })).to.have.length(2);
+      expect(index.searchAgents({ key: "region" }).map((a) => a.agentId)).to.deep.equal([agents[1].agentId]);
+      expect(index.searchAgents({ key: "skill", value: "unknown" })).to.deep.equal([]);
+
+      const agent = index.getAgent(agents[1].agentId);
+      expect(agent.tba).to.equal(agents[1].tba.address);
+      expect(agent.owner).to.equal(agents[1].tba.address);
+      expect(agent.metadata).to.deep.equal({ skill: "summarization", region: "eu" });
+      expect(agent.boundToken.tokenId).to.equal("2");
+    });
+
+    it("follows metadata changes across syncs", async function () {
+      await indexer.sync();
+      await setMetadata(agents[0], "skill", "summarization");
+      const { events } = await indexer.sync();
+
+      expect(events).to.equal(1);
+      expect(indexer.index.searchAgents({ key: "skill", value: "summarization" })).to.have.length(2);
+    });
+  });
+
+  describe("Reputation", function () {
+    it("ranks agents by stake-weighted reputation per tag, matching getGlobalScore", async function () {
+      await stake(alice, agents[0], 300);
+      await stake(bob, agents[0], 100);
+      await stake(alice, agents[1], 100);
+      await feedback(alice, agents[0], 90);
+      await feedback(bob, agents[0], 10);
+      await feedback(alice, agents[1], 60);
+      await feedback(bob, agents[1], 100, "speed");
+      await indexer.sync();
+
+      const ranking = indexer.index.rankAgents({ tag1: "quality" });
+      expect(ranking.map((r) => r.agentId)).to.deep.equal([agents[0].agentId, agents[1].agentId]);
+      expect(ranking[0]).to.include({ count: 2, average: "50.0", weightedAverage: "70.0", totalWeight: "400" });
+
+      const [count, average, weightedAverage] = await reputationRegistry.getGlobalScore(agents[0].agentId, "quality", "");
+      expect(count).to.equal(ranking[0].count);
+      expect(average).to.equal(units(ranking[0].average));
+      expect(weightedAverage).to.equal(units(ranking[0].weightedAverage));
+
+      const speed = indexer.index.rankAgents({ tag1: "speed" });
+      expect(speed).to.deep.equal([{ agentId: agents[1].agentId, count: 1, average: "100.0", weightedAverage: null, totalWeight: "0" }]);
+    });
+
+    it("drops revoked feedback and ignores stake added after the feedback", async function () {
+      await stake(alice, agents[0], 100);
+      await feedback(alice, agents[0], 20);
+      await feedback(bob, agents[0], 80);
+      await stake(bob, agents[0], 900);
+      await indexer.sync();
+      expect(indexer.index.rankAgents({ tag1: "quality" })[0]).to.include({ weightedAverage: "20.0", totalWeight: "100" });
+
+      await reputationRegistry.connect(alice).revokeFeedback(agents[0].agentId, 0);
+      await indexer.sync();
+      expect(indexer.index.rankAgents({ tag1: "quality" })[0]).to.include({ count: 1, average: "80.0", weightedAverage: null });
+      expect(indexer.index.getAgent(agents[0].agentId).totalStake).to.equal("1000");
+    });
+  });
+
+  describe("Validations", function () {
+    it("lists pending requests per validator", async function () {
+      const open = await validationRequest(v1, agents[0]);
+      const done = await validationRequest(v1, agents[1]);
+      await validationRequest(v2, agents[0]);
+      await validationRegistry.connect(v1).appendResponse(open, 40, "", ethers.constants.HashZero, "");
+      await validationRegistry.connect(v1).appendResponse(done, 90, "", ethers.constants.HashZero, "");
+      await validationRegistry.connect(v1).completeValidation(done);
+      await indexer.sync();
+
+      const pending = indexer.index.pendingValidations(v1.address, await latestTimestamp());
+      expect(pending.map((p) => p.requestHash)).to.deep.equal([open]);
+      expect(pending[0]).to.include({ agentId: agents[0].agentId, status: "pending", overdue: false });
+      expect(pending[0].responses).to.deep.equal([{ response: 40, responseURI: "", tag: "" }]);
+      expect(pending[0].deadline).to.equal((await validationRegistry.getValidationStatus(open)).deadline.toNumber());
+      expect(indexer.index.pendingValidations(v2.address)).to.have.length(1);
+
+      expect(indexer.index.pendingValidations(v1.address, pending[0].deadline + 1)[0].overdue).to.equal(true);
+      await ethers.provider.send("evm_increaseTime", [8 * 24 * 60 * 60]);
+      await validationRegistry.expireValidation(open);
+      await indexer.sync();
+      expect(indexer.index.pendingValidations(v1.address)).to.deep.equal([]);
+    });
+  });
+
+  describe("Reorgs", function () {
+    it("rolls back orphaned blocks and indexes the new fork", async function () {
+      await indexer.sync();
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+      await setMetadata(agents[0], "skill", "orphaned");
+      await feedback(alice, agents[0], 10);
+      await indexer.sync();
+      expect(indexer.index.searchAgents({ key: "skill", value: "orphaned" })).to.have.length(1);
+
+      await ethers.provider.send("evm_revert", [snapshot]);
+      await ethers.provider.send("evm_mine", []);
+      await setMetadata(agents[0], "region", "us");
+      await ethers.provider.send("evm_mine", []);
+      const result = await indexer.sync();
+
+      expect(result.reorged).to.equal(2);
+      expect(indexer.index.searchAgents({ key: "skill", value: "orphaned" })).to.deep.equal([]);
+      expect(indexer.index.getAgent(agents[0].agentId).metadata).to.deep.equal({ skill: "translation", region: "us" });
+      expect(indexer.index.rankAgents()).to.deep.equal([]);
+      expect(indexer.index.status()).to.include({
+        cursor: await ethers.provider.getBlockNumber(),
+        blockHash: (await ethers.provider.getBlock("latest")).hash,
+      });
+    });
+
+    it("handles a fork shorter than the indexed chain", async function () {
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+      await setMetadata(agents[1], "region", "orphaned");
+      await ethers.provider.send("evm_mine", []);
+      await indexer.sync();
+
+      await ethers.provider.send("evm_revert", [snapshot]);
+      const result = await indexer.sync();
+      expect(result.reorged).to.equal(1);
+      expect(result.to).to.equal(await ethers.provider.getBlockNumber());
+      expect(indexer.index.getAgent(agents[1].agentId).metadata.region).to.equal("eu");
+    });
+  });
+
+  describe("Snapshots", function () {
+    // One MetadataSet per block, committed the way Indexer does
+    function commitBlocks(index, from, to, value = (n) => String(n)) {
+      for (let n = from; n <= to; n++) {
+        const event = { contract: "identityRegistry", name: "MetadataSet", args: { agentId: "7", key: "block", value: value(n) }, blockNumber: n, logIndex: 0 };
+        index.commit([event], [{ number: n, hash: ethers.utils.id(`${n}:${value(n)}`) }]);
+      }
+    }
+
+    it("rolls back from the latest snapshot instead of replaying every event", function () {
+      const index = new AgentIndex({ startBlock: 1, reorgDepth: 4, snapshotInterval: 8 });
+      commitBlocks(index, 1, 40);
+      expect(index.status().events).to.equal(40);
+      expect(index.events.map((e) => e.blockNumber)).to.deep.equal([33, 34, 35, 36, 37, 38, 39, 40]);
+
+      let applied = 0;
+      const apply = index._apply.bind(index);
+      index._apply = (event) => {
+        applied++;
+        apply(event);
+      };
+      expect(index.rollback(37)).to.equal(3);
+      expect(applied).to.equal(5);
+      expect(index.getAgent("7").metadata).to.deep.equal({ block: "37" });
+      expect(index.status()).to.include({ cursor: 37, events: 37 });
+
+      // Older than every kept snapshot: start over
+      expect(index.rollback(20)).to.equal(37);
+      expect(index.status()).to.include({ cursor: 0, events: 0 });
+      expect(index.getAgent("7")).to.equal(null);
+    });
+
+    it("appends syncs to a log and rewrites the checkpoint only once its snapshot is pruned", function () {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "agent-index-")), "index.json");
+      const log = `${file}.log`;
+      const index = new AgentIndex({ startBlock: 1, reorgDepth: 4, snapshotInterval: 8 });
+      const reloaded = () => {
+        const copy = AgentIndex.load(file);
+        expect(copy.status()).to.deep.equal(index.status());
+        expect(copy.getAgent("7")).to.deep.equal(index.getAgent("7"));
+        expect(copy.events).to.deep.equal(index.events);
+        return copy;
+      };
+
+      commitBlocks(index, 1, 10);
+      index.save(file);
+      const checkpoint = fs.readFileSync(file, "utf8");
+      expect(fs.existsSync(log)).to.equal(false);
+
+      commitBlocks(index, 11, 12);
+      index.save(file);
+      index.rollback(11);
+      commitBlocks(index, 12, 12, (n) => `fork ${n}`);
+      index.save(file);
+      expect(fs.readFileSync(file, "utf8")).to.equal(checkpoint);
+      expect(fs.readFileSync(log, "utf8").trim().split("\n")).to.have.length(4);
+      reloaded();
+
+      commitBlocks(index, 13, 20);
+      index.save(file);
+      expect(fs.existsSync(log)).to.equal(false);
+      reloaded();
+
+      // A line cut short by a crash is ignored, and the next save starts a new checkpoint
+      commitBlocks(index, 21, 21);
+      index.save(file);
+      fs.appendFileSync(log, '{"commit":{"events":[');
+      const copy = reloaded();
+      copy.save(file);
+      expect(fs.existsSync(log)).to.equal(false);
+      reloaded();
+      fs.rmSync(path.dirname(file), { recursive: true });
+    });
+  });
+
+  describe("Persistence and API", function () {
+    it("saves the index to a file and reloads it", async function () {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "agent-index-")), "index.json");
+      indexer.file = file;
+      await feedback(alice, agents[1], 70);
+      await indexer.sync();
+
+      const reloaded = AgentIndex.load(file);
+      expect(reloaded.status()).to.deep.equal(indexer.index.status());
+      expect(reloaded.searchAgents({ key: "skill" })).to.deep.equal(indexer.index.searchAgents({ key: "skill" }));
+      expect(reloaded.rankAgents()).to.deep.equal(indexer.index.rankAgents());
+      fs.rmSync(path.dirname(file), { recursive: true });
+    });
+
+    it("serves search, rankings and pending validations over HTTP", async function () {
+      await feedback(alice, agents[1], 70);
+      const requestHash = await validationRequest(v2, agents[1]);
+      await indexer.sync();
+
+      const server = createServer(indexer.index);
+      await new Promise((resolve) => server.listen(0, resolve));
+      const { port } = server.address();
+      const call = (method, urlPath) =>
+        new Promise((resolve, reject) => {
+          const req = http.request({ host: "127.0.0.1", port, method, path: urlPath }, (res) => {
+            let data = "";
+            res.on("data", (chunk) => (data += chunk));
+            res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+          });
+          req.on("error", reject);
+          req.end();
+        });
+
+      try {
+        const search = await call("GET", "/agents?key=skill&value=summarization");
+        expect(search.body.map((a) => a.agentId)).to.deep.equal([agents[1].agentId]);
+        expect((await call("GET", `/agents/${agents[0].agentId}`)).body.metadata).to.deep.equal({ skill: "translation" });
+        expect((await call("GET", "/agents/1")).status).to.equal(404);
+        expect((await call("GET", "/rankings?tag1=quality")).body[0]).to.include({ agentId: agents[1].agentId, average: "70.0" });
+        expect((await call("GET", `/validators/${v2.address}/pending`)).body.map((p) => p.requestHash)).to.deep.equal([requestHash]);
+        expect((await call("GET", "/validators/0x1234/pending")).status).to.equal(400);
+        expect((await call("GET", "/agents?limit=-1")).status).to.equal(400);
+        expect((await call("GET", "/status")).body.cursor).to.equal(indexer.index.cursor);
+        expect((await call("POST", "/status")).status).to.equal(405);
+      } finally {
+        server.close();
+      }
+    });
+  });
+});
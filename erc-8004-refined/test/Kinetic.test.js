@@ -0,0 +1,258 @@
+const { execFile } = require("child_process");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { deploy } = require("../scripts/deploy");
+
+const { ethers, network } = hre;
+const KINETIC = path.join(__dirname, "..", "..", "sdk", "kinetic.js");
+
+/** JSON-RPC endpoint for the in-process Hardhat network, so the CLI can run as its own process */
+function serveNetwork() {
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", async () => {
+      const { id, method, params } = JSON.parse(body);
+      let reply;
+      try {
+        reply = { jsonrpc: "2.0", id, result: await network.provider.send(method, params) };
+      } catch (err) {
+        reply = { jsonrpc: "2.0", id, error: { code: err.code || -32603, message: err.message, data: err.data } };
+      }
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(reply));
+    });
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+describe("kinetic CLI (erc-8004 registries)", function () {
+  this.timeout(120000);
+
+  let server;
+  let dir;
+  let env;
+  let keys;
+  let holder;
+  let client;
+  let validator;
+  let wallet;
+  let identity;
+  let validation;
+  let stake;
+  let tba;
+  let agentId;
+  const implementation = "0x55266d75D1a14E4572138116aF39863Ed6596E7F";
+  const units = (x) => ethers.utils.parseUnits(String(x), 18);
+
+  // Run the CLI with --json as Hardhat account `account` (null: no PRIVATE_KEY)
+  function kinetic(account, ...args) {
+    const childEnv = { ...env };
+    if (account !== null) childEnv.PRIVATE_KEY = keys[account];
+    return new Promise((resolve) => {
+      execFile(process.execPath, [KINETIC, "--json", ...args], { env: childEnv }, (err, stdout, stderr) => {
+        resolve({ code: err ? err.code : 0, output: stdout ? JSON.parse(stdout) : null, stderr });
+      });
+    });
+  }
+
+  async function ok(account, ...args) {
+    const { code, output, stderr } = await kinetic(account, ...args);
+    expect(code, stderr || JSON.stringify(output)).to.equal(0);
+    return output;
+  }
+
+  async function fails(account, ...args) {
+    const { code, output } = await kinetic(account, ...args);
+    expect(code).to.equal(1);
+    return output.error;
+  }
+
+  const eventNames = (result) => result.events.map((e) => e.name);
+
+  async function increaseTime(seconds) {
+    await network.provider.send("evm_increaseTime", [seconds]);
+    await network.provider.send("evm_mine", []);
+  }
+
+  before(async function () {
+    let owner;
+    [owner, holder, client, validator, wallet] = await ethers.getSigners();
+    const { mnemonic, path: hdPath } = network.config.accounts;
+    keys = [owner, holder, client, validator, wallet].map((_, i) => ethers.Wallet.fromMnemonic(mnemonic, `${hdPath}/${i}`).privateKey);
+    expect(new ethers.Wallet(keys[4]).address).to.equal(wallet.address);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const token = await (await ethers.getContractFactory("MockERC20")).deploy();
+    const registry6551 = await (await ethers.getContractFactory("MockERC6551Registry")).deploy();
+    const nft = await (await ethers.getContractFactory("MockERC721")).deploy();
+    await token.mint(client.address, units(100));
+    await nft.mint(holder.address, 1);
+    await registry6551.createAccount(implementation, ethers.constants.HashZero, chainId, nft.address, 1);
+    tba = await registry6551.account(implementation, ethers.constants.HashZero, chainId, nft.address, 1);
+
+    // The deployment record is the CLI config
+    const deployment = await deploy(hre, {
+      stakingToken: token.address,
+      erc6551Registry: registry6551.address,
+      tbaImplementations: [implementation],
+    });
+    identity = await ethers.getContractAt("IdentityRegistry", deployment.identityRegistry);
+    validation = await ethers.getContractAt("ValidationRegistry", deployment.validationRegistry);
+    stake = await ethers.getContractAt("StakeRegistry", deployment.stakeRegistry);
+    await validation.setValidator(validator.address, true);
+
+    server = await serveNetwork();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "kinetic-"));
+    fs.writeFileSync(path.join(dir, "deployment.json"), JSON.stringify(deployment));
+    env = { ...process.env, KINETIC_CONFIG: path.join(dir, "deployment.json"), RPC_URL: `http://127.0.0.1:${server.address().port}` };
+    delete env.PRIVATE_KEY;
+
+    agentId = (await ok(1, "identity", "register", tba, implementation)).agentId;
+  });
+
+  after(async function () {
+    if (server) await new Promise((resolve) => server.close(resolve));
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("identity", function () {
+    it("registers a token-bound account as an agent", async function () {
+      expect(agentId).to.equal((await identity.agentIdOf(tba)).toString());
+      expect(await identity.ownerOf(agentId)).to.equal(tba);
+
+      const error = await fails(1, "identity", "register", tba, implementation);
+      expect(error).to.equal("IdentityRegistry: already registered");
+    });
+
+    it("binds a wallet with the EIP-712 flow, sets metadata and unsets the wallet", async function () {
+      const signed = await ok(4, "identity", "sign-wallet", agentId);
+      expect(signed).to.include({ agentId, wallet: wallet.address, nonce: "0" });
+
+      const result = await ok(1, "identity", "set-wallet", agentId, wallet.address, "--signature", signed.signature);
+      expect(eventNames(result)).to.deep.equal(["AgentWalletSet"]);
+      expect(await identity.getAgentWallet(agentId)).to.equal(wallet.address);
+
+      await ok(1, "identity", "set-metadata", agentId, "skill", "translation");
+      const shown = await ok(null, "identity", "show", agentId, "--key", "skill");
+      expect(shown).to.deep.include({ owner: tba, wallet: wallet.address, nonce: "1", metadata: { skill: "translation" } });
+
+      await ok(1, "identity", "unset-wallet", agentId);
+      expect(await identity.getAgentWallet(agentId)).to.equal(ethers.constants.AddressZero);
+    });
+
+    it("refuses agent calls from accounts that do not hold the agent's NFT", async function () {
+      expect(await fails(2, "identity", "set-metadata", agentId, "skill", "spam")).to.equal("Not token owner");
+      expect(await fails(1, "identity", "set-wallet", agentId, wallet.address)).to.match(/--signature is required/);
+    });
+  });
+
+  describe("reputation", function () {
+    it("gives, pages through and revokes feedback", async function () {
+      for (const value of ["4.5", "3"]) {
+        const { feedbackAuth } = await ok(1, "reputation", "sign-auth", agentId, client.address);
+        const given = await ok(2, "reputation", "give", agentId, value, "--tag1", "quality", "--auth", feedbackAuth);
+        expect(eventNames(given)).to.deep.equal(["FeedbackGiven"]);
+      }
+
+      const page = await ok(null, "reputation", "read", agentId, client.address, "--offset", "1", "--limit", "5");
+      expect(page.total).to.equal(2);
+      expect(page.feedback).to.have.length(1);
+      expect(page.feedback[0]).to.include({ index: 1, value: "3", valueDecimals: 0, tag1: "quality", revoked: false });
+
+      await ok(2, "reputation", "revoke", agentId, "0");
+      const [first] = (await ok(null, "reputation", "read", agentId, client.address)).feedback;
+      expect(first).to.include({ index: 0, value: "45", valueDecimals: 1, revoked: true });
+      expect(await fails(2, "reputation", "revoke", agentId, "0")).to.equal("ReputationRegistry: already revoked");
+    });
+
+    it("requires an agent-signed FeedbackAuth", async function () {
+      expect(await fails(2, "reputation", "give", agentId, "5")).to.match(/--auth is required/);
+      // Signed by an account that is not the agent's owner
+      const { feedbackAuth } = await ok(2, "reputation", "sign-auth", agentId, client.address);
+      expect(await fails(2, "reputation", "give", agentId, "5", "--auth", feedbackAuth)).to.match(/^ReputationRegistry: /);
+    });
+  });
+
+  describe("validation", function () {
+    it("requests, responds, completes and reports status", async function () {
+      const requested = await ok(2, "validation", "request", validator.address, agentId, "ipfs://request");
+      expect(requested.requestHash).to.equal(ethers.utils.id("ipfs://request"));
+
+      await ok(3, "validation", "respond", requested.requestHash, "90", "--tag", "security", "--uri", "ipfs://verdict");
+      const completed = await ok(3, "validation", "complete", requested.requestHash);
+      expect(eventNames(completed)).to.deep.equal(["ValidationCompleted"]);
+
+      const status = await ok(null, "validation", "status", requested.requestHash);
+      expect(status).to.include({ agentId, validatorAddress: validator.address, completed: true });
+      expect(status.responses).to.have.length(1);
+      expect(status.responses[0]).to.include({ code: 90, tag: "security", responseURI: "ipfs://verdict" });
+
+      expect(await fails(3, "validation", "complete", requested.requestHash)).to.equal(
+        "ValidationRegistry: request already completed"
+      );
+      expect(await fails(null, "validation", "status", ethers.utils.id("unknown"))).to.match(/^unknown request/);
+    });
+  });
+
+  describe("stake", function () {
+    it("stakes, waits out the lock and cooldown and withdraws in parts", async function () {
+      const deposited = await ok(2, "stake", "deposit", agentId, "10");
+      expect(eventNames(deposited.approve)).to.deep.equal(["Approval"]);
+      expect(eventNames(deposited.stake)).to.include("Staked");
+      expect(await stake.getStake(agentId, client.address)).to.equal(units(10));
+
+      expect(await fails(2, "stake", "request-withdraw", agentId)).to.equal("StakeRegistry: still locked");
+      await increaseTime(7 * 24 * 3600);
+      await ok(2, "stake", "request-withdraw", agentId);
+      expect(await fails(2, "stake", "withdraw", agentId)).to.equal("StakeRegistry: cooldown not met");
+      await increaseTime(2 * 24 * 3600);
+
+      await ok(2, "stake", "withdraw", agentId, "--amount", "4");
+      expect(await ok(null, "stake", "show", agentId, client.address)).to.include({ stake: "6.0", withdrawable: "6.0" });
+      await ok(2, "stake", "withdraw", agentId);
+      expect(await stake.getStake(agentId, client.address)).to.equal(0);
+    });
+  });
+
+  describe("dry run", function () {
+    it("simulates without sending, as the key's account or --from", async function () {
+      const blockNumber = await ethers.provider.getBlockNumber();
+
+      const simulated = await ok(1, "--dry-run", "identity", "set-metadata", agentId, "skill", "dry");
+      expect(simulated).to.include({ dryRun: true, method: "executeCall" });
+      expect(Number(simulated.gasEstimate)).to.be.greaterThan(0);
+
+      const deposit = await ok(null, "--dry-run", "--from", client.address, "stake", "deposit", agentId, "1");
+      expect(deposit.approve).to.include({ dryRun: true, method: "approve", result: true });
+      expect(deposit.stake).to.match(/^not simulated/);
+
+      expect(await fails(null, "--dry-run", "--from", client.address, "validation", "complete", ethers.utils.id("ipfs://request")))
+        .to.equal("ValidationRegistry: not the validator");
+      expect(await fails(null, "stake", "request-withdraw", agentId)).to.equal("PRIVATE_KEY is not set");
+
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+      expect(await identity.getMetadata(agentId, "skill")).to.equal("translation");
+    });
+
+    it("prints text without --json and usage for unknown commands", async function () {
+      const text = await new Promise((resolve) => {
+        execFile(process.execPath, [KINETIC, "identity", "show", agentId], { env }, (err, stdout) => resolve(stdout));
+      });
+      expect(text).to.include(`owner: ${tba}\n`);
+      expect(text).to.include("boundToken:\n  chainId: ");
+
+      const { code, stderr } = await new Promise((resolve) => {
+        execFile(process.execPath, [KINETIC, "identity", "burn", agentId], { env }, (err, stdout, stderr) =>
+          resolve({ code: err ? err.code : 0, stderr })
+        );
+      });
+      expect(code).to.equal(1);
+      expect(stderr).to.include("identity register <tba> <implementation>");
+    });
+  });
+});
@@ -0,0 +1,399 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const signing = require("../../sdk/signing");
+
+describe("ReputationRegistry", function () {
+  let reputationRegistry;
+  let stakeRegistry;
+  let identityRegistry;
+  let token;
+  let tba;
+  let owner;
+  let alice;
+  let bob;
+  let agentHolder;
+  let agentWallet;
+  let agentId;
+  let domain;
+  const tag1 = "quality";
+  const tag2 = "latency";
+  const DAY = 24 * 60 * 60;
+  // Scores are returned with SCORE_DECIMALS (18) decimals
+  const units = (x) => ethers.utils.parseUnits(String(x), 18);
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  // FeedbackAuth from the agent wallet allowing `client` one more feedback
+  async function feedbackAuth(client, overrides = {}, signer = agentWallet) {
+    const count = await reputationRegistry.getFeedbackCount(agentId, client.address);
+    return signing.signFeedbackAuth(signer, domain, {
+      agentId,
+      clientAddress: client.address,
+      indexLimit: count.add(1),
+      expiry: (await latestTimestamp()) + 3600,
+      ...overrides,
+    });
+  }
+
+  async function feedback(client, value, decimals = 0, tags = [tag1, tag2]) {
+    const auth = await feedbackAuth(client);
+    return reputationRegistry
+      .connect(client)
+      .giveFeedback(agentId, value, decimals, tags[0], tags[1], "https://agent.example/api", "ipfs://feedback", ethers.constants.HashZero, auth);
+  }
+
+  function summary(clients) {
+    return reputationRegistry.getSummary(agentId, clients.map((c) => c.address), tag1, tag2);
+  }
+
+  async function stake(client, amount) {
+    await token.connect(client).approve(stakeRegistry.address, amount);
+    return stakeRegistry.connect(client).stake(amount, agentId);
+  }
+
+  async function withdraw(client) {
+    await increaseTime(7 * DAY);
+    await stakeRegistry.connect(client).requestWithdraw(agentId);
+    await increaseTime(2 * DAY);
+    return stakeRegistry.connect(client).withdraw(agentId);
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, agentHolder, agentWallet] = await ethers.getSigners();
+    const { chainId } = await ethers.provider.getNetwork();
+
+    // Agent identity: NFT held by agentHolder -> TBA -> IdentityRegistry, with agentWallet bound
+    const Registry6551 = await ethers.getContractFactory("MockERC6551Registry");
+    const registry6551 = await Registry6551.deploy();
+    const NFT = await ethers.getContractFactory("MockERC721");
+    const nft = await NFT.deploy();
+    await nft.mint(agentHolder.address, 1);
+
+    const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
+    identityRegistry = await upgrades.deployProxy(IdentityRegistry, [registry6551.address]);
+    await identityRegistry.deployed();
+    const implementation = "0x55266d75D1a14E4572138116aF39863Ed6596E7F";
+    await identityRegistry.setImplementationAllowed(implementation, true);
+    await registry6551.createAccount(implementation, ethers.constants.HashZero, chainId, nft.address, 1);
+    tba = await ethers.getContractAt(
+      "MockERC6551Account",
+      await registry6551.account(implementation, ethers.constants.HashZero, chainId, nft.address, 1)
+    );
+    const data = await identityRegistry.prepareAgentRegistration(implementation, ethers.constants.HashZero);
+    await tba.connect(agentHolder).executeCall(identityRegistry.address, 0, data);
+    agentId = await identityRegistry.agentIdOf(tba.address);
+
+    const walletDomain = signing.identityRegistryDomain(chainId, identityRegistry.address);
+    const walletSig = await signing.signSetAgentWallet(agentWallet, walletDomain, { agentId, wallet: agentWallet.address, nonce: 0 });
+    await tba.connect(agentHolder).executeCall(
+      identityRegistry.address,
+      0,
+      identityRegistry.interface.encodeFunctionData("setAgentWallet", [agentId, agentWallet.address, walletSig])
+    );
+
+    const Token = await ethers.getContractFactory("MockERC20");
+    token = await Token.deploy();
+    await token.deployed();
+    await token.mint(alice.address, 1000);
+    await token.mint(bob.address, 1000);
+
+    const StakeRegistry = await ethers.getContractFactory("StakeRegistry");
+    stakeRegistry = await upgrades.deployProxy(StakeRegistry, [token.address]);
+    await stakeRegistry.deployed();
+
+    const ReputationRegistry = await ethers.getContractFactory("ReputationRegistry");
+    reputationRegistry = await upgrades.deployProxy(ReputationRegistry, [stakeRegistry.address, identityRegistry.address]);
+    await reputationRegistry.deployed();
+    domain = signing.reputationRegistryDomain(chainId, reputationRegistry.address);
+  });
+
+  describe("Stake Checkpoints", function () {
+    it("stake, slash and withdraw each write a checkpoint", async function () {
+      await expect(stake(alice, 100)).to.emit(stakeRegistry, "StakeCheckpointed");
+      const staked = (await ethers.provider.getBlock("latest")).timestamp;
+
+      await expect(stakeRegistry.slash(agentId, alice.address, 40, "misbehaviour")).to.emit(stakeRegistry, "StakeCheckpointed");
+      const slashed = (await ethers.provider.getBlock("latest")).timestamp;
+
+      expect(await stakeRegistry.getCheckpointCount(agentId, alice.address)).to.equal(2);
+      expect(await stakeRegistry.getStakeAt(agentId, alice.address, staked - 1)).to.equal(0);
+      expect(await stakeRegistry.getStakeAt(agentId, alice.address, staked)).to.equal(100);
+      expect(await stakeRegistry.getStakeAt(agentId, alice.address, slashed)).to.equal(60);
+      expect(await stakeRegistry.getStake(agentId, alice.address)).to.equal(60);
+    });
+
+    it("withdraw checkpoints zero stake", async function () {
+      await stake(bob, 100);
+      await withdraw(bob);
+      const withdrawn = (await ethers.provider.getBlock("latest")).timestamp;
+
+      expect(await stakeRegistry.getStakeAt(agentId, bob.address, withdrawn)).to.equal(0);
+      expect(await stakeRegistry.getStakeAt(agentId, bob.address, withdrawn - 1)).to.equal(100);
+    });
+  });
+
+  describe("Stake-Weighted Summary", function () {
+    it("open stake setter is gone", async function () {
+      expect(reputationRegistry.updateStakeSnapshot).to.equal(undefined);
+      expect(() => reputationRegistry.interface.getFunction("updateStakeSnapshot")).to.throw();
+      expect(() => reputationRegistry.interface.getFunction("stakeSnapshots")).to.throw();
+    });
+
+    it("weights feedback by each client's stake when it was given", async function () {
+      await stake(alice, 300);
+      await stake(bob, 100);
+      await feedback(alice, 80);
+      await feedback(bob, 40);
+
+      // (80 * 300 + 40 * 100) / 400
+      expect(await summary([alice, bob])).to.equal(units(70));
+    });
+
+    it("stake -> feedback -> withdraw: withdrawing later does not change the score", async function () {
+      await stake(alice, 300);
+      await stake(bob, 100);
+      await feedback(alice, 80);
+      await feedback(bob, 40);
+
+      await withdraw(alice);
+      expect(await stakeRegistry.getStake(agentId, alice.address)).to.equal(0);
+      expect(await summary([alice, bob])).to.equal(units(70));
+    });
+
+    it("feedback -> stake: stake added afterwards carries no weight", async function () {
+      await stake(bob, 100);
+      await feedback(alice, 0);
+      await feedback(bob, 50);
+      await stake(alice, 1000);
+
+      expect(await summary([alice, bob])).to.equal(units(50));
+    });
+
+    it("flash stake in the same block as the feedback carries no weight", async function () {
+      await stake(bob, 100);
+      await feedback(bob, 50);
+      await token.connect(alice).approve(stakeRegistry.address, 1000);
+
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        await stakeRegistry.connect(alice).stake(1000, agentId);
+        await feedback(alice, -100);
+        await ethers.provider.send("evm_mine", []);
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+
+      expect(await reputationRegistry.getFeedbackCount(agentId, alice.address)).to.equal(1);
+      expect(await summary([alice, bob])).to.equal(units(50));
+    });
+
+    it("slashing reduces the weight of later feedback only", async function () {
+      await stake(alice, 100);
+      await stake(bob, 100);
+      await feedback(alice, 100);
+      await stakeRegistry.slash(agentId, bob.address, 100, "sybil");
+      await feedback(bob, 0);
+
+      expect(await summary([alice, bob])).to.equal(units(100));
+    });
+
+    it("giveFeedbackBatch records every entry", async function () {
+      const auth = await feedbackAuth(alice, { indexLimit: 2 });
+      await reputationRegistry
+        .connect(alice)
+        .giveFeedbackBatch([agentId, agentId], [10, 20], [0, 0], [tag1, tag1], [tag2, tag2], ["ipfs://a", "ipfs://b"], [auth, auth]);
+
+      expect(await reputationRegistry.getFeedbackCount(agentId, alice.address)).to.equal(2);
+      await expect(
+        reputationRegistry.connect(alice).giveFeedbackBatch([agentId], [10, 20], [0], [tag1], [tag2], ["ipfs://a"], [auth])
+      ).to.be.revertedWith("ReputationRegistry: array length mismatch");
+    });
+  });
+
+  describe("Aggregates", function () {
+    it("getGlobalScore covers every client without a client list", async function () {
+      await stake(alice, 300);
+      await stake(bob, 100);
+      await feedback(alice, 80);
+      await feedback(bob, 40);
+      await feedback(owner, 0);
+
+      const score = await reputationRegistry.getGlobalScore(agentId, tag1, tag2);
+      expect(score.count).to.equal(3);
+      expect(score.average).to.equal(units(40));
+      // owner has no stake, so only alice and bob carry weight
+      expect(score.weightedAverage).to.equal(units(70));
+      expect(await reputationRegistry.getSummary(agentId, [alice.address, bob.address, owner.address], tag1, tag2))
+        .to.equal(score.weightedAverage);
+    });
+
+    it("tag pairs are aggregated separately", async function () {
+      await feedback(alice, 80);
+      await feedback(alice, 10, 0, [tag1, "uptime"]);
+
+      expect((await reputationRegistry.getGlobalScore(agentId, tag1, tag2)).average).to.equal(units(80));
+      expect((await reputationRegistry.getGlobalScore(agentId, tag1, "uptime")).average).to.equal(units(10));
+    });
+
+    it("normalizes differing valueDecimals", async function () {
+      await feedback(alice, 90, 0);
+      await feedback(bob, 7000, 2);
+      await feedback(owner, ethers.utils.parseUnits("80", 18), 18);
+
+      const score = await reputationRegistry.getGlobalScore(agentId, tag1, tag2);
+      expect(score.average).to.equal(units(80));
+      await expect(feedback(alice, 1, 19)).to.be.revertedWith("ReputationRegistry: too many decimals");
+    });
+
+    it("revokeFeedback removes the entry from the aggregate", async function () {
+      await stake(alice, 300);
+      await stake(bob, 100);
+      await feedback(alice, 80);
+      await feedback(bob, 40);
+
+      await reputationRegistry.connect(alice).revokeFeedback(agentId, 0);
+      let score = await reputationRegistry.getGlobalScore(agentId, tag1, tag2);
+      expect(score.count).to.equal(1);
+      expect(score.average).to.equal(units(40));
+      expect(score.weightedAverage).to.equal(units(40));
+
+      await reputationRegistry.connect(bob).revokeFeedback(agentId, 0);
+      const agg = await reputationRegistry.getAggregate(agentId, tag1, tag2);
+      expect(agg.count).to.equal(0);
+      expect(agg.sum).to.equal(0);
+      expect(agg.weightedSum).to.equal(0);
+      score = await reputationRegistry.getGlobalScore(agentId, tag1, tag2);
+      expect(score.average).to.equal(0);
+    });
+
+    it("half-life decay discounts older feedback", async function () {
+      await expect(reputationRegistry.setDecayHalfLife(DAY))
+        .to.emit(reputationRegistry, "DecayHalfLifeUpdated")
+        .withArgs(DAY);
+      await feedback(alice, 100);
+      await increaseTime(DAY);
+      await feedback(bob, 0);
+
+      // (100 * 0.5 + 0 * 1) / 1.5, within the 1/256 half-life resolution
+      const score = await reputationRegistry.getGlobalScore(agentId, tag1, tag2);
+      expect(score.count).to.equal(2);
+      expect(score.average).to.be.closeTo(units("33.333"), units("0.2"));
+
+      const agg = await reputationRegistry.getAggregate(agentId, tag1, tag2);
+      expect(agg.mass).to.be.closeTo(units("1.5"), units("0.01"));
+    });
+
+    it("revoking under decay removes the entry at its decayed size", async function () {
+      await reputationRegistry.setDecayHalfLife(DAY);
+      await feedback(alice, 100);
+      await increaseTime(DAY);
+      await feedback(bob, 20);
+      await increaseTime(DAY / 2);
+
+      await reputationRegistry.connect(alice).revokeFeedback(agentId, 0);
+      const score = await reputationRegistry.getGlobalScore(agentId, tag1, tag2);
+      expect(score.count).to.equal(1);
+      expect(score.average).to.be.closeTo(units(20), units("0.1"));
+    });
+
+    it("setDecayHalfLife: owner only", async function () {
+      await expect(reputationRegistry.connect(alice).setDecayHalfLife(DAY))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
+  describe("Feedback Authorization", function () {
+    async function give(client, auth) {
+      return reputationRegistry
+        .connect(client)
+        .giveFeedback(agentId, 50, 0, tag1, tag2, "", "", ethers.constants.HashZero, auth);
+    }
+
+    it("SDK FeedbackAuth type and domain match the contract", async function () {
+      expect(await reputationRegistry.FEEDBACK_AUTH_TYPEHASH()).to.equal(signing.FEEDBACK_AUTH_TYPEHASH);
+      const onChain = await reputationRegistry.eip712Domain();
+      expect(onChain.name).to.equal(domain.name);
+      expect(onChain.version).to.equal(domain.version);
+      expect(onChain.verifyingContract).to.equal(domain.verifyingContract);
+    });
+
+    it("accepts an auth signed by the agent wallet", async function () {
+      await expect(give(alice, await feedbackAuth(alice))).to.emit(reputationRegistry, "FeedbackGiven");
+    });
+
+    it("accepts an auth signed for the identity owner (TBA) through ERC-1271", async function () {
+      const auth = await feedbackAuth(alice, { signerAddress: tba.address }, agentHolder);
+      await expect(give(alice, auth)).to.emit(reputationRegistry, "FeedbackGiven");
+    });
+
+    it("rejects feedback without an auth", async function () {
+      await expect(give(alice, "0x")).to.be.revertedWith("ReputationRegistry: missing feedback auth");
+    });
+
+    it("rejects an auth from a non-agent signer", async function () {
+      const auth = await feedbackAuth(alice, {}, bob);
+      await expect(give(alice, auth)).to.be.revertedWith("ReputationRegistry: signer not agent");
+    });
+
+    it("rejects an auth issued to another client or with a forged signature", async function () {
+      const auth = await feedbackAuth(alice);
+      await expect(give(bob, auth)).to.be.revertedWith("ReputationRegistry: invalid feedback auth");
+
+      const forged = await feedbackAuth(alice, { signerAddress: agentWallet.address }, bob);
+      await expect(give(alice, forged)).to.be.revertedWith("ReputationRegistry: invalid feedback auth");
+    });
+
+    it("enforces the index limit", async function () {
+      const auth = await feedbackAuth(alice);
+      await give(alice, auth);
+      await expect(give(alice, auth)).to.be.revertedWith("ReputationRegistry: index limit reached");
+    });
+
+    it("enforces the expiry", async function () {
+      const auth = await feedbackAuth(alice, { expiry: (await latestTimestamp()) - 1 });
+      await expect(give(alice, auth)).to.be.revertedWith("ReputationRegistry: feedback auth expired");
+    });
+
+    it("rejects self-feedback from the agent wallet, TBA and NFT holder", async function () {
+      await expect(give(agentWallet, await feedbackAuth(agentWallet))).to.be.revertedWith(
+        "ReputationRegistry: self-feedback not allowed"
+      );
+      await expect(give(agentHolder, await feedbackAuth(agentHolder))).to.be.revertedWith(
+        "ReputationRegistry: self-feedback not allowed"
+      );
+
+      const auth = await feedbackAuth(tba);
+      const data = reputationRegistry.interface.encodeFunctionData("giveFeedback", [
+        agentId, 50, 0, tag1, tag2, "", "", ethers.constants.HashZero, auth,
+      ]);
+      await expect(tba.connect(agentHolder).executeCall(reputationRegistry.address, 0, data)).to.be.revertedWith(
+        "ReputationRegistry: self-feedback not allowed"
+      );
+    });
+
+    it("appendResponse: client and agent may respond, others may not", async function () {
+      await give(alice, await feedbackAuth(alice));
+
+      await expect(reputationRegistry.connect(alice).appendResponse(agentId, alice.address, 0, "ipfs://client"))
+        .to.emit(reputationRegistry, "ResponseAppended")
+        .withArgs(agentId, alice.address, 0, "ipfs://client");
+      await expect(reputationRegistry.connect(agentWallet).appendResponse(agentId, alice.address, 0, "ipfs://agent"))
+        .to.emit(reputationRegistry, "ResponseAppended")
+        .withArgs(agentId, alice.address, 0, "ipfs://agent");
+      await expect(reputationRegistry.connect(bob).appendResponse(agentId, alice.address, 0, "ipfs://spam"))
+        .to.be.revertedWith("ReputationRegistry: only client or agent can respond");
+    });
+
+    it("setIdentityRegistry: owner only", async function () {
+      await expect(reputationRegistry.connect(alice).setIdentityRegistry(alice.address))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+});
@@ -0,0 +1,283 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+
+describe("StakeRegistry", function () {
+  let stakeRegistry;
+  let validationRegistry;
+  let token;
+  let owner;
+  let staker;
+  let validator;
+  let treasury;
+  let outsider;
+  const agentId = 1;
+  const STAKE = 1000;
+  const DAY = 24 * 60 * 60;
+  let nextRequest = 0;
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  async function readyToWithdraw() {
+    await increaseTime(7 * DAY);
+    await stakeRegistry.connect(staker).requestWithdraw(agentId);
+    await increaseTime(2 * DAY);
+  }
+
+  // Completed validation request for agentId whose latest response is `score`
+  async function validated(score) {
+    const requestHash = ethers.utils.id(`request-${nextRequest++}`);
+    await validationRegistry.validationRequest(validator.address, agentId, "ipfs://request", requestHash);
+    await validationRegistry.connect(validator).appendResponse(requestHash, score, "", ethers.constants.HashZero, "");
+    await validationRegistry.connect(validator).completeValidation(requestHash);
+    return requestHash;
+  }
+
+  async function propose(requestHash, amount = 400) {
+    const proposalId = ethers.utils.keccak256(
+      ethers.utils.defaultAbiCoder.encode(["bytes32", "address"], [requestHash, staker.address])
+    );
+    await stakeRegistry.connect(validator).proposeSlash(requestHash, staker.address, amount, "failed validation");
+    return proposalId;
+  }
+
+  beforeEach(async function () {
+    [owner, staker, validator, treasury, outsider] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy();
+    await token.mint(staker.address, STAKE * 2);
+
+    const StakeRegistry = await ethers.getContractFactory("StakeRegistry");
+    stakeRegistry = await upgrades.deployProxy(StakeRegistry, [token.address]);
+    await stakeRegistry.deployed();
+
+    const ValidationRegistry = await ethers.getContractFactory("ValidationRegistry");
+    validationRegistry = await upgrades.deployProxy(ValidationRegistry, []);
+    await validationRegistry.deployed();
+    await validationRegistry.setValidator(validator.address, true);
+
+    await stakeRegistry.setValidationRegistry(validationRegistry.address, 50);
+    await stakeRegistry.setSlashConfig(treasury.address, 5000, 3000, 2000);
+
+    await token.connect(staker).approve(stakeRegistry.address, ethers.constants.MaxUint256);
+    await stakeRegistry.connect(staker).stake(STAKE, agentId);
+  });
+
+  describe("Withdrawals", function () {
+    it("withdraws in parts after the cooldown", async function () {
+      await readyToWithdraw();
+      await stakeRegistry.connect(staker).withdrawPartial(agentId, 300);
+      expect(await stakeRegistry.getStake(agentId, staker.address)).to.equal(700);
+      expect(await stakeRegistry.getWithdrawableAmount(agentId, staker.address)).to.equal(700);
+
+      await expect(stakeRegistry.connect(staker).withdrawPartial(agentId, 701))
+        .to.be.revertedWith("StakeRegistry: amount exceeds withdrawable");
+      await expect(stakeRegistry.connect(staker).withdraw(agentId))
+        .to.emit(stakeRegistry, "Withdrawn")
+        .withArgs(agentId, staker.address, 700);
+      expect(await token.balanceOf(staker.address)).to.equal(STAKE * 2);
+    });
+
+    it("requires a matured withdraw request", async function () {
+      await expect(stakeRegistry.connect(staker).withdrawPartial(agentId, 1))
+        .to.be.revertedWith("StakeRegistry: no withdraw request");
+      await increaseTime(7 * DAY);
+      await stakeRegistry.connect(staker).requestWithdraw(agentId);
+      await expect(stakeRegistry.connect(staker).withdrawPartial(agentId, 1))
+        .to.be.revertedWith("StakeRegistry: cooldown not met");
+    });
+
+    it("a new stake cancels the pending withdraw request", async function () {
+      await readyToWithdraw();
+      await stakeRegistry.connect(staker).stake(1, agentId);
+      await expect(stakeRegistry.connect(staker).withdraw(agentId))
+        .to.be.revertedWith("StakeRegistry: no withdraw request");
+    });
+  });
+
+  describe("Governance Slash", function () {
+    it("partial slash leaves the remainder withdrawable", async function () {
+      await stakeRegistry.slash(agentId, staker.address, 400, "misbehaviour");
+      expect(await stakeRegistry.getStake(agentId, staker.address)).to.equal(600);
+
+      await readyToWithdraw();
+      await stakeRegistry.connect(staker).withdraw(agentId);
+      expect(await token.balanceOf(staker.address)).to.equal(STAKE + 600);
+    });
+
+    it("splits funds between burn and treasury", async function () {
+      await expect(stakeRegistry.slash(agentId, staker.address, 400, "misbehaviour"))
+        .to.emit(stakeRegistry, "SlashDistributed")
+        .withArgs(agentId, staker.address, 200, 200, ethers.constants.AddressZero, 0);
+      expect(await token.balanceOf(await stakeRegistry.BURN_ADDRESS())).to.equal(200);
+      expect(await token.balanceOf(treasury.address)).to.equal(200);
+    });
+
+    it("is owner only", async function () {
+      await expect(stakeRegistry.connect(outsider).slash(agentId, staker.address, 1, ""))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
+  describe("Slash Proposals", function () {
+    it("only the validator of a failed, completed request can propose", async function () {
+      const passed = await validated(80);
+      await expect(stakeRegistry.connect(validator).proposeSlash(passed, staker.address, 400, ""))
+        .to.be.revertedWith("StakeRegistry: validation did not fail");
+
+      const failed = await validated(20);
+      await expect(stakeRegistry.connect(outsider).proposeSlash(failed, staker.address, 400, ""))
+        .to.be.revertedWith("StakeRegistry: not the request validator");
+      await expect(stakeRegistry.connect(validator).proposeSlash(failed, staker.address, STAKE + 1, ""))
+        .to.be.revertedWith("StakeRegistry: insufficient stake");
+
+      const open = ethers.utils.id("open");
+      await validationRegistry.validationRequest(validator.address, agentId, "", open);
+      await validationRegistry.connect(validator).appendResponse(open, 0, "", ethers.constants.HashZero, "");
+      await expect(stakeRegistry.connect(validator).proposeSlash(open, staker.address, 400, ""))
+        .to.be.revertedWith("StakeRegistry: validation did not fail");
+    });
+
+    it("a self-registered validator cannot slash stakers through a request it opened itself", async function () {
+      // outsider stakes on its own agent, registers as a validator, then fails a request on agentId naming itself
+      await token.mint(outsider.address, STAKE);
+      await token.connect(outsider).approve(stakeRegistry.address, ethers.constants.MaxUint256);
+      await stakeRegistry.connect(outsider).stake(STAKE, 2);
+      await validationRegistry.setValidatorStakeConfig(stakeRegistry.address, STAKE);
+      await validationRegistry.connect(outsider).registerValidator(2);
+
+      const requestHash = ethers.utils.id("self-made");
+      await validationRegistry.connect(outsider).validationRequest(outsider.address, agentId, "", requestHash);
+      await validationRegistry.connect(outsider).appendResponse(requestHash, 0, "", ethers.constants.HashZero, "");
+      await validationRegistry.connect(outsider).completeValidation(requestHash);
+
+      await expect(stakeRegistry.connect(outsider).proposeSlash(requestHash, staker.address, 400, ""))
+        .to.be.revertedWith("StakeRegistry: validator cannot propose slashes");
+      expect(await stakeRegistry.getPendingSlash(agentId, staker.address)).to.equal(0);
+    });
+
+    it("a deregistered validator cannot propose", async function () {
+      const requestHash = await validated(20);
+      await validationRegistry.setValidator(validator.address, false);
+      await expect(stakeRegistry.connect(validator).proposeSlash(requestHash, staker.address, 400, ""))
+        .to.be.revertedWith("StakeRegistry: validator cannot propose slashes");
+    });
+
+    it("reserves the proposed amount until it is resolved", async function () {
+      const requestHash = await validated(20);
+      const proposalId = await propose(requestHash);
+      expect(await stakeRegistry.getPendingSlash(agentId, staker.address)).to.equal(400);
+      await expect(stakeRegistry.connect(validator).proposeSlash(requestHash, staker.address, 1, ""))
+        .to.be.revertedWith("StakeRegistry: already proposed");
+
+      await readyToWithdraw();
+      expect(await stakeRegistry.getWithdrawableAmount(agentId, staker.address)).to.equal(600);
+      await expect(stakeRegistry.connect(staker).withdrawPartial(agentId, 601))
+        .to.be.revertedWith("StakeRegistry: amount exceeds withdrawable");
+      await stakeRegistry.connect(staker).withdraw(agentId);
+      expect(await stakeRegistry.getStake(agentId, staker.address)).to.equal(400);
+
+      await stakeRegistry.executeSlash(proposalId);
+      expect(await stakeRegistry.getStake(agentId, staker.address)).to.equal(0);
+      expect(await stakeRegistry.getPendingSlash(agentId, staker.address)).to.equal(0);
+    });
+
+    it("executes undisputed proposals after the window with a burn / treasury / validator split", async function () {
+      const proposalId = await propose(await validated(20));
+      await expect(stakeRegistry.connect(outsider).executeSlash(proposalId))
+        .to.be.revertedWith("StakeRegistry: dispute window open");
+
+      await increaseTime(3 * DAY + 1);
+      await expect(stakeRegistry.connect(outsider).executeSlash(proposalId))
+        .to.emit(stakeRegistry, "SlashExecuted")
+        .withArgs(proposalId)
+        .and.to.emit(stakeRegistry, "SlashDistributed")
+        .withArgs(agentId, staker.address, 200, 120, validator.address, 80);
+
+      expect(await token.balanceOf(await stakeRegistry.BURN_ADDRESS())).to.equal(200);
+      expect(await token.balanceOf(treasury.address)).to.equal(120);
+      expect(await token.balanceOf(validator.address)).to.equal(80);
+      expect(await stakeRegistry.getStake(agentId, staker.address)).to.equal(600);
+      await expect(stakeRegistry.executeSlash(proposalId)).to.be.revertedWith("StakeRegistry: not pending");
+    });
+
+    it("a disputed proposal is cancelled or upheld by the owner", async function () {
+      const dismissed = await propose(await validated(20), 100);
+      const upheld = await propose(await validated(10), 200);
+
+      await expect(stakeRegistry.connect(outsider).disputeSlash(dismissed))
+        .to.be.revertedWith("StakeRegistry: not the staker");
+      await expect(stakeRegistry.connect(staker).disputeSlash(dismissed))
+        .to.emit(stakeRegistry, "SlashDisputed")
+        .withArgs(dismissed, staker.address);
+      await stakeRegistry.connect(staker).disputeSlash(upheld);
+
+      await increaseTime(3 * DAY + 1);
+      await expect(stakeRegistry.executeSlash(dismissed)).to.be.revertedWith("StakeRegistry: not pending");
+      await expect(stakeRegistry.connect(outsider).resolveDispute(dismissed, false))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+
+      await expect(stakeRegistry.resolveDispute(dismissed, false))
+        .to.emit(stakeRegistry, "SlashCancelled")
+        .withArgs(dismissed);
+      await expect(stakeRegistry.resolveDispute(upheld, true))
+        .to.emit(stakeRegistry, "SlashExecuted")
+        .withArgs(upheld);
+
+      expect(await stakeRegistry.getStake(agentId, staker.address)).to.equal(800);
+      expect(await stakeRegistry.getPendingSlash(agentId, staker.address)).to.equal(0);
+      await expect(stakeRegistry.resolveDispute(dismissed, true)).to.be.revertedWith("StakeRegistry: not disputed");
+    });
+
+    it("cannot be disputed after the window closes", async function () {
+      const proposalId = await propose(await validated(20));
+      await increaseTime(3 * DAY + 1);
+      await expect(stakeRegistry.connect(staker).disputeSlash(proposalId))
+        .to.be.revertedWith("StakeRegistry: dispute window closed");
+    });
+
+    it("governance slash cannot take reserved stake", async function () {
+      await propose(await validated(20), 800);
+      await expect(stakeRegistry.slash(agentId, staker.address, 201, ""))
+        .to.be.revertedWith("StakeRegistry: insufficient stake");
+    });
+  });
+
+  describe("Configuration", function () {
+    it("pays all slashed funds to the owner until setSlashConfig", async function () {
+      const StakeRegistry = await ethers.getContractFactory("StakeRegistry");
+      const fresh = await upgrades.deployProxy(StakeRegistry, [token.address]);
+      expect(await fresh.treasury()).to.equal(owner.address);
+      expect(await fresh.burnBps()).to.equal(0);
+      expect(await fresh.treasuryBps()).to.equal(10000);
+
+      await token.connect(staker).approve(fresh.address, ethers.constants.MaxUint256);
+      await fresh.connect(staker).stake(STAKE, agentId);
+      await fresh.slash(agentId, staker.address, 400, "misbehaviour");
+      expect(await token.balanceOf(owner.address)).to.equal(400);
+      expect(await token.balanceOf(await fresh.BURN_ADDRESS())).to.equal(0);
+    });
+
+    it("validates the split, threshold and dispute window", async function () {
+      await expect(stakeRegistry.setSlashConfig(treasury.address, 5000, 3000, 1000))
+        .to.be.revertedWith("StakeRegistry: split must total 100%");
+      await expect(stakeRegistry.setSlashConfig(ethers.constants.AddressZero, 10000, 0, 0))
+        .to.be.revertedWith("StakeRegistry: invalid treasury");
+      await expect(stakeRegistry.setValidationRegistry(validationRegistry.address, 101))
+        .to.be.revertedWith("StakeRegistry: invalid threshold");
+      await expect(stakeRegistry.setDisputeWindow(0)).to.be.revertedWith("StakeRegistry: invalid dispute window");
+    });
+
+    it("is owner only", async function () {
+      await expect(stakeRegistry.connect(outsider).setSlashConfig(outsider.address, 0, 0, 10000))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(stakeRegistry.connect(outsider).setDisputeWindow(DAY))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(stakeRegistry.connect(outsider).setValidationRegistry(outsider.address, 50))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+});
@@ -0,0 +1,396 @@
+const { execFileSync } = require("child_process");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const signing = require("../../sdk/signing");
+const { readLayout, readSnapshot, diffLayouts } = require("../scripts/storage-layout");
+const { REGISTRIES, deploy, currentLayouts } = require("../scripts/deploy");
+const { V1_LAYOUTS, upgrade, migrateV1 } = require("../scripts/upgrade");
+
+const { ethers, upgrades } = hre;
+
+describe("Deployment and upgrades", function () {
+  let owner;
+  let tba;
+  let wallet;
+  let client;
+  let validator;
+  let other;
+  let token;
+  let erc6551Registry;
+  let chainId;
+  const units = (x) => ethers.utils.parseUnits(String(x), 18);
+
+  async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  function eventArgs(receipt, contract, name) {
+    return receipt.logs
+      .filter((log) => log.address === contract.address)
+      .map((log) => contract.interface.parseLog(log))
+      .find((e) => e.name === name).args;
+  }
+
+  beforeEach(async function () {
+    [owner, tba, wallet, client, validator, other] = await ethers.getSigners();
+    ({ chainId } = await ethers.provider.getNetwork());
+    token = await (await ethers.getContractFactory("MockERC20")).deploy();
+    erc6551Registry = await (await ethers.getContractFactory("MockERC6551Registry")).deploy();
+    await token.mint(client.address, units(1000));
+  });
+
+  describe("Storage layout", function () {
+    const artifacts = () => hre.config.paths.artifacts;
+
+    it("the recorded v1 layouts are those of the erc-8004-agent-infrastructure registries", async function () {
+      this.timeout(600000);
+      const infrastructure = path.join(__dirname, "..", "..", "erc-8004-agent-infrastructure");
+      execFileSync(process.execPath, [require.resolve("hardhat/internal/cli/cli"), "compile", "--quiet"], {
+        cwd: infrastructure,
+        stdio: "ignore",
+        timeout: 600000,
+      });
+      const v1 = readSnapshot(V1_LAYOUTS);
+      expect(Object.keys(v1)).to.have.members(Object.keys(REGISTRIES));
+      for (const name of Object.keys(v1)) {
+        expect(readLayout(path.join(infrastructure, "artifacts"), name), name).to.deep.equal(v1[name]);
+      }
+    });
+
+    it("the v1 fixtures have the recorded erc-8004-agent-infrastructure layouts", async function () {
+      const v1 = readSnapshot(V1_LAYOUTS);
+      for (const name of Object.keys(v1)) {
+        expect(diffLayouts(v1[name], readLayout(artifacts(), `${name}V1`))).to.deep.equal({ errors: [], renamed: [] });
+      }
+    });
+
+    it("every registry can be upgraded from v1; v1 variables keep their slots", async function () {
+      const v1 = readSnapshot(V1_LAYOUTS);
+      const layouts = currentLayouts(hre);
+      for (const name of Object.keys(v1)) {
+        expect(diffLayouts(v1[name], layouts[name]).errors, name).to.deep.equal([]);
+      }
+      expect(diffLayouts(v1.ReputationRegistry, layouts.ReputationRegistry).renamed).to.deep.equal([
+        "_feedbacks -> _feedbacksV1 (slot 101)",
+        "stakeSnapshots -> __deprecatedStakeSnapshots (slot 103)",
+      ]);
+    });
+
+    it("rejects swapped variables of the same type unless annotated as renames", async function () {
+      const v1 = readSnapshot(V1_LAYOUTS).IdentityRegistry;
+      const [name, symbol] = ["_name", "_symbol"].map((label) => v1.findIndex((v) => v.label === label));
+      const swapped = v1.map((v, i) => (i === name ? { ...v, label: "_symbol" } : i === symbol ? { ...v, label: "_name" } : v));
+      expect(diffLayouts(v1, swapped)).to.deep.equal({
+        errors: [
+          "_name (slot 101): replaced by _symbol; annotate a rename with @custom:oz-renamed-from",
+          "_symbol (slot 102): replaced by _name; annotate a rename with @custom:oz-renamed-from",
+        ],
+        renamed: [],
+      });
+
+      const renamed = v1.map((v, i) => (i === name ? { ...v, label: "_title", renamedFrom: "_name" } : v));
+      expect(diffLayouts(v1, renamed)).to.deep.equal({ errors: [], renamed: ["_name -> _title (slot 101)"] });
+    });
+
+    it("rejects inserted variables and resized array elements", async function () {
+      const v1 = readSnapshot(V1_LAYOUTS).IdentityRegistry;
+      const nonces = v1.findIndex((v) => v.label === "_nonces");
+      const metadata = { label: "_agentMetadata", slot: v1[nonces].slot, offset: 0, type: v1[nonces - 1].type };
+      const inserted = [
+        ...v1.slice(0, nonces),
+        metadata,
+        ...v1.slice(nonces).map((v) => ({ ...v, slot: v.slot + 1 })),
+      ];
+      expect(diffLayouts(v1, inserted).errors).to.deep.equal([
+        "_nonces (slot 254): type changed from uint256 to struct",
+        "erc6551Registry (slot 255): type changed from address to mapping",
+      ]);
+
+      // Growing a struct is only safe for mapping values, not for array elements
+      const reputation = readSnapshot(V1_LAYOUTS).ReputationRegistry;
+      const feedbacks = reputation.find((v) => v.label === "_feedbacks");
+      const grown = JSON.parse(JSON.stringify(feedbacks));
+      const element = grown.type.value.value.base;
+      element.members.push({ label: "feedbackHash", slot: 6, offset: 0, type: { label: "bytes32", bytes: 32 } });
+      element.bytes += 32;
+      expect(diffLayouts([feedbacks], [grown]).errors).to.deep.equal([
+        "_feedbacks (slot 101): array element: struct size changed from 192 to 224 bytes",
+      ]);
+    });
+  });
+
+  describe("deploy", function () {
+    let deployment;
+    let identity;
+    let reputation;
+    let validation;
+    let stake;
+
+    beforeEach(async function () {
+      deployment = await deploy(hre, {
+        stakingToken: token.address,
+        erc6551Registry: erc6551Registry.address,
+        tbaImplementations: [other.address],
+        minValidatorStake: units(10).toString(),
+      });
+      identity = await ethers.getContractAt("IdentityRegistry", deployment.identityRegistry);
+      reputation = await ethers.getContractAt("ReputationRegistry", deployment.reputationRegistry);
+      validation = await ethers.getContractAt("ValidationRegistry", deployment.validationRegistry);
+      stake = await ethers.getContractAt("StakeRegistry", deployment.stakeRegistry);
+    });
+
+    it("wires the registries together", async function () {
+      expect(await identity.erc6551Registry()).to.equal(erc6551Registry.address);
+      expect(await identity.allowedImplementations(other.address)).to.equal(true);
+      expect(await reputation.stakeRegistry()).to.equal(stake.address);
+      expect(await reputation.identityRegistry()).to.equal(identity.address);
+      expect(await stake.stakingToken()).to.equal(token.address);
+      expect(await stake.validationRegistry()).to.equal(validation.address);
+      expect(await stake.failureThreshold()).to.equal(50);
+      expect(await validation.stakeRegistry()).to.equal(stake.address);
+      expect(await validation.minValidatorStake()).to.equal(units(10));
+      for (const registry of [identity, reputation, validation, stake]) {
+        expect(await registry.owner()).to.equal(owner.address);
+      }
+      expect(deployment.version).to.equal(2);
+      expect(Object.keys(deployment.layouts)).to.have.members([
+        "IdentityRegistry",
+        "ReputationRegistry",
+        "ValidationRegistry",
+        "StakeRegistry",
+      ]);
+    });
+
+    it("passes a configured failureThreshold through, even 0", async function () {
+      await expect(
+        deploy(hre, { stakingToken: token.address, erc6551Registry: erc6551Registry.address, failureThreshold: 0 })
+      ).to.be.revertedWith("StakeRegistry: invalid threshold");
+      const custom = await deploy(hre, { stakingToken: token.address, erc6551Registry: erc6551Registry.address, failureThreshold: 30 });
+      expect(await (await ethers.getContractAt("StakeRegistry", custom.stakeRegistry)).failureThreshold()).to.equal(30);
+    });
+
+    it("deploys UUPS proxies that only the owner can upgrade and that cannot run initializeV2", async function () {
+      const implementation = await upgrades.erc1967.getImplementationAddress(identity.address);
+      expect(await upgrades.erc1967.getAdminAddress(identity.address)).to.equal(ethers.constants.AddressZero);
+      await expect(identity.connect(other).upgradeTo(implementation)).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(identity.connect(other).initializeV2(other.address)).to.be.revertedWith(
+        "Initializable: contract is already initialized"
+      );
+      await expect(stake.initializeV2()).to.be.revertedWith("Initializable: contract is already initialized");
+    });
+
+    it("upgrades a v2 deployment in place and records the new layouts", async function () {
+      await token.connect(client).approve(stake.address, units(50));
+      await stake.connect(client).stake(units(50), 1);
+      const before = await upgrades.erc1967.getImplementationAddress(stake.address);
+
+      const { deployment: upgraded, migrated } = await upgrade(hre, deployment);
+      expect(migrated).to.equal(null);
+      expect(upgraded.layouts).to.deep.equal(currentLayouts(hre));
+      expect(await upgrades.erc1967.getImplementationAddress(stake.address)).to.equal(before);
+      expect(await stake.getStake(1, client.address)).to.equal(units(50));
+      expect(await reputation.identityRegistry()).to.equal(identity.address);
+    });
+
+    it("refuses to upgrade when the recorded layout is not compatible", async function () {
+      const layouts = JSON.parse(JSON.stringify(deployment.layouts));
+      layouts.StakeRegistry.push({ label: "removed", slot: 999, offset: 0, type: { label: "uint256", bytes: 32 } });
+      await expect(upgrade(hre, { ...deployment, layouts })).to.be.rejectedWith(
+        "Upgrade: unsafe storage layout\n  StakeRegistry: removed (slot 999) was moved or removed"
+      );
+    });
+  });
+
+  describe("v1 migration", function () {
+    let deployment;
+    let v1;
+    let agentId;
+    let answered;
+    let pending;
+
+    async function deployV1() {
+      const startBlock = await ethers.provider.getBlockNumber();
+      const proxy = async (name, args) =>
+        upgrades.deployProxy(await ethers.getContractFactory(name), args, { kind: "transparent" });
+      const identity = await proxy("IdentityRegistryV1", [erc6551Registry.address]);
+      const stake = await proxy("StakeRegistryV1", [token.address]);
+      const reputation = await proxy("ReputationRegistryV1", [stake.address]);
+      const validation = await proxy("ValidationRegistryV1", []);
+      return { identity, stake, reputation, validation, startBlock };
+    }
+
+    beforeEach(async function () {
+      v1 = await deployV1();
+      deployment = {
+        version: 1,
+        startBlock: v1.startBlock,
+        identityRegistry: v1.identity.address,
+        reputationRegistry: v1.reputation.address,
+        validationRegistry: v1.validation.address,
+        stakeRegistry: v1.stake.address,
+      };
+
+      // Agent with a metadata URI and an agent wallet (nonce 0 -> 1)
+      const receipt = await (await v1.identity.registerAgent(tba.address)).wait();
+      agentId = eventArgs(receipt, v1.identity, "AgentRegistered").agentId;
+      await v1.identity.connect(tba).updateMetadata(agentId, "ipfs://agent");
+      const domain = signing.identityRegistryDomain(chainId, v1.identity.address);
+      const signature = await signing.signSetAgentWallet(wallet, domain, { agentId, wallet: wallet.address, nonce: 0 });
+      await v1.identity.connect(tba).setAgentWallet(agentId, wallet.address, signature);
+
+      await token.connect(client).approve(v1.stake.address, units(100));
+      await v1.stake.connect(client).stake(units(100), agentId);
+
+      // Two feedback entries: the first answered, the second revoked
+      await v1.reputation.connect(client).giveFeedback(agentId, 80, 0, "quality", "", "ipfs://feedback-0");
+      await v1.reputation.connect(client).giveFeedback(agentId, 20, 0, "quality", "", "ipfs://feedback-1");
+      await v1.reputation.connect(client).appendResponse(agentId, client.address, 0, "ipfs://response-0");
+      await v1.reputation.connect(client).revokeFeedback(agentId, 1);
+
+      // One answered and one open validation request
+      await v1.validation.setValidator(validator.address, true);
+      answered = ethers.utils.id("answered");
+      pending = ethers.utils.id("pending");
+      await v1.validation.connect(client).validationRequest(validator.address, agentId, "ipfs://answered", answered);
+      await v1.validation.connect(client).validationRequest(validator.address, agentId, "ipfs://pending", pending);
+      await v1.validation.connect(validator).validationResponse(answered, 90, "ipfs://verdict", ethers.utils.id("verdict"), "security");
+    });
+
+    it("upgrades a live v1 deployment without losing agents, wallets or nonces", async function () {
+      const { deployment: upgraded, migrated } = await upgrade(hre, { ...deployment, owner: owner.address });
+      expect(upgraded.version).to.equal(2);
+      expect(migrated).to.deep.equal({ stakes: 1, feedback: 1, validations: 2 });
+
+      const identity = await ethers.getContractAt("IdentityRegistry", deployment.identityRegistry);
+      expect(await identity.owner()).to.equal(owner.address);
+      expect(await identity.ownerOf(agentId)).to.equal(tba.address);
+      expect(await identity.tokenURI(agentId)).to.equal("ipfs://agent");
+      expect(await identity.getAgentWallet(agentId)).to.equal(wallet.address);
+      expect(await identity.getNonce(agentId)).to.equal(1);
+      expect(await identity.erc6551Registry()).to.equal(erc6551Registry.address);
+
+      // The v1 nonce carries on: a signature over nonce 1 binds a new wallet
+      const domain = signing.identityRegistryDomain(chainId, identity.address);
+      const signature = await signing.signSetAgentWallet(other, domain, { agentId, wallet: other.address, nonce: 1 });
+      await identity.connect(tba).setAgentWallet(agentId, other.address, signature);
+      expect(await identity.getNonce(agentId)).to.equal(2);
+
+      await expect(identity.initializeV2(other.address)).to.be.revertedWith("Initializable: contract is already initialized");
+    });
+
+    it("migrates stakes and feedback, keeping indexes, responses and revocations", async function () {
+      await upgrade(hre, deployment);
+      const stake = await ethers.getContractAt("StakeRegistry", deployment.stakeRegistry);
+      const reputation = await ethers.getContractAt("ReputationRegistry", deployment.reputationRegistry);
+
+      expect(await stake.getStake(agentId, client.address)).to.equal(units(100));
+      expect(await stake.getStakeAt(agentId, client.address, await latestTimestamp())).to.equal(units(100));
+      expect(await stake.getCheckpointCount(agentId, client.address)).to.equal(1);
+      expect(await stake.treasury()).to.equal(owner.address);
+
+      // As in v1, slashed funds go to the owner, not the burn address
+      const before = await token.balanceOf(owner.address);
+      await stake.slash(agentId, client.address, units(10), "misbehaviour");
+      expect(await token.balanceOf(owner.address)).to.equal(before.add(units(10)));
+      expect(await token.balanceOf(await stake.BURN_ADDRESS())).to.equal(0);
+      expect(await stake.getStake(agentId, client.address)).to.equal(units(90));
+
+      expect(await reputation.getFeedbackCount(agentId, client.address)).to.equal(2);
+      const [first, second] = await reputation["readFeedback(uint256,address,uint256,uint256)"](agentId, client.address, 0, 2);
+      expect(first.value).to.equal(80);
+      expect(first.feedbackURI).to.equal("ipfs://feedback-0");
+      expect(first.responseURI).to.equal("ipfs://response-0");
+      expect(first.revoked).to.equal(false);
+      expect(second.revoked).to.equal(true);
+      const [count, average] = await reputation.getGlobalScore(agentId, "quality", "");
+      expect(count).to.equal(1);
+      expect(average).to.equal(units(80));
+
+      // New feedback continues at index 2 under the v2 rules (agent-signed FeedbackAuth)
+      const auth = await signing.signFeedbackAuth(tba, signing.reputationRegistryDomain(chainId, reputation.address), {
+        agentId,
+        clientAddress: client.address,
+        indexLimit: 3,
+        expiry: (await latestTimestamp()) + 3600,
+      });
+      await expect(
+        reputation.connect(client).giveFeedback(agentId, 60, 0, "quality", "", "", "ipfs://feedback-2", ethers.constants.HashZero, auth)
+      )
+        .to.emit(reputation, "FeedbackGiven")
+        .withArgs(agentId, client.address, 2, 60, 0, "quality", "");
+      expect((await reputation.getGlobalScore(agentId, "quality", "")).count).to.equal(2);
+    });
+
+    it("migrates validation requests; answered ones complete, open ones stay answerable", async function () {
+      await upgrade(hre, deployment);
+      const validation = await ethers.getContractAt("ValidationRegistry", deployment.validationRegistry);
+
+      const status = await validation.getValidationStatus(answered);
+      expect(status.completed).to.equal(true);
+      expect(status.responses.length).to.equal(1);
+      expect(status.responses[0].code).to.equal(90);
+      expect(status.responses[0].tag).to.equal("security");
+      const [count, avg] = await validation.getSummary(agentId, [], "security", true, true);
+      expect(count).to.equal(1);
+      expect(avg).to.equal(90);
+      expect(await validation.getAgentValidationCount(agentId)).to.equal(2);
+
+      expect(await validation.registeredValidators(validator.address)).to.equal(true);
+      await validation.connect(validator).appendResponse(pending, 70, "ipfs://late", ethers.constants.HashZero, "");
+      await validation.connect(validator).completeValidation(pending);
+      expect((await validation.getSummary(agentId, [validator.address], "", true, true)).count).to.equal(2);
+
+      await expect(
+        validation.connect(client).validationRequest(validator.address, agentId, "ipfs://again", answered)
+      ).to.be.revertedWith("ValidationRegistry: request already exists");
+    });
+
+    it("migration is idempotent and v1 state cannot be used before it", async function () {
+      // Every proxy upgraded, nothing migrated yet
+      const initializeV2 = {
+        IdentityRegistry: [owner.address],
+        ReputationRegistry: [deployment.identityRegistry],
+        ValidationRegistry: [],
+        StakeRegistry: [],
+      };
+      for (const [name, args] of Object.entries(initializeV2)) {
+        await upgrades.upgradeProxy(deployment[REGISTRIES[name]], await ethers.getContractFactory(name), {
+          kind: "transparent",
+          call: { fn: "initializeV2", args },
+          unsafeSkipStorageCheck: true,
+        });
+      }
+      const reputation = await ethers.getContractAt("ReputationRegistry", deployment.reputationRegistry);
+      const auth = await signing.signFeedbackAuth(tba, signing.reputationRegistryDomain(chainId, reputation.address), {
+        agentId,
+        clientAddress: client.address,
+        indexLimit: 3,
+        expiry: (await latestTimestamp()) + 3600,
+      });
+      await expect(
+        reputation.connect(client).giveFeedback(agentId, 60, 0, "quality", "", "", "", ethers.constants.HashZero, auth)
+      ).to.be.revertedWith("ReputationRegistry: v1 feedback not migrated");
+      await expect(reputation.connect(other).migrateFeedback(agentId, [client.address])).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+      await expect(reputation.initializeV2(deployment.identityRegistry)).to.be.revertedWith(
+        "Initializable: contract is already initialized"
+      );
+
+      await reputation.migrateFeedback(agentId, [client.address]);
+      await reputation.migrateFeedback(agentId, [client.address]);
+      expect(await reputation.getFeedbackCount(agentId, client.address)).to.equal(2);
+      expect((await reputation.getGlobalScore(agentId, "quality", "")).count).to.equal(1);
+    });
+
+    it("rerunning migrateV1 after an upgrade changes nothing", async function () {
+      await upgrade(hre, deployment);
+      await migrateV1(hre, deployment);
+      const stake = await ethers.getContractAt("StakeRegistry", deployment.stakeRegistry);
+      const validation = await ethers.getContractAt("ValidationRegistry", deployment.validationRegistry);
+      expect(await stake.getCheckpointCount(agentId, client.address)).to.equal(1);
+      expect(await validation.getAgentValidationCount(agentId)).to.equal(2);
+    });
+  });
+});
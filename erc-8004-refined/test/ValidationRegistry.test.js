@@ -0,0 +1,378 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+
+describe("ValidationRegistry", function () {
+  let validationRegistry;
+  let owner;
+  let requester;
+  let v1;
+  let v2;
+  let outsider;
+  const agentId = 1;
+  let nextRequest = 0;
+
+  async function request(validator, id = agentId) {
+    const requestHash = ethers.utils.id(`request-${nextRequest++}`);
+    await validationRegistry.connect(requester).validationRequest(validator.address, id, "ipfs://request", requestHash);
+    return requestHash;
+  }
+
+  function respond(validator, requestHash, score, tag = "") {
+    return validationRegistry
+      .connect(validator)
+      .appendResponse(requestHash, score, "ipfs://response", ethers.constants.HashZero, tag);
+  }
+
+  async function summary(validators, tag = "", latestOnly = false, completedOnly = false) {
+    const [count, avg] = await validationRegistry.getSummary(agentId, validators.map((v) => v.address), tag, latestOnly, completedOnly);
+    return [count.toNumber(), avg];
+  }
+
+  beforeEach(async function () {
+    [owner, requester, v1, v2, outsider] = await ethers.getSigners();
+    const ValidationRegistry = await ethers.getContractFactory("ValidationRegistry");
+    validationRegistry = await upgrades.deployProxy(ValidationRegistry, []);
+    await validationRegistry.deployed();
+    await validationRegistry.setValidator(v1.address, true);
+    await validationRegistry.setValidator(v2.address, true);
+  });
+
+  describe("Validators", function () {
+    it("owner registers and deregisters validators", async function () {
+      await expect(validationRegistry.setValidator(outsider.address, true))
+        .to.emit(validationRegistry, "ValidatorSet")
+        .withArgs(outsider.address, true);
+      expect(await validationRegistry.registeredValidators(outsider.address)).to.equal(true);
+
+      await validationRegistry.setValidator(outsider.address, false);
+      expect(await validationRegistry.registeredValidators(outsider.address)).to.equal(false);
+    });
+
+    it("only the owner can register validators", async function () {
+      await expect(validationRegistry.connect(outsider).setValidator(outsider.address, true))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("rejects responses from unregistered or unassigned validators", async function () {
+      const requestHash = await request(v1);
+      await expect(respond(outsider, requestHash, 50)).to.be.revertedWith("ValidationRegistry: not a validator");
+      await expect(respond(v2, requestHash, 50)).to.be.revertedWith("ValidationRegistry: not the validator");
+    });
+
+    it("rejects requests for the zero address", async function () {
+      await expect(
+        validationRegistry.validationRequest(ethers.constants.AddressZero, agentId, "", ethers.utils.id("zero"))
+      ).to.be.revertedWith("ValidationRegistry: invalid validator");
+    });
+  });
+
+  describe("Summary", function () {
+    it("returns zero for an agent without responses", async function () {
+      expect(await summary([])).to.deep.equal([0, 0]);
+      expect(await summary([v1, v2], "", true, true)).to.deep.equal([0, 0]);
+    });
+
+    it("averages 0-100 scores across validators", async function () {
+      await respond(v1, await request(v1), 80);
+      await respond(v2, await request(v2), 40);
+      await respond(v2, await request(v2), 0);
+
+      expect(await summary([])).to.deep.equal([3, 40]);
+      expect(await summary([v1])).to.deep.equal([1, 80]);
+      expect(await summary([v2])).to.deep.equal([2, 20]);
+      expect(await summary([v1, v2])).to.deep.equal([3, 40]);
+    });
+
+    it("rejects scores above 100", async function () {
+      const requestHash = await request(v1);
+      await expect(respond(v1, requestHash, 101)).to.be.revertedWith("ValidationRegistry: response out of range");
+      await respond(v1, requestHash, 100);
+    });
+
+    it("filters by tag; an empty tag matches every tag", async function () {
+      await respond(v1, await request(v1), 90, "security");
+      await respond(v1, await request(v1), 30, "uptime");
+      await respond(v2, await request(v2), 60, "security");
+
+      expect(await summary([], "security")).to.deep.equal([2, 75]);
+      expect(await summary([v1], "uptime")).to.deep.equal([1, 30]);
+      expect(await summary([v2], "uptime")).to.deep.equal([0, 0]);
+      expect(await summary([], "")).to.deep.equal([3, 60]);
+    });
+
+    it("keeps agents separate", async function () {
+      await respond(v1, await request(v1, 2), 10);
+      await respond(v1, await request(v1), 70);
+      expect(await summary([v1])).to.deep.equal([1, 70]);
+    });
+
+    it("latestOnly counts only the newest response of each request", async function () {
+      const requestHash = await request(v1);
+      await respond(v1, requestHash, 20, "security");
+      await respond(v1, requestHash, 60, "security");
+      await respond(v1, requestHash, 100, "uptime");
+
+      expect(await summary([v1])).to.deep.equal([3, 60]);
+      expect(await summary([v1], "", true)).to.deep.equal([1, 100]);
+      expect(await summary([v1], "security", true)).to.deep.equal([0, 0]);
+      expect(await summary([v1], "uptime", true)).to.deep.equal([1, 100]);
+    });
+
+    it("completedOnly counts responses once the request is completed", async function () {
+      const done = await request(v1);
+      await respond(v1, done, 40);
+      await respond(v1, done, 80);
+      const open = await request(v1);
+      await respond(v1, open, 10);
+
+      expect(await summary([v1], "", false, true)).to.deep.equal([0, 0]);
+
+      await expect(validationRegistry.connect(v1).completeValidation(done))
+        .to.emit(validationRegistry, "ValidationCompleted")
+        .withArgs(done, 2, 0);
+
+      expect(await summary([v1], "", false, true)).to.deep.equal([2, 60]);
+      expect(await summary([v1], "", true, true)).to.deep.equal([1, 80]);
+      expect(await summary([v1])).to.deep.equal([3, 43]);
+    });
+
+    it("a request can only be completed once and takes no further responses", async function () {
+      const requestHash = await request(v1);
+      await respond(v1, requestHash, 50);
+      await validationRegistry.connect(v1).completeValidation(requestHash);
+
+      await expect(validationRegistry.connect(v1).completeValidation(requestHash))
+        .to.be.revertedWith("ValidationRegistry: request already completed");
+      await expect(respond(v1, requestHash, 90)).to.be.revertedWith("ValidationRegistry: request already completed");
+      expect(await summary([v1], "", false, true)).to.deep.equal([1, 50]);
+    });
+
+    it("rejects duplicate, zero or too many validators", async function () {
+      await expect(summary([v1, v1])).to.be.revertedWith("ValidationRegistry: duplicate validator");
+      await expect(
+        validationRegistry.getSummary(agentId, [ethers.constants.AddressZero], "", false, false)
+      ).to.be.revertedWith("ValidationRegistry: invalid validator");
+
+      const many = Array.from({ length: 101 }, (_, i) => ethers.utils.hexZeroPad(ethers.utils.hexlify(i + 1), 20));
+      await expect(validationRegistry.getSummary(agentId, many, "", false, false))
+        .to.be.revertedWith("ValidationRegistry: too many validators");
+    });
+
+    it("matches a recomputation from stored requests in every mode", async function () {
+      const tags = ["", "security", "uptime"];
+      const validators = [v1, v2];
+      const hashes = [];
+      for (let i = 0; i < 8; i++) {
+        const validator = validators[i % 2];
+        const requestHash = await request(validator);
+        hashes.push(requestHash);
+        for (let j = 0; j <= i % 3; j++) {
+          await respond(validator, requestHash, (i * 37 + j * 11) % 101, tags[(i + j) % 3]);
+        }
+        if (i % 3 !== 1) {
+          await validationRegistry.connect(validator).completeValidation(requestHash);
+        }
+      }
+
+      const requests = await validationRegistry.getAgentValidations(agentId, 0, hashes.length);
+      function expected(addresses, tag, latestOnly, completedOnly) {
+        let count = 0;
+        let sum = 0;
+        for (const req of requests) {
+          if (addresses.length > 0 && !addresses.includes(req.validatorAddress)) continue;
+          if (completedOnly && !req.completed) continue;
+          const responses = latestOnly ? req.responses.slice(-1) : req.responses;
+          for (const r of responses) {
+            if (tag !== "" && r.tag !== tag) continue;
+            count++;
+            sum += r.code;
+          }
+        }
+        return [count, count > 0 ? Math.floor(sum / count) : 0];
+      }
+
+      for (const subset of [[], [v1], [v2], [v2, v1]]) {
+        for (const tag of tags) {
+          for (const latestOnly of [false, true]) {
+            for (const completedOnly of [false, true]) {
+              const addresses = subset.map((v) => v.address);
+              expect(await summary(subset, tag, latestOnly, completedOnly)).to.deep.equal(
+                expected(addresses, tag, latestOnly, completedOnly)
+              );
+            }
+          }
+        }
+      }
+    });
+  });
+
+  describe("Request Lifecycle", function () {
+    const FEE = ethers.utils.parseEther("10");
+    const HOUR = 60 * 60;
+    let token;
+    let stakeRegistry;
+
+    async function latestTimestamp() {
+      return (await ethers.provider.getBlock("latest")).timestamp;
+    }
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    async function requestWithFee(validator, fee = FEE, ttl = HOUR) {
+      const requestHash = ethers.utils.id(`request-${nextRequest++}`);
+      await validationRegistry
+        .connect(requester)
+        .validationRequestWithFee(validator.address, agentId, "ipfs://request", requestHash, token.address, fee, (await latestTimestamp()) + ttl);
+      return requestHash;
+    }
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy();
+      await token.mint(requester.address, FEE.mul(10));
+      await token.connect(requester).approve(validationRegistry.address, ethers.constants.MaxUint256);
+
+      const StakeRegistry = await ethers.getContractFactory("StakeRegistry");
+      stakeRegistry = await upgrades.deployProxy(StakeRegistry, [token.address]);
+      await stakeRegistry.deployed();
+    });
+
+    describe("Stake-gated registration", function () {
+      const MIN_STAKE = ethers.utils.parseEther("100");
+
+      beforeEach(async function () {
+        await token.mint(outsider.address, MIN_STAKE);
+        await token.connect(outsider).approve(stakeRegistry.address, MIN_STAKE);
+        await stakeRegistry.connect(outsider).stake(MIN_STAKE, agentId);
+      });
+
+      it("is disabled until the owner sets a minimum stake", async function () {
+        await expect(validationRegistry.connect(outsider).registerValidator(agentId))
+          .to.be.revertedWith("ValidationRegistry: stake registration disabled");
+        await expect(validationRegistry.connect(outsider).setValidatorStakeConfig(stakeRegistry.address, MIN_STAKE))
+          .to.be.revertedWith("Ownable: caller is not the owner");
+        await expect(validationRegistry.setValidatorStakeConfig(ethers.constants.AddressZero, MIN_STAKE))
+          .to.be.revertedWith("ValidationRegistry: invalid stake registry");
+      });
+
+      it("registers validators with enough stake", async function () {
+        await validationRegistry.setValidatorStakeConfig(stakeRegistry.address, MIN_STAKE);
+        await expect(validationRegistry.connect(outsider).registerValidator(agentId))
+          .to.emit(validationRegistry, "ValidatorStakeRegistered")
+          .withArgs(outsider.address, agentId, MIN_STAKE);
+        expect(await validationRegistry.isActiveValidator(outsider.address)).to.equal(true);
+
+        const requestHash = await request(outsider);
+        await respond(outsider, requestHash, 70);
+      });
+
+      it("rejects validators below the minimum stake", async function () {
+        await validationRegistry.setValidatorStakeConfig(stakeRegistry.address, MIN_STAKE.add(1));
+        await expect(validationRegistry.connect(outsider).registerValidator(agentId))
+          .to.be.revertedWith("ValidationRegistry: insufficient stake");
+        await expect(validationRegistry.connect(outsider).registerValidator(2))
+          .to.be.revertedWith("ValidationRegistry: insufficient stake");
+      });
+
+      it("deactivates a validator whose stake is slashed below the minimum", async function () {
+        await validationRegistry.setValidatorStakeConfig(stakeRegistry.address, MIN_STAKE);
+        await validationRegistry.connect(outsider).registerValidator(agentId);
+        const requestHash = await request(outsider);
+
+        await stakeRegistry.slash(agentId, outsider.address, 1, "misbehaviour");
+        expect(await validationRegistry.isActiveValidator(outsider.address)).to.equal(false);
+        await expect(respond(outsider, requestHash, 70)).to.be.revertedWith("ValidationRegistry: not a validator");
+      });
+    });
+
+    describe("Fee escrow", function () {
+      it("escrows the fee and pays the validator on completion", async function () {
+        const requestHash = await requestWithFee(v1);
+        expect(await token.balanceOf(validationRegistry.address)).to.equal(FEE);
+
+        const status = await validationRegistry.getValidationStatus(requestHash);
+        expect(status.requester).to.equal(requester.address);
+        expect(status.feeToken).to.equal(token.address);
+        expect(status.fee).to.equal(FEE);
+
+        await respond(v1, requestHash, 90);
+        await expect(validationRegistry.connect(v1).completeValidation(requestHash))
+          .to.emit(validationRegistry, "ValidationCompleted")
+          .withArgs(requestHash, 1, FEE);
+        expect(await token.balanceOf(v1.address)).to.equal(FEE);
+        expect(await token.balanceOf(validationRegistry.address)).to.equal(0);
+      });
+
+      it("the fee is only released for an answered request to a still active validator", async function () {
+        const requestHash = await requestWithFee(v1);
+        await expect(validationRegistry.connect(v1).completeValidation(requestHash))
+          .to.be.revertedWith("ValidationRegistry: no responses");
+
+        await respond(v1, requestHash, 90);
+        await validationRegistry.setValidator(v1.address, false);
+        await expect(validationRegistry.connect(v1).completeValidation(requestHash))
+          .to.be.revertedWith("ValidationRegistry: not a validator");
+        expect(await token.balanceOf(validationRegistry.address)).to.equal(FEE);
+
+        await increaseTime(HOUR + 1);
+        await validationRegistry.expireValidation(requestHash);
+        expect(await token.balanceOf(requester.address)).to.equal(FEE.mul(10));
+      });
+
+      it("refunds the requester once the deadline has passed", async function () {
+        const requestHash = await requestWithFee(v1);
+        await respond(v1, requestHash, 90);
+
+        await expect(validationRegistry.connect(outsider).expireValidation(requestHash))
+          .to.be.revertedWith("ValidationRegistry: deadline not reached");
+
+        await increaseTime(HOUR + 1);
+        await expect(respond(v1, requestHash, 95)).to.be.revertedWith("ValidationRegistry: request expired");
+        await expect(validationRegistry.connect(v1).completeValidation(requestHash))
+          .to.be.revertedWith("ValidationRegistry: request expired");
+
+        await expect(validationRegistry.connect(outsider).expireValidation(requestHash))
+          .to.emit(validationRegistry, "ValidationExpired")
+          .withArgs(requestHash)
+          .and.to.emit(validationRegistry, "ValidationRefunded")
+          .withArgs(requestHash, requester.address, token.address, FEE);
+        expect(await token.balanceOf(requester.address)).to.equal(FEE.mul(10));
+        expect((await validationRegistry.getValidationStatus(requestHash)).expired).to.equal(true);
+
+        await expect(validationRegistry.expireValidation(requestHash))
+          .to.be.revertedWith("ValidationRegistry: request already expired");
+      });
+
+      it("expires fee-less requests without a refund", async function () {
+        const requestHash = await request(v1);
+        await increaseTime((await validationRegistry.DEFAULT_REQUEST_TTL()).toNumber() + 1);
+        await expect(validationRegistry.expireValidation(requestHash))
+          .to.emit(validationRegistry, "ValidationExpired")
+          .and.not.to.emit(validationRegistry, "ValidationRefunded");
+      });
+
+      it("completed requests cannot be expired", async function () {
+        const requestHash = await requestWithFee(v1);
+        await respond(v1, requestHash, 90);
+        await validationRegistry.connect(v1).completeValidation(requestHash);
+        await increaseTime(HOUR + 1);
+        await expect(validationRegistry.expireValidation(requestHash))
+          .to.be.revertedWith("ValidationRegistry: request already completed");
+      });
+
+      it("validates deadline, fee token and request existence", async function () {
+        await expect(requestWithFee(v1, FEE, 0)).to.be.revertedWith("ValidationRegistry: invalid deadline");
+        await expect(
+          validationRegistry.validationRequestWithFee(
+            v1.address, agentId, "", ethers.utils.id("no-token"), ethers.constants.AddressZero, FEE, (await latestTimestamp()) + HOUR
+          )
+        ).to.be.revertedWith("ValidationRegistry: invalid fee token");
+        await expect(validationRegistry.expireValidation(ethers.utils.id("missing")))
+          .to.be.revertedWith("ValidationRegistry: request not found");
+      });
+    });
+  });
+});
@@ -0,0 +1,265 @@
+const { ethers } = require("ethers");
+const { EventStore } = require("./event-store");
+
+// Matches ReputationRegistry.SCORE_DECIMALS
+const SCORE_DECIMALS = 18;
+
+/**
+ * Feedback value scaled to SCORE_DECIMALS, as ReputationRegistry._normalize.
+ * @returns {bigint}
+ */
+function normalizeScore(value, valueDecimals) {
+  if (valueDecimals > SCORE_DECIMALS) throw new Error("AgentIndex: too many decimals");
+  return BigInt(value) * 10n ** BigInt(SCORE_DECIMALS - valueDecimals);
+}
+
+/** @returns {string} decimal string with SCORE_DECIMALS decimals */
+function formatScore(score) {
+  return ethers.utils.formatUnits(score.toString(), SCORE_DECIMALS);
+}
+
+// ============ INDEX ============
+/**
+ * Embedded, event-sourced store for the ERC-8004 registries.
+ *
+ * Every table (agents, feedback, stake checkpoints, validations) is derived from the
+ * indexed events; a reorg restores the latest snapshot before the fork and replays the
+ * events since, so the index never mixes two forks (see EventStore).
+ */
+class AgentIndex extends EventStore {
+  /**
+   * @param {{startBlock?: number, reorgDepth?: number, snapshotInterval?: number}} [options] see EventStore
+   */
+  constructor(options) {
+    super(options);
+    this._reset();
+  }
+
+  _reset() {
+    this.agents = new Map();
+    this.feedback = new Map();
+    this.stakes = new Map();
+    this.validations = new Map();
+  }
+
+  /** Tables as JSON values: Maps become entry lists, bigints decimal strings. */
+  _snapshot() {
+    return {
+      agents: [...this.agents],
+      feedback: [...this.feedback].map(([key, fb]) => [key, { ...fb, score: fb.score.toString() }]),
+      stakes: [...this.stakes].map(([key, checkpoints]) => [
+        key,
+        checkpoints.map((c) => ({ timestamp: c.timestamp, amount: c.amount.toString() })),
+      ]),
+      validations: [...this.validations],
+    };
+  }
+
+  _restore({ agents, feedback, stakes, validations }) {
+    this.agents = new Map(agents);
+    this.feedback = new Map(feedback.map(([key, fb]) => [key, { ...fb, score: BigInt(fb.score) }]));
+    this.stakes = new Map(
+      stakes.map(([key, checkpoints]) => [key, checkpoints.map((c) => ({ timestamp: c.timestamp, amount: BigInt(c.amount) }))])
+    );
+    this.validations = new Map(validations);
+  }
+
+  _apply(event) {
+    const handler = HANDLERS[event.name];
+    if (handler) handler(this, event.args, event);
+  }
+
+  _agent(agentId) {
+    if (!this.agents.has(agentId)) {
+      this.agents.set(agentId, { agentId, tba: null, owner: null, wallet: null, tokenURI: null, boundToken: null, metadata: {} });
+    }
+    return this.agents.get(agentId);
+  }
+
+  // ============ QUERIES ============
+  /**
+   * Agents with metadata `key` (optionally equal to `value`); all agents without a key.
+   * @returns {object[]} agents ordered by registration
+   */
+  searchAgents({ key, value, offset = 0, limit = 100 } = {}) {
+    const matches = [...this.agents.values()].filter((agent) => {
+      if (key === undefined || key === "") return true;
+      if (!Object.prototype.hasOwnProperty.call(agent.metadata, key)) return false;
+      return value === undefined || agent.metadata[key] === value;
+    });
+    return matches.slice(offset, offset + limit);
+  }
+
+  getAgent(agentId) {
+    const agent = this.agents.get(String(agentId));
+    if (!agent) return null;
+    return { ...agent, totalStake: this.totalStake(agent.agentId).toString() };
+  }
+
+  /**
+   * Current stake on an agent across all stakers.
+   * @returns {bigint}
+   */
+  totalStake(agentId) {
+    let total = 0n;
+    for (const [key, checkpoints] of this.stakes) {
+      if (key.startsWith(`${agentId}:`)) total += checkpoints[checkpoints.length - 1].amount;
+    }
+    return total;
+  }
+
+  /**
+   * Stake of `staker` on `agentId` at `timestamp`, as StakeRegistry.getStakeAt.
+   * @returns {bigint}
+   */
+  stakeAt(agentId, staker, timestamp) {
+    const checkpoints = this.stakes.get(`${agentId}:${staker.toLowerCase()}`) || [];
+    let amount = 0n;
+    for (const checkpoint of checkpoints) {
+      if (checkpoint.timestamp > timestamp) break;
+      amount = checkpoint.amount;
+    }
+    return amount;
+  }
+
+  /**
+   * Rank agents by stake-weighted reputation over their live (unrevoked) feedback.
+   * Each feedback is weighted by the client's stake just before it was given, like
+   * ReputationRegistry.getGlobalScore without decay. An empty tag matches any tag.
+   * @returns {{agentId: string, count: number, average: string, weightedAverage: string|null, totalWeight: string}[]}
+   *   agents with unweighted feedback only rank after all stake-weighted ones
+   */
+  rankAgents({ tag1 = "", tag2 = "", offset = 0, limit = 100 } = {}) {
+    const totals = new Map();
+    for (const fb of this.feedback.values()) {
+      if (fb.revoked || (tag1 && fb.tag1 !== tag1) || (tag2 && fb.tag2 !== tag2)) continue;
+      if (!totals.has(fb.agentId)) totals.set(fb.agentId, { count: 0, sum: 0n, weight: 0n, weighted: 0n });
+      const t = totals.get(fb.agentId);
+      const weight = this.stakeAt(fb.agentId, fb.client, fb.timestamp - 1);
+      t.count += 1;
+      t.sum += fb.score;
+      t.weight += weight;
+      t.weighted += fb.score * weight;
+    }
+
+    const ranked = [...totals].map(([agentId, t]) => ({
+      agentId,
+      count: t.count,
+      average: t.sum / BigInt(t.count),
+      weightedAverage: t.weight > 0n ? t.weighted / t.weight : null,
+      totalWeight: t.weight,
+    }));
+    const cmp = (a, b) => (a === b ? 0 : a > b ? -1 : 1);
+    ranked.sort((a, b) => {
+      if ((a.weightedAverage === null) !== (b.weightedAverage === null)) return a.weightedAverage === null ? 1 : -1;
+      return cmp(a.weightedAverage, b.weightedAverage) || cmp(a.average, b.average) || b.count - a.count;
+    });
+    return ranked.slice(offset, offset + limit).map((r) => ({
+      agentId: r.agentId,
+      count: r.count,
+      average: formatScore(r.average),
+      weightedAverage: r.weightedAverage === null ? null : formatScore(r.weightedAverage),
+      totalWeight: r.totalWeight.toString(),
+    }));
+  }
+
+  /**
+   * Open requests assigned to `validator`: neither completed nor expired.
+   * @param {number} [now] unix timestamp; requests past their deadline are flagged `overdue`
+   * @returns {object[]} oldest first
+   */
+  pendingValidations(validator, now = Math.floor(Date.now() / 1000)) {
+    const address = validator.toLowerCase();
+    return [...this.validations.values()]
+      .filter((v) => v.validator.toLowerCase() === address && v.status === "pending")
+      .map((v) => ({ ...v, overdue: v.deadline !== null && now > v.deadline }));
+  }
+
+  /** @returns {{cursor: number, blockHash: string|null, events: number, agents: number}} */
+  status() {
+    return { ...super.status(), agents: this.agents.size };
+  }
+}
+
+// ============ EVENT HANDLERS ============
+// Event args arrive as strings (uint, address) and plain JS values otherwise; addresses are checksummed.
+const HANDLERS = {
+  AgentRegistered(index, { agentId, tbaAddress }, event) {
+    const agent = index._agent(agentId);
+    agent.tba = tbaAddress;
+    agent.owner = tbaAddress;
+    agent.registeredBlock = event.blockNumber;
+  },
+  AgentBound(index, { agentId, chainId, tokenContract, tokenId }) {
+    index._agent(agentId).boundToken = { chainId, tokenContract, tokenId };
+  },
+  Transfer(index, { to, tokenId }) {
+    if (index.agents.has(tokenId)) index.agents.get(tokenId).owner = to;
+  },
+  AgentWalletSet(index, { agentId, wallet }) {
+    index._agent(agentId).wallet = wallet;
+  },
+  MetadataUpdated(index, { agentId, metadataURI }) {
+    index._agent(agentId).tokenURI = metadataURI;
+  },
+  MetadataSet(index, { agentId, key, value }) {
+    index._agent(agentId).metadata[key] = value;
+  },
+  FeedbackGiven(index, { agentId, clientAddress, feedbackIndex, value, valueDecimals, tag1, tag2 }, event) {
+    index.feedback.set(`${agentId}:${clientAddress.toLowerCase()}:${feedbackIndex}`, {
+      agentId,
+      client: clientAddress,
+      feedbackIndex,
+      value,
+      valueDecimals,
+      score: normalizeScore(value, valueDecimals),
+      tag1,
+      tag2,
+      timestamp: event.timestamp,
+      revoked: false,
+    });
+  },
+  FeedbackRevoked(index, { agentId, clientAddress, feedbackIndex }) {
+    const fb = index.feedback.get(`${agentId}:${clientAddress.toLowerCase()}:${feedbackIndex}`);
+    if (fb) fb.revoked = true;
+  },
+  StakeCheckpointed(index, { agentId, staker, timestamp, amount }) {
+    const key = `${agentId}:${staker.toLowerCase()}`;
+    if (!index.stakes.has(key)) index.stakes.set(key, []);
+    const checkpoints = index.stakes.get(key);
+    const last = checkpoints[checkpoints.length - 1];
+    if (last && last.timestamp === Number(timestamp)) last.amount = BigInt(amount);
+    else checkpoints.push({ timestamp: Number(timestamp), amount: BigInt(amount) });
+  },
+  ValidationRequested(index, { requestHash, validatorAddress, agentId, requestURI }, event) {
+    index.validations.set(requestHash, {
+      requestHash,
+      validator: validatorAddress,
+      agentId,
+      requestURI,
+      deadline: event.deadline === undefined ? null : event.deadline,
+      requestedBlock: event.blockNumber,
+      status: "pending",
+      responses: [],
+    });
+  },
+  ValidationResponded(index, { requestHash, response, responseURI, tag }) {
+    const v = index.validations.get(requestHash);
+    if (v) v.responses.push({ response, responseURI, tag });
+  },
+  ValidationCompleted(index, { requestHash }) {
+    const v = index.validations.get(requestHash);
+    if (v) v.status = "completed";
+  },
+  ValidationExpired(index, { requestHash }) {
+    const v = index.validations.get(requestHash);
+    if (v) v.status = "expired";
+  },
+};
+
+module.exports = {
+  SCORE_DECIMALS,
+  AgentIndex,
+  normalizeScore,
+  formatScore,
+};
@@ -0,0 +1,221 @@
+// Base class of the event-sourced stores fed by Indexer (AgentIndex, MetadataIndex).
+//
+// A store's tables are derived from the events it indexed. Every `snapshotInterval` blocks the
+// tables are snapshotted; only the newest snapshot deeper than `reorgDepth` and the events after
+// it are kept, so a rollback restores a snapshot and replays at most a few hundred blocks of
+// events instead of the whole history.
+//
+// On disk a store is a checkpoint file (options, snapshots, retained events) plus an append-only
+// `<file>.log` of the commits and rollbacks since. The checkpoint is only rewritten when its
+// oldest snapshot is pruned; other saves append one line per change to the log.
+const fs = require("fs");
+
+const STATE_VERSION = 1;
+
+class EventStore {
+  /**
+   * Subclasses set their own fields, then call `this._reset()`, and implement:
+   *   _reset()            empty tables
+   *   _apply(event)       fold one event into the tables
+   *   _snapshot()         the tables as plain JSON values
+   *   _restore(tables)    tables from a _snapshot() value
+   * @param {{startBlock?: number, reorgDepth?: number, snapshotInterval?: number}} [options] blocks before
+   *   startBlock are never indexed; reorgDepth block hashes are kept for fork detection; tables are
+   *   snapshotted every snapshotInterval blocks
+   */
+  constructor({ startBlock = 0, reorgDepth = 64, snapshotInterval = 256 } = {}) {
+    this.startBlock = startBlock;
+    this.reorgDepth = reorgDepth;
+    this.snapshotInterval = snapshotInterval;
+    this.cursor = startBlock - 1;
+    this.blocks = [];
+    this.events = [];
+    this.eventCount = 0;
+    this._snapshots = [];
+    this._journal = [];
+    this._saved = null;
+  }
+
+  // ============ WRITES ============
+  /**
+   * Apply the events of a synced block range and advance the cursor.
+   * @param {object[]} events in chain order, from Indexer
+   * @param {{number: number, hash: string}[]} blocks hashes of the range's tip and of every block with events
+   */
+  commit(events, blocks) {
+    for (const event of events) {
+      this.events.push(event);
+      this._apply(event);
+    }
+    this.eventCount += events.length;
+    for (const block of blocks) {
+      if (block.number > this.cursor) this.cursor = block.number;
+      const last = this.blocks[this.blocks.length - 1];
+      if (!last || block.number > last.number) this.blocks.push({ number: block.number, hash: block.hash });
+    }
+    const oldest = this.cursor - this.reorgDepth;
+    this.blocks = this.blocks.filter((b) => b.number > oldest);
+    this._record({ commit: { events, blocks } });
+
+    const latest = this._snapshots[this._snapshots.length - 1];
+    if (this.cursor - (latest ? latest.block : this.startBlock - 1) >= this.snapshotInterval) {
+      this._snapshots.push({ block: this.cursor, tables: JSON.stringify(this._snapshot()) });
+    }
+    this._prune();
+  }
+
+  /**
+   * Forget everything after `blockNumber`: restore the newest snapshot at or before it and replay the
+   * events since. A block older than every kept snapshot resets the store to startBlock for a reindex.
+   * @param {number} blockNumber last block still on the canonical chain
+   * @returns {number} number of events dropped
+   */
+  rollback(blockNumber) {
+    this._record({ rollback: blockNumber });
+    this._snapshots = this._snapshots.filter((s) => s.block <= blockNumber);
+    this.blocks = this.blocks.filter((b) => b.number <= blockNumber);
+    this.cursor = Math.max(blockNumber, this.startBlock - 1);
+
+    const base = this._snapshots[this._snapshots.length - 1];
+    if (!base && this.events.length < this.eventCount) {
+      // The events before the oldest snapshot are gone
+      const dropped = this.eventCount;
+      this.cursor = this.startBlock - 1;
+      this.blocks = [];
+      this.events = [];
+      this.eventCount = 0;
+      this._reset();
+      return dropped;
+    }
+
+    const kept = this.events.filter((e) => e.blockNumber <= blockNumber);
+    const dropped = this.events.length - kept.length;
+    this.events = kept;
+    this.eventCount -= dropped;
+    if (base) this._restore(JSON.parse(base.tables));
+    else this._reset();
+    for (const event of this.events) {
+      if (!base || event.blockNumber > base.block) this._apply(event);
+    }
+    return dropped;
+  }
+
+  /** Drop the snapshots no rollback can reach, and the events they cover. */
+  _prune() {
+    const floor = this.cursor - this.reorgDepth;
+    let base = -1;
+    for (let i = 0; i < this._snapshots.length && this._snapshots[i].block <= floor; i++) base = i;
+    if (base <= 0) return;
+    this._snapshots = this._snapshots.slice(base);
+    const block = this._snapshots[0].block;
+    this.events = this.events.filter((e) => e.blockNumber > block);
+  }
+
+  _record(entry) {
+    this._journal.push(entry);
+  }
+
+  /** Apply one journal entry read back from the log; subclasses add their own entries. */
+  _replay(entry) {
+    if (entry.commit) this.commit(entry.commit.events, entry.commit.blocks);
+    else if (entry.rollback !== undefined) this.rollback(entry.rollback);
+  }
+
+  // ============ QUERIES ============
+  /** @returns {{cursor: number, blockHash: string|null, events: number}} events = all events indexed */
+  status() {
+    const tip = this.blocks[this.blocks.length - 1];
+    return {
+      cursor: this.cursor,
+      blockHash: tip && tip.number === this.cursor ? tip.hash : null,
+      events: this.eventCount,
+    };
+  }
+
+  // ============ PERSISTENCE ============
+  /** Checkpoint form: options, snapshots and the events after the oldest one. */
+  toJSON() {
+    return {
+      version: STATE_VERSION,
+      startBlock: this.startBlock,
+      reorgDepth: this.reorgDepth,
+      snapshotInterval: this.snapshotInterval,
+      cursor: this.cursor,
+      blocks: this.blocks,
+      eventCount: this.eventCount,
+      snapshots: this._snapshots.map((s) => ({ block: s.block, tables: JSON.parse(s.tables) })),
+      events: this.events,
+    };
+  }
+
+  /** Store from a checkpoint; the subclass constructor receives the whole object as its options. */
+  static fromJSON(json) {
+    if (json.version !== STATE_VERSION) {
+      throw new Error(`${this.name}: unsupported state version ${json.version}, delete the file to reindex`);
+    }
+    const store = new this(json);
+    store.cursor = json.cursor;
+    store.blocks = json.blocks;
+    store.eventCount = json.eventCount;
+    store.events = json.events;
+    store._snapshots = json.snapshots.map((s) => ({ block: s.block, tables: JSON.stringify(s.tables) }));
+    const base = store._snapshots[0];
+    if (base) store._restore(json.snapshots[0].tables);
+    for (const event of store.events) {
+      if (!base || event.blockNumber > base.block) store._apply(event);
+    }
+    return store;
+  }
+
+  /**
+   * Persist the changes since the last save: append them to `<file>.log`, or, once the oldest
+   * snapshot has moved (or on the first save to `file`), write a new checkpoint and start a new log.
+   */
+  save(file) {
+    const base = this._snapshots.length > 0 ? this._snapshots[0].block : null;
+    const log = `${file}.log`;
+    if (this._saved && this._saved.file === file && this._saved.base === base && fs.existsSync(file)) {
+      if (this._journal.length > 0) fs.appendFileSync(log, this._journal.map((e) => JSON.stringify(e) + "\n").join(""));
+    } else {
+      // Without the log the old checkpoint is only behind, never wrong; then swap in the new one
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(this.toJSON()) + "\n");
+      fs.rmSync(log, { force: true });
+      fs.renameSync(tmp, file);
+      this._saved = { file, base };
+    }
+    this._journal = [];
+  }
+
+  /** Load the checkpoint `file` and replay its log, or a new store with `options` if it does not exist. */
+  static load(file, options) {
+    if (!fs.existsSync(file)) return new this(options);
+    const store = this.fromJSON(JSON.parse(fs.readFileSync(file, "utf8")));
+    let saved = { file, base: store._snapshots.length > 0 ? store._snapshots[0].block : null };
+    const log = `${file}.log`;
+    if (fs.existsSync(log)) {
+      const lines = fs.readFileSync(log, "utf8").split("\n");
+      for (let i = 0; i < lines.length; i++) {
+        if (lines[i] === "") continue;
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch (err) {
+          if (i !== lines.length - 1) throw new Error(`${this.name}: corrupt log ${log} at line ${i + 1}`);
+          // Cut short by a crash while appending: the next save starts a new checkpoint
+          saved = null;
+          break;
+        }
+        store._replay(entry);
+      }
+    }
+    store._journal = [];
+    store._saved = saved;
+    return store;
+  }
+}
+
+module.exports = {
+  STATE_VERSION,
+  EventStore,
+};
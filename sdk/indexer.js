@@ -0,0 +1,236 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { AgentIndex } = require("./agent-index");
+
+// ============ EVENTS ============
+// Indexed events per registry; must match the refined ERC-8004 contracts
+const REGISTRY_EVENTS = {
+  identityRegistry: [
+    "event AgentRegistered(uint256 indexed agentId, address indexed tbaAddress)",
+    "event AgentBound(uint256 indexed agentId, uint256 chainId, address indexed tokenContract, uint256 tokenId)",
+    "event AgentWalletSet(uint256 indexed agentId, address indexed wallet, bytes signature)",
+    "event MetadataUpdated(uint256 indexed agentId, string metadataURI)",
+    "event MetadataSet(uint256 indexed agentId, string key, string value)",
+    "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+  ],
+  reputationRegistry: [
+    "event FeedbackGiven(uint256 indexed agentId, address indexed clientAddress, uint64 feedbackIndex, int128 value, uint8 valueDecimals, string tag1, string tag2)",
+    "event FeedbackRevoked(uint256 indexed agentId, address indexed clientAddress, uint64 feedbackIndex)",
+  ],
+  validationRegistry: [
+    "event ValidationRequested(bytes32 indexed requestHash, address indexed validatorAddress, uint256 indexed agentId, string requestURI)",
+    "event ValidationResponded(bytes32 indexed requestHash, uint8 response, string responseURI, string tag)",
+    "event ValidationCompleted(bytes32 indexed requestHash, uint256 responseCount, uint256 feePaid)",
+    "event ValidationExpired(bytes32 indexed requestHash)",
+  ],
+  stakeRegistry: [
+    "event StakeCheckpointed(uint256 indexed agentId, address indexed staker, uint256 timestamp, uint256 amount)",
+  ],
+};
+
+const VALIDATION_STATUS_ABI = [
+  "function getValidationStatus(bytes32 requestHash) view returns (tuple(address validatorAddress, uint256 agentId, string requestURI, bytes32 requestHash, tuple(uint8 code, string responseURI, bytes32 responseHash, string tag, uint64 timestamp)[] responses, bool completed, uint64 timestamp, address requester, address feeToken, uint256 fee, uint64 deadline, bool expired))",
+];
+
+/** Event args as JSON-friendly values: BigNumbers become decimal strings. */
+function plainArgs(fragment, args) {
+  const out = {};
+  fragment.inputs.forEach((input, i) => {
+    const value = args[i];
+    out[input.name] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+  });
+  return out;
+}
+
+// ============ INDEXER ============
+/**
+ * Follows the four ERC-8004 registries and feeds their events into an AgentIndex.
+ *
+ * Each sync first checks the recorded block hashes against the chain, newest first;
+ * on a mismatch the index is rolled back to the newest block still canonical and
+ * the orphaned range is fetched again.
+ *
+ * Any store with the same commit / rollback / cursor / blocks surface can be fed from
+ * other contracts by passing their event ABIs as `events` (see sdk/renderer.js).
+ */
+class Indexer {
+  /**
+   * @param {ethers.providers.Provider} provider
+   * @param {{identityRegistry: string, reputationRegistry: string, validationRegistry: string, stakeRegistry: string}} addresses
+   * @param {AgentIndex} [index]
+   * @param {{batchSize?: number, confirmations?: number, file?: string, events?: Object<string, string[]>}} [options]
+   *   with `file` the index is saved after every sync that changed it; `events` maps address keys to the
+   *   events followed (default REGISTRY_EVENTS)
+   */
+  constructor(provider, addresses, index = new AgentIndex(), { batchSize = 2000, confirmations = 0, file, events = REGISTRY_EVENTS } = {}) {
+    this.provider = provider;
+    this.index = index;
+    this.batchSize = batchSize;
+    this.confirmations = confirmations;
+    this.file = file;
+    this._contracts = new Map();
+    for (const [name, abi] of Object.entries(events)) {
+      if (!addresses[name]) throw new Error(`Indexer: missing ${name} address`);
+      this._contracts.set(addresses[name].toLowerCase(), { name, iface: new ethers.utils.Interface(abi) });
+    }
+    this._validation = events.validationRegistry
+      ? new ethers.Contract(addresses.validationRegistry, VALIDATION_STATUS_ABI, provider)
+      : null;
+    this._timer = null;
+  }
+
+  /**
+   * Index up to the current head (minus `confirmations`).
+   * @returns {Promise<{from: number, to: number, events: number, reorged: number}>} reorged = events dropped
+   */
+  async sync() {
+    const reorged = await this._checkReorg();
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const from = this.index.cursor + 1;
+    let events = 0;
+    for (let start = from; start <= head; start += this.batchSize) {
+      events += await this._syncRange(start, Math.min(start + this.batchSize - 1, head));
+    }
+    if (this.file && (head >= from || reorged > 0)) this.index.save(this.file);
+    return { from, to: this.index.cursor, events, reorged };
+  }
+
+  /** Roll back past any recorded block that is no longer canonical. */
+  async _checkReorg() {
+    const blocks = this.index.blocks;
+    for (let i = blocks.length - 1; i >= 0; i--) {
+      const block = await this.provider.getBlock(blocks[i].number);
+      if (block && block.hash === blocks[i].hash) {
+        return i === blocks.length - 1 ? 0 : this.index.rollback(blocks[i].number);
+      }
+    }
+    // Nothing recorded is canonical any more (or nothing was recorded): reindex from startBlock
+    return blocks.length === 0 ? 0 : this.index.rollback(this.index.startBlock - 1);
+  }
+
+  async _syncRange(fromBlock, toBlock) {
+    const logs = [];
+    for (const address of this._contracts.keys()) {
+      logs.push(...(await this.provider.getLogs({ address, fromBlock, toBlock })));
+    }
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    const headers = new Map();
+    const header = async (number, expectedHash) => {
+      if (!headers.has(number)) headers.set(number, await this.provider.getBlock(number));
+      const block = headers.get(number);
+      // The chain moved while this range was fetched; retry on the next sync
+      if (!block || (expectedHash && block.hash !== expectedHash)) throw new Error(`Indexer: block ${number} changed during sync`);
+      return block;
+    };
+
+    const events = [];
+    for (const log of logs) {
+      const contract = this._contracts.get(log.address.toLowerCase());
+      let parsed;
+      try {
+        parsed = contract.iface.parseLog(log);
+      } catch (err) {
+        continue; // not an indexed event
+      }
+      const block = await header(log.blockNumber, log.blockHash);
+      const event = {
+        contract: contract.name,
+        name: parsed.name,
+        args: plainArgs(parsed.eventFragment, parsed.args),
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        logIndex: log.logIndex,
+        transactionHash: log.transactionHash,
+        timestamp: block.timestamp,
+      };
+      if (event.name === "ValidationRequested" && this._validation) {
+        const status = await this._validation.getValidationStatus(event.args.requestHash, { blockTag: log.blockNumber });
+        event.deadline = Number(status.deadline);
+      }
+      events.push(event);
+    }
+
+    const tip = await header(toBlock);
+    const blocks = [...new Set(events.map((e) => e.blockNumber))].map((number) => ({ number, hash: headers.get(number).hash }));
+    if (blocks.length === 0 || blocks[blocks.length - 1].number !== toBlock) blocks.push({ number: toBlock, hash: tip.hash });
+    this.index.commit(events, blocks);
+    return events.length;
+  }
+
+  /**
+   * Sync every `intervalMs` until stop(); errors are reported and retried.
+   * @param {function(Error)} [onError]
+   */
+  start(intervalMs = 2000, onError = (err) => console.error(`indexer: ${err.message}`)) {
+    const tick = async () => {
+      try {
+        await this.sync();
+      } catch (err) {
+        onError(err);
+      }
+      if (this._timer) this._timer = setTimeout(tick, intervalMs);
+    };
+    this._timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+}
+
+// ============ HTTP ============
+/**
+ * Read-only JSON API over an AgentIndex (not yet listening):
+ *   GET /status
+ *   GET /agents?key=&value=&offset=&limit=      search by metadata
+ *   GET /agents/:agentId
+ *   GET /rankings?tag1=&tag2=&offset=&limit=   stake-weighted reputation
+ *   GET /validators/:address/pending
+ * @param {AgentIndex} index
+ * @returns {http.Server}
+ */
+function createServer(index) {
+  return http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+    const url = new URL(req.url, "http://localhost");
+    const parts = url.pathname.split("/").filter(Boolean);
+    const query = Object.fromEntries(url.searchParams);
+    const page = {
+      offset: Number(query.offset || 0),
+      limit: Math.min(Number(query.limit || 100), 1000),
+    };
+    if (req.method !== "GET") return send(405, { error: "method not allowed" });
+    if (!Number.isInteger(page.offset) || !Number.isInteger(page.limit) || page.offset < 0 || page.limit < 0) {
+      return send(400, { error: "invalid offset or limit" });
+    }
+
+    if (parts.length === 1 && parts[0] === "status") return send(200, index.status());
+    if (parts.length === 1 && parts[0] === "agents") {
+      return send(200, index.searchAgents({ key: query.key, value: query.value, ...page }));
+    }
+    if (parts.length === 2 && parts[0] === "agents") {
+      const agent = index.getAgent(parts[1]);
+      return agent ? send(200, agent) : send(404, { error: "unknown agent" });
+    }
+    if (parts.length === 1 && parts[0] === "rankings") {
+      return send(200, index.rankAgents({ tag1: query.tag1, tag2: query.tag2, ...page }));
+    }
+    if (parts.length === 3 && parts[0] === "validators" && parts[2] === "pending") {
+      if (!ethers.utils.isAddress(parts[1])) return send(400, { error: "invalid address" });
+      const now = query.now === undefined ? undefined : Number(query.now);
+      return send(200, index.pendingValidations(parts[1], now));
+    }
+    return send(404, { error: "not found" });
+  });
+}
+
+module.exports = {
+  REGISTRY_EVENTS,
+  Indexer,
+  createServer,
+};
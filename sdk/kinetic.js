@@ -0,0 +1,692 @@
+#!/usr/bin/env node
+// kinetic: operator CLI for the ERC-8004 registries, ERC4906AgentExtension and CrossChainNonceManagement.
+//
+//   node sdk/kinetic.js [--config kinetic.json] [--json] [--dry-run] [--from <address>] <group> <command> [args...]
+//   node sdk/kinetic.js help                  list the commands
+//
+// The config file holds the contract addresses; erc-8004-refined/scripts/deploy.js output can be used as is:
+//   { "rpcUrl", "identityRegistry", "reputationRegistry", "validationRegistry", "stakeRegistry",
+//     "agentExtension", "nonceManager" }
+// Environment: PRIVATE_KEY signs transactions; KINETIC_CONFIG (default ./kinetic.json); RPC_URL overrides
+// the config's rpcUrl (default http://127.0.0.1:8545, a local Hardhat node).
+//
+// Transactions are simulated with callStatic before they are sent. --dry-run stops there and prints the
+// simulated result and gas estimate; with --from and no PRIVATE_KEY it simulates as that address.
+// Agent-owned calls (identity set-wallet, unset-wallet, set-metadata) go through the agent's token-bound
+// account when the signer holds its NFT, as do `identity register` calls.
+const fs = require("fs");
+const { ethers } = require("ethers");
+const signing = require("./signing");
+const { REGISTRY_EVENTS } = require("./indexer");
+
+// ============ ABIS ============
+const ABIS = {
+  identityRegistry: [
+    "function prepareAgentRegistration(address implementation, bytes32 salt) view returns (bytes)",
+    "function agentIdOf(address tba) view returns (uint256)",
+    "function ownerOf(uint256 agentId) view returns (address)",
+    "function tokenURI(uint256 agentId) view returns (string)",
+    "function getAgentWallet(uint256 agentId) view returns (address)",
+    "function getNonce(uint256 agentId) view returns (uint256)",
+    "function getMetadata(uint256 agentId, string key) view returns (string)",
+    "function getBoundToken(uint256 agentId) view returns (uint256 chainId, address tokenContract, uint256 tokenId)",
+    "function setAgentWallet(uint256 agentId, address wallet, bytes signature)",
+    "function unsetAgentWallet(uint256 agentId)",
+    "function setMetadata(uint256 agentId, string key, string value)",
+    ...REGISTRY_EVENTS.identityRegistry,
+  ],
+  reputationRegistry: [
+    "function giveFeedback(uint256 agentId, int128 value, uint8 valueDecimals, string tag1, string tag2, string endpoint, string feedbackURI, bytes32 feedbackHash, bytes feedbackAuth)",
+    "function revokeFeedback(uint256 agentId, uint64 feedbackIndex)",
+    "function readFeedback(uint256 agentId, address clientAddress, uint256 startIndex, uint256 count) view returns (tuple(int128 value, uint8 valueDecimals, string tag1, string tag2, string endpoint, string feedbackURI, bytes32 feedbackHash, string responseURI, bool revoked, uint64 timestamp)[] feedbacks)",
+    "function getFeedbackCount(uint256 agentId, address clientAddress) view returns (uint256)",
+    ...REGISTRY_EVENTS.reputationRegistry,
+  ],
+  validationRegistry: [
+    "function validationRequest(address validatorAddress, uint256 agentId, string requestURI, bytes32 requestHash)",
+    "function appendResponse(bytes32 requestHash, uint8 response, string responseURI, bytes32 responseHash, string tag)",
+    "function completeValidation(bytes32 requestHash)",
+    "function getValidationStatus(bytes32 requestHash) view returns (tuple(address validatorAddress, uint256 agentId, string requestURI, bytes32 requestHash, tuple(uint8 code, string responseURI, bytes32 responseHash, string tag, uint64 timestamp)[] responses, bool completed, uint64 timestamp, address requester, address feeToken, uint256 fee, uint64 deadline, bool expired))",
+    ...REGISTRY_EVENTS.validationRegistry,
+  ],
+  stakeRegistry: [
+    "function stakingToken() view returns (address)",
+    "function stake(uint256 amount, uint256 agentId)",
+    "function requestWithdraw(uint256 agentId)",
+    "function withdraw(uint256 agentId)",
+    "function withdrawPartial(uint256 agentId, uint256 amount)",
+    "function getStake(uint256 agentId, address staker) view returns (uint256)",
+    "function getStakeLockUntil(uint256 agentId, address staker) view returns (uint256)",
+    "function getPendingSlash(uint256 agentId, address staker) view returns (uint256)",
+    "function getWithdrawableAmount(uint256 agentId, address staker) view returns (uint256)",
+    "event Staked(uint256 indexed agentId, address indexed staker, uint256 amount)",
+    "event WithdrawRequested(uint256 indexed agentId, address indexed staker)",
+    "event Withdrawn(uint256 indexed agentId, address indexed staker, uint256 amount)",
+  ],
+  agentExtension: [
+    "function updateMetadataWithSig(address agent, uint256 tokenId, string metadataURI, bytes32 nonceHash, uint256 deadline, bytes signature)",
+    "function revealNonce(bytes32 nonceHash, uint256 nonce)",
+    "function tokenURI(uint256 tokenId) view returns (string)",
+    "function uriHistoryLength(uint256 tokenId) view returns (uint256)",
+    "event MetadataUpdated(uint256 indexed tokenId, string metadataURI, address indexed agent)",
+    "event MetadataUpdateRejected(uint256 indexed tokenId, string metadataURI, address indexed agent, string reason)",
+    "event NonceRevealed(bytes32 indexed nonceHash, uint256 nonce)",
+  ],
+  nonceManager: [
+    "function consumeNonceWithProof(uint256 sourceChainId, uint256 nonce, bytes32[] proof)",
+    "function consumeNoncesWithMultiProof(uint256[] sourceChainIds, uint256[] nonces, bytes32[] proof, bool[] proofFlags, bool skipConsumed) returns (bool[] skipped)",
+    "function isNonceConsumed(uint256 sourceChainId, uint256 nonce) view returns (bool)",
+    "event NonceConsumed(uint256 indexed sourceChainId, uint256 nonce)",
+    "event NonceAlreadyConsumed(uint256 indexed sourceChainId, uint256 nonce)",
+  ],
+  tba: ["function executeCall(address to, uint256 value, bytes data) payable returns (bytes)"],
+  erc20: [
+    "function decimals() view returns (uint8)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+    "event Approval(address indexed owner, address indexed spender, uint256 value)",
+  ],
+};
+
+// ============ OUTPUT ============
+/** Contract results as JSON-friendly values: BigNumbers become decimal strings, structs objects. */
+function plain(value) {
+  if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+  if (Array.isArray(value)) {
+    const keys = Object.keys(value).filter((key) => !/^\d+$/.test(key));
+    if (keys.length > 0 && keys.length === value.length) {
+      return Object.fromEntries(keys.map((key) => [key, plain(value[key])]));
+    }
+    return value.map(plain);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, plain(v)]));
+  }
+  return value;
+}
+
+/** Indented `key: value` lines for humans */
+function formatText(value, indent = "") {
+  if (Array.isArray(value)) {
+    if (value.length === 0) return `${indent}(none)`;
+    return value
+      .map((item) => {
+        if (item === null || typeof item !== "object") return `${indent}- ${item}`;
+        return `${indent}-\n${formatText(item, indent + "  ")}`;
+      })
+      .join("\n");
+  }
+  if (value && typeof value === "object") {
+    return Object.entries(value)
+      .map(([key, v]) => (v !== null && typeof v === "object" ? `${indent}${key}:\n${formatText(v, indent + "  ")}` : `${indent}${key}: ${v}`))
+      .join("\n");
+  }
+  return `${indent}${value}`;
+}
+
+/** Revert reason of a failed call or transaction, if the node returned one */
+function errorMessage(err) {
+  const reason = err.reason || (err.error && err.error.reason) || err.message;
+  const match = /reverted with reason string '(.*)'/.exec(reason);
+  return match ? match[1] : reason;
+}
+
+// ============ ARGUMENTS ============
+/** Options that take no value */
+const FLAGS = new Set(["json", "dry-run", "skip-consumed"]);
+
+/**
+ * Split argv into positional arguments and `--name value` / `--name=value` options (camelCased).
+ * @param {string[]} argv
+ * @returns {{positional: string[], options: object}}
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf("=");
+    const name = arg.slice(2, eq === -1 ? undefined : eq);
+    const key = name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    if (FLAGS.has(name)) {
+      options[key] = true;
+    } else if (eq !== -1) {
+      options[key] = arg.slice(eq + 1);
+    } else {
+      if (i + 1 >= argv.length) throw new Error(`--${name} needs a value`);
+      options[key] = argv[++i];
+    }
+  }
+  return { positional, options };
+}
+
+/** "4.5" -> {value: "45", decimals: 1} */
+function parseDecimal(text) {
+  const match = /^(-?)(\d+)(?:\.(\d+))?$/.exec(text);
+  if (!match) throw new Error(`invalid number: ${text}`);
+  const fraction = match[3] || "";
+  return { value: ethers.BigNumber.from(`${match[1]}${match[2]}${fraction}`).toString(), decimals: fraction.length };
+}
+
+function readJSON(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// ============ CONTEXT ============
+/**
+ * Contracts, signer and transaction helpers for one invocation.
+ */
+class Context {
+  /**
+   * @param {object} config addresses (see the header of this file)
+   * @param {ethers.providers.Provider} provider
+   * @param {ethers.Signer} [signer] absent for read-only commands
+   * @param {{dryRun?: boolean}} [options]
+   */
+  constructor(config, provider, signer, { dryRun = false } = {}) {
+    this.config = config;
+    this.provider = provider;
+    this.signer = signer;
+    this.dryRun = dryRun;
+    this._interfaces = new Map();
+  }
+
+  /** Contract from the config by key (identityRegistry, reputationRegistry, ...) */
+  contract(key) {
+    if (!this.config[key]) throw new Error(`${key} address missing from the config`);
+    return this.at(key, this.config[key]);
+  }
+
+  /** Contract at `address` with the ABI `abi` (a key of ABIS) */
+  at(abi, address) {
+    if (!ethers.utils.isAddress(address)) throw new Error(`invalid address: ${address}`);
+    const contract = new ethers.Contract(address, ABIS[abi], this.signer || this.provider);
+    this._interfaces.set(contract.address.toLowerCase(), contract.interface);
+    return contract;
+  }
+
+  async signerAddress() {
+    if (!this.signer) throw new Error("PRIVATE_KEY is not set");
+    return this.signer.getAddress();
+  }
+
+  async latestTimestamp() {
+    return (await this.provider.getBlock("latest")).timestamp;
+  }
+
+  /**
+   * Simulate `contract.method(...args)`, then send it unless this is a dry run.
+   * @returns {Promise<object>} `{dryRun, result, gasEstimate}` or `{txHash, blockNumber, gasUsed, events}`
+   */
+  async send(contract, method, args) {
+    await this.signerAddress();
+    const result = await contract.callStatic[method](...args);
+    if (this.dryRun) {
+      const gasEstimate = await contract.estimateGas[method](...args);
+      return { dryRun: true, method, result: plain(result), gasEstimate: gasEstimate.toString() };
+    }
+    const receipt = await (await contract[method](...args)).wait();
+    return {
+      txHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      events: this._events(receipt),
+    };
+  }
+
+  /**
+   * Send a call that must come from the owner of `agentId`: directly when the signer owns the agent,
+   * otherwise through the agent's token-bound account (the signer must hold the account's NFT).
+   */
+  async sendAsAgent(agentId, contract, method, args) {
+    const owner = await this.contract("identityRegistry").ownerOf(agentId);
+    if (owner === (await this.signerAddress())) return this.send(contract, method, args);
+    const data = contract.interface.encodeFunctionData(method, args);
+    return this.send(this.at("tba", owner), "executeCall", [contract.address, 0, data]);
+  }
+
+  _events(receipt) {
+    const events = [];
+    for (const log of receipt.logs) {
+      const iface = this._interfaces.get(log.address.toLowerCase());
+      if (!iface) continue;
+      try {
+        const parsed = iface.parseLog(log);
+        events.push({ name: parsed.name, args: plain(parsed.args) });
+      } catch (err) {
+        // not an event this CLI knows
+      }
+    }
+    return events;
+  }
+}
+
+// ============ COMMANDS ============
+/** Stake amounts are given and shown in whole tokens */
+async function tokenDecimals(ctx) {
+  const token = ctx.at("erc20", await ctx.contract("stakeRegistry").stakingToken());
+  return { token, decimals: await token.decimals() };
+}
+
+/** signed.json of `extension sign` */
+function submitUpdate(ctx, { request, signature }) {
+  return ctx.send(ctx.contract("agentExtension"), "updateMetadataWithSig", [
+    request.agent,
+    request.tokenId,
+    request.metadataURI,
+    request.nonceHash,
+    request.deadline,
+    signature,
+  ]);
+}
+
+async function signUpdate(ctx, tokenId, metadataURI, options) {
+  const agent = await ctx.signerAddress();
+  const extension = ctx.contract("agentExtension");
+  const { chainId } = await ctx.provider.getNetwork();
+  const nonce = signing.generateNonce();
+  const request = {
+    agent,
+    tokenId: ethers.BigNumber.from(tokenId).toString(),
+    metadataURI,
+    nonceHash: signing.nonceHash(nonce, agent),
+    deadline: (await ctx.latestTimestamp()) + Number(options.deadline || 3600),
+  };
+  const signature = await signing.signUpdateRequest(ctx.signer, signing.agentExtensionDomain(chainId, extension.address), request);
+  return { request, signature, nonce: nonce.toString() };
+}
+
+/**
+ * Commands by group and name: required `args`, `options`, `description` and `run(ctx, args, options)`.
+ * Read-only commands work without a signer.
+ */
+const COMMANDS = {
+  identity: {
+    register: {
+      args: ["tba", "implementation"],
+      options: "[--salt <bytes32>]",
+      description: "register a token-bound account as an agent",
+      async run(ctx, [tba, implementation], options) {
+        const identity = ctx.contract("identityRegistry");
+        const data = await identity.prepareAgentRegistration(implementation, options.salt || ethers.constants.HashZero);
+        const result = await ctx.send(ctx.at("tba", tba), "executeCall", [identity.address, 0, data]);
+        if (!ctx.dryRun) result.agentId = (await identity.agentIdOf(tba)).toString();
+        return result;
+      },
+    },
+    "sign-wallet": {
+      args: ["agentId"],
+      description: "sign, as the wallet, its binding to an agent (SetAgentWallet)",
+      async run(ctx, [agentId]) {
+        const wallet = await ctx.signerAddress();
+        const identity = ctx.contract("identityRegistry");
+        const { chainId } = await ctx.provider.getNetwork();
+        const nonce = (await identity.getNonce(agentId)).toString();
+        const domain = signing.identityRegistryDomain(chainId, identity.address);
+        const signature = await signing.signSetAgentWallet(ctx.signer, domain, { agentId, wallet, nonce });
+        return { agentId, wallet, nonce, signature };
+      },
+    },
+    "set-wallet": {
+      args: ["agentId", "wallet"],
+      options: "[--signature <hex>]",
+      description: "bind a wallet; without --signature the signer must be the wallet",
+      async run(ctx, [agentId, wallet], options) {
+        let signature = options.signature;
+        if (!signature) {
+          if (ethers.utils.getAddress(wallet) !== (await ctx.signerAddress())) {
+            throw new Error("--signature is required unless the signer is the wallet (see identity sign-wallet)");
+          }
+          signature = (await COMMANDS.identity["sign-wallet"].run(ctx, [agentId])).signature;
+        }
+        const identity = ctx.contract("identityRegistry");
+        return ctx.sendAsAgent(agentId, identity, "setAgentWallet", [agentId, wallet, signature]);
+      },
+    },
+    "unset-wallet": {
+      args: ["agentId"],
+      description: "remove the agent's wallet",
+      run(ctx, [agentId]) {
+        return ctx.sendAsAgent(agentId, ctx.contract("identityRegistry"), "unsetAgentWallet", [agentId]);
+      },
+    },
+    "set-metadata": {
+      args: ["agentId", "key", "value"],
+      description: "set an on-chain metadata entry",
+      run(ctx, [agentId, key, value]) {
+        return ctx.sendAsAgent(agentId, ctx.contract("identityRegistry"), "setMetadata", [agentId, key, value]);
+      },
+    },
+    show: {
+      args: ["agentId"],
+      options: "[--key <metadata key>]",
+      description: "owner, URI, wallet, nonce and bound NFT of an agent",
+      async run(ctx, [agentId], options) {
+        const identity = ctx.contract("identityRegistry");
+        const agent = {
+          agentId,
+          owner: await identity.ownerOf(agentId),
+          tokenURI: await identity.tokenURI(agentId),
+          wallet: await identity.getAgentWallet(agentId),
+          nonce: (await identity.getNonce(agentId)).toString(),
+          boundToken: plain(await identity.getBoundToken(agentId)),
+        };
+        if (options.key) agent.metadata = { [options.key]: await identity.getMetadata(agentId, options.key) };
+        return agent;
+      },
+    },
+  },
+
+  reputation: {
+    "sign-auth": {
+      args: ["agentId", "client"],
+      options: "[--index-limit <n>] [--expiry <seconds>]",
+      description: "sign, for the agent, a FeedbackAuth for a client",
+      async run(ctx, [agentId, clientAddress], options) {
+        const reputation = ctx.contract("reputationRegistry");
+        const { chainId } = await ctx.provider.getNetwork();
+        const indexLimit = options.indexLimit || (await reputation.getFeedbackCount(agentId, clientAddress)).add(1).toString();
+        const auth = {
+          agentId,
+          clientAddress,
+          indexLimit,
+          expiry: (await ctx.latestTimestamp()) + Number(options.expiry || 3600),
+          // A token-bound account owner signs for the account (ERC-1271)
+          signerAddress: await ctx.contract("identityRegistry").ownerOf(agentId),
+        };
+        await ctx.signerAddress();
+        const feedbackAuth = await signing.signFeedbackAuth(ctx.signer, signing.reputationRegistryDomain(chainId, reputation.address), auth);
+        return { ...auth, feedbackAuth };
+      },
+    },
+    give: {
+      args: ["agentId", "value"],
+      options: "--auth <hex> [--tag1 <t>] [--tag2 <t>] [--endpoint <e>] [--uri <u>] [--hash <bytes32>]",
+      description: "give feedback; value may have decimals (4.5 = 45 with valueDecimals 1)",
+      run(ctx, [agentId, value], options) {
+        if (!options.auth) throw new Error("--auth is required (see reputation sign-auth)");
+        const parsed = parseDecimal(value);
+        return ctx.send(ctx.contract("reputationRegistry"), "giveFeedback", [
+          agentId,
+          parsed.value,
+          parsed.decimals,
+          options.tag1 || "",
+          options.tag2 || "",
+          options.endpoint || "",
+          options.uri || "",
+          options.hash || ethers.constants.HashZero,
+          options.auth,
+        ]);
+      },
+    },
+    revoke: {
+      args: ["agentId", "feedbackIndex"],
+      description: "revoke the signer's feedback",
+      run(ctx, [agentId, feedbackIndex]) {
+        return ctx.send(ctx.contract("reputationRegistry"), "revokeFeedback", [agentId, feedbackIndex]);
+      },
+    },
+    read: {
+      args: ["agentId", "client"],
+      options: "[--offset <n>] [--limit <n>]",
+      description: "a client's feedback, oldest first (default limit 20)",
+      async run(ctx, [agentId, clientAddress], options) {
+        const reputation = ctx.contract("reputationRegistry");
+        const offset = Number(options.offset || 0);
+        const limit = Number(options.limit || 20);
+        const total = (await reputation.getFeedbackCount(agentId, clientAddress)).toNumber();
+        const feedback = await reputation.readFeedback(agentId, clientAddress, offset, limit);
+        return { total, offset, feedback: feedback.map((f, i) => ({ index: offset + i, ...plain(f) })) };
+      },
+    },
+  },
+
+  validation: {
+    request: {
+      args: ["validator", "agentId", "requestURI"],
+      options: "[--request-hash <bytes32>]",
+      description: "request validation (hash default keccak256(requestURI))",
+      async run(ctx, [validator, agentId, requestURI], options) {
+        const requestHash = options.requestHash || ethers.utils.id(requestURI);
+        const result = await ctx.send(ctx.contract("validationRegistry"), "validationRequest", [validator, agentId, requestURI, requestHash]);
+        return { requestHash, ...result };
+      },
+    },
+    respond: {
+      args: ["requestHash", "score"],
+      options: "[--uri <u>] [--hash <bytes32>] [--tag <t>]",
+      description: "append the signer's response, a 0-100 score",
+      run(ctx, [requestHash, score], options) {
+        return ctx.send(ctx.contract("validationRegistry"), "appendResponse", [
+          requestHash,
+          score,
+          options.uri || "",
+          options.hash || ethers.constants.HashZero,
+          options.tag || "",
+        ]);
+      },
+    },
+    complete: {
+      args: ["requestHash"],
+      description: "complete a request (pays any escrowed fee)",
+      run(ctx, [requestHash]) {
+        return ctx.send(ctx.contract("validationRegistry"), "completeValidation", [requestHash]);
+      },
+    },
+    status: {
+      args: ["requestHash"],
+      description: "request, responses and state",
+      async run(ctx, [requestHash]) {
+        const status = plain(await ctx.contract("validationRegistry").getValidationStatus(requestHash));
+        if (status.timestamp === "0") throw new Error(`unknown request ${requestHash}`);
+        return status;
+      },
+    },
+  },
+
+  stake: {
+    deposit: {
+      args: ["agentId", "amount"],
+      description: "approve if needed and stake <amount> tokens on an agent",
+      async run(ctx, [agentId, amount]) {
+        const stake = ctx.contract("stakeRegistry");
+        const { token, decimals } = await tokenDecimals(ctx);
+        const value = ethers.utils.parseUnits(amount, decimals);
+        const result = {};
+        if ((await token.allowance(await ctx.signerAddress(), stake.address)).lt(value)) {
+          result.approve = await ctx.send(token, "approve", [stake.address, value]);
+          // The stake cannot be simulated against an allowance that was not set
+          if (ctx.dryRun) return { ...result, stake: "not simulated: needs the approval first" };
+        }
+        result.stake = await ctx.send(stake, "stake", [value, agentId]);
+        return result;
+      },
+    },
+    "request-withdraw": {
+      args: ["agentId"],
+      description: "start the withdrawal cooldown (after the lock)",
+      run(ctx, [agentId]) {
+        return ctx.send(ctx.contract("stakeRegistry"), "requestWithdraw", [agentId]);
+      },
+    },
+    withdraw: {
+      args: ["agentId"],
+      options: "[--amount <tokens>]",
+      description: "withdraw everything withdrawable, or part of it",
+      async run(ctx, [agentId], options) {
+        const stake = ctx.contract("stakeRegistry");
+        if (!options.amount) return ctx.send(stake, "withdraw", [agentId]);
+        const { decimals } = await tokenDecimals(ctx);
+        return ctx.send(stake, "withdrawPartial", [agentId, ethers.utils.parseUnits(options.amount, decimals)]);
+      },
+    },
+    show: {
+      args: ["agentId"],
+      options: "[staker]",
+      description: "stake, lock, pending slashes and withdrawable amount (default staker: the signer)",
+      async run(ctx, [agentId, staker]) {
+        const stake = ctx.contract("stakeRegistry");
+        const { decimals } = await tokenDecimals(ctx);
+        const address = staker || (await ctx.signerAddress());
+        const units = (value) => ethers.utils.formatUnits(value, decimals);
+        return {
+          agentId,
+          staker: address,
+          stake: units(await stake.getStake(agentId, address)),
+          lockUntil: (await stake.getStakeLockUntil(agentId, address)).toString(),
+          pendingSlash: units(await stake.getPendingSlash(agentId, address)),
+          withdrawable: units(await stake.getWithdrawableAmount(agentId, address)),
+        };
+      },
+    },
+  },
+
+  extension: {
+    sign: {
+      args: ["tokenId", "metadataURI"],
+      options: "[--deadline <seconds>]",
+      description: "sign an update as the agent; prints it with its nonce",
+      run(ctx, [tokenId, metadataURI], options) {
+        return signUpdate(ctx, tokenId, metadataURI, options);
+      },
+    },
+    submit: {
+      args: ["signed.json"],
+      description: "submit an update printed by `extension sign --json` (any account can)",
+      run(ctx, [file]) {
+        return submitUpdate(ctx, readJSON(file));
+      },
+    },
+    update: {
+      args: ["tokenId", "metadataURI"],
+      options: "[--deadline <seconds>]",
+      description: "sign and submit an update",
+      async run(ctx, [tokenId, metadataURI], options) {
+        const signed = await signUpdate(ctx, tokenId, metadataURI, options);
+        return { nonce: signed.nonce, nonceHash: signed.request.nonceHash, ...(await submitUpdate(ctx, signed)) };
+      },
+    },
+    reveal: {
+      args: ["nonce | signed.json"],
+      description: "reveal a nonce, invalidating an update signed with it",
+      async run(ctx, [nonceOrFile]) {
+        const nonce = fs.existsSync(nonceOrFile) ? readJSON(nonceOrFile).nonce : nonceOrFile;
+        const nonceHash = signing.nonceHash(nonce, await ctx.signerAddress());
+        return { nonceHash, ...(await ctx.send(ctx.contract("agentExtension"), "revealNonce", [nonceHash, nonce])) };
+      },
+    },
+    show: {
+      args: ["tokenId"],
+      description: "current URI and number of accepted updates",
+      async run(ctx, [tokenId]) {
+        const extension = ctx.contract("agentExtension");
+        return {
+          tokenId,
+          tokenURI: await extension.tokenURI(tokenId),
+          updates: (await extension.uriHistoryLength(tokenId)).toString(),
+        };
+      },
+    },
+  },
+
+  nonce: {
+    consume: {
+      args: ["proof.json"],
+      options: "[--skip-consumed]",
+      description: "consume nonces with proofs or multiproofs from erc-4906-agent-media/scripts/nonce-state.js, one transaction each",
+      async run(ctx, [file], options) {
+        const nonceManager = ctx.contract("nonceManager");
+        const data = readJSON(file);
+        const results = [];
+        for (const p of [].concat(data)) {
+          if (p.proofFlags) {
+            const args = [p.sourceChainIds, p.nonces, p.proof, p.proofFlags, Boolean(options.skipConsumed)];
+            results.push(await ctx.send(nonceManager, "consumeNoncesWithMultiProof", args));
+          } else {
+            results.push(await ctx.send(nonceManager, "consumeNonceWithProof", [p.sourceChainId, p.nonce, p.proof]));
+          }
+        }
+        return Array.isArray(data) ? results : results[0];
+      },
+    },
+    status: {
+      args: ["sourceChainId", "nonce"],
+      description: "whether a nonce is consumed",
+      async run(ctx, [sourceChainId, nonce]) {
+        return { sourceChainId, nonce, consumed: await ctx.contract("nonceManager").isNonceConsumed(sourceChainId, nonce) };
+      },
+    },
+  },
+};
+
+function commandUsage(group, name) {
+  const { args, options } = COMMANDS[group][name];
+  return [group, name, ...args.map((a) => `<${a}>`), options].filter(Boolean).join(" ");
+}
+
+function usage() {
+  const lines = ["usage: kinetic [--config <file>] [--json] [--dry-run] [--from <address>] <group> <command> [args]", ""];
+  for (const [group, commands] of Object.entries(COMMANDS)) {
+    for (const name of Object.keys(commands)) {
+      lines.push(`  ${commandUsage(group, name)}`, `      ${commands[name].description}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Run one CLI invocation.
+ * @param {string[]} argv arguments after the script name
+ * @param {object} [env] environment (PRIVATE_KEY, KINETIC_CONFIG, RPC_URL)
+ * @returns {Promise<{result: object, options: object}>}
+ */
+async function run(argv, env = process.env) {
+  const { positional, options } = parseArgs(argv);
+  const [group, name, ...args] = positional;
+  const command = COMMANDS[group] && COMMANDS[group][name];
+  if (!command) throw new Error(usage());
+  if (args.length < command.args.length) throw new Error(`usage: kinetic ${commandUsage(group, name)}`);
+
+  const config = readJSON(options.config || env.KINETIC_CONFIG || "kinetic.json");
+  const provider = new ethers.providers.JsonRpcProvider(env.RPC_URL || config.rpcUrl || "http://127.0.0.1:8545");
+  let signer;
+  if (env.PRIVATE_KEY) signer = new ethers.Wallet(env.PRIVATE_KEY, provider);
+  else if (options.from && options.dryRun) signer = new ethers.VoidSigner(ethers.utils.getAddress(options.from), provider);
+  const ctx = new Context(config, provider, signer, { dryRun: Boolean(options.dryRun) });
+  return { result: await command.run(ctx, args, options), options };
+}
+
+async function main(argv = process.argv.slice(2), env = process.env) {
+  if (argv.length === 0 || argv[0] === "help" || argv.includes("--help")) {
+    process.stdout.write(usage() + "\n");
+    return;
+  }
+  let json = argv.includes("--json");
+  try {
+    const { result, options } = await run(argv, env);
+    json = Boolean(options.json);
+    process.stdout.write((json ? JSON.stringify(result, null, 2) : formatText(result)) + "\n");
+  } catch (err) {
+    const message = errorMessage(err);
+    if (json && !message.startsWith("usage:")) process.stdout.write(JSON.stringify({ error: message }, null, 2) + "\n");
+    else console.error(message.startsWith("usage:") ? message : `kinetic: ${message}`);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = {
+  ABIS,
+  COMMANDS,
+  Context,
+  parseArgs,
+  plain,
+  formatText,
+  run,
+  main,
+};
@@ -0,0 +1,276 @@
+const { ethers } = require("ethers");
+
+// ============ LEAVES & PAIRS ============
+/**
+ * Leaf for a (sourceChainId, nonce) pair, identical to
+ * CrossChainNonceManagement: keccak256(abi.encodePacked(sourceChainId, nonce)).
+ * @param {ethers.BigNumberish} sourceChainId
+ * @param {ethers.BigNumberish} nonce
+ * @returns {string} bytes32 leaf
+ */
+function encodeLeaf(sourceChainId, nonce) {
+  return ethers.utils.solidityKeccak256(["uint256", "uint256"], [sourceChainId, nonce]);
+}
+
+/**
+ * Commutative pair hash used by OpenZeppelin MerkleProof (sorted pairs).
+ * @param {string} a bytes32
+ * @param {string} b bytes32
+ * @returns {string} bytes32
+ */
+function hashPair(a, b) {
+  const [lo, hi] = ethers.BigNumber.from(a).lte(b) ? [a, b] : [b, a];
+  return ethers.utils.keccak256(ethers.utils.concat([lo, hi]));
+}
+
+// ============ TREE ============
+// Trees are flat arrays: tree[0] is the root, node i has children 2i+1 and 2i+2,
+// and leaf k of n lives at tree[tree.length - 1 - k].
+
+/**
+ * Build a sorted-pair Merkle tree over bytes32 leaves.
+ * @param {string[]} leaves
+ * @returns {string[]} flat tree
+ */
+function makeTree(leaves) {
+  if (leaves.length === 0) throw new Error("Merkle: empty tree");
+  const tree = new Array(2 * leaves.length - 1);
+  leaves.forEach((leaf, k) => {
+    tree[tree.length - 1 - k] = ethers.utils.hexlify(leaf);
+  });
+  for (let i = tree.length - 1 - leaves.length; i >= 0; i--) {
+    tree[i] = hashPair(tree[2 * i + 1], tree[2 * i + 2]);
+  }
+  return tree;
+}
+
+/**
+ * Tree index of leaf k.
+ * @param {string[]} tree
+ * @param {number} k
+ */
+function leafIndex(tree, k) {
+  return tree.length - 1 - k;
+}
+
+/**
+ * Sibling path from a tree node up to the root.
+ * @param {string[]} tree
+ * @param {number} index tree index (see leafIndex)
+ * @returns {string[]} proof for MerkleProof.verify
+ */
+function getProof(tree, index) {
+  const proof = [];
+  for (let i = index; i > 0; i = (i - 1) >> 1) {
+    proof.push(tree[i % 2 === 0 ? i - 1 : i + 1]);
+  }
+  return proof;
+}
+
+/**
+ * Multiproof for several tree nodes, in the format of MerkleProof.multiProofVerify.
+ * Leaves are returned in the order the contract must receive them.
+ * @param {string[]} tree
+ * @param {number[]} indices tree indices (see leafIndex)
+ * @returns {{indices: number[], leaves: string[], proof: string[], proofFlags: boolean[]}}
+ */
+function getMultiProof(tree, indices) {
+  const sorted = [...indices].sort((a, b) => b - a);
+  if (sorted.some((i, p) => p > 0 && i === sorted[p - 1])) {
+    throw new Error("Merkle: duplicate index in multiproof");
+  }
+  const stack = [...sorted];
+  const proof = [];
+  const proofFlags = [];
+  while (stack.length > 0 && stack[0] > 0) {
+    const j = stack.shift();
+    const sibling = j % 2 === 0 ? j - 1 : j + 1;
+    if (stack[0] === sibling) {
+      proofFlags.push(true);
+      stack.shift();
+    } else {
+      proofFlags.push(false);
+      proof.push(tree[sibling]);
+    }
+    stack.push((j - 1) >> 1);
+  }
+  return { indices: sorted, leaves: sorted.map((i) => tree[i]), proof, proofFlags };
+}
+
+/**
+ * Off-chain equivalent of MerkleProof.verify.
+ * @returns {boolean}
+ */
+function verifyProof(root, leaf, proof) {
+  return proof.reduce(hashPair, leaf) === root;
+}
+
+// ============ EPOCHED STATE ============
+/**
+ * Append-only set of (sourceChainId, nonce) batches ("epochs").
+ *
+ * Each epoch gets its own tree. The state root for updateStateRoot is the
+ * root of a small tree over the epoch roots, so appending an epoch never
+ * rebuilds earlier epoch trees. A nonce proof is its in-epoch path followed
+ * by the epoch root's path, which MerkleProof.verify walks in one pass.
+ */
+class NonceStateTree {
+  constructor() {
+    this.epochs = [];
+    this._index = new Map();
+    this._epochTree = null;
+  }
+
+  static _key(sourceChainId, nonce) {
+    return `${ethers.BigNumber.from(sourceChainId)}:${ethers.BigNumber.from(nonce)}`;
+  }
+
+  /**
+   * Append a batch of pairs as a new epoch.
+   * @param {{sourceChainId: ethers.BigNumberish, nonce: ethers.BigNumberish}[]} pairs
+   * @returns {number} epoch number
+   */
+  appendEpoch(pairs) {
+    if (pairs.length === 0) throw new Error("NonceStateTree: empty epoch");
+    const epoch = this.epochs.length;
+    const normalized = [];
+    const seen = new Set();
+    for (const { sourceChainId, nonce } of pairs) {
+      const key = NonceStateTree._key(sourceChainId, nonce);
+      if (this._index.has(key) || seen.has(key)) {
+        throw new Error(`NonceStateTree: duplicate nonce ${key}`);
+      }
+      seen.add(key);
+      normalized.push({
+        sourceChainId: ethers.BigNumber.from(sourceChainId).toString(),
+        nonce: ethers.BigNumber.from(nonce).toString(),
+      });
+    }
+
+    const tree = makeTree(normalized.map((p) => encodeLeaf(p.sourceChainId, p.nonce)));
+    this.epochs.push({ pairs: normalized, tree });
+    normalized.forEach((p, k) => this._index.set(NonceStateTree._key(p.sourceChainId, p.nonce), { epoch, k }));
+    this._epochTree = makeTree(this.epochs.map((e) => e.tree[0]));
+    return epoch;
+  }
+
+  /** @returns {string} root to post with updateStateRoot */
+  get root() {
+    if (!this._epochTree) throw new Error("NonceStateTree: no epochs");
+    return this._epochTree[0];
+  }
+
+  /** @returns {string} root of a single epoch tree */
+  epochRoot(epoch) {
+    return this.epochs[epoch].tree[0];
+  }
+
+  has(sourceChainId, nonce) {
+    return this._index.has(NonceStateTree._key(sourceChainId, nonce));
+  }
+
+  _entry(sourceChainId, nonce) {
+    const key = NonceStateTree._key(sourceChainId, nonce);
+    const entry = this._index.get(key);
+    if (!entry) throw new Error(`NonceStateTree: unknown nonce ${key}`);
+    return entry;
+  }
+
+  /**
+   * Proof for consumeNonceWithProof against the current root.
+   * @returns {{sourceChainId: string, nonce: string, epoch: number, leaf: string, root: string, proof: string[]}}
+   */
+  getProof(sourceChainId, nonce) {
+    const entry = this._entry(sourceChainId, nonce);
+    const { tree, pairs } = this.epochs[entry.epoch];
+    const pair = pairs[entry.k];
+    return {
+      sourceChainId: pair.sourceChainId,
+      nonce: pair.nonce,
+      epoch: entry.epoch,
+      leaf: tree[leafIndex(tree, entry.k)],
+      root: this.root,
+      proof: [
+        ...getProof(tree, leafIndex(tree, entry.k)),
+        ...getProof(this._epochTree, leafIndex(this._epochTree, entry.epoch)),
+      ],
+    };
+  }
+
+  /**
+   * Multiproof for consumeNoncesWithMultiProof against the current root.
+   * All pairs must belong to the same epoch: the in-epoch multiproof is
+   * extended with the epoch root's path as plain (flag = false) steps.
+   * @param {{sourceChainId: ethers.BigNumberish, nonce: ethers.BigNumberish}[]} pairs
+   * @returns {{epoch: number, sourceChainIds: string[], nonces: string[], leaves: string[], root: string, proof: string[], proofFlags: boolean[]}}
+   */
+  getMultiProof(pairs) {
+    const entries = pairs.map(({ sourceChainId, nonce }) => this._entry(sourceChainId, nonce));
+    if (entries.length === 0) throw new Error("NonceStateTree: empty batch");
+    const { epoch } = entries[0];
+    if (entries.some((e) => e.epoch !== epoch)) throw new Error("NonceStateTree: batch spans epochs");
+
+    const { tree, pairs: epochPairs } = this.epochs[epoch];
+    const multi = getMultiProof(tree, entries.map((e) => leafIndex(tree, e.k)));
+    const topPath = getProof(this._epochTree, leafIndex(this._epochTree, epoch));
+    const ordered = multi.indices.map((i) => epochPairs[tree.length - 1 - i]);
+    return {
+      epoch,
+      sourceChainIds: ordered.map((p) => p.sourceChainId),
+      nonces: ordered.map((p) => p.nonce),
+      leaves: multi.leaves,
+      root: this.root,
+      proof: [...multi.proof, ...topPath],
+      proofFlags: [...multi.proofFlags, ...topPath.map(() => false)],
+    };
+  }
+
+  /**
+   * Group pairs by epoch and build one multiproof per epoch.
+   * @returns {object[]} see getMultiProof
+   */
+  getMultiProofs(pairs) {
+    const byEpoch = new Map();
+    for (const pair of pairs) {
+      const entry = this._entry(pair.sourceChainId, pair.nonce);
+      if (!byEpoch.has(entry.epoch)) byEpoch.set(entry.epoch, []);
+      byEpoch.get(entry.epoch).push(pair);
+    }
+    return [...byEpoch.values()].map((group) => this.getMultiProof(group));
+  }
+
+  /** @returns {object[]} proofs for every known nonce */
+  getAllProofs() {
+    return this.epochs.flatMap((e) => e.pairs.map((p) => this.getProof(p.sourceChainId, p.nonce)));
+  }
+
+  /** Serializable form; trees are rebuilt on load. */
+  toJSON() {
+    return {
+      root: this.epochs.length > 0 ? this.root : null,
+      epochs: this.epochs.map((e) => ({ root: e.tree[0], pairs: e.pairs })),
+    };
+  }
+
+  static fromJSON(json) {
+    const state = new NonceStateTree();
+    for (const epoch of json.epochs) {
+      state.appendEpoch(epoch.pairs);
+      if (epoch.root && state.epochRoot(state.epochs.length - 1) !== epoch.root) {
+        throw new Error(`NonceStateTree: epoch ${state.epochs.length - 1} root mismatch`);
+      }
+    }
+    return state;
+  }
+}
+
+module.exports = {
+  encodeLeaf,
+  hashPair,
+  makeTree,
+  leafIndex,
+  getProof,
+  getMultiProof,
+  verifyProof,
+  NonceStateTree,
+};
@@ -0,0 +1,173 @@
+const http = require("http");
+const { ethers } = require("ethers");
+
+// ============ FORWARDER ============
+const FORWARD_REQUEST_TUPLE =
+  "(address from,address to,uint256 value,uint256 gas,uint256 nonce,uint256 deadline,bytes data)";
+
+const FORWARDER_ABI = [
+  "function getNonce(address from) view returns (uint256)",
+  `function verify(${FORWARD_REQUEST_TUPLE} req, bytes signature) view returns (bool)`,
+  `function execute(${FORWARD_REQUEST_TUPLE} req, bytes signature) payable returns (bytes)`,
+];
+
+const DEFAULT_MAX_GAS = 1_000_000;
+const DEFAULT_TTL = 60 * 60;
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Build an unsigned ForwardRequest with the forwarder's current nonce for `from`.
+ * @param {ethers.Contract} forwarder AgentForwarder (any provider)
+ * @param {{from: string, to: string, data: string, gas?: ethers.BigNumberish,
+ *   deadline?: ethers.BigNumberish}} call deadline defaults to one hour from now
+ * @returns {Promise<object>} request for signing.signForwardRequest
+ */
+async function buildForwardRequest(forwarder, { from, to, data, gas = DEFAULT_MAX_GAS, deadline }) {
+  return {
+    from,
+    to,
+    value: 0,
+    gas,
+    nonce: await forwarder.getNonce(from),
+    deadline: deadline === undefined ? Math.floor(Date.now() / 1000) + DEFAULT_TTL : deadline,
+    data,
+  };
+}
+
+/**
+ * Revert reason of a failed ethers call, falling back to the error message.
+ * @returns {string}
+ */
+function revertReason(err) {
+  return err.reason || (err.error && err.error.reason) || err.message;
+}
+
+// ============ RELAYER ============
+/**
+ * Submits signed ForwardRequests to an AgentForwarder and pays their gas.
+ * Requests are checked before sending so the relayer does not pay for calls that revert:
+ * target allowlist, gas cap, no ETH value, forwarder.verify and a simulated execute.
+ */
+class Relayer {
+  /**
+   * @param {ethers.Signer} signer relayer account, connected to a provider
+   * @param {string} forwarderAddress AgentForwarder address
+   * @param {{allowedTargets?: string[], maxGas?: number}} [options] an empty allowlist accepts any target
+   */
+  constructor(signer, forwarderAddress, { allowedTargets = [], maxGas = DEFAULT_MAX_GAS } = {}) {
+    this.forwarder = new ethers.Contract(forwarderAddress, FORWARDER_ABI, signer);
+    this.allowedTargets = new Set(allowedTargets.map((target) => target.toLowerCase()));
+    this.maxGas = maxGas;
+  }
+
+  /**
+   * Next forwarder nonce for `from`.
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  getNonce(from) {
+    return this.forwarder.getNonce(from);
+  }
+
+  /**
+   * Check and submit a signed request.
+   * @param {object} request ForwardRequest as signed
+   * @param {string} signature signature by request.from (EOA or ERC-1271 account)
+   * @returns {Promise<{txHash: string, blockNumber: number}>}
+   */
+  async relay(request, signature) {
+    if (!ethers.utils.isAddress(request.from) || !ethers.utils.isAddress(request.to)) {
+      throw new Error("Relayer: invalid addresses");
+    }
+    if (this.allowedTargets.size > 0 && !this.allowedTargets.has(request.to.toLowerCase())) {
+      throw new Error("Relayer: target not allowed");
+    }
+    if (!ethers.BigNumber.from(request.value).isZero()) throw new Error("Relayer: value not supported");
+    if (ethers.BigNumber.from(request.gas).gt(this.maxGas)) throw new Error("Relayer: gas above limit");
+    if (!(await this.forwarder.verify(request, signature))) {
+      throw new Error("Relayer: invalid signature, nonce or deadline");
+    }
+    try {
+      await this.forwarder.callStatic.execute(request, signature);
+    } catch (err) {
+      throw new Error(`Relayer: call reverted: ${revertReason(err)}`);
+    }
+
+    const tx = await this.forwarder.execute(request, signature);
+    const receipt = await tx.wait();
+    return { txHash: tx.hash, blockNumber: receipt.blockNumber };
+  }
+}
+
+// ============ HTTP ============
+/**
+ * HTTP front end for a Relayer (not yet listening):
+ * POST /relay {request, signature} and GET /nonce/:address.
+ * Bodies over maxBodyBytes are answered with 413 and not buffered.
+ * @param {Relayer} relayer
+ * @param {{maxBodyBytes?: number}} [options] default MAX_BODY_BYTES (64 KiB)
+ * @returns {http.Server}
+ */
+function createServer(relayer, { maxBodyBytes = MAX_BODY_BYTES } = {}) {
+  return http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+    const parts = req.url.split("?")[0].split("/").filter(Boolean);
+
+    if (req.method === "GET" && parts.length === 2 && parts[0] === "nonce") {
+      if (!ethers.utils.isAddress(parts[1])) return send(400, { error: "invalid address" });
+      return relayer
+        .getNonce(parts[1])
+        .then((nonce) => send(200, { nonce: nonce.toString() }))
+        .catch((err) => send(500, { error: err.message }));
+    }
+    if (parts.length !== 1 || parts[0] !== "relay") return send(404, { error: "not found" });
+    if (req.method !== "POST") return send(405, { error: "method not allowed" });
+
+    const tooLarge = () => {
+      req.resume();
+      return send(413, { error: "request body too large" });
+    };
+    if (Number(req.headers["content-length"]) > maxBodyBytes) return tooLarge();
+
+    let body = "";
+    let size = 0;
+    req.on("data", (chunk) => {
+      if (size > maxBodyBytes) return;
+      size += chunk.length;
+      if (size > maxBodyBytes) {
+        body = "";
+        tooLarge();
+      } else {
+        body += chunk;
+      }
+    });
+    req.on("end", async () => {
+      if (size > maxBodyBytes) return;
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (err) {
+        return send(400, { error: "invalid JSON" });
+      }
+      if (!payload || !payload.request || !payload.signature) {
+        return send(400, { error: "expected {request, signature}" });
+      }
+      try {
+        return send(200, await relayer.relay(payload.request, payload.signature));
+      } catch (err) {
+        return send(400, { error: err.message });
+      }
+    });
+  });
+}
+
+module.exports = {
+  FORWARDER_ABI,
+  DEFAULT_MAX_GAS,
+  MAX_BODY_BYTES,
+  buildForwardRequest,
+  Relayer,
+  createServer,
+};
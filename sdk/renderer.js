@@ -0,0 +1,429 @@
+// Living PFP metadata renderer: follows ERC4906AgentExtension updates and serves ERC-721 metadata.
+//
+//   const gateway = new LocalGateway("gateway/");
+//   const renderer = await Renderer.open(provider, { agentExtension, targetNFT }, { gateway, file: "renderer.json" });
+//   await renderer.sync();
+//   createServer(renderer.index).listen(8548);
+//
+// Every accepted update becomes a version of its token. A version is served only while its URI
+// passes the validator's current rules (sdk/url.js), so unregistering a domain rolls tokens back
+// to their newest version that is still allowed.
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { ethers } = require("ethers");
+const { EventStore } = require("./event-store");
+const { Indexer } = require("./indexer");
+const { UrlPolicy, parseURL } = require("./url");
+
+const MAX_CONTENT_BYTES = 1024 * 1024;
+
+// ============ EVENTS ============
+// Must match ERC4906AgentExtension, the target ERC-721 and SecureMetadataUpdateProtocol
+const RENDERER_EVENTS = {
+  agentExtension: [
+    "event MetadataUpdated(uint256 indexed tokenId, string metadataURI, address indexed agent)",
+    "event MetadataRangeUpdated(uint256 fromTokenId, uint256 toTokenId, string baseURI, address indexed agent)",
+  ],
+  targetNFT: ["event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)"],
+  validator: [
+    "event DomainRegistered(string domain)",
+    "event DomainUnregistered(string domain)",
+    "event SubdomainRuleUpdated(string domain, bool allowed)",
+    "event SchemeUpdated(string scheme, bool allowed)",
+    "event MaxLengthUpdated(uint256 newLength)",
+  ],
+};
+
+const VALIDATOR_ABI = ["function maxURLLength() view returns (uint256)"];
+const EXTENSION_ABI = ["function validator() view returns (address)"];
+
+// ============ GATEWAYS ============
+/**
+ * Fetch an https:// (or other hierarchical) URI with the global fetch.
+ * @returns {Promise<Buffer>}
+ */
+async function httpFetch(uri) {
+  const res = await fetch(uri, { redirect: "error", signal: AbortSignal.timeout(10000) });
+  if (!res.ok) throw new Error(`Renderer: ${uri} returned ${res.status}`);
+  const body = Buffer.from(await res.arrayBuffer());
+  if (body.length > MAX_CONTENT_BYTES) throw new Error(`Renderer: ${uri} is too large`);
+  return body;
+}
+
+/**
+ * Gateway stub for content-addressed URIs, backed by a local directory:
+ * ipfs://<cid>/a.json is read from <dir>/ipfs/<cid>/a.json and ar://<txid> from <dir>/ar/<txid>
+ * (a directory resolves to its index.json). Other schemes go to `fallback`.
+ *
+ * Any object with `fetch(uri) -> Promise<Buffer|string>` can replace it.
+ */
+class LocalGateway {
+  /**
+   * @param {string} dir
+   * @param {{fallback?: function(string): Promise<Buffer|string>}} [options] default httpFetch
+   */
+  constructor(dir, { fallback = httpFetch } = {}) {
+    this.dir = path.resolve(dir);
+    this.fallback = fallback;
+  }
+
+  /** Local file backing a content-addressed URI. */
+  pathOf(uri) {
+    const { scheme, host, path: uriPath, contentAddressed } = parseURL(uri);
+    if (!contentAddressed) throw new Error(`LocalGateway: ${scheme}:// is not content-addressed`);
+    const root = path.join(this.dir, scheme, host);
+    const file = path.resolve(root, `.${uriPath}`);
+    if (file !== root && !file.startsWith(root + path.sep)) throw new Error(`LocalGateway: ${uri} escapes the gateway`);
+    return file;
+  }
+
+  /** Pin content under a content-addressed URI. */
+  put(uri, content) {
+    const file = this.pathOf(uri);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, typeof content === "string" ? content : JSON.stringify(content));
+  }
+
+  async fetch(uri) {
+    if (!parseURL(uri).contentAddressed) return this.fallback(uri);
+    let file = this.pathOf(uri);
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, "index.json");
+    if (!fs.existsSync(file)) throw new Error(`LocalGateway: ${uri} not found`);
+    return fs.readFileSync(file);
+  }
+}
+
+// ============ INDEX ============
+/**
+ * Event-sourced store of token metadata versions, fed by an Indexer like AgentIndex.
+ *
+ * Events drive the token table (owner, URI versions) and the mirrored validator policy; fetched
+ * content is cached per URI outside the event log, so a reorg never refetches it. Whether a
+ * version is served is decided at read time against the current policy.
+ */
+class MetadataIndex extends EventStore {
+  /**
+   * @param {{startBlock?: number, reorgDepth?: number, snapshotInterval?: number, maxURLLength: number}} options
+   *   see EventStore; maxURLLength is the validator's before the first indexed event (MaxLengthUpdated events
+   *   override it)
+   */
+  constructor({ maxURLLength, ...options }) {
+    super(options);
+    this.maxURLLength = Number(maxURLLength);
+    this.content = new Map();
+    this._reset();
+  }
+
+  _reset() {
+    this.tokens = new Map();
+    this.policy = new UrlPolicy({ maxURLLength: this.maxURLLength });
+  }
+
+  _snapshot() {
+    return { tokens: [...this.tokens], policy: this.policy.toJSON() };
+  }
+
+  _restore({ tokens, policy }) {
+    this.tokens = new Map(tokens);
+    this.policy = UrlPolicy.fromJSON(policy);
+  }
+
+  _apply(event) {
+    if (event.contract === "validator") {
+      this.policy.applyEvent(event.name, event.args);
+      return;
+    }
+    const handler = HANDLERS[event.name];
+    if (handler) handler(this, event.args, event);
+  }
+
+  _token(tokenId) {
+    if (!this.tokens.has(tokenId)) this.tokens.set(tokenId, { tokenId, owner: null, versions: [] });
+    return this.tokens.get(tokenId);
+  }
+
+  /**
+   * Cache the document fetched for `uri`: a JSON object is served as the token's metadata,
+   * anything else is treated as the media itself (stored as null).
+   */
+  setContent(uri, body) {
+    let document = null;
+    try {
+      const parsed = JSON.parse(body.toString("utf8"));
+      if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) document = parsed;
+    } catch (err) {
+      // not JSON: media
+    }
+    this.content.set(uri, document);
+    this._record({ content: [uri, document] });
+  }
+
+  _replay(entry) {
+    if (entry.content) this.content.set(entry.content[0], entry.content[1]);
+    else super._replay(entry);
+  }
+
+  /** Sanitized URIs still to fetch: versions allowed by the current policy whose content is not cached. */
+  unresolved() {
+    const uris = new Set();
+    for (const token of this.tokens.values()) {
+      for (const v of token.versions) {
+        const checked = this.check(v);
+        if (checked.status === "unresolved") uris.add(checked.sanitized);
+      }
+    }
+    return [...uris];
+  }
+
+  // ============ QUERIES ============
+  /**
+   * Status of one version under the current policy. Content is fetched and cached under the
+   * sanitized URI, so URIs accepted without an on-chain validator are normalized the same way.
+   * @returns {{status: "valid"|"disallowed"|"unresolved", sanitized?: string, reason?: string}}
+   */
+  check(version) {
+    let sanitized;
+    try {
+      sanitized = this.policy.sanitizeAnimationURL(version.uri);
+    } catch (err) {
+      return { status: "disallowed", reason: err.message };
+    }
+    return { status: this.content.has(sanitized) ? "valid" : "unresolved", sanitized };
+  }
+
+  /** Token table entry, or null for tokens not minted (or burned). */
+  _minted(tokenId) {
+    const token = this.tokens.get(String(tokenId));
+    return token && token.owner ? token : null;
+  }
+
+  /**
+   * ERC-721 metadata JSON of a version; the newest valid version without `version`.
+   * @returns {{version: number, uri: string, metadata: object}|null} uri is the sanitized URI; null for unknown
+   *   tokens and versions, for versions that are not valid and for tokens without any valid version
+   */
+  getMetadata(tokenId, version) {
+    const token = this._minted(tokenId);
+    if (!token) return null;
+    const number = version === undefined ? this.currentVersion(tokenId) : Number(version);
+    const v = token.versions[number - 1];
+    const checked = v ? this.check(v) : null;
+    if (!checked || checked.status !== "valid") return null;
+    const document = this.content.get(checked.sanitized);
+    return {
+      version: number,
+      uri: checked.sanitized,
+      metadata: document || { name: `#${token.tokenId}`, animation_url: checked.sanitized },
+    };
+  }
+
+  /** @returns {number} newest valid version of a minted token, 0 if none */
+  currentVersion(tokenId) {
+    const token = this._minted(tokenId);
+    if (!token) return 0;
+    for (let i = token.versions.length - 1; i >= 0; i--) {
+      if (this.check(token.versions[i]).status === "valid") return i + 1;
+    }
+    return 0;
+  }
+
+  /** @returns {{tokenId: string, owner: string, current: number, versions: object[]}|null} versions oldest first */
+  getHistory(tokenId) {
+    const token = this._minted(tokenId);
+    if (!token) return null;
+    return {
+      tokenId: token.tokenId,
+      owner: token.owner,
+      current: this.currentVersion(tokenId),
+      versions: token.versions.map((v, i) => ({ version: i + 1, ...v, ...this.check(v) })),
+    };
+  }
+
+  /** @returns {{cursor: number, blockHash: string|null, events: number, tokens: number, policy: object}} */
+  status() {
+    return {
+      ...super.status(),
+      tokens: [...this.tokens.values()].filter((t) => t.owner).length,
+      policy: this.policy.toJSON(),
+    };
+  }
+
+  // ============ PERSISTENCE ============
+  /** Checkpoint form, with the fetched content (see EventStore#toJSON). */
+  toJSON() {
+    return { ...super.toJSON(), maxURLLength: this.maxURLLength, content: Object.fromEntries(this.content) };
+  }
+
+  static fromJSON(json) {
+    const index = super.fromJSON(json);
+    index.content = new Map(Object.entries(json.content));
+    return index;
+  }
+}
+
+// ============ EVENT HANDLERS ============
+function pushVersion(index, tokenId, uri, agent, event) {
+  index._token(tokenId).versions.push({
+    uri,
+    agent,
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash,
+    timestamp: event.timestamp,
+  });
+}
+
+const HANDLERS = {
+  Transfer(index, { to, tokenId }) {
+    index._token(tokenId).owner = to === ethers.constants.AddressZero ? null : to;
+  },
+  MetadataUpdated(index, { tokenId, metadataURI, agent }, event) {
+    pushVersion(index, tokenId, metadataURI, agent, event);
+  },
+  // Token N resolves to baseURI + N, as ERC4906AgentExtension._resolve
+  MetadataRangeUpdated(index, { fromTokenId, toTokenId, baseURI, agent }, event) {
+    for (let tokenId = BigInt(fromTokenId); tokenId <= BigInt(toTokenId); tokenId++) {
+      pushVersion(index, tokenId.toString(), baseURI + tokenId, agent, event);
+    }
+  },
+};
+
+// ============ RENDERER ============
+/**
+ * Follows the extension, the target NFT and the validator into a MetadataIndex and fetches
+ * the content of new versions through `gateway`. Fetch failures are retried on every sync.
+ */
+class Renderer {
+  /**
+   * @param {ethers.providers.Provider} provider
+   * @param {{agentExtension: string, targetNFT: string, validator: string}} addresses the validator
+   *   whose rules are mirrored; usually the extension's `validator()` (see Renderer.open)
+   * @param {MetadataIndex} index
+   * @param {{gateway: {fetch: function(string): Promise<Buffer|string>}, batchSize?: number, confirmations?: number, file?: string}} options
+   */
+  constructor(provider, addresses, index, { gateway, batchSize, confirmations, file }) {
+    this.index = index;
+    this.gateway = gateway;
+    this.file = file;
+    this.indexer = new Indexer(provider, addresses, index, { batchSize, confirmations, file, events: RENDERER_EVENTS });
+    this.errors = new Map();
+    this._timer = null;
+  }
+
+  /**
+   * Renderer over a saved index (or a new one from `startBlock`), mirroring the extension's
+   * current validator unless `addresses.validator` is given.
+   * @returns {Promise<Renderer>}
+   */
+  static async open(provider, addresses, { file, startBlock = 0, ...options }) {
+    let validator = addresses.validator;
+    if (!validator) {
+      validator = await new ethers.Contract(addresses.agentExtension, EXTENSION_ABI, provider).validator();
+      if (validator === ethers.constants.AddressZero) throw new Error("Renderer: the extension has no validator");
+    }
+    let index;
+    if (file && fs.existsSync(file)) {
+      index = MetadataIndex.load(file);
+    } else {
+      // Replaying the validator's events from here converges on its current rules
+      const maxURLLength = await new ethers.Contract(validator, VALIDATOR_ABI, provider).maxURLLength();
+      index = new MetadataIndex({ startBlock, maxURLLength: maxURLLength.toString() });
+    }
+    return new Renderer(provider, { ...addresses, validator }, index, { file, ...options });
+  }
+
+  /**
+   * Index up to the head, then fetch content for new versions.
+   * @returns {Promise<{from: number, to: number, events: number, reorged: number, fetched: number, failed: number}>}
+   */
+  async sync() {
+    const result = await this.indexer.sync();
+    let fetched = 0;
+    this.errors.clear();
+    for (const uri of this.index.unresolved()) {
+      try {
+        const body = await this.gateway.fetch(uri);
+        if (body.length > MAX_CONTENT_BYTES) throw new Error(`Renderer: ${uri} is too large`);
+        this.index.setContent(uri, Buffer.from(body));
+        fetched++;
+      } catch (err) {
+        this.errors.set(uri, err.message);
+      }
+    }
+    if (this.file && fetched > 0) this.index.save(this.file);
+    return { ...result, fetched, failed: this.errors.size };
+  }
+
+  /**
+   * Sync every `intervalMs` until stop(); errors are reported and retried.
+   * @param {function(Error)} [onError]
+   */
+  start(intervalMs = 2000, onError = (err) => console.error(`renderer: ${err.message}`)) {
+    const tick = async () => {
+      try {
+        await this.sync();
+      } catch (err) {
+        onError(err);
+      }
+      if (this._timer) this._timer = setTimeout(tick, intervalMs);
+    };
+    this._timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+}
+
+// ============ HTTP ============
+/**
+ * Read-only metadata API over a MetadataIndex (not yet listening):
+ *   GET /status
+ *   GET /tokens/:tokenId                     current ERC-721 metadata JSON (X-Metadata-Version header)
+ *   GET /tokens/:tokenId/versions/:version   metadata of one version
+ *   GET /tokens/:tokenId/history             every version with its status under the current rules
+ * @param {MetadataIndex} index
+ * @returns {http.Server}
+ */
+function createServer(index) {
+  return http.createServer((req, res) => {
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { "Content-Type": "application/json", ...headers });
+      res.end(JSON.stringify(body));
+    };
+    const url = new URL(req.url, "http://localhost");
+    const parts = url.pathname.split("/").filter(Boolean);
+    if (req.method !== "GET") return send(405, { error: "method not allowed" });
+
+    if (parts.length === 1 && parts[0] === "status") return send(200, index.status());
+    if (parts[0] !== "tokens" || parts.length < 2) return send(404, { error: "not found" });
+    if (!/^[0-9]{1,78}$/.test(parts[1])) return send(400, { error: "invalid token id" });
+    const tokenId = BigInt(parts[1]).toString();
+    const history = index.getHistory(tokenId);
+    if (!history) return send(404, { error: "unknown token" });
+
+    if (parts.length === 2) {
+      const current = index.getMetadata(tokenId);
+      if (!current) return send(404, { error: "no valid metadata" });
+      return send(200, current.metadata, { "X-Metadata-Version": String(current.version) });
+    }
+    if (parts.length === 3 && parts[2] === "history") return send(200, history);
+    if (parts.length === 4 && parts[2] === "versions") {
+      const v = history.versions[Number(parts[3]) - 1];
+      if (!/^[0-9]+$/.test(parts[3]) || !v) return send(404, { error: "unknown version" });
+      if (v.status !== "valid") return send(410, { error: `version ${v.status}`, reason: v.reason });
+      return send(200, index.getMetadata(tokenId, v.version).metadata, { "X-Metadata-Version": String(v.version) });
+    }
+    return send(404, { error: "not found" });
+  });
+}
+
+module.exports = {
+  RENDERER_EVENTS,
+  httpFetch,
+  LocalGateway,
+  MetadataIndex,
+  Renderer,
+  createServer,
+};
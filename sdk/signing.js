@@ -0,0 +1,456 @@
+const { ethers } = require("ethers");
+
+// ============ DOMAINS ============
+const AGENT_EXTENSION_NAME = "ERC4906AgentExtension";
+const AGENT_EXTENSION_VERSION = "1.1";
+
+const IDENTITY_REGISTRY_NAME = "IdentityRegistry";
+const IDENTITY_REGISTRY_VERSION = "1";
+
+const REPUTATION_REGISTRY_NAME = "ReputationRegistry";
+const REPUTATION_REGISTRY_VERSION = "1";
+
+const NONCE_MANAGER_NAME = "CrossChainNonceManagement";
+const NONCE_MANAGER_VERSION = "1";
+
+const FORWARDER_NAME = "AgentForwarder";
+const FORWARDER_VERSION = "1";
+
+// ============ TYPES ============
+// Must match ERC4906AgentExtension.UPDATE_TYPEHASH field for field
+const UPDATE_REQUEST_TYPES = {
+  UpdateRequest: [
+    { name: "agent", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "metadataURI", type: "string" },
+    { name: "nonceHash", type: "bytes32" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// Must match ERC4906AgentExtension.RANGE_UPDATE_TYPEHASH field for field
+const RANGE_UPDATE_REQUEST_TYPES = {
+  RangeUpdateRequest: [
+    { name: "agent", type: "address" },
+    { name: "fromTokenId", type: "uint256" },
+    { name: "toTokenId", type: "uint256" },
+    { name: "baseURI", type: "string" },
+    { name: "nonceHash", type: "bytes32" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// Must match ERC4906AgentExtension.DELEGATION_TYPEHASH field for field
+const DELEGATION_TYPES = {
+  Delegation: [
+    { name: "holder", type: "address" },
+    { name: "agent", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "expiresAt", type: "uint64" },
+    { name: "maxUpdates", type: "uint32" },
+    { name: "period", type: "uint32" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// Must match IdentityRegistry.SET_WALLET_TYPEHASH field for field
+const SET_AGENT_WALLET_TYPES = {
+  SetAgentWallet: [
+    { name: "agentId", type: "uint256" },
+    { name: "wallet", type: "address" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+// Must match ReputationRegistry.FEEDBACK_AUTH_TYPEHASH field for field
+const FEEDBACK_AUTH_TYPES = {
+  FeedbackAuth: [
+    { name: "agentId", type: "uint256" },
+    { name: "clientAddress", type: "address" },
+    { name: "indexLimit", type: "uint64" },
+    { name: "expiry", type: "uint256" },
+    { name: "signerAddress", type: "address" },
+  ],
+};
+
+// Must match CrossChainNonceManagement.ATTESTATION_TYPEHASH field for field
+const STATE_ROOT_ATTESTATION_TYPES = {
+  StateRootAttestation: [
+    { name: "chainId", type: "uint256" },
+    { name: "root", type: "bytes32" },
+    { name: "epoch", type: "uint256" },
+  ],
+};
+
+// Must match CrossChainNonceManagement.ATTESTER_UPDATE_TYPEHASH field for field
+const ATTESTER_UPDATE_TYPES = {
+  AttesterUpdate: [
+    { name: "chainId", type: "uint256" },
+    { name: "added", type: "address[]" },
+    { name: "removed", type: "address[]" },
+    { name: "threshold", type: "uint256" },
+    { name: "epoch", type: "uint256" },
+  ],
+};
+
+// Must match AgentForwarder.FORWARD_REQUEST_TYPEHASH field for field
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+    { name: "data", type: "bytes" },
+  ],
+};
+
+/**
+ * Compute the EIP-712 typehash of the primary type in a type set.
+ * @param {object} types ethers-style type definitions
+ * @returns {string} bytes32 typehash
+ */
+function typeHash(types) {
+  const encoder = ethers.utils._TypedDataEncoder.from(types);
+  return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(encoder.encodeType(encoder.primaryType)));
+}
+
+const UPDATE_TYPEHASH = typeHash(UPDATE_REQUEST_TYPES);
+const RANGE_UPDATE_TYPEHASH = typeHash(RANGE_UPDATE_REQUEST_TYPES);
+const DELEGATION_TYPEHASH = typeHash(DELEGATION_TYPES);
+const SET_WALLET_TYPEHASH = typeHash(SET_AGENT_WALLET_TYPES);
+const FEEDBACK_AUTH_TYPEHASH = typeHash(FEEDBACK_AUTH_TYPES);
+const ATTESTATION_TYPEHASH = typeHash(STATE_ROOT_ATTESTATION_TYPES);
+const ATTESTER_UPDATE_TYPEHASH = typeHash(ATTESTER_UPDATE_TYPES);
+const FORWARD_REQUEST_TYPEHASH = typeHash(FORWARD_REQUEST_TYPES);
+
+/**
+ * EIP-712 domain of a deployed ERC4906AgentExtension.
+ * @param {number|string} chainId
+ * @param {string} verifyingContract extension address
+ */
+function agentExtensionDomain(chainId, verifyingContract) {
+  return {
+    name: AGENT_EXTENSION_NAME,
+    version: AGENT_EXTENSION_VERSION,
+    chainId,
+    verifyingContract,
+  };
+}
+
+/**
+ * EIP-712 domain of a deployed IdentityRegistry proxy.
+ * @param {number|string} chainId
+ * @param {string} verifyingContract registry (proxy) address
+ */
+function identityRegistryDomain(chainId, verifyingContract) {
+  return {
+    name: IDENTITY_REGISTRY_NAME,
+    version: IDENTITY_REGISTRY_VERSION,
+    chainId,
+    verifyingContract,
+  };
+}
+
+/**
+ * EIP-712 domain of a deployed ReputationRegistry proxy.
+ * @param {number|string} chainId
+ * @param {string} verifyingContract registry (proxy) address
+ */
+function reputationRegistryDomain(chainId, verifyingContract) {
+  return {
+    name: REPUTATION_REGISTRY_NAME,
+    version: REPUTATION_REGISTRY_VERSION,
+    chainId,
+    verifyingContract,
+  };
+}
+
+/**
+ * EIP-712 domain of a deployed CrossChainNonceManagement.
+ * @param {number|string} chainId
+ * @param {string} verifyingContract nonce manager address
+ */
+function nonceManagerDomain(chainId, verifyingContract) {
+  return {
+    name: NONCE_MANAGER_NAME,
+    version: NONCE_MANAGER_VERSION,
+    chainId,
+    verifyingContract,
+  };
+}
+
+/**
+ * EIP-712 domain of a deployed AgentForwarder.
+ * @param {number|string} chainId
+ * @param {string} verifyingContract forwarder address
+ */
+function forwarderDomain(chainId, verifyingContract) {
+  return {
+    name: FORWARDER_NAME,
+    version: FORWARDER_VERSION,
+    chainId,
+    verifyingContract,
+  };
+}
+
+// ============ CONTRACT SIGNERS ============
+const ERC1271_MAGIC_VALUE = "0x1626ba7e";
+const ERC1271_ABI = ["function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)"];
+
+/**
+ * EIP-712 digest of a message, as computed on-chain by _hashTypedDataV4.
+ * @returns {string} bytes32 digest
+ */
+function typedDataDigest(domain, types, value) {
+  return ethers.utils._TypedDataEncoder.hash(domain, types, value);
+}
+
+/**
+ * Check a signature the way SignatureChecker.isValidSignatureNow does on-chain:
+ * ERC-1271 isValidSignature for accounts with code, ECDSA recovery for EOAs.
+ * @param {ethers.providers.Provider} provider
+ * @param {string} signer expected signer (EOA or contract account)
+ * @param {string} digest bytes32 digest, e.g. from typedDataDigest()
+ * @param {string} signature
+ * @returns {Promise<boolean>}
+ */
+async function isValidSignatureNow(provider, signer, digest, signature) {
+  const code = await provider.getCode(signer);
+  if (code !== "0x") {
+    try {
+      const account = new ethers.Contract(signer, ERC1271_ABI, provider);
+      return (await account.isValidSignature(digest, signature)) === ERC1271_MAGIC_VALUE;
+    } catch (err) {
+      return false;
+    }
+  }
+  try {
+    return ethers.utils.recoverAddress(digest, signature).toLowerCase() === signer.toLowerCase();
+  } catch (err) {
+    return false;
+  }
+}
+
+// ============ NONCES ============
+/**
+ * Generate a random uint256 nonce for the commit/reveal scheme.
+ * @returns {ethers.BigNumber}
+ */
+function generateNonce() {
+  return ethers.BigNumber.from(ethers.utils.randomBytes(32));
+}
+
+/**
+ * Commit hash for a nonce, identical to ERC4906AgentExtension.generateNonceHash.
+ * @param {ethers.BigNumberish} nonce
+ * @param {string} agent agent address
+ * @returns {string} bytes32 nonce hash
+ */
+function nonceHash(nonce, agent) {
+  return ethers.utils.solidityKeccak256(["uint256", "address"], [nonce, agent]);
+}
+
+// ============ UPDATE REQUESTS ============
+/**
+ * Sign an UpdateRequest with the agent's key.
+ * @param {ethers.Signer} signer agent signer (must support _signTypedData)
+ * @param {object} domain from agentExtensionDomain()
+ * @param {{agent: string, tokenId: ethers.BigNumberish, metadataURI: string, nonceHash: string, deadline: ethers.BigNumberish}} request
+ * @returns {Promise<string>} 65-byte signature
+ */
+function signUpdateRequest(signer, domain, request) {
+  return signer._signTypedData(domain, UPDATE_REQUEST_TYPES, request);
+}
+
+/**
+ * Sign a RangeUpdateRequest (updateMetadataRangeWithSig) with the agent's key.
+ * Token N in [fromTokenId, toTokenId] resolves to `${baseURI}${N}`.
+ * @param {ethers.Signer} signer agent signer (must support _signTypedData)
+ * @param {object} domain from agentExtensionDomain()
+ * @param {{agent: string, fromTokenId: ethers.BigNumberish, toTokenId: ethers.BigNumberish, baseURI: string, nonceHash: string, deadline: ethers.BigNumberish}} request
+ * @returns {Promise<string>} 65-byte signature
+ */
+function signRangeUpdateRequest(signer, domain, request) {
+  return signer._signTypedData(domain, RANGE_UPDATE_REQUEST_TYPES, request);
+}
+
+/**
+ * Recover the signer of an UpdateRequest.
+ * @returns {string} recovered address
+ */
+function recoverUpdateRequestSigner(domain, request, signature) {
+  return ethers.utils.verifyTypedData(domain, UPDATE_REQUEST_TYPES, request, signature);
+}
+
+/**
+ * Pre-verify an UpdateRequest off-chain with the same checks as updateMetadataWithSig
+ * that do not need extension state: deadline not passed and a signature request.agent accepts
+ * (ERC-1271 for contract agents such as token-bound accounts, ECDSA for EOAs).
+ * @param {ethers.providers.Provider} provider chain the agent lives on
+ * @param {object} domain from agentExtensionDomain()
+ * @param {object} request signed request
+ * @param {string} signature
+ * @param {number} [now] unix timestamp to check the deadline against
+ * @returns {Promise<boolean>} true if the request would pass signature and deadline checks
+ */
+async function verifyUpdateRequest(provider, domain, request, signature, now = Math.floor(Date.now() / 1000)) {
+  if (ethers.BigNumber.from(request.deadline).lt(now)) return false;
+  const digest = typedDataDigest(domain, UPDATE_REQUEST_TYPES, request);
+  return isValidSignatureNow(provider, request.agent, digest, signature);
+}
+
+// ============ DELEGATIONS ============
+/**
+ * Sign a Delegation with the token holder's key for ERC4906AgentExtension.delegateWithSig.
+ * `nonce` must be the extension's current delegationNonces(holder).
+ * @param {ethers.Signer} signer holder signer
+ * @param {object} domain from agentExtensionDomain()
+ * @param {{holder: string, agent: string, tokenId: ethers.BigNumberish, expiresAt: ethers.BigNumberish,
+ *   maxUpdates: number, period: number, nonce: ethers.BigNumberish, deadline: ethers.BigNumberish}} delegation
+ * @returns {Promise<string>} 65-byte signature
+ */
+function signDelegation(signer, domain, delegation) {
+  return signer._signTypedData(domain, DELEGATION_TYPES, delegation);
+}
+
+// ============ AGENT WALLETS ============
+/**
+ * Sign a SetAgentWallet message with the wallet being bound to the agent.
+ * @param {ethers.Signer} signer wallet signer
+ * @param {object} domain from identityRegistryDomain()
+ * @param {{agentId: ethers.BigNumberish, wallet: string, nonce: ethers.BigNumberish}} message
+ * @returns {Promise<string>} 65-byte signature
+ */
+function signSetAgentWallet(signer, domain, message) {
+  return signer._signTypedData(domain, SET_AGENT_WALLET_TYPES, message);
+}
+
+/**
+ * Pre-verify a SetAgentWallet signature off-chain, as IdentityRegistry.setAgentWallet does:
+ * ERC-1271 for contract wallets, ECDSA for EOAs.
+ * @param {ethers.providers.Provider} provider chain the wallet lives on
+ * @returns {Promise<boolean>} true if message.wallet accepts the signature
+ */
+function verifySetAgentWallet(provider, domain, message, signature) {
+  const digest = typedDataDigest(domain, SET_AGENT_WALLET_TYPES, message);
+  return isValidSignatureNow(provider, message.wallet, digest, signature);
+}
+
+// ============ FEEDBACK AUTHORIZATION ============
+/**
+ * Sign a FeedbackAuth as the agent (identity owner or agent wallet) for one client.
+ * @param {ethers.Signer} signer agent signer; auth.signerAddress defaults to its address
+ * @param {object} domain from reputationRegistryDomain()
+ * @param {{agentId: ethers.BigNumberish, clientAddress: string, indexLimit: ethers.BigNumberish,
+ *   expiry: ethers.BigNumberish, signerAddress?: string}} auth
+ * @returns {Promise<string>} feedbackAuth bytes for giveFeedback
+ */
+async function signFeedbackAuth(signer, domain, auth) {
+  const message = { signerAddress: await signer.getAddress(), ...auth };
+  const signature = await signer._signTypedData(domain, FEEDBACK_AUTH_TYPES, message);
+  return encodeFeedbackAuth(message, signature);
+}
+
+/**
+ * ABI-encode a signed FeedbackAuth as ReputationRegistry.giveFeedback expects it.
+ * @returns {string} abi.encode(indexLimit, expiry, signerAddress, signature)
+ */
+function encodeFeedbackAuth(auth, signature) {
+  return ethers.utils.defaultAbiCoder.encode(
+    ["uint64", "uint256", "address", "bytes"],
+    [auth.indexLimit, auth.expiry, auth.signerAddress, signature]
+  );
+}
+
+// ============ STATE ROOT ATTESTATIONS ============
+/**
+ * Sign a state root attestation for CrossChainNonceManagement.submitStateRoot.
+ * @param {ethers.Signer} signer attester signer
+ * @param {object} domain from nonceManagerDomain()
+ * @param {{root: string, epoch: ethers.BigNumberish}} attestation chainId defaults to the domain's
+ * @returns {Promise<string>} 65-byte signature
+ */
+function signStateRootAttestation(signer, domain, attestation) {
+  return signer._signTypedData(domain, STATE_ROOT_ATTESTATION_TYPES, { chainId: domain.chainId, ...attestation });
+}
+
+/**
+ * Sign an attester set update for CrossChainNonceManagement.updateAttesters.
+ * @param {ethers.Signer} signer current attester signer
+ * @param {object} domain from nonceManagerDomain()
+ * @param {{added: string[], removed: string[], threshold: ethers.BigNumberish, epoch: ethers.BigNumberish}} update
+ *   epoch is the contract's attesterEpoch; chainId defaults to the domain's
+ * @returns {Promise<string>} 65-byte signature
+ */
+function signAttesterUpdate(signer, domain, update) {
+  return signer._signTypedData(domain, ATTESTER_UPDATE_TYPES, { chainId: domain.chainId, ...update });
+}
+
+// ============ FORWARD REQUESTS ============
+/**
+ * Sign an ERC-2771 ForwardRequest for AgentForwarder.execute.
+ * `nonce` must be the forwarder's current getNonce(from).
+ * @param {ethers.Signer} signer signer for request.from
+ * @param {object} domain from forwarderDomain()
+ * @param {{from: string, to: string, value: ethers.BigNumberish, gas: ethers.BigNumberish,
+ *   nonce: ethers.BigNumberish, deadline: ethers.BigNumberish, data: string}} request
+ * @returns {Promise<string>} 65-byte signature
+ */
+function signForwardRequest(signer, domain, request) {
+  return signer._signTypedData(domain, FORWARD_REQUEST_TYPES, request);
+}
+
+module.exports = {
+  AGENT_EXTENSION_NAME,
+  AGENT_EXTENSION_VERSION,
+  IDENTITY_REGISTRY_NAME,
+  IDENTITY_REGISTRY_VERSION,
+  REPUTATION_REGISTRY_NAME,
+  REPUTATION_REGISTRY_VERSION,
+  NONCE_MANAGER_NAME,
+  NONCE_MANAGER_VERSION,
+  FORWARDER_NAME,
+  FORWARDER_VERSION,
+  UPDATE_REQUEST_TYPES,
+  RANGE_UPDATE_REQUEST_TYPES,
+  DELEGATION_TYPES,
+  SET_AGENT_WALLET_TYPES,
+  FEEDBACK_AUTH_TYPES,
+  STATE_ROOT_ATTESTATION_TYPES,
+  ATTESTER_UPDATE_TYPES,
+  FORWARD_REQUEST_TYPES,
+  UPDATE_TYPEHASH,
+  RANGE_UPDATE_TYPEHASH,
+  DELEGATION_TYPEHASH,
+  SET_WALLET_TYPEHASH,
+  FEEDBACK_AUTH_TYPEHASH,
+  ATTESTATION_TYPEHASH,
+  ATTESTER_UPDATE_TYPEHASH,
+  FORWARD_REQUEST_TYPEHASH,
+  ERC1271_MAGIC_VALUE,
+  typeHash,
+  typedDataDigest,
+  isValidSignatureNow,
+  agentExtensionDomain,
+  identityRegistryDomain,
+  reputationRegistryDomain,
+  nonceManagerDomain,
+  forwarderDomain,
+  generateNonce,
+  nonceHash,
+  signUpdateRequest,
+  signRangeUpdateRequest,
+  recoverUpdateRequestSigner,
+  verifyUpdateRequest,
+  signDelegation,
+  signSetAgentWallet,
+  verifySetAgentWallet,
+  signFeedbackAuth,
+  encodeFeedbackAuth,
+  signStateRootAttestation,
+  signAttesterUpdate,
+  signForwardRequest,
+};
@@ -0,0 +1,243 @@
+// Off-chain copy of the SecureMetadataUpdateProtocol URL rules.
+//
+//   const { UrlPolicy } = require("../sdk/url");
+//   const policy = new UrlPolicy({ maxURLLength: 256 });
+//   policy.registerDomain("cdn.example.com");
+//   policy.sanitizeAnimationURL("https://CDN.example.com:443/a.json?x=1")  // "https://cdn.example.com/a.json"
+//
+// Errors carry the contract's revert reasons, so a URL is rejected here exactly when
+// sanitizeAnimationURL reverts, with the same message.
+
+// ============ CHARACTERS ============
+const URL_CHAR = /^[A-Za-z0-9\-._~:/?#[\]@!$&'()*+,;=%]$/;
+const ALPHA = /^[A-Za-z]$/;
+const DIGIT = /^[0-9]$/;
+
+// Matches SecureMetadataUpdateProtocol's constructor
+const DEFAULT_DOMAINS = ["arweave.net", "ipfs.io", "cloudflare-ipfs.com"];
+const DEFAULT_SCHEMES = ["https", "ipfs", "ar"];
+const DEFAULT_PORTS = { https: 443, http: 80 };
+const CONTENT_ADDRESSED = new Set(["ipfs", "ar"]);
+
+/** ASCII-only lowercase, as the contract's _toLower. */
+function toLower(s) {
+  return s.replace(/[A-Z]/g, (c) => c.toLowerCase());
+}
+
+function invalid(reason) {
+  return new Error(reason);
+}
+
+// ============ PARSING ============
+/**
+ * DNS hostname: dot-separated labels of [a-z0-9-], no leading/trailing hyphen, and no
+ * numeric or 0x-hex last label (IPv4 literals). Expects a lowercase host.
+ */
+function validateHost(host) {
+  if (host.length === 0 || host.length > 253) throw invalid("Invalid host");
+  for (const label of host.split(".")) {
+    if (label.length === 0 || label.length > 63) throw invalid("Invalid host");
+    if (label[0] === "-" || label[label.length - 1] === "-") throw invalid("Invalid host");
+    if (!/^[a-zA-Z0-9-]+$/.test(label)) throw invalid("Invalid host");
+  }
+  const last = host.slice(host.lastIndexOf(".") + 1);
+  if (/^[0-9]*$/.test(last) || /^0x[0-9a-f]*$/.test(last)) throw invalid("IP hosts not allowed");
+}
+
+/** CIDv0 ("Qm" + 44 base58btc) or CIDv1 in base32 ("b" + lowercase base32). */
+function isCID(id) {
+  if (id.length === 46) {
+    if (/^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(id)) return true;
+  }
+  return id.length >= 59 && id.length <= 128 && /^b[a-z2-7]+$/.test(id);
+}
+
+/** Arweave transaction id: 43 base64url characters. */
+function isArweaveTxId(id) {
+  return /^[A-Za-z0-9_-]{43}$/.test(id);
+}
+
+/**
+ * Parse and validate a URL, as SecureMetadataUpdateProtocol._parseURL.
+ * @param {string} url
+ * @returns {{scheme: string, host: string, path: string, contentAddressed: boolean}} lowercase scheme; lowercase
+ *   host, or the CID / transaction id for ipfs:// and ar://; path without query or fragment
+ * @throws {Error} with the contract's revert reason
+ */
+function parseURL(url) {
+  // The contract sees UTF-8 bytes; any non-ASCII byte is an invalid character
+  for (const c of url) {
+    if (!URL_CHAR.test(c)) throw invalid("Invalid character");
+  }
+  const len = url.length;
+
+  const colon = url.indexOf(":") === -1 ? len : url.indexOf(":");
+  if (!(colon > 0 && colon + 2 < len && url[colon + 1] === "/" && url[colon + 2] === "/")) {
+    throw invalid("Invalid URL structure");
+  }
+  const scheme = toLower(url.slice(0, colon));
+  if (!ALPHA.test(scheme[0])) throw invalid("Invalid scheme");
+  if (!/^[a-z0-9+\-.]*$/.test(scheme.slice(1))) throw invalid("Invalid scheme");
+
+  const start = colon + 3;
+  let end = start;
+  while (end < len && url[end] !== "/" && url[end] !== "?" && url[end] !== "#") end++;
+  if (end === start) throw invalid("Invalid URL structure");
+
+  const authority = url.slice(start, end);
+  if (authority.includes("@")) throw invalid("Userinfo not allowed");
+  const portAt = authority.indexOf(":");
+
+  const contentAddressed = CONTENT_ADDRESSED.has(scheme);
+  let host;
+  if (contentAddressed) {
+    if (portAt !== -1) throw invalid("Port not allowed");
+    if (scheme === "ipfs" && !isCID(authority)) throw invalid("Invalid IPFS CID");
+    if (scheme === "ar" && !isArweaveTxId(authority)) throw invalid("Invalid Arweave transaction ID");
+    host = authority;
+  } else {
+    if (portAt !== -1 && parsePort(authority.slice(portAt + 1)) !== DEFAULT_PORTS[scheme]) {
+      throw invalid("Port not allowed");
+    }
+    host = toLower(portAt === -1 ? authority : authority.slice(0, portAt));
+    validateHost(host);
+  }
+
+  let pathEnd = end;
+  while (pathEnd < len && url[pathEnd] !== "?" && url[pathEnd] !== "#") pathEnd++;
+  return { scheme, host, path: url.slice(end, pathEnd), contentAddressed };
+}
+
+/** Decimal port, at most 65535. */
+function parsePort(port) {
+  if (port.length === 0) throw invalid("Invalid port");
+  let value = 0;
+  for (const c of port) {
+    if (!DIGIT.test(c)) throw invalid("Invalid port");
+    value = value * 10 + Number(c);
+    if (value > 65535) throw invalid("Invalid port");
+  }
+  return value;
+}
+
+// ============ POLICY ============
+/**
+ * Mirror of a SecureMetadataUpdateProtocol's allowlists. Starts from the constructor defaults;
+ * the setters take the same arguments as the owner functions and keep the state in sync
+ * when fed the contract's events (see applyEvent).
+ */
+class UrlPolicy {
+  /** @param {{maxURLLength: number}} options */
+  constructor({ maxURLLength }) {
+    this.maxURLLength = Number(maxURLLength);
+    this.allowedDomains = new Set(DEFAULT_DOMAINS);
+    this.subdomainsAllowed = new Set();
+    this.allowedSchemes = new Set(DEFAULT_SCHEMES);
+  }
+
+  registerDomain(domain) {
+    const normalized = toLower(domain);
+    validateHost(normalized);
+    this.allowedDomains.add(normalized);
+  }
+
+  unregisterDomain(domain) {
+    const normalized = toLower(domain);
+    this.allowedDomains.delete(normalized);
+    this.subdomainsAllowed.delete(normalized);
+  }
+
+  setSubdomainsAllowed(domain, allowed) {
+    const normalized = toLower(domain);
+    if (!this.allowedDomains.has(normalized)) throw invalid("Domain not registered");
+    if (allowed) this.subdomainsAllowed.add(normalized);
+    else this.subdomainsAllowed.delete(normalized);
+  }
+
+  setSchemeAllowed(scheme, allowed) {
+    const normalized = toLower(scheme);
+    if (allowed) this.allowedSchemes.add(normalized);
+    else this.allowedSchemes.delete(normalized);
+  }
+
+  setMaxURLLength(maxURLLength) {
+    this.maxURLLength = Number(maxURLLength);
+  }
+
+  /**
+   * Apply a SecureMetadataUpdateProtocol event (args as decoded by ethers or plain JSON).
+   * @returns {boolean} false if `name` is not an allowlist event
+   */
+  applyEvent(name, args) {
+    switch (name) {
+      case "DomainRegistered":
+        this.allowedDomains.add(args.domain);
+        return true;
+      case "DomainUnregistered":
+        this.unregisterDomain(args.domain);
+        return true;
+      case "SubdomainRuleUpdated":
+        if (args.allowed) this.subdomainsAllowed.add(args.domain);
+        else this.subdomainsAllowed.delete(args.domain);
+        return true;
+      case "SchemeUpdated":
+        this.setSchemeAllowed(args.scheme, args.allowed);
+        return true;
+      case "MaxLengthUpdated":
+        this.setMaxURLLength(args.newLength.toString());
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /** Whether a hostname is allowed, directly or through a subdomain rule. */
+  isAllowedDomain(host) {
+    const h = toLower(host);
+    if (this.allowedDomains.has(h)) return true;
+    for (let i = 0; i < h.length; i++) {
+      if (h[i] !== ".") continue;
+      const parent = h.slice(i + 1);
+      if (this.allowedDomains.has(parent) && this.subdomainsAllowed.has(parent)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Validate and normalize, as sanitizeAnimationURL.
+   * @returns {string} scheme "://" host path
+   * @throws {Error} with the contract's revert reason
+   */
+  sanitizeAnimationURL(url) {
+    if (Buffer.byteLength(url, "utf8") > this.maxURLLength) throw invalid("URL too long");
+    const parsed = parseURL(url);
+    if (!this.allowedSchemes.has(parsed.scheme)) throw invalid("Scheme not allowed");
+    if (!parsed.contentAddressed && !this.isAllowedDomain(parsed.host)) throw invalid("Domain not allowed");
+    return `${parsed.scheme}://${parsed.host}${parsed.path}`;
+  }
+
+  toJSON() {
+    return {
+      maxURLLength: this.maxURLLength,
+      allowedDomains: [...this.allowedDomains].sort(),
+      subdomainsAllowed: [...this.subdomainsAllowed].sort(),
+      allowedSchemes: [...this.allowedSchemes].sort(),
+    };
+  }
+
+  static fromJSON(json) {
+    const policy = new UrlPolicy({ maxURLLength: json.maxURLLength });
+    policy.allowedDomains = new Set(json.allowedDomains);
+    policy.subdomainsAllowed = new Set(json.subdomainsAllowed);
+    policy.allowedSchemes = new Set(json.allowedSchemes);
+    return policy;
+  }
+}
+
+module.exports = {
+  DEFAULT_DOMAINS,
+  DEFAULT_SCHEMES,
+  parseURL,
+  validateHost,
+  UrlPolicy,
+};